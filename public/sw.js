@@ -115,6 +115,9 @@ self.addEventListener('push', function(event) {
     return;
   }
 
+  // Any snoozed notifications that came due while the worker slept
+  event.waitUntil(showDueNotifications().catch(function() {}));
+
   try {
     const data = event.data.json();
     console.log('[Service Worker] Push data:', data);
@@ -129,57 +132,103 @@ self.addEventListener('push', function(event) {
       body: body,
       icon: '/logo192.png',
       badge: '/logo192.png',
-      tag: notificationData.event || 'order-update',
+      // Follow-up reminders share the tag of the device copy so only one shows
+      tag: notificationData.event === 'followup.reminder' && notificationData.followup_id
+        ? FOLLOW_UP_PREFIX + notificationData.followup_id
+        : notificationData.event || 'order-update',
       data: notificationData,
       requireInteraction: false,
       vibrate: [200, 100, 200],
     };
 
+    // Every push must show a notification (the subscription is userVisibleOnly),
+    // so muted events and the user's own actions are filtered by the server using
+    // the saved preferences. Anything that still arrives is shown without sound
     event.waitUntil(
-      self.registration.showNotification(title, options)
+      readNotificationPreferences().then(function(saved) {
+        const eventName = notificationData.event;
+        options.actions = getNotificationActions(notificationData, saved && saved.user);
+        if (saved && eventName) {
+          const scope = getEventScope(notificationData, saved.user);
+          const ownAction = saved.user && notificationData.changed_by_id === saved.user.id;
+          if (ownAction || !allowsNotification(saved.preferences, eventName, 'sound', scope)) {
+            options.silent = true;
+            delete options.vibrate;
+          }
+        }
+        return self.registration.showNotification(title, options);
+      })
     );
   } catch (error) {
     console.error('[Service Worker] Error processing push notification:', error);
   }
 });
 
+// The browser rotated the push subscription - resubscribe with the same key
+// and let open pages register the new endpoint (the worker has no auth token;
+// otherwise it is registered on next app start)
+self.addEventListener('pushsubscriptionchange', function(event) {
+  const options = event.oldSubscription && event.oldSubscription.options;
+  if (!options || !options.applicationServerKey) return;
+
+  event.waitUntil(
+    self.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: options.applicationServerKey,
+    }).then(function() {
+      return self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    }).then(function(clients) {
+      clients.forEach(function(client) {
+        client.postMessage({ type: 'PUSH_SUBSCRIPTION_CHANGED' });
+      });
+    })
+  );
+});
+
 // Handle notification click events
+// A click on the body opens the related page; action buttons (see
+// getNotificationActions) are handled without opening the app where possible
 self.addEventListener('notificationclick', function(event) {
-  console.log('[Service Worker] Notification clicked:', event.notification);
-  
-  event.notification.close();
-  
-  const orderId = event.notification.data?.order_id;
-  const eventType = event.notification.data?.event;
-  
-  let url = '/';
-  
-  if (orderId) {
-    // Navigate to order detail page
-    url = `/orders/${orderId}`;
-  } else if (eventType && eventType.startsWith('order.')) {
-    // Navigate to orders page
-    url = '/orders';
-  }
+  console.log('[Service Worker] Notification clicked:', event.notification, event.action);
+
+  const notification = event.notification;
+  const data = notification.data || {};
+  notification.close();
 
   event.waitUntil(
-    clients.matchAll({ type: 'window', includeUncontrolled: true })
-      .then(function(clientList) {
-        // Check if there's already a window open
-        for (let i = 0; i < clientList.length; i++) {
-          const client = clientList[i];
-          if (client.url.includes(self.location.origin) && 'focus' in client) {
-            return client.focus().then(client => {
-              // Navigate the existing window
-              return client.navigate(url);
-            });
-          }
-        }
-        // Open a new window if none exists
-        if (clients.openWindow) {
-          return clients.openWindow(url);
-        }
-      })
+    readNotificationPreferences().then(function(saved) {
+      const user = saved && saved.user;
+      const url = getNotificationUrl(data, user);
+
+      switch (event.action) {
+        case 'accept':
+          return acceptOrder(data).catch(function(error) {
+            console.warn('[Service Worker] Accept failed, opening the app:', error);
+            return openAppWindow(url);
+          });
+        case 'call':
+          return self.clients.openWindow('tel:' + getNotificationPhone(data)).catch(function() {
+            // Some browsers only open http(s) URLs - fall back to the record
+            return openAppWindow(url);
+          });
+        case 'snooze':
+          return scheduleNotification({
+            title: notification.title,
+            options: {
+              body: notification.body,
+              icon: notification.icon,
+              badge: notification.badge,
+              tag: notification.tag,
+              // Kept through follow-up reminder syncs, which replace only unsnoozed reminders
+              data: Object.assign({}, data, { snoozed: true }),
+              actions: getNotificationActions(data, user),
+            },
+            dueAt: Date.now() + SNOOZE_MINUTES * 60 * 1000,
+          });
+        default:
+          return openAppWindow(url);
+      }
+    })
   );
 });
 
@@ -188,6 +237,493 @@ self.addEventListener('notificationclose', function(event) {
   console.log('[Service Worker] Notification closed:', event.notification);
 });
 
+// ============================================
+// NOTIFICATION PREFERENCES
+// The app copies the user's preferences to IndexedDB
+// (see src/store/notificationPreferencesStore.js). These helpers mirror
+// src/lib/notificationPreferences.js - keep the two in step.
+// ============================================
+
+const PREFERENCES_STORE = 'userData';
+const PREFERENCES_KEY = 'notificationPreferences';
+
+// Scopes each preference scope lets through
+const SCOPE_INCLUDES = {
+  mine: ['mine'],
+  team: ['mine', 'team'],
+  all: ['mine', 'team', 'other'],
+};
+
+// Resolves { user: { id, office_id }, preferences } or null when not saved yet
+function readNotificationPreferences() {
+  return openAppDB().then(function(db) {
+    if (!db.objectStoreNames.contains(PREFERENCES_STORE)) {
+      db.close();
+      return null;
+    }
+    return new Promise(function(resolve) {
+      const request = db.transaction(PREFERENCES_STORE).objectStore(PREFERENCES_STORE).get(PREFERENCES_KEY);
+      request.onsuccess = function() { resolve(request.result || null); };
+      request.onerror = function() { resolve(null); };
+    }).finally(function() { db.close(); });
+  }).catch(function() {
+    return null;
+  });
+}
+
+function getEventScope(data, user) {
+  const userId = user && user.id;
+  if (userId && (data.assigned_to_id === userId || data.created_by_id === userId)) {
+    return 'mine';
+  }
+  if (user && user.office_id && data.office_id && String(data.office_id) === String(user.office_id)) {
+    return 'team';
+  }
+  return 'other';
+}
+
+function isInQuietHours(quietHours, date) {
+  if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end) return false;
+
+  function toMinutes(time) {
+    const parts = time.split(':').map(Number);
+    return parts[0] * 60 + parts[1];
+  }
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function allowsNotification(preferences, eventName, channel, scope) {
+  const eventRule = preferences && preferences.events && preferences.events[eventName];
+  if (!eventRule) return true;
+
+  if (!eventRule[channel]) return false;
+  if (!(SCOPE_INCLUDES[eventRule.scope] || []).includes(scope)) return false;
+  if (channel !== 'toast' && isInQuietHours(preferences.quiet_hours, new Date())) return false;
+
+  return true;
+}
+
+// ============================================
+// NOTIFICATION DEEP LINKS AND ACTIONS
+// ============================================
+
+const SNOOZE_MINUTES = 15;
+const SCHEDULED_STORE = 'scheduledNotifications';
+const AUTH_KEY = 'serviceWorkerAuth';
+const CRYPTO_KEY_NAME = 'secure-storage';
+
+// Whether a payload URL is a path in this app
+function isSameOriginPath(url) {
+  if (url.charAt(0) !== '/' || url.charAt(1) === '/' || url.charAt(1) === '\\') return false;
+  try {
+    return new URL(url, self.location.origin).origin === self.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Page a notification opens - agents work from /jobs and cannot open order pages
+function getNotificationUrl(data, user) {
+  const eventType = data.event || '';
+  const isAgent = user && user.role === 'agent';
+
+  // Server-provided in-app path (protocol-relative //host URLs would leave the app)
+  if (data.url && isSameOriginPath(data.url)) return data.url;
+
+  if (eventType.startsWith('enquiry.') || eventType.startsWith('followup.')) {
+    return data.enquiry_id ? '/enquiries/' + data.enquiry_id : '/enquiries';
+  }
+  if (eventType.startsWith('subscription.')) {
+    return data.subscription_id ? '/subscriptions/' + data.subscription_id : '/subscriptions';
+  }
+  if (data.order_id) {
+    return isAgent ? '/jobs' : '/orders/' + data.order_id;
+  }
+  if (eventType.startsWith('order.')) {
+    return isAgent ? '/jobs' : '/orders';
+  }
+  return '/dashboard';
+}
+
+function getNotificationPhone(data) {
+  return data.customer_phone || data.contact_phone || data.phone || '';
+}
+
+// Action buttons for a notification, trimmed to what the browser can show
+function getNotificationActions(data, user) {
+  const eventType = data.event || '';
+  const actions = [];
+
+  const isAssignment = eventType === 'order.assigned' || eventType === 'order.reassigned';
+  if (isAssignment && data.order_id && user && data.assigned_to_id === user.id) {
+    actions.push({ action: 'accept', title: 'Accept' });
+  }
+  if (getNotificationPhone(data)) {
+    actions.push({ action: 'call', title: 'Call customer' });
+  }
+  if (isAssignment || eventType.startsWith('enquiry.') || eventType.startsWith('followup.')) {
+    actions.push({ action: 'snooze', title: 'Snooze ' + SNOOZE_MINUTES + ' min' });
+  }
+
+  const maxActions = (self.Notification && Notification.maxActions) || 2;
+  return actions.slice(0, maxActions);
+}
+
+// Focus an open app window and navigate it, or open a new one
+function openAppWindow(url) {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    .then(function(clientList) {
+      for (let i = 0; i < clientList.length; i++) {
+        const client = clientList[i];
+        if (client.url.includes(self.location.origin) && 'focus' in client) {
+          return client.focus().then(function(focused) {
+            return focused.navigate(url);
+          });
+        }
+      }
+      if (self.clients.openWindow) {
+        return self.clients.openWindow(url);
+      }
+    });
+}
+
+function appStoreRequest(storeName, mode, action) {
+  return openAppDB().then(function(db) {
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.close();
+      return undefined;
+    }
+    return new Promise(function(resolve, reject) {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = function() { resolve(request.result); };
+      tx.onerror = function() { reject(tx.error); };
+    }).finally(function() { db.close(); });
+  });
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), function(c) { return c.charCodeAt(0); });
+}
+
+function getDeviceKey() {
+  return appStoreRequest('keys', 'readonly', function(store) { return store.get(CRYPTO_KEY_NAME); });
+}
+
+// Same format as encrypt in src/lib/secureStorage.js: 'enc:v1:' + iv + '.' + ciphertext
+async function decryptText(value, key) {
+  const parts = value.replace(/^enc:v1:/, '').split('.');
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(parts[0]) }, key, fromBase64(parts[1]));
+  return new TextDecoder().decode(plain);
+}
+
+// The app shares its access token encrypted with the device key
+// (see shareAuthWithServiceWorker in src/services/apiClient.js)
+async function getServiceWorkerAuth() {
+  const auth = await appStoreRequest('userData', 'readonly', function(store) { return store.get(AUTH_KEY); });
+  if (!auth || !auth.token) return null;
+
+  const key = await getDeviceKey();
+  if (!key) return null;
+
+  return { token: await decryptText(auth.token, key), userId: auth.userId || null, apiBaseUrl: auth.apiBaseUrl };
+}
+
+// Accept an order assignment on the agent's behalf
+async function acceptOrder(data) {
+  const auth = await getServiceWorkerAuth();
+  if (!auth) throw new Error('Not signed in');
+
+  const response = await fetch(auth.apiBaseUrl + '/orders/' + data.order_id + '/assignee_response', {
+    method: 'PATCH',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'Authorization': 'Bearer ' + auth.token,
+    },
+    body: JSON.stringify({ assignee_response: 'accepted' }),
+  });
+  if (!response.ok) throw new Error('Accept rejected (' + response.status + ')');
+
+  return self.registration.showNotification('Order accepted', {
+    body: data.order_number ? 'Order #' + data.order_number + ' is on your list' : 'The order is on your list',
+    icon: '/logo192.png',
+    badge: '/logo192.png',
+    tag: 'order-accepted-' + data.order_id,
+    data: Object.assign({}, data, { event: 'order.accepted' }),
+  });
+}
+
+// Show a notification later. Uses notification triggers where supported;
+// otherwise it is stored and shown by showDueNotifications, which runs when
+// the worker wakes (push, sync, app messages)
+function scheduleNotification(item) {
+  if ('showTrigger' in Notification.prototype && self.TimestampTrigger) {
+    return self.registration.showNotification(item.title, Object.assign({}, item.options, {
+      showTrigger: new self.TimestampTrigger(item.dueAt),
+    }));
+  }
+
+  const entry = Object.assign({ id: item.id || (item.options.tag || 'notification') + ':' + item.dueAt }, item);
+  return appStoreRequest(SCHEDULED_STORE, 'readwrite', function(store) { return store.put(entry); })
+    .then(function() {
+      // Best effort while the worker stays alive
+      setTimeout(showDueNotifications, item.dueAt - Date.now() + 1000);
+    });
+}
+
+async function showDueNotifications() {
+  const entries = await appStoreRequest(SCHEDULED_STORE, 'readonly', function(store) { return store.getAll(); });
+  const due = (entries || []).filter(function(entry) { return entry.dueAt <= Date.now(); });
+
+  for (const entry of due) {
+    await appStoreRequest(SCHEDULED_STORE, 'readwrite', function(store) { return store.delete(entry.id); });
+    await self.registration.showNotification(entry.title, entry.options);
+  }
+}
+
+// ============================================
+// FOLLOW-UP REMINDERS
+// Reminders are delivered by server push (event 'followup.reminder'). Where
+// notification triggers exist, the app also sends the user's pending follow-ups
+// (see src/store/followUpStore.js) to schedule on the device; each sync replaces
+// the previous set so done/rescheduled ones drop out. Snoozed reminders are kept
+// ============================================
+
+const FOLLOW_UP_PREFIX = 'followup-';
+
+function isUnsnoozedReminder(data) {
+  return !!data && data.event === 'followup.reminder' && !data.snoozed;
+}
+
+async function syncFollowUpReminders(reminders) {
+  // Drop reminders stored by versions that scheduled without triggers
+  // (snoozed copies are stored as '<tag>:<dueAt>')
+  const entries = await appStoreRequest(SCHEDULED_STORE, 'readonly', function(store) { return store.getAll(); });
+  for (const entry of entries || []) {
+    const id = String(entry.id);
+    if (id.startsWith(FOLLOW_UP_PREFIX) && !id.includes(':') && isUnsnoozedReminder(entry.options && entry.options.data)) {
+      await appStoreRequest(SCHEDULED_STORE, 'readwrite', function(store) { return store.delete(entry.id); });
+    }
+  }
+
+  // Without triggers a device copy only fires if the worker happens to be awake - push covers it
+  if (!('showTrigger' in Notification.prototype) || !self.TimestampTrigger) return;
+
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending.forEach(function(notification) {
+    if (notification.showTrigger && isUnsnoozedReminder(notification.data)) {
+      notification.close();
+    }
+  });
+
+  for (const reminder of reminders || []) {
+    const data = {
+      event: 'followup.reminder',
+      enquiry_id: reminder.enquiry_id,
+      followup_id: reminder.id,
+      contact_phone: reminder.contact_phone,
+    };
+    await scheduleNotification({
+      id: FOLLOW_UP_PREFIX + reminder.id,
+      title: reminder.title,
+      options: {
+        body: reminder.body,
+        icon: '/logo192.png',
+        badge: '/logo192.png',
+        tag: FOLLOW_UP_PREFIX + reminder.id,
+        data: data,
+        requireInteraction: true,
+        actions: getNotificationActions(data, null),
+      },
+      dueAt: reminder.due_at,
+    });
+  }
+}
+
+// ============================================
+// OFFLINE SYNC QUEUE
+// Order writes made offline are stored by the app in IndexedDB
+// (see src/store/syncStore.js) and replayed here in the order they were made
+// ============================================
+
+const SYNC_QUEUE_TAG = 'spado-sync-queue';
+const APP_DB_NAME = 'SpadoCarWashDB';
+const SYNC_STORE = 'syncQueue';
+
+// Server answers that mean the write no longer applies (order changed meanwhile)
+const CONFLICT_STATUSES = [404, 409, 410, 422];
+
+let syncInProgress = null;
+
+function openAppDB() {
+  return new Promise(function(resolve, reject) {
+    // No version - the app owns the schema and creates the store on upgrade
+    const request = indexedDB.open(APP_DB_NAME);
+    request.onsuccess = function() { resolve(request.result); };
+    request.onerror = function() { reject(request.error); };
+  });
+}
+
+function syncStoreRequest(db, mode, action) {
+  return new Promise(function(resolve, reject) {
+    const tx = db.transaction(SYNC_STORE, mode);
+    const request = action(tx.objectStore(SYNC_STORE));
+    tx.oncomplete = function() { resolve(request.result); };
+    tx.onerror = function() { reject(tx.error); };
+  });
+}
+
+// Decrypt a queued write's body and files (encrypted by enqueue in src/store/syncStore.js)
+// Entries queued before encryption hold a plain body object and File
+async function readSyncEntry(entry, key) {
+  const body = typeof entry.body === 'string' ? JSON.parse(await decryptText(entry.body, key)) : entry.body;
+  const files = [];
+  for (const item of entry.files || []) {
+    if (item.file) {
+      files.push(item);
+      continue;
+    }
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: item.data.iv }, key, item.data.data);
+    files.push({ field: item.field, file: new File([data], item.name, { type: item.type }) });
+  }
+  return { body: body, files: files };
+}
+
+function buildSyncRequest(entry, payload, authorization) {
+  const headers = Object.assign({}, entry.headers, { 'Accept': 'application/json', 'Authorization': authorization });
+
+  let body;
+  if (payload.files.length > 0) {
+    body = new FormData();
+    if (payload.body) body.append('data', JSON.stringify(payload.body));
+    payload.files.forEach(function(item) {
+      body.append(item.field, item.file);
+    });
+  } else if (payload.body) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(payload.body);
+  }
+
+  return fetch(entry.url, { method: entry.method, headers: headers, body: body });
+}
+
+async function replaySyncQueue(authorization, userId) {
+  // Entries carry no token - use the session the app shares with the worker
+  if (!authorization) {
+    const auth = await getServiceWorkerAuth().catch(function() { return null; });
+    // Signed out: nothing to replay with, keep the queue until the app is open
+    if (!auth) return;
+    authorization = 'Bearer ' + auth.token;
+    userId = auth.userId;
+  }
+
+  const db = await openAppDB();
+  if (!db.objectStoreNames.contains(SYNC_STORE)) {
+    db.close();
+    return;
+  }
+
+  const entries = await syncStoreRequest(db, 'readonly', function(store) { return store.getAll(); });
+  const key = await getDeviceKey();
+  const blockedOrders = new Set();
+  let synced = 0;
+  let conflicts = 0;
+  let retryLater = false;
+  let authExpired = false;
+
+  try {
+    for (const entry of entries) {
+      // Writes made by another user wait for that user to sign in again
+      if (entry.userId && entry.userId !== userId) continue;
+
+      // Later writes to an order wait until an earlier conflict on it is resolved
+      if (entry.status === 'conflict') {
+        if (entry.orderId) blockedOrders.add(entry.orderId);
+        continue;
+      }
+      if (entry.orderId && blockedOrders.has(entry.orderId)) continue;
+
+      let payload;
+      try {
+        payload = await readSyncEntry(entry, key);
+      } catch (error) {
+        // Key wiped with site data - the write cannot be recovered
+        await syncStoreRequest(db, 'readwrite', function(store) {
+          return store.put(Object.assign({}, entry, { status: 'conflict', error: 'This change can no longer be read on this device' }));
+        });
+        if (entry.orderId) blockedOrders.add(entry.orderId);
+        conflicts += 1;
+        continue;
+      }
+
+      let response;
+      try {
+        response = await buildSyncRequest(entry, payload, authorization);
+      } catch (error) {
+        // Still offline - keep the rest of the queue in order for the next attempt
+        retryLater = true;
+        break;
+      }
+
+      if (response.ok) {
+        await syncStoreRequest(db, 'readwrite', function(store) { return store.delete(entry.id); });
+        synced += 1;
+      } else if (CONFLICT_STATUSES.includes(response.status)) {
+        const data = await response.json().catch(function() { return {}; });
+        const message = data.error || data.message || (data.errors && [].concat(data.errors).join(', ')) || ('Rejected by server (' + response.status + ')');
+        await syncStoreRequest(db, 'readwrite', function(store) {
+          return store.put(Object.assign({}, entry, { status: 'conflict', error: message }));
+        });
+        if (entry.orderId) blockedOrders.add(entry.orderId);
+        conflicts += 1;
+      } else if (response.status === 401) {
+        // Token expired - an open app refreshes it and asks again; retrying here cannot succeed
+        authExpired = true;
+        break;
+      } else {
+        // Server error - try again later
+        retryLater = true;
+        break;
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach(function(client) {
+    client.postMessage({ type: 'SYNC_QUEUE_UPDATED', synced: synced, conflicts: conflicts, authExpired: authExpired });
+  });
+
+  if (retryLater) {
+    // Rejecting tells Background Sync to retry with backoff
+    throw new Error('Sync queue not fully replayed');
+  }
+}
+
+function runSyncQueue(authorization, userId) {
+  if (!syncInProgress) {
+    syncInProgress = replaySyncQueue(authorization, userId).finally(function() {
+      syncInProgress = null;
+    });
+  }
+  return syncInProgress;
+}
+
+// Background Sync - fires when connectivity returns
+self.addEventListener('sync', function(event) {
+  if (event.tag === SYNC_QUEUE_TAG) {
+    console.log('[Service Worker] Replaying offline sync queue');
+    event.waitUntil(runSyncQueue());
+  }
+  event.waitUntil(showDueNotifications());
+});
+
 // Handle messages from the main app
 self.addEventListener('message', function(event) {
   console.log('[Service Worker] Message received:', event.data);
@@ -195,4 +731,26 @@ self.addEventListener('message', function(event) {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  // Open pages poll for snoozed/scheduled notifications that are due
+  if (event.data && event.data.type === 'CHECK_SCHEDULED_NOTIFICATIONS') {
+    event.waitUntil(showDueNotifications());
+  }
+
+  if (event.data && event.data.type === 'SCHEDULE_FOLLOW_UP_REMINDERS') {
+    event.waitUntil(
+      syncFollowUpReminders(event.data.reminders).catch(function(error) {
+        console.warn('[Service Worker] Could not schedule follow-up reminders:', error);
+      })
+    );
+  }
+
+  // Browsers without Background Sync ask for a replay when back online
+  if (event.data && event.data.type === 'REPLAY_SYNC_QUEUE') {
+    event.waitUntil(
+      runSyncQueue(event.data.authorization, event.data.userId).catch(function(error) {
+        console.warn('[Service Worker] Sync queue replay incomplete:', error);
+      })
+    );
+  }
 });
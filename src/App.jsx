@@ -4,6 +4,7 @@ import { Toaster } from './components/ui/sonner';
 import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import OfflineNotice from './components/OfflineNotice';
+import SessionManager from './components/SessionManager';
 import { Loader2 } from 'lucide-react';
 
 // Lazy load pages for better performance
@@ -17,12 +18,27 @@ const Subscriptions = lazy(() => import('./pages/Subscriptions'));
 const SubscriptionDetail = lazy(() => import('./pages/SubscriptionDetail'));
 const Enquiries = lazy(() => import('./pages/Enquiries'));
 const EnquiryDetail = lazy(() => import('./pages/EnquiryDetail'));
+const FollowUps = lazy(() => import('./pages/FollowUps'));
+const AssignmentRules = lazy(() => import('./pages/AssignmentRules'));
+const CustomerDuplicates = lazy(() => import('./pages/CustomerDuplicates'));
 const Offers = lazy(() => import('./pages/Offers'));
 const OfferForm = lazy(() => import('./components/OfferForm'));
 const Users = lazy(() => import('./pages/Users'));
 const Employees = lazy(() => import('./pages/Employees'));
+const Payroll = lazy(() => import('./pages/Payroll'));
+const Attendance = lazy(() => import('./pages/Attendance'));
+const Offices = lazy(() => import('./pages/Offices'));
 const Profile = lazy(() => import('./pages/Profile'));
 const Reports = lazy(() => import('./pages/Reports'));
+const Services = lazy(() => import('./pages/Services'));
+const Transactions = lazy(() => import('./pages/Transactions'));
+const Invoices = lazy(() => import('./pages/Invoices'));
+const InvoiceDetail = lazy(() => import('./pages/InvoiceDetail'));
+const Payments = lazy(() => import('./pages/Payments'));
+const Settings = lazy(() => import('./pages/Settings'));
+const AgentJobs = lazy(() => import('./pages/AgentJobs'));
+const RunSheet = lazy(() => import('./pages/RunSheet'));
+const DispatchBoard = lazy(() => import('./pages/DispatchBoard'));
 
 // Loading fallback component
 const LoadingFallback = () => (
@@ -44,6 +60,9 @@ function App() {
       <Suspense fallback={<LoadingFallback />}>
         {/* Offline detection */}
         <OfflineNotice />
+
+        {/* Services for the signed-in user, started once per session */}
+        <SessionManager />
         
         {/* Toast notifications */}
         <Toaster 
@@ -87,6 +106,17 @@ function App() {
             }
           />
 
+          <Route
+            path="/customers/duplicates"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Layout>
+                  <CustomerDuplicates />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/orders"
             element={
@@ -101,7 +131,7 @@ function App() {
           <Route
             path="/orders/:id"
             element={
-              <ProtectedRoute allowedRoles={['admin', 'sales_executive']}>
+              <ProtectedRoute allowedRoles={['admin', 'sales_executive', 'accountant']}>
                 <Layout>
                   <OrderDetail />
                 </Layout>
@@ -123,7 +153,7 @@ function App() {
           <Route
             path="/subscriptions/:id"
             element={
-              <ProtectedRoute allowedRoles={['admin', 'sales_executive']}>
+              <ProtectedRoute allowedRoles={['admin', 'sales_executive', 'accountant']}>
                 <Layout>
                   <SubscriptionDetail />
                 </Layout>
@@ -142,6 +172,17 @@ function App() {
             }
           />
 
+          <Route
+            path="/enquiries/assignment-rules"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Layout>
+                  <AssignmentRules />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/enquiries/:id"
             element={
@@ -153,6 +194,17 @@ function App() {
             }
           />
 
+          <Route
+            path="/follow-ups"
+            element={
+              <ProtectedRoute allowedRoles={['admin', 'sales_executive']}>
+                <Layout>
+                  <FollowUps />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/offers"
             element={
@@ -191,10 +243,7 @@ function App() {
             element={
               <ProtectedRoute allowedRoles={['admin', 'sales_executive']}>
                 <Layout>
-                  <div className="text-center py-12">
-                    <h2 className="text-2xl font-bold text-gray-900 mb-2">Services</h2>
-                    <p className="text-gray-600">Services management page coming soon...</p>
-                  </div>
+                  <Services />
                 </Layout>
               </ProtectedRoute>
             }
@@ -221,16 +270,74 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/employees/payroll"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Layout>
+                  <Payroll />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/attendance"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Layout>
+                  <Attendance />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/offices"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Layout>
+                  <Offices />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/jobs"
+            element={
+              <ProtectedRoute allowedRoles={['agent']}>
+                <Layout>
+                  <AgentJobs />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/run-sheet"
+            element={
+              <ProtectedRoute allowedRoles={['admin', 'sales_executive', 'agent']}>
+                <Layout>
+                  <RunSheet />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/dispatch"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Layout>
+                  <DispatchBoard />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
 
           <Route
             path="/transactions"
             element={
               <ProtectedRoute allowedRoles={['admin', 'accountant']}>
                 <Layout>
-                  <div className="text-center py-12">
-                    <h2 className="text-2xl font-bold text-gray-900 mb-2">Transactions</h2>
-                    <p className="text-gray-600">Transactions page coming soon...</p>
-                  </div>
+                  <Transactions />
                 </Layout>
               </ProtectedRoute>
             }
@@ -247,15 +354,45 @@ function App() {
             }
           />
 
+          <Route
+            path="/invoices"
+            element={
+              <ProtectedRoute allowedRoles={['admin', 'accountant']}>
+                <Layout>
+                  <Invoices />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/invoices/:id"
+            element={
+              <ProtectedRoute allowedRoles={['admin', 'sales_executive', 'accountant']}>
+                <Layout>
+                  <InvoiceDetail />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/payments"
+            element={
+              <ProtectedRoute allowedRoles={['admin', 'accountant']}>
+                <Layout>
+                  <Payments />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/settings"
             element={
               <ProtectedRoute allowedRoles={['admin']}>
                 <Layout>
-                  <div className="text-center py-12">
-                    <h2 className="text-2xl font-bold text-gray-900 mb-2">Settings</h2>
-                    <p className="text-gray-600">Settings page coming soon...</p>
-                  </div>
+                  <Settings />
                 </Layout>
               </ProtectedRoute>
             }
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Switch } from './ui/switch';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+
+/**
+ * Add-on Form Component
+ * Form for creating and editing add-on services
+ */
+const AddonForm = ({ addon, onSubmit, onCancel }) => {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    unit_price: '',
+    is_active: true,
+  });
+
+  const [errors, setErrors] = useState({});
+
+  // Pre-fill form if editing
+  useEffect(() => {
+    if (addon) {
+      setFormData({
+        name: addon.name || '',
+        description: addon.description || '',
+        unit_price: addon.unit_price ?? addon.price ?? '',
+        is_active: addon.is_active !== false,
+      });
+    }
+  }, [addon]);
+
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (errors[name]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[name];
+        return newErrors;
+      });
+    }
+  };
+
+  // Validate form
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name || !formData.name.trim()) {
+      newErrors.name = 'Add-on name is required';
+    }
+
+    const price = parseFloat(formData.unit_price);
+    if (formData.unit_price === '' || isNaN(price)) {
+      newErrors.unit_price = 'Price is required';
+    } else if (price < 0) {
+      newErrors.unit_price = 'Price must be a positive number';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle submit
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      toast.error('Please fix the errors in the form');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await onSubmit({
+        name: formData.name.trim(),
+        description: formData.description.trim(),
+        unit_price: parseFloat(formData.unit_price),
+        is_active: formData.is_active,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save add-on');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 pt-6">
+      {/* Name */}
+      <div className="space-y-2">
+        <Label htmlFor="addon_name">
+          Add-on Name <span className="text-red-500">*</span>
+        </Label>
+        <Input
+          id="addon_name"
+          name="name"
+          type="text"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="Engine Bay Cleaning"
+          className={errors.name ? 'border-red-500' : ''}
+        />
+        {errors.name && <p className="text-sm text-red-500">{errors.name}</p>}
+      </div>
+
+      {/* Description */}
+      <div className="space-y-2">
+        <Label htmlFor="addon_description">Description</Label>
+        <Textarea
+          id="addon_description"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          rows={3}
+        />
+      </div>
+
+      {/* Price */}
+      <div className="space-y-2">
+        <Label htmlFor="addon_unit_price">
+          Price (₹) <span className="text-red-500">*</span>
+        </Label>
+        <Input
+          id="addon_unit_price"
+          name="unit_price"
+          type="number"
+          step="0.01"
+          min="0"
+          value={formData.unit_price}
+          onChange={handleChange}
+          placeholder="199"
+          className={errors.unit_price ? 'border-red-500' : ''}
+        />
+        {errors.unit_price && <p className="text-sm text-red-500">{errors.unit_price}</p>}
+      </div>
+
+      {/* Active */}
+      <div className="flex items-center justify-between rounded-lg border p-4">
+        <div>
+          <Label htmlFor="addon_is_active">Active</Label>
+          <p className="text-xs text-gray-500 mt-1">Inactive add-ons are hidden from new orders</p>
+        </div>
+        <Switch
+          id="addon_is_active"
+          checked={formData.is_active}
+          onCheckedChange={(checked) => setFormData((prev) => ({ ...prev, is_active: checked }))}
+        />
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex gap-3 pt-4">
+        <Button type="submit" disabled={loading} className="flex-1">
+          {loading ? (
+            <>
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            <>{addon ? 'Update Add-on' : 'Create Add-on'}</>
+          )}
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel} disabled={loading}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default AddonForm;
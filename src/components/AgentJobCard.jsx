@@ -0,0 +1,336 @@
+import { useRef, useState } from 'react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Badge2 } from './ui/badge2';
+import { Checkbox } from './ui/checkbox';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/alert-dialog';
+import { toast } from 'sonner';
+import {
+  Clock10,
+  MapPin,
+  Navigation,
+  Phone,
+  Play,
+  CheckCircle2,
+  Camera,
+  Loader2,
+  StickyNote,
+} from 'lucide-react';
+import orderService from '../services/orderService';
+import useSyncStore from '../store/syncStore';
+import { getStatusLabel } from '../lib/constants';
+import { formatTime, formatCurrency, getDirectionsUrl } from '../lib/utilities';
+import VehicleIcon from './VehicleIcon';
+
+const STATUS_VARIANTS = {
+  confirmed: 'info',
+  in_progress: 'warning',
+  completed: 'success',
+  cancelled: 'destructive',
+};
+
+/**
+ * Agent Job Card Component
+ * Mobile-first card for a field agent's order: directions, call,
+ * status progression (confirmed → in progress → completed) and photo capture
+ * @param {Object} order - Order assigned to the agent
+ * @param {Function} onUpdated - Called after the order changes
+ */
+const AgentJobCard = ({ order, onUpdated }) => {
+  const [updating, setUpdating] = useState(false);
+  const [uploading, setUploading] = useState(null); // 'before' | 'after'
+  const [isCompleteOpen, setIsCompleteOpen] = useState(false);
+  const [paymentReceived, setPaymentReceived] = useState(false);
+  const beforeInputRef = useRef(null);
+  const afterInputRef = useRef(null);
+  const { entries: syncEntries } = useSyncStore();
+
+  const directionsUrl = getDirectionsUrl(order.address, order.full_address);
+  const customerPhone = order.customer?.phone;
+  // Reflect changes made offline that are still waiting to sync
+  const queued = syncEntries.filter((e) => e.orderId === String(order.id));
+  const status = queued.filter((e) => e.url.endsWith('/status')).map((e) => e.body.status).pop() || order.status;
+  const queuedFiles = queued.flatMap((e) => e.files || []);
+  const beforeCount = (order.image_urls?.before_images?.length || 0)
+    + queuedFiles.filter((f) => f.field === 'before_images').length;
+  const afterCount = (order.image_urls?.after_images?.length || 0)
+    + queuedFiles.filter((f) => f.field === 'after_images').length;
+  const isActive = status === 'confirmed' || status === 'in_progress';
+
+  const changeStatus = async (newStatus) => {
+    setUpdating(true);
+    try {
+      const result = await orderService.updateOrderStatus(order.id, newStatus);
+      if (result.queued) {
+        toast.info('Saved offline', { description: 'The status will sync when you are back online' });
+      } else {
+        toast.success(newStatus === 'completed' ? 'Job completed' : 'Job started');
+      }
+      setIsCompleteOpen(false);
+      setPaymentReceived(false);
+      onUpdated?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update status');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleComplete = () => {
+    if (afterCount === 0) {
+      toast.error('Add at least one after photo before completing the job');
+      return;
+    }
+    setIsCompleteOpen(true);
+  };
+
+  const handlePhotos = async (type, fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setUploading(type);
+    try {
+      const result = await orderService.updateOrderWithImages(
+        order.id,
+        null,
+        type === 'before' ? { beforeImages: files } : { afterImages: files }
+      );
+      const photos = `${files.length} ${type} photo${files.length > 1 ? 's' : ''}`;
+      if (result.queued) {
+        toast.info(`${photos} saved offline`, { description: 'They will upload when you are back online' });
+      } else {
+        toast.success(`${photos} uploaded`);
+      }
+      onUpdated?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to upload photos');
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  return (
+    <Card className="p-4 space-y-3">
+      {/* Time, status and amount */}
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-1.5 text-sm font-bold text-gray-900">
+            <Clock10 className="h-4 w-4 text-primary" />
+            {formatTime(order.booking_time_from)}
+            {order.booking_time_to && (
+              <span className="text-muted-foreground font-medium">– {formatTime(order.booking_time_to)}</span>
+            )}
+          </div>
+          <h3 className="text-base font-semibold text-gray-900 truncate mt-1">
+            {order.customer?.name || order.customer_name || 'Unnamed Customer'}
+          </h3>
+          <p className="text-[11px] font-bold text-muted-foreground uppercase tracking-wider">
+            #{order.order_number}
+          </p>
+        </div>
+        <div className="text-right flex-shrink-0 space-y-1">
+          <Badge2 variant={STATUS_VARIANTS[status] || 'secondary'}>
+            {getStatusLabel(status)}
+          </Badge2>
+          <p className="text-sm font-extrabold text-primary">{formatCurrency(order.total_amount)}</p>
+        </div>
+      </div>
+
+      {/* Address */}
+      <div className="flex items-start gap-2 text-sm text-gray-700">
+        <MapPin className="h-4 w-4 mt-0.5 text-muted-foreground flex-shrink-0" />
+        <span>{order.full_address || order.area || 'No address provided'}</span>
+      </div>
+
+      {/* Services */}
+      {(order.packages?.length > 0 || order.addons?.length > 0) && (
+        <div className="rounded-lg bg-gray-50 p-3 space-y-1.5 text-sm">
+          {order.packages?.map((item, index) => (
+            <div key={`pkg-${index}`} className="flex items-center gap-2">
+              <VehicleIcon vehicleType={item.vehicle_type} size={20} className="text-gray-500" />
+              <span className="font-medium">{item.package_name}</span>
+              {item.vehicle_type && (
+                <span className="text-xs text-muted-foreground capitalize">({item.vehicle_type})</span>
+              )}
+            </div>
+          ))}
+          {order.addons?.map((item, index) => (
+            <div key={`addon-${index}`} className="text-muted-foreground pl-7">
+              + {item.addon_name}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {order.notes && (
+        <div className="flex items-start gap-2 text-sm text-amber-800 bg-amber-50 border border-amber-100 rounded-lg p-2">
+          <StickyNote className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>{order.notes}</span>
+        </div>
+      )}
+
+      {/* Navigate / call */}
+      <div className="grid grid-cols-2 gap-2">
+        <Button
+          variant="outline"
+          className="h-11"
+          disabled={!directionsUrl}
+          onClick={() => window.open(directionsUrl, '_blank')}
+        >
+          <Navigation className="h-4 w-4 mr-2" />
+          Navigate
+        </Button>
+        <Button
+          variant="outline"
+          className="h-11"
+          disabled={!customerPhone}
+          onClick={() => {
+            window.location.href = `tel:${customerPhone}`;
+          }}
+        >
+          <Phone className="h-4 w-4 mr-2" />
+          Call
+        </Button>
+      </div>
+
+      {/* Photos */}
+      {status !== 'cancelled' && (
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            ref={beforeInputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              handlePhotos('before', e.target.files);
+              e.target.value = '';
+            }}
+          />
+          <input
+            ref={afterInputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              handlePhotos('after', e.target.files);
+              e.target.value = '';
+            }}
+          />
+          <Button
+            variant="secondary"
+            className="h-11"
+            disabled={!!uploading}
+            onClick={() => beforeInputRef.current?.click()}
+          >
+            {uploading === 'before' ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Camera className="h-4 w-4 mr-2" />
+            )}
+            Before ({beforeCount})
+          </Button>
+          <Button
+            variant="secondary"
+            className="h-11"
+            disabled={!!uploading}
+            onClick={() => afterInputRef.current?.click()}
+          >
+            {uploading === 'after' ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Camera className="h-4 w-4 mr-2" />
+            )}
+            After ({afterCount})
+          </Button>
+        </div>
+      )}
+
+      {/* Status progression */}
+      {isActive && (
+        status === 'confirmed' ? (
+          <Button className="w-full h-12" onClick={() => changeStatus('in_progress')} disabled={updating}>
+            {updating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Play className="h-4 w-4 mr-2" />}
+            Start Job
+          </Button>
+        ) : (
+          <Button
+            className="w-full h-12 bg-green-600 hover:bg-green-700"
+            onClick={handleComplete}
+            disabled={updating}
+          >
+            {updating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <CheckCircle2 className="h-4 w-4 mr-2" />}
+            Complete Job
+          </Button>
+        )
+      )}
+
+      <AlertDialog
+        open={isCompleteOpen}
+        onOpenChange={(open) => {
+          setIsCompleteOpen(open);
+          if (!open) setPaymentReceived(false);
+        }}
+      >
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Complete Job #{order.order_number}</AlertDialogTitle>
+            <AlertDialogDescription>
+              The order will be finalized and can no longer be edited.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+
+          <div className="py-2 space-y-4">
+            <div className="rounded-lg bg-blue-50 border border-blue-200 p-4 flex items-center justify-between">
+              <span className="text-sm font-medium text-blue-900">Amount to collect:</span>
+              <span className="text-lg font-bold text-blue-900">{formatCurrency(order.total_amount)}</span>
+            </div>
+            <div className="flex items-start gap-3 p-4 border rounded-lg bg-white">
+              <Checkbox
+                id={`payment-received-${order.id}`}
+                checked={paymentReceived}
+                onCheckedChange={setPaymentReceived}
+                disabled={updating}
+              />
+              <label
+                htmlFor={`payment-received-${order.id}`}
+                className="text-sm font-medium leading-none cursor-pointer select-none"
+              >
+                I confirm that the payment of {formatCurrency(order.total_amount)} has been received
+              </label>
+            </div>
+          </div>
+
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={updating}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                changeStatus('completed');
+              }}
+              disabled={updating || !paymentReceived}
+              className="bg-green-600 hover:bg-green-700"
+            >
+              {updating && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Mark as Completed
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
+
+export default AgentJobCard;
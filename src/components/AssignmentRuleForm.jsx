@@ -0,0 +1,333 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Switch } from './ui/switch';
+import { Checkbox } from './ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Loader2, X } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  ENQUIRY_SOURCE_OPTIONS,
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_STRATEGY_OPTIONS,
+  ASSIGNMENT_STRATEGY_DESCRIPTIONS,
+} from '../constants/enquiryConstants';
+
+/**
+ * Assignment Rule Form Component
+ * Form for creating and editing automatic lead assignment rules
+ * @param {Object} rule - Rule to edit (omit to create)
+ * @param {Array} salesUsers - Users who can receive leads
+ * @param {Function} onSubmit - Called with the rule data
+ * @param {Function} onCancel - Close the form
+ */
+const AssignmentRuleForm = ({ rule, salesUsers, onSubmit, onCancel }) => {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    name: '',
+    active: true,
+    sources: [],
+    areas: [],
+    strategy: ASSIGNMENT_STRATEGIES.ROUND_ROBIN,
+    max_open_leads: '',
+    members: [],
+  });
+  const [newArea, setNewArea] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Pre-fill form if editing
+  useEffect(() => {
+    if (rule) {
+      setFormData({
+        name: rule.name || '',
+        active: rule.active !== false,
+        sources: rule.sources || [],
+        areas: rule.areas || [],
+        strategy: rule.strategy || ASSIGNMENT_STRATEGIES.ROUND_ROBIN,
+        max_open_leads: rule.max_open_leads ?? '',
+        members: (rule.members || []).map((m) => ({ user_id: m.user_id, weight: m.weight ?? 1 })),
+      });
+    }
+  }, [rule]);
+
+  const updateField = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  const toggleSource = (source, checked) => {
+    updateField(
+      'sources',
+      checked ? [...formData.sources, source] : formData.sources.filter((s) => s !== source)
+    );
+  };
+
+  const handleAddArea = () => {
+    const area = newArea.trim();
+    if (!area) return;
+    if (!formData.areas.some((a) => a.toLowerCase() === area.toLowerCase())) {
+      updateField('areas', [...formData.areas, area]);
+    }
+    setNewArea('');
+  };
+
+  const toggleMember = (userId, checked) => {
+    updateField(
+      'members',
+      checked
+        ? [...formData.members, { user_id: userId, weight: 1 }]
+        : formData.members.filter((m) => m.user_id !== userId)
+    );
+  };
+
+  const setMemberWeight = (userId, weight) => {
+    updateField(
+      'members',
+      formData.members.map((m) => (m.user_id === userId ? { ...m, weight } : m))
+    );
+  };
+
+  // Validate form
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Rule name is required';
+    }
+
+    if (formData.members.length === 0) {
+      newErrors.members = 'Pick at least one sales executive';
+    } else if (
+      formData.strategy === ASSIGNMENT_STRATEGIES.WEIGHTED &&
+      formData.members.some((m) => !Number.isInteger(Number(m.weight)) || Number(m.weight) < 1)
+    ) {
+      newErrors.members = 'Weights must be whole numbers of at least 1';
+    }
+
+    if (formData.max_open_leads !== '') {
+      const max = Number(formData.max_open_leads);
+      if (!Number.isInteger(max) || max < 1) {
+        newErrors.max_open_leads = 'Enter a whole number (at least 1) or leave empty';
+      }
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle submit
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      toast.error('Please fix the errors in the form');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit({
+        name: formData.name.trim(),
+        active: formData.active,
+        sources: formData.sources,
+        areas: formData.areas,
+        strategy: formData.strategy,
+        max_open_leads: formData.max_open_leads === '' ? null : Number(formData.max_open_leads),
+        members: formData.members.map((m) => ({ user_id: m.user_id, weight: Number(m.weight) || 1 })),
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save rule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 pt-6">
+      {/* Name */}
+      <div className="space-y-2">
+        <Label htmlFor="name">
+          Rule Name <span className="text-red-500">*</span>
+        </Label>
+        <Input
+          id="name"
+          value={formData.name}
+          onChange={(e) => updateField('name', e.target.value)}
+          placeholder="Google Ads leads"
+          className={errors.name ? 'border-red-500' : ''}
+        />
+        {errors.name && <p className="text-sm text-red-500">{errors.name}</p>}
+      </div>
+
+      {/* Sources */}
+      <div className="space-y-2">
+        <Label>Sources</Label>
+        <p className="text-xs text-gray-500">Leave all unticked to match any source</p>
+        <div className="grid grid-cols-2 gap-2">
+          {ENQUIRY_SOURCE_OPTIONS.map((source) => (
+            <label key={source.value} className="flex items-center gap-2 text-sm">
+              <Checkbox
+                checked={formData.sources.includes(source.value)}
+                onCheckedChange={(checked) => toggleSource(source.value, !!checked)}
+              />
+              {source.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Areas */}
+      <div className="space-y-2">
+        <Label>Areas</Label>
+        <p className="text-xs text-gray-500">Leave empty to match any area</p>
+        {formData.areas.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {formData.areas.map((area) => (
+              <span
+                key={area}
+                className="inline-flex items-center gap-1 rounded-full border bg-gray-50 px-3 py-1 text-sm"
+              >
+                {area}
+                <button
+                  type="button"
+                  onClick={() => updateField('areas', formData.areas.filter((a) => a !== area))}
+                  className="text-gray-400 hover:text-red-500"
+                  aria-label={`Remove ${area}`}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <Input
+          placeholder="Add an area and press Enter..."
+          value={newArea}
+          onChange={(e) => setNewArea(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddArea();
+            }
+          }}
+        />
+      </div>
+
+      {/* Strategy */}
+      <div className="space-y-2">
+        <Label>Strategy</Label>
+        <Select value={formData.strategy} onValueChange={(value) => updateField('strategy', value)}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {ASSIGNMENT_STRATEGY_OPTIONS.map((strategy) => (
+              <SelectItem key={strategy.value} value={strategy.value}>
+                {strategy.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <p className="text-xs text-gray-500">{ASSIGNMENT_STRATEGY_DESCRIPTIONS[formData.strategy]}</p>
+      </div>
+
+      {/* Members */}
+      <div className="space-y-2">
+        <Label>
+          Sales Executives <span className="text-red-500">*</span>
+        </Label>
+        <div className="rounded-lg border divide-y">
+          {salesUsers.map((user) => {
+            const member = formData.members.find((m) => m.user_id === user.id);
+            return (
+              <div key={user.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                <label className="flex items-center gap-2 text-sm">
+                  <Checkbox
+                    checked={!!member}
+                    onCheckedChange={(checked) => toggleMember(user.id, !!checked)}
+                  />
+                  {user.name}
+                </label>
+                {member && formData.strategy === ASSIGNMENT_STRATEGIES.WEIGHTED && (
+                  <Input
+                    type="number"
+                    min="1"
+                    value={member.weight}
+                    onChange={(e) => setMemberWeight(user.id, e.target.value)}
+                    className="h-8 w-20"
+                    aria-label={`Weight for ${user.name}`}
+                  />
+                )}
+              </div>
+            );
+          })}
+          {salesUsers.length === 0 && (
+            <p className="px-3 py-4 text-sm text-muted-foreground">No sales executives found</p>
+          )}
+        </div>
+        {errors.members && <p className="text-sm text-red-500">{errors.members}</p>}
+      </div>
+
+      {/* Open lead cap */}
+      <div className="space-y-2">
+        <Label htmlFor="max_open_leads">Max Open Leads</Label>
+        <Input
+          id="max_open_leads"
+          type="number"
+          min="1"
+          value={formData.max_open_leads}
+          onChange={(e) => updateField('max_open_leads', e.target.value)}
+          placeholder="No limit"
+          className={errors.max_open_leads ? 'border-red-500' : ''}
+        />
+        <p className="text-xs text-gray-500">Members at this many open leads are skipped until they close some</p>
+        {errors.max_open_leads && <p className="text-sm text-red-500">{errors.max_open_leads}</p>}
+      </div>
+
+      {/* Active */}
+      <div className="flex items-center justify-between rounded-lg border p-4">
+        <div>
+          <Label htmlFor="active">Active</Label>
+          <p className="text-xs text-gray-500 mt-1">Inactive rules are skipped</p>
+        </div>
+        <Switch
+          id="active"
+          checked={formData.active}
+          onCheckedChange={(checked) => updateField('active', checked)}
+        />
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex gap-3 pt-4">
+        <Button type="submit" disabled={loading} className="flex-1">
+          {loading ? (
+            <>
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            <>{rule?.id ? 'Update Rule' : 'Create Rule'}</>
+          )}
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel} disabled={loading}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default AssignmentRuleForm;
@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Badge2 } from './ui/badge2';
+import { Skeleton } from './ui/skeleton';
+import { ConfirmDialog } from './ui/confirm-dialog';
+import { toast } from 'sonner';
+import { LogIn, LogOut, Loader2, MapPin, CheckCircle2 } from 'lucide-react';
+import attendanceService from '../services/attendanceService';
+import userService from '../services/userService';
+import useSettingsStore from '../store/settingsStore';
+import { DEFAULT_SETTINGS, formatTimeDisplay } from '../lib/constants';
+import { formatTime } from '../lib/utilities';
+import {
+  formatWorkedTime,
+  getCheckInSites,
+  getCurrentPosition,
+  getWorkedMinutes,
+  isLateCheckIn,
+  matchCheckInSite,
+} from '../lib/attendance';
+
+/**
+ * Attendance Check-In Component
+ * Agent dashboard card to check in and out for the day with the device's GPS position.
+ * Check-in is only allowed within the configured radius of the agent's home or office,
+ * with a location fix at least that accurate.
+ */
+const AttendanceCheckIn = () => {
+  const { settings } = useSettingsStore();
+  const [attendance, setAttendance] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [isCheckOutOpen, setIsCheckOutOpen] = useState(false);
+
+  useEffect(() => {
+    const fetchAttendance = async () => {
+      try {
+        const [todayRes, profileRes] = await Promise.all([
+          attendanceService.getToday(),
+          userService.getProfile(),
+        ]);
+        setAttendance(todayRes.attendance || null);
+        setProfile(profileRes.data);
+      } catch (error) {
+        toast.error('Failed to load attendance');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAttendance();
+  }, []);
+
+  const handleCheckIn = async () => {
+    setSubmitting(true);
+    try {
+      const sites = getCheckInSites(profile);
+      if (sites.length === 0) {
+        toast.error('No home or office location is set for you. Ask an admin to add one before checking in.');
+        return;
+      }
+
+      const position = await getCurrentPosition();
+      const configuredRadius = Number(settings.check_in_radius_meters);
+      const radius = configuredRadius > 0 ? configuredRadius : DEFAULT_SETTINGS.check_in_radius_meters;
+
+      // A rough fix could be anywhere within its accuracy, so it cannot prove the agent is on site
+      if (!(position.accuracy <= radius)) {
+        toast.error(`Your location is only accurate to ${position.accuracy} m. Move into the open or turn on precise location, then try again.`);
+        return;
+      }
+
+      const match = matchCheckInSite(position, sites, radius);
+
+      if (!match.withinRadius) {
+        toast.error(`You are ${match.distance} m from ${match.site.name}. Check in within ${radius} m of your home or office.`);
+        return;
+      }
+
+      const response = await attendanceService.checkIn({
+        ...position,
+        site: match.site.site,
+        distance_meters: match.distance,
+      });
+      setAttendance(response.attendance);
+      toast.success(`Checked in at ${match.site.name}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Failed to check in');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCheckOut = async () => {
+    setSubmitting(true);
+    try {
+      const position = await getCurrentPosition();
+      const response = await attendanceService.checkOut(position);
+      setAttendance(response.attendance);
+      toast.success('Checked out');
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Failed to check out');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <Skeleton className="h-20 w-full rounded-xl" />;
+  }
+
+  const checkedIn = Boolean(attendance?.check_in_time);
+  const checkedOut = Boolean(attendance?.check_out_time);
+  const late = isLateCheckIn(attendance?.check_in_time, settings);
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <div className={`h-10 w-10 rounded-full flex items-center justify-center shrink-0 ${checkedIn && !checkedOut ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+            {checkedOut ? <CheckCircle2 className="h-5 w-5" /> : <MapPin className="h-5 w-5" />}
+          </div>
+          <div className="min-w-0">
+            {!checkedIn ? (
+              <>
+                <p className="font-semibold text-sm">Not checked in</p>
+                <p className="text-xs text-muted-foreground">
+                  Shift starts {formatTimeDisplay(settings.attendance_start_time)}
+                </p>
+              </>
+            ) : (
+              <>
+                <div className="flex items-center gap-2">
+                  <p className="font-semibold text-sm">
+                    {checkedOut ? 'Checked out' : 'Checked in'}
+                  </p>
+                  {late && <Badge2 variant="warning" className="text-[10px] h-5">Late</Badge2>}
+                </div>
+                <p className="text-xs text-muted-foreground truncate">
+                  In {formatTime(attendance.check_in_time)}
+                  {checkedOut && ` · Out ${formatTime(attendance.check_out_time)} · ${formatWorkedTime(getWorkedMinutes(attendance))}`}
+                  {!checkedOut && attendance.check_in_site && ` · ${attendance.check_in_site === 'home' ? 'Home' : profile?.office?.name || 'Office'}`}
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+
+        {!checkedIn && (
+          <Button onClick={handleCheckIn} disabled={submitting} className="shrink-0">
+            {submitting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <LogIn className="h-4 w-4 mr-2" />}
+            Check In
+          </Button>
+        )}
+        {checkedIn && !checkedOut && (
+          <Button variant="outline" onClick={() => setIsCheckOutOpen(true)} disabled={submitting} className="shrink-0">
+            {submitting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <LogOut className="h-4 w-4 mr-2" />}
+            Check Out
+          </Button>
+        )}
+      </div>
+
+      <ConfirmDialog
+        open={isCheckOutOpen}
+        onOpenChange={setIsCheckOutOpen}
+        onConfirm={handleCheckOut}
+        title="Check out for the day?"
+        description="You will no longer show as available for new jobs today."
+        confirmText="Check Out"
+      />
+    </Card>
+  );
+};
+
+export default AttendanceCheckIn;
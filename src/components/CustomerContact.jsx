@@ -11,19 +11,29 @@ import {
   AlertDialogTitle,
 } from './ui/alert-dialog';
 import { Phone, MessageCircle } from 'lucide-react';
+import WhatsAppTemplateDialog from './WhatsAppTemplateDialog';
+import { getWhatsAppUrl } from '../lib/messageTemplates';
 
 /**
  * CustomerContact Component
  * Reusable component for customer contact actions (Call/WhatsApp)
+ * Pass record to offer message templates; sent messages are logged on that record
+ * @param {Object} record - { type: 'order'|'enquiry'|'subscription', id } (optional)
+ * @param {Object} templateValues - Placeholder values for the templates
+ * @param {Function} onMessageSent - Called after a message is logged
  */
 const CustomerContact = ({ 
   phone, 
   customerName = 'Customer',
   variant = 'secondary',
   className = '',
-  showIcon = true 
+  showIcon = true,
+  record = null,
+  templateValues = {},
+  onMessageSent,
 }) => {
   const [isContactDialogOpen, setIsContactDialogOpen] = useState(false);
+  const [isTemplateDialogOpen, setIsTemplateDialogOpen] = useState(false);
 
   const handleCall = () => {
     window.location.href = `tel:${phone}`;
@@ -31,11 +41,13 @@ const CustomerContact = ({
   };
 
   const handleWhatsApp = () => {
-    // WhatsApp URL format: https://wa.me/[country_code][phone_number]
-    // Remove any special characters and spaces from phone
-    const cleanPhone = phone.replace(/[^0-9+]/g, '');
-    window.open(`https://wa.me/${cleanPhone}`, '_blank');
     setIsContactDialogOpen(false);
+    if (record) {
+      setIsTemplateDialogOpen(true);
+      return;
+    }
+    // WhatsApp URL format: https://wa.me/[country_code][phone_number]
+    window.open(getWhatsAppUrl(phone), '_blank');
   };
 
   return (
@@ -72,6 +84,18 @@ const CustomerContact = ({
           </AlertDialogFooter>
         </AlertDialogContent>
       </AlertDialog>
+
+      {record && (
+        <WhatsAppTemplateDialog
+          open={isTemplateDialogOpen}
+          onOpenChange={setIsTemplateDialogOpen}
+          phone={phone}
+          customerName={customerName}
+          record={record}
+          values={templateValues}
+          onSent={onMessageSent}
+        />
+      )}
     </>
   );
 };
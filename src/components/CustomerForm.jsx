@@ -8,7 +8,8 @@ import { ComboBox } from './ui/combobox';
 import { toast } from 'sonner';
 import customerService from '../services/customerService';
 import locationService from '../services/locationService';
-import { reverseGeocode, searchAreas } from '../lib/utilities';
+import { reverseGeocode, searchAreas, normalizePhone } from '../lib/utilities';
+import PossibleDuplicates from './PossibleDuplicates';
 import {
   Loader2,
   User,
@@ -239,7 +240,7 @@ const CustomerForm = forwardRef(({ customer = null, onSuccess, onCancel, showAct
 
     if (!formData.phone.trim()) {
       errors.phone = 'Phone number is required';
-    } else if (!/^[0-9]{10}$/.test(formData.phone.trim())) {
+    } else if (!/^[0-9]{10}$/.test(normalizePhone(formData.phone))) {
       errors.phone = 'Phone number must be exactly 10 digits';
     }
 
@@ -259,7 +260,7 @@ const CustomerForm = forwardRef(({ customer = null, onSuccess, onCancel, showAct
 
     try {
       // Prepare data with country default to India
-      const submitData = { ...formData, country: 'India' };
+      const submitData = { ...formData, phone: normalizePhone(formData.phone), country: 'India' };
 
       let result;
       if (customer) {
@@ -320,13 +321,16 @@ const CustomerForm = forwardRef(({ customer = null, onSuccess, onCancel, showAct
                 <Input
                   id="phone"
                   type="tel"
-                  maxLength={10}
                   value={formData.phone}
+                  maxLength={17}
                   onChange={(e) => {
-                    const value = e.target.value.replace(/\D/g, '');
+                    // Keep what is typed or pasted (+91 / 0 prefixes, spaces); it is
+                    // normalized on blur, once the whole number is in
+                    const value = e.target.value.replace(/[^\d+\s-]/g, '');
                     setFormData({ ...formData, phone: value });
                     setFormErrors({ ...formErrors, phone: '' });
                   }}
+                  onBlur={() => setFormData((prev) => ({ ...prev, phone: normalizePhone(prev.phone) }))}
                   placeholder="10 digit number"
                   className={`${formErrors.phone ? 'border-destructive focus-visible:ring-destructive' : ''}`}
                 />
@@ -335,6 +339,7 @@ const CustomerForm = forwardRef(({ customer = null, onSuccess, onCancel, showAct
             {formErrors.phone && (
               <p className="text-xs text-destructive font-medium pl-1">{formErrors.phone}</p>
             )}
+            <PossibleDuplicates phone={formData.phone} excludeCustomerId={customer?.id} />
           </div>
         </div>
 
@@ -11,12 +11,14 @@ import {
 } from './ui/select';
 import { Loader2 } from 'lucide-react';
 import { toast } from 'sonner';
+import useOfficeStore from '../store/officeStore';
 
 /**
  * Employee Form Component
  * Form for creating and editing employees with all required fields
  */
 const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
+  const { offices, fetchOffices } = useOfficeStore();
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
@@ -30,11 +32,19 @@ const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
     joining_date: '',
     resignation_date: '',
     contact_number: '',
+    bank_account_name: '',
+    bank_account_number: '',
+    bank_ifsc: '',
+    office_id: '',
     status: 'active',
   });
 
   const [errors, setErrors] = useState({});
 
+  useEffect(() => {
+    fetchOffices();
+  }, [fetchOffices]);
+
   // Pre-fill form if editing
   useEffect(() => {
     if (employee) {
@@ -50,6 +60,10 @@ const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
         joining_date: employee.joining_date || '',
         resignation_date: employee.resignation_date || '',
         contact_number: employee.contact_number || '',
+        bank_account_name: employee.bank_account_name || '',
+        bank_account_number: employee.bank_account_number || '',
+        bank_ifsc: employee.bank_ifsc || '',
+        office_id: employee.office_id ? employee.office_id.toString() : '',
         status: employee.status || 'active',
       });
     }
@@ -139,6 +153,14 @@ const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
     }
 
     // Date validations
+    if (formData.bank_account_number && !/^[0-9]{9,18}$/.test(formData.bank_account_number.trim())) {
+      newErrors.bank_account_number = 'Account number must be 9 to 18 digits';
+    }
+
+    if (formData.bank_ifsc && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(formData.bank_ifsc.trim().toUpperCase())) {
+      newErrors.bank_ifsc = 'Enter a valid IFSC code (e.g. SBIN0001234)';
+    }
+
     if (formData.joining_date && formData.resignation_date) {
       if (new Date(formData.resignation_date) < new Date(formData.joining_date)) {
         newErrors.resignation_date = 'Resignation date must be after joining date';
@@ -165,6 +187,7 @@ const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
       const submitData = {
         scheme: formData.scheme,
         status: formData.status,
+        office_id: formData.office_id ? parseInt(formData.office_id, 10) : null,
       };
 
       // Add required fields
@@ -174,6 +197,9 @@ const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
       if (formData.employee_number) submitData.employee_number = formData.employee_number.trim();
       if (formData.job_title) submitData.job_title = formData.job_title.trim();
       if (formData.contact_number) submitData.contact_number = formData.contact_number.trim();
+      if (formData.bank_account_name) submitData.bank_account_name = formData.bank_account_name.trim();
+      if (formData.bank_account_number) submitData.bank_account_number = formData.bank_account_number.trim();
+      if (formData.bank_ifsc) submitData.bank_ifsc = formData.bank_ifsc.trim().toUpperCase();
       
       // Add scheme-specific fields
       if (formData.scheme === 'salary' && formData.fixed_salary) {
@@ -409,6 +435,72 @@ const EmployeeForm = ({ employee, onSubmit, onCancel }) => {
         />
       </div>
 
+      {/* Bank Details (for the payroll bank-transfer sheet) */}
+      <div className="space-y-2">
+        <Label htmlFor="bank_account_name">Account Holder Name</Label>
+        <Input
+          id="bank_account_name"
+          name="bank_account_name"
+          value={formData.bank_account_name}
+          onChange={handleChange}
+          placeholder="As on the bank account"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="bank_account_number">Account Number</Label>
+          <Input
+            id="bank_account_number"
+            name="bank_account_number"
+            inputMode="numeric"
+            value={formData.bank_account_number}
+            onChange={handleChange}
+            className={errors.bank_account_number ? 'border-red-500' : ''}
+          />
+          {errors.bank_account_number && (
+            <p className="text-sm text-red-500">{errors.bank_account_number}</p>
+          )}
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="bank_ifsc">IFSC</Label>
+          <Input
+            id="bank_ifsc"
+            name="bank_ifsc"
+            value={formData.bank_ifsc}
+            onChange={handleChange}
+            placeholder="SBIN0001234"
+            className={`uppercase ${errors.bank_ifsc ? 'border-red-500' : ''}`}
+          />
+          {errors.bank_ifsc && (
+            <p className="text-sm text-red-500">{errors.bank_ifsc}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Office */}
+      {offices.length > 0 && (
+        <div className="space-y-2">
+          <Label htmlFor="office">Office (Optional)</Label>
+          <Select
+            value={formData.office_id || 'none'}
+            onValueChange={(value) => setFormData((prev) => ({ ...prev, office_id: value === 'none' ? '' : value }))}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select office" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">No office</SelectItem>
+              {offices.map((office) => (
+                <SelectItem key={office.id} value={office.id.toString()}>
+                  {office.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
       {/* Status */}
       <div className="space-y-2">
         <Label htmlFor="status">
@@ -0,0 +1,333 @@
+import { useEffect, useState } from 'react';
+import { differenceInHours, formatDistanceToNowStrict } from 'date-fns';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Skeleton } from './ui/skeleton';
+import { Badge2 } from './ui/badge2';
+import LetterAvatar from './LetterAvatar';
+import OrderWizard from './OrderWizard';
+import EnquirySlaBadge from './EnquirySlaBadge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { Hourglass, Loader2, MoreVertical, Phone } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import useEnquiryStore from '../store/enquiryStore';
+import {
+  ENQUIRY_STATUSES,
+  ENQUIRY_STATUS_LABELS,
+  ENQUIRY_STATUS_COLORS,
+  ENQUIRY_SOURCE_LABELS,
+  LOST_REASON_OPTIONS,
+} from '../constants/enquiryConstants';
+
+const COLUMNS = Object.values(ENQUIRY_STATUSES);
+
+// Converted and lost are final - no ageing shown
+const OPEN_STATUSES = [
+  ENQUIRY_STATUSES.NEW,
+  ENQUIRY_STATUSES.CONTACTED,
+  ENQUIRY_STATUSES.INTERESTED,
+  ENQUIRY_STATUSES.NEEDS_FOLLOWUP,
+];
+
+/**
+ * Time in the current status, coloured once an enquiry goes stale
+ */
+const getAgeing = (enquiry, now) => {
+  const since = enquiry.status_changed_at || enquiry.updated_at || enquiry.created_at;
+  if (!since || !OPEN_STATUSES.includes(enquiry.status)) return null;
+
+  const hours = differenceInHours(now, new Date(since));
+  return {
+    label: formatDistanceToNowStrict(new Date(since)),
+    className: hours >= 72 ? 'text-red-600' : hours >= 24 ? 'text-amber-600' : 'text-muted-foreground',
+  };
+};
+
+/**
+ * Enquiry Board Component
+ * Pipeline view with one column per status; drag a card to change its status
+ * @param {Function} onOpenEnquiry - Called with the enquiry ID when a card is clicked
+ */
+const EnquiryBoard = ({ onOpenEnquiry }) => {
+  const {
+    pipeline,
+    pipelineLoading,
+    fetchPipeline,
+    moveInPipeline,
+    updateEnquiryStatus,
+    fetchEnquiryById,
+  } = useEnquiryStore();
+
+  const [now, setNow] = useState(new Date());
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Drops that need more input first
+  const [lostEnquiry, setLostEnquiry] = useState(null);
+  const [lostReason, setLostReason] = useState('');
+  const [updatingLost, setUpdatingLost] = useState(false);
+  const [convertEnquiry, setConvertEnquiry] = useState(null);
+
+  // Keep ageing current
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const findEnquiry = (id) => {
+    for (const column of Object.values(pipeline)) {
+      const enquiry = column.enquiries.find(e => String(e.id) === id);
+      if (enquiry) return enquiry;
+    }
+    return null;
+  };
+
+  // Handle a card moved to another column
+  const handleMove = async (enquiry, newStatus) => {
+    if (!enquiry || enquiry.status === newStatus) return;
+
+    if (newStatus === ENQUIRY_STATUSES.LOST) {
+      setLostReason('');
+      setLostEnquiry(enquiry);
+      return;
+    }
+
+    if (newStatus === ENQUIRY_STATUSES.CONVERTED) {
+      setConvertEnquiry(enquiry);
+      return;
+    }
+
+    moveInPipeline(enquiry, newStatus);
+    try {
+      await updateEnquiryStatus(enquiry.id, newStatus, '');
+      toast.success(`Moved to ${ENQUIRY_STATUS_LABELS[newStatus]}`);
+    } catch (error) {
+      moveInPipeline(enquiry, enquiry.status);
+      toast.error(error.response?.data?.error || 'Failed to update status');
+    }
+  };
+
+  const handleLostConfirm = async () => {
+    if (!lostReason) {
+      toast.error('Please select a reason for marking as lost');
+      return;
+    }
+
+    const reasonLabel = LOST_REASON_OPTIONS.find(r => r.value === lostReason)?.label || lostReason;
+    setUpdatingLost(true);
+    try {
+      await updateEnquiryStatus(lostEnquiry.id, ENQUIRY_STATUSES.LOST, reasonLabel);
+      toast.success('Enquiry marked as lost');
+      setLostEnquiry(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update status');
+    } finally {
+      setUpdatingLost(false);
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain');
+    setDropTarget(null);
+    setDraggedId(null);
+    handleMove(findEnquiry(id), status);
+  };
+
+  if (pipelineLoading && Object.keys(pipeline).length === 0) {
+    return (
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {COLUMNS.map((status) => (
+          <div key={status} className="w-72 shrink-0 space-y-3 bg-gray-50 rounded-xl p-3">
+            <Skeleton className="h-5 w-24" />
+            <Skeleton className="h-24 w-full rounded-lg" />
+            <Skeleton className="h-24 w-full rounded-lg" />
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {COLUMNS.map((status) => {
+          const column = pipeline[status] || { enquiries: [], total: 0 };
+          return (
+            <div
+              key={status}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropTarget(status);
+              }}
+              onDragLeave={() => setDropTarget((current) => (current === status ? null : current))}
+              onDrop={(e) => handleDrop(e, status)}
+              className={cn(
+                'w-72 shrink-0 flex flex-col bg-gray-50 rounded-xl border border-transparent transition-colors',
+                dropTarget === status && 'border-primary bg-primary/5'
+              )}
+            >
+              {/* Column header */}
+              <div className="flex items-center justify-between px-3 pt-3 pb-2">
+                <Badge2 variant={ENQUIRY_STATUS_COLORS[status] || 'secondary'} className="px-2">
+                  {ENQUIRY_STATUS_LABELS[status]}
+                </Badge2>
+                <span className="text-xs font-medium text-muted-foreground bg-white px-2 py-0.5 rounded-full">
+                  {column.total}
+                </span>
+              </div>
+
+              {/* Cards */}
+              <div className="flex-1 space-y-2 px-3 pb-3 max-h-[calc(100vh-18rem)] overflow-y-auto">
+                {column.enquiries.map((enquiry) => {
+                  const ageing = getAgeing(enquiry, now);
+                  const name = enquiry.customer?.name || enquiry.contact_name || 'Unknown';
+                  return (
+                    <div
+                      key={enquiry.id}
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData('text/plain', String(enquiry.id));
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggedId(enquiry.id);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedId(null);
+                        setDropTarget(null);
+                      }}
+                      onClick={() => onOpenEnquiry(enquiry.id)}
+                      className={cn(
+                        'bg-white rounded-lg border border-gray-100 shadow-xs p-3 cursor-grab active:cursor-grabbing hover:border-gray-300 transition-colors',
+                        draggedId === enquiry.id && 'opacity-50'
+                      )}
+                    >
+                      <div className="flex items-start gap-2">
+                        <LetterAvatar name={name} size="sm" />
+                        <div className="flex-1 min-w-0">
+                          <p className="font-semibold text-sm truncate capitalize">{name}</p>
+                          <p className="text-xs text-muted-foreground flex items-center gap-1">
+                            <Phone className="h-3 w-3" />
+                            {enquiry.contact_phone}
+                          </p>
+                        </div>
+                        {/* Touch devices cannot drag - move from the menu instead */}
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild onClick={(e) => e.stopPropagation()}>
+                            <Button variant="ghost" size="sm" className="h-7 w-7 p-0" aria-label="Move to">
+                              <MoreVertical className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end" onClick={(e) => e.stopPropagation()}>
+                            {COLUMNS.filter((s) => s !== enquiry.status).map((s) => (
+                              <DropdownMenuItem key={s} onClick={() => handleMove(enquiry, s)}>
+                                Move to {ENQUIRY_STATUS_LABELS[s]}
+                              </DropdownMenuItem>
+                            ))}
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </div>
+                      <div className="flex items-center justify-between mt-2 text-xs">
+                        <span className="text-muted-foreground">{ENQUIRY_SOURCE_LABELS[enquiry.source]}</span>
+                        {ageing && (
+                          <span className={cn('flex items-center gap-1', ageing.className)}>
+                            <Hourglass className="h-3 w-3" />
+                            {ageing.label}
+                          </span>
+                        )}
+                      </div>
+                      <EnquirySlaBadge enquiry={enquiry} className="mt-2" />
+                    </div>
+                  );
+                })}
+                {column.enquiries.length === 0 && (
+                  <p className="text-xs text-center text-muted-foreground py-6">No enquiries</p>
+                )}
+                {column.total > column.enquiries.length && (
+                  <p className="text-xs text-center text-muted-foreground py-1">
+                    +{column.total - column.enquiries.length} more - use filters to narrow down
+                  </p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Lost Reason Dialog */}
+      <Dialog open={!!lostEnquiry} onOpenChange={(open) => !open && setLostEnquiry(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Mark Enquiry as Lost</DialogTitle>
+            <DialogDescription>
+              Please provide a reason for marking this enquiry as lost
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2 pt-4">
+            <label className="text-sm font-medium">Reason *</label>
+            <Select value={lostReason} onValueChange={setLostReason}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select a reason" />
+              </SelectTrigger>
+              <SelectContent>
+                {LOST_REASON_OPTIONS.map((reason) => (
+                  <SelectItem key={reason.value} value={reason.value}>
+                    {reason.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setLostEnquiry(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleLostConfirm}
+              disabled={updatingLost || !lostReason}
+            >
+              {updatingLost && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Mark as Lost
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Converting creates the order; the enquiry moves once it is saved */}
+      <OrderWizard
+        open={!!convertEnquiry}
+        onOpenChange={(open) => !open && setConvertEnquiry(null)}
+        customerId={convertEnquiry?.customer?.id || null}
+        enquiryId={convertEnquiry?.id || null}
+        onSuccess={() => {
+          const id = convertEnquiry.id;
+          setConvertEnquiry(null);
+          fetchEnquiryById(id).catch(() => fetchPipeline());
+          toast.success('Order created successfully from enquiry');
+        }}
+      />
+    </>
+  );
+};
+
+export default EnquiryBoard;
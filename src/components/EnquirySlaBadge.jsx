@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import { formatDistanceStrict } from 'date-fns';
+import { TimerOff } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import useSettingsStore from '../store/settingsStore';
+import { getSlaStatus } from '../lib/enquirySla';
+import { SLA_TYPE_LABELS } from '../constants/enquiryConstants';
+
+/**
+ * Enquiry SLA Badge Component
+ * Shown once an enquiry has missed its first-response or follow-up SLA
+ * @param {Object} enquiry - Enquiry to check
+ * @param {string} className - Extra classes
+ */
+const EnquirySlaBadge = ({ enquiry, className }) => {
+  const slas = useSettingsStore((state) => state.settings.enquiry_slas);
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const sla = getSlaStatus(enquiry, slas, now);
+  if (!sla?.breached) return null;
+
+  return (
+    <span
+      className={cn(
+        'inline-flex items-center gap-1 rounded-full border border-red-200 bg-red-50 px-2 py-0.5 text-[11px] font-medium text-red-700 whitespace-nowrap',
+        className
+      )}
+      title={`${SLA_TYPE_LABELS[sla.type]} was due ${sla.dueAt.toLocaleString()}`}
+    >
+      <TimerOff className="h-3 w-3" />
+      {SLA_TYPE_LABELS[sla.type]} overdue {formatDistanceStrict(sla.dueAt, now)}
+    </span>
+  );
+};
+
+export default EnquirySlaBadge;
@@ -26,10 +26,13 @@ import {
 } from './ui/sheet';
 import { toast } from 'sonner';
 import useEnquiryStore from '../store/enquiryStore';
+import useOfficeStore from '../store/officeStore';
 import customerService from '../services/customerService';
 import orderService from '../services/orderService';
 import enquiryService from '../services/enquiryService';
 import CustomerForm from './CustomerForm';
+import PossibleDuplicates from './PossibleDuplicates';
+import { normalizePhone } from '../lib/utilities';
 import {
   SENTIMENT_OPTIONS,
   SENTIMENT_EMOJIS,
@@ -50,6 +53,7 @@ import { Loader2, User, Phone, MapPin, MessageSquare, Calendar, Bell, Plus, X, A
  */
 const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
   const { createEnquiry, isLoading } = useEnquiryStore();
+  const { offices, selectedOfficeId, fetchOffices } = useOfficeStore();
 
   // Customer search states
   const [customers, setCustomers] = useState([]);
@@ -100,6 +104,7 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
     preferred_date: '',
     needs_followup: false,
     followup_date: '',
+    office_id: '',
   });
 
   // Fetch packages and addons
@@ -124,6 +129,11 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
   // Reset form when dialog opens/closes
   useEffect(() => {
     if (open) {
+      fetchOffices();
+      // New enquiries default to the branch picked in the office filter
+      if (selectedOfficeId !== 'all') {
+        setFormData((prev) => ({ ...prev, office_id: prev.office_id || selectedOfficeId }));
+      }
       // Auto-focus on phone input
       setTimeout(() => {
         phoneInputRef.current?.focus();
@@ -141,6 +151,7 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
         preferred_date: '',
         needs_followup: false,
         followup_date: '',
+        office_id: '',
       });
       setSelectedCustomer(null);
       setCustomers([]);
@@ -191,7 +202,7 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
       setCustomerSearchLoading(true);
       try {
         const response = await customerService.getAllCustomers({
-          search: formData.contact_phone,
+          search: normalizePhone(formData.contact_phone),
           limit: 20,
         });
         const foundCustomers = response.customers || [];
@@ -200,7 +211,7 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
         // Auto-assign to first customer if exact phone match
         if (foundCustomers.length === 1) {
           const customer = foundCustomers[0];
-          if (customer.phone === formData.contact_phone) {
+          if (normalizePhone(customer.phone) === normalizePhone(formData.contact_phone)) {
             setSelectedCustomer(customer);
             setFormData(prev => ({
               ...prev,
@@ -347,10 +358,12 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
       // Prepare data for API
       const submitData = {
         ...formData,
+        contact_phone: normalizePhone(formData.contact_phone),
         customer_id: selectedCustomer ? selectedCustomer.id : undefined,
         area: formData.area || undefined,
         requirements: requirementsText.trim() || undefined,
         preferred_date: formData.preferred_date || undefined,
+        office_id: formData.office_id || undefined,
         followup_date: (formData.needs_followup && formData.followup_date) ? formData.followup_date : undefined,
       };
 
@@ -535,7 +548,7 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
                       size="sm"
                       variant="outline"
                       onClick={() => {
-                        setNewCustomerInitialData({ phone: formData.contact_phone });
+                        setNewCustomerInitialData({ phone: normalizePhone(formData.contact_phone).slice(0, 10) });
                         setShowCustomerForm(true);
                       }}
                       className="h-7 text-xs gap-1"
@@ -545,6 +558,9 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
                     </Button>
                   </div>
                 )}
+
+                {/* Open enquiries / subscriptions already on this number */}
+                <PossibleDuplicates phone={formData.contact_phone} excludeCustomerId={selectedCustomer?.id} />
               </div>
 
               <div className="space-y-2 mt-4">
@@ -787,6 +803,24 @@ const EnquiryWizard = ({ open, onOpenChange, onSuccess }) => {
                 onChange={(e) => handleChange('area', e.target.value)}
                 className={isMobile ? "text-base h-11" : ""}
               />
+              {offices.length > 0 && (
+                <Select
+                  value={formData.office_id || 'none'}
+                  onValueChange={(value) => handleChange('office_id', value === 'none' ? '' : value)}
+                >
+                  <SelectTrigger className={isMobile ? "mt-3 text-base h-11" : "mt-3"}>
+                    <SelectValue placeholder="Office" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">No office</SelectItem>
+                    {offices.map((office) => (
+                      <SelectItem key={office.id} value={String(office.id)}>
+                        {office.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
             </Card>
 
             {/* Preferred Service Date */}
@@ -0,0 +1,211 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { addDays, format, setHours, startOfDay } from 'date-fns';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Skeleton } from './ui/skeleton';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { AlarmClock, CalendarClock, Check, Loader2, Phone, CalendarCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import { cn } from '@/lib/utils';
+import useFollowUpStore, { getReminderTime, groupFollowUps } from '../store/followUpStore';
+
+const SNOOZE_OPTIONS = [
+  { label: '30 minutes', minutes: 30 },
+  { label: '1 hour', minutes: 60 },
+  { label: '3 hours', minutes: 180 },
+];
+
+const SECTIONS = [
+  { key: 'overdue', label: 'Overdue', className: 'text-red-600 bg-red-50' },
+  { key: 'today', label: 'Today', className: 'text-amber-700 bg-amber-50' },
+  { key: 'upcoming', label: 'Upcoming', className: 'text-gray-600 bg-gray-100' },
+];
+
+/**
+ * Follow-up Item Component
+ * One pending follow-up with done / snooze / reschedule actions
+ * @param {Object} followUp - Follow-up with its enquiry's contact details
+ * @param {boolean} overdue - Highlight as overdue
+ */
+export const FollowUpItem = ({ followUp, overdue = false }) => {
+  const navigate = useNavigate();
+  const { markDone, snooze, reschedule } = useFollowUpStore();
+  const [busy, setBusy] = useState(false);
+  const [rescheduleOpen, setRescheduleOpen] = useState(false);
+  const [rescheduleAt, setRescheduleAt] = useState('');
+
+  const dueAt = getReminderTime(followUp);
+  const contact = followUp.enquiry?.contact_name || followUp.enquiry?.contact_phone || 'Enquiry';
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update follow-up');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReschedule = async () => {
+    if (!rescheduleAt) return;
+    const date = new Date(rescheduleAt);
+    if (date <= new Date()) {
+      toast.error('Pick a time in the future');
+      return;
+    }
+    await run(() => reschedule(followUp, date), `Follow-up moved to ${format(date, 'dd MMM, h:mm a')}`);
+    setRescheduleOpen(false);
+  };
+
+  const openReschedule = (isOpen) => {
+    setRescheduleOpen(isOpen);
+    if (isOpen) setRescheduleAt(format(dueAt, "yyyy-MM-dd'T'HH:mm"));
+  };
+
+  return (
+    <div className={cn('bg-white rounded-xl border p-3 flex items-start gap-3', overdue && 'border-red-200')}>
+      <div className="flex-1 min-w-0">
+        <button
+          onClick={() => navigate(`/enquiries/${followUp.enquiry_id}`)}
+          className="text-sm font-semibold text-gray-900 hover:underline text-left truncate block max-w-full"
+        >
+          {contact}
+        </button>
+        <p className={cn('text-xs', overdue ? 'text-red-600' : 'text-muted-foreground')}>
+          {format(dueAt, 'EEE, dd MMM · h:mm a')}
+        </p>
+        {followUp.notes && (
+          <p className="text-xs text-gray-600 mt-1 line-clamp-2">{followUp.notes}</p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-1 flex-shrink-0">
+        {followUp.enquiry?.contact_phone && (
+          <Button variant="ghost" size="icon" className="h-8 w-8" asChild>
+            <a href={`tel:${followUp.enquiry.contact_phone}`} aria-label="Call">
+              <Phone className="h-4 w-4" />
+            </a>
+          </Button>
+        )}
+
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="ghost" size="icon" className="h-8 w-8" disabled={busy} aria-label="Snooze">
+              <AlarmClock className="h-4 w-4" />
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            {SNOOZE_OPTIONS.map((option) => (
+              <DropdownMenuItem
+                key={option.minutes}
+                onClick={() => run(() => snooze(followUp, option.minutes), `Snoozed for ${option.label}`)}
+              >
+                {option.label}
+              </DropdownMenuItem>
+            ))}
+            <DropdownMenuItem
+              onClick={() => run(
+                () => reschedule(followUp, setHours(addDays(startOfDay(new Date()), 1), 9)),
+                'Snoozed until tomorrow 9 AM'
+              )}
+            >
+              Tomorrow 9 AM
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+
+        <Popover open={rescheduleOpen} onOpenChange={openReschedule}>
+          <PopoverTrigger asChild>
+            <Button variant="ghost" size="icon" className="h-8 w-8" disabled={busy} aria-label="Reschedule">
+              <CalendarClock className="h-4 w-4" />
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-64 space-y-2" align="end">
+            <p className="text-sm font-medium">Reschedule follow-up</p>
+            <Input
+              type="datetime-local"
+              value={rescheduleAt}
+              onChange={(e) => setRescheduleAt(e.target.value)}
+            />
+            <Button size="sm" className="w-full" onClick={handleReschedule} disabled={busy || !rescheduleAt}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save
+            </Button>
+          </PopoverContent>
+        </Popover>
+
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 text-green-600 hover:text-green-700"
+          disabled={busy}
+          onClick={() => run(() => markDone(followUp), 'Follow-up marked as done')}
+          aria-label="Mark as done"
+        >
+          {busy ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Follow-up Agenda Component
+ * The current user's pending follow-ups grouped into overdue / today / upcoming
+ * @param {number} upcomingLimit - Max upcoming follow-ups to show (all when omitted)
+ */
+const FollowUpAgenda = ({ upcomingLimit }) => {
+  const { followUps, isLoading, loaded } = useFollowUpStore();
+  const groups = groupFollowUps(followUps);
+
+  if (isLoading && !loaded) {
+    return (
+      <div className="space-y-3">
+        <Skeleton className="h-16 w-full rounded-xl" />
+        <Skeleton className="h-16 w-full rounded-xl" />
+      </div>
+    );
+  }
+
+  if (followUps.length === 0) {
+    return (
+      <div className="text-center py-10 bg-white rounded-2xl border border-dashed border-gray-200">
+        <CalendarCheck className="h-10 w-10 mx-auto mb-3 text-gray-300" />
+        <p className="text-muted-foreground font-medium">No pending follow-ups</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {SECTIONS.map((section) => {
+        const items = groups[section.key];
+        if (items.length === 0) return null;
+        const visible = section.key === 'upcoming' && upcomingLimit ? items.slice(0, upcomingLimit) : items;
+
+        return (
+          <div key={section.key} className="space-y-2">
+            <span className={cn('text-xs font-medium px-2 py-0.5 rounded-full', section.className)}>
+              {section.label} · {items.length}
+            </span>
+            {visible.map((followUp) => (
+              <FollowUpItem key={followUp.id} followUp={followUp} overdue={section.key === 'overdue'} />
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FollowUpAgenda;
@@ -0,0 +1,154 @@
+import Logo from './Logo';
+import { formatDate, formatCurrency } from '../lib/utilities';
+import {
+  INVOICE_SOURCE_TYPES,
+  PAYMENT_METHODS,
+  getStatusLabel,
+} from '../lib/constants';
+
+/**
+ * Invoice Document Component
+ * Printable invoice layout. Wrapped in `.invoice-print` so that only the
+ * invoice is sent to the printer (see index.css); use the browser's
+ * "Save as PDF" destination to get a PDF copy.
+ */
+const InvoiceDocument = ({ invoice }) => {
+  const isVoid = invoice.status === 'void';
+
+  return (
+    <div className="invoice-print relative bg-white border rounded-lg p-6 sm:p-10 text-sm text-gray-900">
+      {isVoid && (
+        <div className="pointer-events-none absolute inset-0 flex items-center justify-center">
+          <span className="text-7xl font-bold text-red-500/20 -rotate-12 tracking-widest">VOID</span>
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-6 border-b pb-6">
+        <div>
+          <Logo width={140} height={47} />
+        </div>
+        <div className="sm:text-right">
+          <h2 className="text-2xl font-bold tracking-wide">INVOICE</h2>
+          <p className="font-semibold mt-1">#{invoice.invoice_number}</p>
+          <p className="text-gray-600">Issued {formatDate(invoice.issued_at)}</p>
+          {isVoid && invoice.voided_at && (
+            <p className="text-red-600">Voided {formatDate(invoice.voided_at)}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Billing Details */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 py-6 border-b">
+        <div>
+          <p className="text-xs uppercase tracking-wider font-bold text-gray-500 mb-2">Billed To</p>
+          <p className="font-semibold">{invoice.customer_name}</p>
+          {invoice.customer_phone && <p>{invoice.customer_phone}</p>}
+          {invoice.customer_email && <p>{invoice.customer_email}</p>}
+          {invoice.billing_address && <p className="capitalize">{invoice.billing_address}</p>}
+        </div>
+        <div className="sm:text-right space-y-1">
+          <p>
+            <span className="text-gray-500">{getStatusLabel(invoice.source_type, INVOICE_SOURCE_TYPES)}: </span>
+            <span className="font-medium">{invoice.source_reference}</span>
+          </p>
+          {invoice.service_date && (
+            <p>
+              <span className="text-gray-500">
+                {invoice.source_type === 'order' ? 'Service Date: ' : 'Payment Date: '}
+              </span>
+              <span className="font-medium">{formatDate(invoice.service_date)}</span>
+            </p>
+          )}
+          {invoice.payment_method && (
+            <p>
+              <span className="text-gray-500">Payment Method: </span>
+              <span className="font-medium">{getStatusLabel(invoice.payment_method, PAYMENT_METHODS)}</span>
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Line Items */}
+      <table className="w-full mt-6">
+        <thead>
+          <tr className="border-b text-left text-gray-500">
+            <th className="py-2 pr-2 font-medium">Description</th>
+            <th className="py-2 px-2 font-medium text-center">Qty</th>
+            <th className="py-2 px-2 font-medium text-right">Rate</th>
+            <th className="py-2 px-2 font-medium text-right">Discount</th>
+            <th className="py-2 pl-2 font-medium text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(invoice.line_items || []).map((line, index) => (
+            <tr key={index} className="border-b last:border-0">
+              <td className="py-2 pr-2">
+                {line.description}
+                {line.is_reward && (
+                  <span className="ml-2 text-xs text-green-700">(Offer reward)</span>
+                )}
+              </td>
+              <td className="py-2 px-2 text-center">{line.quantity}</td>
+              <td className="py-2 px-2 text-right">{formatCurrency(line.unit_price)}</td>
+              <td className="py-2 px-2 text-right">
+                {line.discount > 0 ? `-${formatCurrency(line.discount)}` : '-'}
+              </td>
+              <td className="py-2 pl-2 text-right font-medium">{formatCurrency(line.total)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Totals */}
+      <div className="mt-6 ml-auto max-w-xs space-y-2">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Subtotal</span>
+          <span>{formatCurrency(invoice.subtotal)}</span>
+        </div>
+        {invoice.offer_discount > 0 && (
+          <div className="flex justify-between text-green-700">
+            <span>{invoice.offer_name ? `${invoice.offer_name} Discount` : 'Offer Discount'}</span>
+            <span>-{formatCurrency(invoice.offer_discount)}</span>
+          </div>
+        )}
+        {invoice.points_discount > 0 && (
+          <div className="flex justify-between text-blue-700">
+            <span>Points Redeemed ({invoice.points_redeemed || 0} pts)</span>
+            <span>-{formatCurrency(invoice.points_discount)}</span>
+          </div>
+        )}
+        {invoice.gst_amount > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">
+              GST {invoice.gst_percentage ? `(${invoice.gst_percentage}%)` : ''}
+            </span>
+            <span>{formatCurrency(invoice.gst_amount)}</span>
+          </div>
+        )}
+        {invoice.round_off != null && Number(invoice.round_off) !== 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Round Off</span>
+            <span>
+              {invoice.round_off >= 0 ? '+' : '-'}{formatCurrency(Math.abs(invoice.round_off))}
+            </span>
+          </div>
+        )}
+        <div className="flex justify-between border-t pt-2 text-base font-bold">
+          <span>Total</span>
+          <span>{formatCurrency(invoice.total)}</span>
+        </div>
+      </div>
+
+      {isVoid && invoice.void_reason && (
+        <p className="mt-6 text-red-600">Void reason: {invoice.void_reason}</p>
+      )}
+
+      <p className="mt-10 text-center text-xs text-gray-500">
+        This is a computer generated invoice and does not require a signature.
+      </p>
+    </div>
+  );
+};
+
+export default InvoiceDocument;
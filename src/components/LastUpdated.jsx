@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { CloudOff, RefreshCw } from 'lucide-react';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+
+/**
+ * Last Updated Indicator
+ * Shows how fresh the data on screen is, and warns when it is cached
+ * data shown while offline
+ * @param {string} timestamp - ISO time the data was loaded from the server
+ * @param {string} className - Additional classes
+ */
+const LastUpdated = ({ timestamp, className = '' }) => {
+  const { isOnline } = useOnlineStatus();
+  const [, setTick] = useState(0);
+
+  // Keep the relative time current
+  useEffect(() => {
+    const interval = setInterval(() => setTick((t) => t + 1), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!timestamp) return null;
+
+  const age = formatDistanceToNow(new Date(timestamp), { addSuffix: true });
+
+  if (!isOnline) {
+    return (
+      <div className={`flex items-center gap-1.5 text-xs font-medium text-amber-700 ${className}`}>
+        <CloudOff className="h-3.5 w-3.5" />
+        Offline · showing data from {age}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`flex items-center gap-1.5 text-xs text-muted-foreground ${className}`}>
+      <RefreshCw className="h-3 w-3" />
+      Updated {age}
+    </div>
+  );
+};
+
+export default LastUpdated;
@@ -1,9 +1,8 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import * as React from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Button } from './ui/button';
 import useAuthStore from '../store/authStore';
-import useOrderStore from '../store/orderStore';
 import authService from '../services/authService';
 import { toast } from 'sonner';
 import {
@@ -32,11 +31,20 @@ import {
   PackageOpen,
   Bell,
   Tag,
+  Sparkles,
+  Wallet,
+  CalendarClock,
+  CalendarCheck,
+  Building2,
+  Route,
+  ChartGantt,
 } from 'lucide-react';
 import usePWAInstall from '../hooks/usePWAInstall';
 import Logo from './Logo';
 import RealtimeStatus from './RealtimeStatus';
+import SyncStatus from './SyncStatus';
 import NotificationSettings from './NotificationSettings';
+import NotificationCenter from './NotificationCenter';
 import {
   Breadcrumb,
   BreadcrumbList,
@@ -68,7 +76,6 @@ const Layout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const { user } = useAuthStore();
-  const { initializeRealtime } = useOrderStore();
   const location = useLocation();
   const navigate = useNavigate();
   const { isInstallable, handleInstallClick } = usePWAInstall();
@@ -76,14 +83,6 @@ const Layout = ({ children }) => {
   const [profileMenuOpen, setProfileMenuOpen] = useState(false);
   const [notificationSettingsOpen, setNotificationSettingsOpen] = useState(false);
 
-  // Initialize real-time updates for all authenticated pages
-  useEffect(() => {
-    initializeRealtime();
-    
-    // Note: We don't disconnect on unmount because real-time
-    // should stay connected across all pages. It will disconnect on logout.
-  }, [initializeRealtime]);
-
   const handleLogout = async () => {
     try {
       await authService.logout();
@@ -103,25 +102,41 @@ const Layout = ({ children }) => {
       admin: [
         { name: 'Customers', href: '/customers', icon: Users },
         { name: 'Enquiries', href: '/enquiries', icon: PackageOpen },
+        { name: 'Follow-ups', href: '/follow-ups', icon: CalendarClock },
         { name: 'Orders', href: '/orders', icon: Calendar },
+        { name: 'Dispatch', href: '/dispatch', icon: ChartGantt },
+        { name: 'Run Sheet', href: '/run-sheet', icon: Route },
         { name: 'Subscriptions', href: '/subscriptions', icon: Calendar },
         { name: 'Offers', href: '/offers', icon: Tag },
+        { name: 'Services', href: '/services', icon: Sparkles },
         { name: 'System Users', href: '/users', icon: UserCircle },
         { name: 'Employees', href: '/employees', icon: Briefcase },
+        { name: 'Attendance', href: '/attendance', icon: CalendarCheck },
+        { name: 'Offices', href: '/offices', icon: Building2 },
+        { name: 'Transactions', href: '/transactions', icon: DollarSign },
+        { name: 'Invoices', href: '/invoices', icon: ClipboardList },
+        { name: 'Payments', href: '/payments', icon: Wallet },
         { name: 'Reports', href: '/reports', icon: BarChart3 },
-        // { name: 'Settings', href: '/settings', icon: Settings },
+        { name: 'Settings', href: '/settings', icon: Settings },
       ],
       sales_executive: [
         { name: 'Customers', href: '/customers', icon: Users },
         { name: 'Enquiries', href: '/enquiries', icon: PackageOpen },
+        { name: 'Follow-ups', href: '/follow-ups', icon: CalendarClock },
         { name: 'Orders', href: '/orders', icon: Calendar },
+        { name: 'Run Sheet', href: '/run-sheet', icon: Route },
         { name: 'Subscriptions', href: '/subscriptions', icon: Calendar },
+        { name: 'Services', href: '/services', icon: Sparkles },
       ],
       accountant: [
         { name: 'Transactions', href: '/transactions', icon: DollarSign },
         { name: 'Reports', href: '/reports', icon: BarChart3 },
         { name: 'Invoices', href: '/invoices', icon: ClipboardList },
-        { name: 'Payments', href: '/payments', icon: DollarSign },
+        { name: 'Payments', href: '/payments', icon: Wallet },
+      ],
+      agent: [
+        { name: 'My Jobs', href: '/jobs', icon: Car },
+        { name: 'Run Sheet', href: '/run-sheet', icon: Route },
       ],
     };
 
@@ -295,6 +310,7 @@ const Layout = ({ children }) => {
               </Breadcrumb>
             </div>
             <div className="flex items-center gap-4">
+              <NotificationCenter />
               <Popover>
                 <PopoverTrigger asChild>
                   <button className="flex items-center gap-3 hover:bg-gray-50 rounded-lg p-2 transition-colors">
@@ -496,13 +512,15 @@ const Layout = ({ children }) => {
           </div>
         </main>
 
+        <SyncStatus />
+
         {/* Notification Settings Dialog */}
         <Dialog open={notificationSettingsOpen} onOpenChange={setNotificationSettingsOpen}>
-          <DialogContent className="sm:max-w-[500px]">
+          <DialogContent className="sm:max-w-[560px] max-h-[90vh] overflow-y-auto">
             <DialogHeader>
               <DialogTitle>Notification Settings</DialogTitle>
               <DialogDescription>
-                Manage your push notification preferences
+                Choose what you are notified about, how, and when
               </DialogDescription>
             </DialogHeader>
             <NotificationSettings />
@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Button } from './ui/button';
+import { Switch } from './ui/switch';
+import { Bell, CheckCheck, Loader2, Calendar, PackageOpen, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import useNotificationCenterStore from '../store/notificationCenterStore';
+import useAuthStore from '../store/authStore';
+
+const TYPE_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'order', label: 'Orders' },
+  { value: 'enquiry', label: 'Enquiries' },
+  { value: 'subscription', label: 'Subscriptions' },
+];
+
+const TYPE_ICONS = {
+  order: Calendar,
+  enquiry: PackageOpen,
+  subscription: RefreshCw,
+};
+
+/**
+ * Page a notification opens (agents work from /jobs)
+ */
+const getNotificationLink = (notification, role) => {
+  const { record_type, record_id } = notification;
+  switch (record_type) {
+    case 'enquiry':
+      return record_id ? `/enquiries/${record_id}` : '/enquiries';
+    case 'subscription':
+      return record_id ? `/subscriptions/${record_id}` : '/subscriptions';
+    case 'order':
+      if (role === 'agent') return '/jobs';
+      return record_id ? `/orders/${record_id}` : '/orders';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Notification Center Component
+ * Bell with unread count and an inbox of past notifications
+ * @param {string} className - Additional classes for the bell button
+ */
+const NotificationCenter = ({ className = '' }) => {
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const [open, setOpen] = useState(false);
+  const {
+    notifications,
+    unreadCount,
+    filter,
+    hasMore,
+    isLoading,
+    fetchNotifications,
+    loadMore,
+    setFilter,
+    markAsRead,
+    markAllAsRead,
+  } = useNotificationCenterStore();
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    if (isOpen) fetchNotifications(1);
+  };
+
+  const handleClick = (notification) => {
+    markAsRead(notification);
+    const link = getNotificationLink(notification, user?.role);
+    if (link) {
+      setOpen(false);
+      navigate(link);
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await markAllAsRead();
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <button
+          className={`relative rounded-full h-10 w-10 flex items-center justify-center hover:bg-gray-100 transition-colors ${className}`}
+          aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        >
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute top-1 right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[calc(100vw-2rem)] sm:w-96 p-0" align="end">
+        {/* Header */}
+        <div className="flex items-center justify-between p-3 border-b">
+          <div>
+            <p className="text-sm font-semibold">Notifications</p>
+            <p className="text-xs text-muted-foreground">
+              {unreadCount > 0 ? `${unreadCount} unread` : 'All caught up'}
+            </p>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 text-xs"
+            onClick={handleMarkAllAsRead}
+            disabled={unreadCount === 0}
+          >
+            <CheckCheck className="h-4 w-4 mr-1" />
+            Mark all read
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex items-center justify-between gap-2 px-3 py-2 border-b">
+          <div className="flex gap-1 overflow-x-auto">
+            {TYPE_FILTERS.map((type) => (
+              <button
+                key={type.value}
+                onClick={() => setFilter({ type: type.value })}
+                className={`px-2.5 py-1 rounded-full text-xs font-medium whitespace-nowrap transition-colors ${
+                  filter.type === type.value
+                    ? 'bg-primary text-primary-foreground'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-1.5 text-xs text-muted-foreground whitespace-nowrap">
+            <Switch
+              checked={filter.unreadOnly}
+              onCheckedChange={(unreadOnly) => setFilter({ unreadOnly })}
+              className="scale-75"
+            />
+            Unread
+          </label>
+        </div>
+
+        {/* List */}
+        <div className="max-h-[60vh] overflow-y-auto divide-y">
+          {notifications.length === 0 && !isLoading && (
+            <p className="p-6 text-center text-sm text-muted-foreground">No notifications</p>
+          )}
+          {notifications.map((notification) => {
+            const Icon = TYPE_ICONS[notification.record_type] || Bell;
+            return (
+              <button
+                key={notification.id}
+                onClick={() => handleClick(notification)}
+                className={`w-full text-left flex items-start gap-3 p-3 hover:bg-gray-50 transition-colors ${
+                  notification.read_at ? '' : 'bg-blue-50/50'
+                }`}
+              >
+                <div className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center flex-shrink-0">
+                  <Icon className="h-4 w-4 text-gray-600" />
+                </div>
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-start justify-between gap-2">
+                    <p className={`text-sm ${notification.read_at ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                      {notification.title}
+                    </p>
+                    {!notification.read_at && <span className="h-2 w-2 mt-1.5 rounded-full bg-primary flex-shrink-0" />}
+                  </div>
+                  {notification.body && (
+                    <p className="text-xs text-muted-foreground line-clamp-2">{notification.body}</p>
+                  )}
+                  <p className="text-[11px] text-muted-foreground mt-0.5">
+                    {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+                  </p>
+                </div>
+              </button>
+            );
+          })}
+          {isLoading && (
+            <div className="flex justify-center p-4">
+              <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+            </div>
+          )}
+          {hasMore && !isLoading && (
+            <button
+              onClick={loadMore}
+              className="w-full p-3 text-sm text-primary font-medium hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react';
+import { Checkbox } from './ui/checkbox';
+import { Switch } from './ui/switch';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Loader2, Moon, RotateCcw } from 'lucide-react';
+import { toast } from 'sonner';
+import useNotificationPreferencesStore from '../store/notificationPreferencesStore';
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_SCOPES,
+} from '../lib/notificationPreferences';
+
+/**
+ * Notification Preferences Component
+ * Event type × channel (in-app, push, sound) × scope matrix plus quiet hours
+ */
+export default function NotificationPreferences() {
+  const { preferences, loaded, fetchPreferences, updatePreferences, getRoleDefaults } =
+    useNotificationPreferencesStore();
+  const [draft, setDraft] = useState(preferences);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!loaded) fetchPreferences();
+  }, [loaded, fetchPreferences]);
+
+  useEffect(() => {
+    setDraft(preferences);
+  }, [preferences]);
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(preferences);
+
+  const updateEvent = (event, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      events: { ...prev.events, [event]: { ...prev.events[event], ...changes } },
+    }));
+  };
+
+  const updateQuietHours = (changes) => {
+    setDraft((prev) => ({ ...prev, quiet_hours: { ...prev.quiet_hours, ...changes } }));
+  };
+
+  const handleSave = async () => {
+    const { enabled, start, end } = draft.quiet_hours;
+    if (enabled && (!start || !end || start === end)) {
+      toast.error('Quiet hours need different start and end times');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await updatePreferences(draft);
+      toast.success('Notification preferences saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save preferences');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!loaded) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      {/* Event matrix */}
+      <div className="border rounded-lg overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-600">
+            <tr>
+              <th className="text-left font-medium px-3 py-2">Event</th>
+              {NOTIFICATION_CHANNELS.map((channel) => (
+                <th key={channel.value} className="font-medium px-2 py-2 text-center">
+                  {channel.label}
+                </th>
+              ))}
+              <th className="text-left font-medium px-3 py-2">For</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {NOTIFICATION_EVENTS.map((event) => {
+              const eventRule = draft.events[event.value];
+              return (
+                <tr key={event.value}>
+                  <td className="px-3 py-2 text-gray-900">{event.label}</td>
+                  {NOTIFICATION_CHANNELS.map((channel) => (
+                    <td key={channel.value} className="px-2 py-2 text-center">
+                      <Checkbox
+                        checked={eventRule[channel.value]}
+                        onCheckedChange={(checked) => updateEvent(event.value, { [channel.value]: !!checked })}
+                        aria-label={`${event.label} - ${channel.label}`}
+                      />
+                    </td>
+                  ))}
+                  <td className="px-3 py-1.5">
+                    <Select
+                      value={eventRule.scope}
+                      onValueChange={(scope) => updateEvent(event.value, { scope })}
+                    >
+                      <SelectTrigger className="h-8 w-[110px]">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {NOTIFICATION_SCOPES.map((scope) => (
+                          <SelectItem key={scope.value} value={scope.value}>
+                            {scope.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">
+        "Mine" covers records assigned to or created by you; "My team" adds your office.
+        You won't be notified about your own actions.
+      </p>
+
+      {/* Quiet hours */}
+      <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Moon className="w-4 h-4 text-gray-600" />
+            <div>
+              <Label htmlFor="quiet-hours" className="text-sm font-medium">Quiet hours</Label>
+              <p className="text-xs text-gray-500">No push notifications or sounds; in-app alerts still show</p>
+            </div>
+          </div>
+          <Switch
+            id="quiet-hours"
+            checked={draft.quiet_hours.enabled}
+            onCheckedChange={(enabled) => updateQuietHours({ enabled })}
+          />
+        </div>
+        {draft.quiet_hours.enabled && (
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label htmlFor="quiet-start" className="text-xs">From</Label>
+              <Input
+                id="quiet-start"
+                type="time"
+                value={draft.quiet_hours.start}
+                onChange={(e) => updateQuietHours({ start: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="quiet-end" className="text-xs">Until</Label>
+              <Input
+                id="quiet-end"
+                type="time"
+                value={draft.quiet_hours.end}
+                onChange={(e) => updateQuietHours({ end: e.target.value })}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <Button variant="outline" onClick={() => setDraft(getRoleDefaults())} disabled={isSaving}>
+          <RotateCcw className="w-4 h-4 mr-2" />
+          Defaults
+        </Button>
+        <Button className="flex-1" onClick={handleSave} disabled={isSaving || !isDirty}>
+          {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          Save Preferences
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export { NotificationPreferences };
@@ -1,31 +1,63 @@
 import { useState, useEffect } from 'react';
-import { Bell, BellOff, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { Bell, BellOff, CheckCircle, XCircle, AlertCircle, Smartphone, Trash2, Loader2 } from 'lucide-react';
 import pushNotificationService from '../services/pushNotifications';
+import pushDeviceService from '../services/pushDeviceService';
+import { formatDateTime } from '../lib/utilities';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import NotificationPreferences from './NotificationPreferences';
 import { toast } from 'sonner';
 
 /**
  * Notification Settings Component
- * Manages push notification preferences
+ * Manages push notification preferences and the devices registered for push
  */
 export default function NotificationSettings() {
-  const [status, setStatus] = useState({
-    supported: false,
-    permission: 'default',
-    enabled: false,
-    blocked: false,
-    canEnable: false,
-  });
+  const [status, setStatus] = useState(() => pushNotificationService.getStatus());
   const [isLoading, setIsLoading] = useState(false);
+  const [devices, setDevices] = useState([]);
+  const [devicesLoading, setDevicesLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
 
   useEffect(() => {
     updateStatus();
+    fetchDevices();
   }, []);
 
-  const updateStatus = () => {
-    const newStatus = pushNotificationService.getStatus();
+  const updateStatus = async () => {
+    const newStatus = await pushNotificationService.refreshStatus();
     setStatus(newStatus);
   };
 
+  const fetchDevices = async () => {
+    try {
+      const response = await pushDeviceService.getDevices();
+      setDevices(response.push_subscriptions || []);
+    } catch (error) {
+      setDevices([]);
+    } finally {
+      setDevicesLoading(false);
+    }
+  };
+
+  const handleRevokeDevice = async (device) => {
+    setRevokingId(device.id);
+    try {
+      if (device.endpoint === status.endpoint) {
+        // This device - unsubscribe the browser as well
+        await pushNotificationService.disable();
+      } else {
+        await pushDeviceService.revokeDevice(device.id);
+      }
+      toast.success(`${device.device_name || 'Device'} removed`);
+      updateStatus();
+      fetchDevices();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
   const handleEnableNotifications = async () => {
     setIsLoading(true);
     try {
@@ -34,6 +66,7 @@ export default function NotificationSettings() {
       if (success) {
         toast.success('Push notifications enabled!');
         updateStatus();
+        fetchDevices();
       } else {
         toast.error('Failed to enable push notifications');
       }
@@ -48,8 +81,9 @@ export default function NotificationSettings() {
     setIsLoading(true);
     try {
       await pushNotificationService.disable();
-      toast.info('To fully disable, revoke permission in browser settings');
+      toast.success('Push notifications disabled on this device');
       updateStatus();
+      fetchDevices();
     } catch (error) {
       toast.error('Error disabling push notifications');
     } finally {
@@ -71,145 +105,187 @@ export default function NotificationSettings() {
   };
 
   if (!status.supported) {
+    // In-app preferences still apply without push support
     return (
-      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
-        <div className="flex items-start gap-3">
-          <AlertCircle className="w-5 h-5 text-yellow-600 mt-0.5 flex-shrink-0" />
-          <div>
-            <h3 className="font-medium text-yellow-900">Browser Not Supported</h3>
-            <p className="text-sm text-yellow-700 mt-1">
-              Push notifications are not supported in your browser. Please use a modern browser like Chrome, Firefox, or Edge.
-            </p>
+      <div className="space-y-4">
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <div className="flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-yellow-600 mt-0.5 flex-shrink-0" />
+            <div>
+              <h3 className="font-medium text-yellow-900">Browser Not Supported</h3>
+              <p className="text-sm text-yellow-700 mt-1">
+                Push notifications are not supported in your browser. Please use a modern browser like Chrome, Firefox, or Edge.
+              </p>
+            </div>
           </div>
         </div>
+        <NotificationPreferences />
       </div>
     );
   }
 
   return (
-    <div className="space-y-4">
-      {/* Header */}
-      <div className="flex items-start justify-between">
-        <div>
-          <h3 className="text-lg font-semibold text-gray-900">Push Notifications</h3>
-          <p className="text-sm text-gray-600 mt-1">
-            Get notified about order updates, assignments, and status changes
-          </p>
-        </div>
+    <Tabs defaultValue="preferences">
+      <TabsList className="grid w-full grid-cols-2 mb-4">
+        <TabsTrigger value="preferences">Preferences</TabsTrigger>
+        <TabsTrigger value="push">Push &amp; Devices</TabsTrigger>
+      </TabsList>
+
+      <TabsContent value="preferences">
+        <NotificationPreferences />
+      </TabsContent>
+
+      <TabsContent value="push">
+        <div className="space-y-4">
+          {/* Header */}
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Push Notifications</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Get notified about order updates, assignments, and status changes
+              </p>
+            </div>
         
-        {status.enabled ? (
-          <div className="flex items-center gap-2 bg-green-50 text-green-700 px-3 py-1.5 rounded-full">
-            <CheckCircle className="w-4 h-4" />
-            <span className="text-sm font-medium">Enabled</span>
-          </div>
-        ) : status.blocked ? (
-          <div className="flex items-center gap-2 bg-red-50 text-red-700 px-3 py-1.5 rounded-full">
-            <XCircle className="w-4 h-4" />
-            <span className="text-sm font-medium">Blocked</span>
+            {status.enabled ? (
+              <div className="flex items-center gap-2 bg-green-50 text-green-700 px-3 py-1.5 rounded-full">
+                <CheckCircle className="w-4 h-4" />
+                <span className="text-sm font-medium">Enabled</span>
+              </div>
+            ) : status.blocked ? (
+              <div className="flex items-center gap-2 bg-red-50 text-red-700 px-3 py-1.5 rounded-full">
+                <XCircle className="w-4 h-4" />
+                <span className="text-sm font-medium">Blocked</span>
+              </div>
+            ) : (
+              <div className="flex items-center gap-2 bg-gray-50 text-gray-700 px-3 py-1.5 rounded-full">
+                <BellOff className="w-4 h-4" />
+                <span className="text-sm font-medium">Disabled</span>
+              </div>
+            )}
           </div>
-        ) : (
-          <div className="flex items-center gap-2 bg-gray-50 text-gray-700 px-3 py-1.5 rounded-full">
-            <BellOff className="w-4 h-4" />
-            <span className="text-sm font-medium">Disabled</span>
+
+          {/* Status Info */}
+          <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">Browser Support</span>
+              <span className="text-sm font-medium text-green-600">Supported</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">Permission Status</span>
+              <span className={`text-sm font-medium ${
+                status.permission === 'granted' ? 'text-green-600' :
+                status.permission === 'denied' ? 'text-red-600' :
+                'text-gray-600'
+              }`}>
+                {status.permission.charAt(0).toUpperCase() + status.permission.slice(1)}
+              </span>
+            </div>
           </div>
-        )}
-      </div>
 
-      {/* Status Info */}
-      <div className="bg-gray-50 rounded-lg p-4 space-y-3">
-        <div className="flex items-center justify-between">
-          <span className="text-sm text-gray-700">Browser Support</span>
-          <span className="text-sm font-medium text-green-600">Supported</span>
-        </div>
-        <div className="flex items-center justify-between">
-          <span className="text-sm text-gray-700">Permission Status</span>
-          <span className={`text-sm font-medium ${
-            status.permission === 'granted' ? 'text-green-600' :
-            status.permission === 'denied' ? 'text-red-600' :
-            'text-gray-600'
-          }`}>
-            {status.permission.charAt(0).toUpperCase() + status.permission.slice(1)}
-          </span>
-        </div>
-      </div>
+          {/* Actions */}
+          <div className="space-y-2">
+            {status.canEnable && (
+              <button
+                onClick={handleEnableNotifications}
+                disabled={isLoading}
+                className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Bell className="w-4 h-4" />
+                {isLoading ? 'Enabling...' : 'Enable Notifications'}
+              </button>
+            )}
 
-      {/* Actions */}
-      <div className="space-y-2">
-        {status.canEnable && (
-          <button
-            onClick={handleEnableNotifications}
-            disabled={isLoading}
-            className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <Bell className="w-4 h-4" />
-            {isLoading ? 'Enabling...' : 'Enable Notifications'}
-          </button>
-        )}
-
-        {status.enabled && (
-          <>
-            <button
-              onClick={handleTestNotification}
-              className="w-full flex items-center justify-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2.5 rounded-lg hover:bg-gray-50 transition-colors"
-            >
-              <Bell className="w-4 h-4" />
-              Send Test Notification
-            </button>
+            {status.enabled && (
+              <>
+                <button
+                  onClick={handleTestNotification}
+                  className="w-full flex items-center justify-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2.5 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <Bell className="w-4 h-4" />
+                  Send Test Notification
+                </button>
             
-            <button
-              onClick={handleDisableNotifications}
-              disabled={isLoading}
-              className="w-full flex items-center justify-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2.5 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              <BellOff className="w-4 h-4" />
-              {isLoading ? 'Disabling...' : 'Disable Notifications'}
-            </button>
-          </>
-        )}
-
-        {status.blocked && (
-          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-            <div className="flex items-start gap-3">
-              <XCircle className="w-5 h-5 text-red-600 mt-0.5 flex-shrink-0" />
-              <div>
-                <h4 className="font-medium text-red-900">Notifications Blocked</h4>
-                <p className="text-sm text-red-700 mt-1">
-                  You've blocked notifications for this site. To enable them:
-                </p>
-                <ol className="text-sm text-red-700 mt-2 ml-4 list-decimal space-y-1">
-                  <li>Click the lock icon in your browser's address bar</li>
-                  <li>Find "Notifications" in the permissions list</li>
-                  <li>Change it to "Allow"</li>
-                  <li>Refresh this page</li>
-                </ol>
+                <button
+                  onClick={handleDisableNotifications}
+                  disabled={isLoading}
+                  className="w-full flex items-center justify-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2.5 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <BellOff className="w-4 h-4" />
+                  {isLoading ? 'Disabling...' : 'Disable Notifications'}
+                </button>
+              </>
+            )}
+
+            {status.blocked && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <div className="flex items-start gap-3">
+                  <XCircle className="w-5 h-5 text-red-600 mt-0.5 flex-shrink-0" />
+                  <div>
+                    <h4 className="font-medium text-red-900">Notifications Blocked</h4>
+                    <p className="text-sm text-red-700 mt-1">
+                      You've blocked notifications for this site. To enable them:
+                    </p>
+                    <ol className="text-sm text-red-700 mt-2 ml-4 list-decimal space-y-1">
+                      <li>Click the lock icon in your browser's address bar</li>
+                      <li>Find "Notifications" in the permissions list</li>
+                      <li>Change it to "Allow"</li>
+                      <li>Refresh this page</li>
+                    </ol>
+                  </div>
+                </div>
               </div>
-            </div>
+            )}
           </div>
-        )}
-      </div>
 
-      {/* What you'll receive */}
-      <div className="border-t pt-4">
-        <h4 className="text-sm font-medium text-gray-900 mb-3">You'll receive notifications for:</h4>
-        <ul className="space-y-2">
-          <li className="flex items-start gap-2 text-sm text-gray-700">
-            <CheckCircle className="w-4 h-4 text-green-600 mt-0.5 flex-shrink-0" />
-            <span><strong>Order Status Changes</strong> - When order status is updated</span>
-          </li>
-          <li className="flex items-start gap-2 text-sm text-gray-700">
-            <CheckCircle className="w-4 h-4 text-green-600 mt-0.5 flex-shrink-0" />
-            <span><strong>Agent Responses</strong> - When agents accept or reject orders</span>
-          </li>
-          <li className="flex items-start gap-2 text-sm text-gray-700">
-            <CheckCircle className="w-4 h-4 text-green-600 mt-0.5 flex-shrink-0" />
-            <span><strong>Order Assignments</strong> - When orders are assigned or reassigned</span>
-          </li>
-        </ul>
-        <p className="text-xs text-gray-500 mt-3">
-          Note: You won't receive notifications for your own actions
-        </p>
-      </div>
-    </div>
+          {/* Registered devices */}
+          <div className="border-t pt-4">
+            <h4 className="text-sm font-medium text-gray-900 mb-3">Devices receiving notifications</h4>
+            {devicesLoading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+              </div>
+            ) : devices.length === 0 ? (
+              <p className="text-sm text-gray-500">No devices registered yet</p>
+            ) : (
+              <ul className="divide-y border rounded-lg">
+                {devices.map((device) => {
+                  const isCurrent = device.endpoint === status.endpoint;
+                  return (
+                    <li key={device.id} className="flex items-center justify-between gap-3 p-3">
+                      <div className="flex items-start gap-3 min-w-0">
+                        <Smartphone className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 truncate">
+                            {device.device_name || 'Unknown device'}
+                            {isCurrent && <span className="ml-2 text-xs font-normal text-green-600">This device</span>}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            Added {formatDateTime(device.created_at)}
+                            {device.last_used_at && ` · Last notified ${formatDateTime(device.last_used_at)}`}
+                          </p>
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleRevokeDevice(device)}
+                        disabled={revokingId === device.id}
+                        className="flex items-center gap-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-50 flex-shrink-0"
+                      >
+                        {revokingId === device.id ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <Trash2 className="w-4 h-4" />
+                        )}
+                        Revoke
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      </TabsContent>
+    </Tabs>
   );
 }
 
@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Building2 } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import useOfficeStore from '../store/officeStore';
+
+/**
+ * Office Filter Component
+ * Branch picker for list pages, bound to the shared office store selection.
+ * Hidden until there is more than one office to choose from.
+ * @param {string} className - Classes for the select trigger
+ */
+const OfficeFilter = ({ className }) => {
+  const { offices, selectedOfficeId, fetchOffices, setSelectedOfficeId } = useOfficeStore();
+
+  useEffect(() => {
+    fetchOffices();
+  }, [fetchOffices]);
+
+  if (offices.length < 2 && selectedOfficeId === 'all') {
+    return null;
+  }
+
+  return (
+    <Select value={selectedOfficeId} onValueChange={setSelectedOfficeId}>
+      <SelectTrigger className={cn('w-full sm:w-44', className)}>
+        <div className="flex items-center gap-2 truncate">
+          <Building2 className="h-4 w-4 text-muted-foreground shrink-0" />
+          <SelectValue placeholder="All offices" />
+        </div>
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value="all">All offices</SelectItem>
+        {offices.map((office) => (
+          <SelectItem key={office.id} value={String(office.id)}>
+            {office.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
+
+export default OfficeFilter;
@@ -0,0 +1,273 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Crosshair, Link2, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import MapPreview from './MapPreview';
+import { parseMapLink } from '../lib/utilities';
+import { getCurrentPosition } from '../lib/attendance';
+
+/**
+ * Office Form Component
+ * Form for creating and editing offices (branches) with map location and service radius
+ * @param {Object} office - Office to edit (omit to create)
+ * @param {Function} onSubmit - Called with the office data
+ * @param {Function} onCancel - Close the form
+ */
+const OfficeForm = ({ office, onSubmit, onCancel }) => {
+  const [loading, setLoading] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [mapLink, setMapLink] = useState('');
+  const [formData, setFormData] = useState({
+    name: '',
+    phone: '',
+    address: '',
+    city: '',
+    latitude: '',
+    longitude: '',
+    service_radius_km: '',
+  });
+  const [errors, setErrors] = useState({});
+
+  // Pre-fill form if editing
+  useEffect(() => {
+    if (office) {
+      setFormData({
+        name: office.name || '',
+        phone: office.phone || '',
+        address: office.address || '',
+        city: office.city || '',
+        latitude: office.latitude ? office.latitude.toString() : '',
+        longitude: office.longitude ? office.longitude.toString() : '',
+        service_radius_km: office.service_radius_km ?? '',
+      });
+    }
+  }, [office]);
+
+  const updateField = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    const errorKey = field === 'latitude' || field === 'longitude' ? 'location' : field;
+    if (errors[errorKey]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[errorKey];
+        return newErrors;
+      });
+    }
+  };
+
+  const setCoordinates = (latitude, longitude) => {
+    updateField('latitude', latitude.toFixed(6));
+    updateField('longitude', longitude.toFixed(6));
+  };
+
+  // Fill coordinates from a pasted Google Maps link
+  const handleParseMapLink = async () => {
+    if (!mapLink.trim()) return;
+    setLocating(true);
+    try {
+      const { latitude, longitude } = await parseMapLink(mapLink.trim());
+      if (latitude && longitude) {
+        setCoordinates(latitude, longitude);
+        setMapLink('');
+      } else {
+        toast.error('Could not read a location from that link');
+      }
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  // Fill coordinates from this device's GPS (when setting up at the office)
+  const handleUseCurrentLocation = async () => {
+    setLocating(true);
+    try {
+      const { latitude, longitude } = await getCurrentPosition();
+      setCoordinates(latitude, longitude);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  // Validate form
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Office name is required';
+    }
+
+    const lat = parseFloat(formData.latitude);
+    const lng = parseFloat(formData.longitude);
+    if (!formData.latitude || !formData.longitude) {
+      newErrors.location = 'Set the office location';
+    } else if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+      newErrors.location = 'Latitude must be between -90 and 90, longitude between -180 and 180';
+    }
+
+    if (formData.service_radius_km !== '') {
+      const radius = Number(formData.service_radius_km);
+      if (isNaN(radius) || radius <= 0) {
+        newErrors.service_radius_km = 'Enter a distance in km or leave empty';
+      }
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle submit
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      toast.error('Please fix the errors in the form');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit({
+        name: formData.name.trim(),
+        phone: formData.phone.trim() || null,
+        address: formData.address.trim() || null,
+        city: formData.city.trim() || null,
+        latitude: parseFloat(formData.latitude),
+        longitude: parseFloat(formData.longitude),
+        service_radius_km: formData.service_radius_km === '' ? null : Number(formData.service_radius_km),
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save office');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 pt-6">
+      {/* Name */}
+      <div className="space-y-2">
+        <Label htmlFor="name">
+          Office Name <span className="text-red-500">*</span>
+        </Label>
+        <Input
+          id="name"
+          value={formData.name}
+          onChange={(e) => updateField('name', e.target.value)}
+          placeholder="Kochi Branch"
+          className={errors.name ? 'border-red-500' : ''}
+        />
+        {errors.name && <p className="text-sm text-red-500">{errors.name}</p>}
+      </div>
+
+      {/* Phone */}
+      <div className="space-y-2">
+        <Label htmlFor="phone">Phone</Label>
+        <Input
+          id="phone"
+          type="tel"
+          value={formData.phone}
+          onChange={(e) => updateField('phone', e.target.value)}
+          placeholder="9876543210"
+        />
+      </div>
+
+      {/* Address */}
+      <div className="space-y-2">
+        <Label htmlFor="address">Address</Label>
+        <Textarea
+          id="address"
+          value={formData.address}
+          onChange={(e) => updateField('address', e.target.value)}
+          rows={2}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="city">City</Label>
+        <Input
+          id="city"
+          value={formData.city}
+          onChange={(e) => updateField('city', e.target.value)}
+          placeholder="Kochi"
+        />
+      </div>
+
+      {/* Location */}
+      <div className="space-y-3">
+        <Label>
+          Map Location <span className="text-red-500">*</span>
+        </Label>
+        <div className="flex gap-2">
+          <Input
+            value={mapLink}
+            onChange={(e) => setMapLink(e.target.value)}
+            placeholder="Paste a Google Maps link"
+          />
+          <Button type="button" variant="outline" onClick={handleParseMapLink} disabled={locating || !mapLink.trim()}>
+            <Link2 className="h-4 w-4" />
+          </Button>
+          <Button type="button" variant="outline" onClick={handleUseCurrentLocation} disabled={locating} title="Use current location">
+            {locating ? <Loader2 className="h-4 w-4 animate-spin" /> : <Crosshair className="h-4 w-4" />}
+          </Button>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <Input
+            value={formData.latitude}
+            onChange={(e) => updateField('latitude', e.target.value)}
+            placeholder="Latitude"
+            className={errors.location ? 'border-red-500' : ''}
+          />
+          <Input
+            value={formData.longitude}
+            onChange={(e) => updateField('longitude', e.target.value)}
+            placeholder="Longitude"
+            className={errors.location ? 'border-red-500' : ''}
+          />
+        </div>
+        {errors.location && <p className="text-sm text-red-500">{errors.location}</p>}
+        {formData.latitude && formData.longitude && <MapPreview lat={formData.latitude} lng={formData.longitude} />}
+      </div>
+
+      {/* Service Radius */}
+      <div className="space-y-2">
+        <Label htmlFor="service_radius_km">Service Radius (km)</Label>
+        <Input
+          id="service_radius_km"
+          type="number"
+          min="0"
+          step="0.5"
+          value={formData.service_radius_km}
+          onChange={(e) => updateField('service_radius_km', e.target.value)}
+          placeholder="15"
+          className={errors.service_radius_km ? 'border-red-500' : ''}
+        />
+        <p className="text-xs text-gray-500">How far from the office this branch takes bookings</p>
+        {errors.service_radius_km && <p className="text-sm text-red-500">{errors.service_radius_km}</p>}
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex gap-3 pt-4">
+        <Button type="submit" disabled={loading} className="flex-1">
+          {loading ? (
+            <>
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            <>{office?.id ? 'Update Office' : 'Create Office'}</>
+          )}
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel} disabled={loading}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default OfficeForm;
@@ -39,13 +39,13 @@ import customerService from '../services/customerService';
 import offerService from '../services/offerService';
 import loyaltyService from '../services/loyaltyService';
 import useOrderStore from '../store/orderStore';
+import useOfficeStore from '../store/officeStore';
 import { getBrands, getModelsByBrand, getVehicleType, getVehicleTypes } from '../lib/vehicleData';
+import useSettingsStore from '../store/settingsStore';
 import {
   STORAGE_KEYS,
-  DRAFT_EXPIRY_HOURS,
-  MAX_DISCOUNT_PERCENTAGE,
   DISCOUNT_TYPES,
-  GST_PERCENTAGE,
+  generateTimeSlots,
 } from '../lib/constants';
 import {
   ChevronLeft,
@@ -84,6 +84,8 @@ import {
 const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId = null, enquiryId = null }) => {
   // Get agents from store
   const { agents, fetchAgents } = useOrderStore();
+  const { offices, fetchOffices } = useOfficeStore();
+  const { settings } = useSettingsStore();
 
   const [currentStep, setCurrentStep] = useState(1);
   const [loading, setLoading] = useState(false);
@@ -134,6 +136,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
   const [bookingTimeFrom, setBookingTimeFrom] = useState('');
   const [bookingTimeTo, setBookingTimeTo] = useState('');
   const [selectedAgent, setSelectedAgent] = useState('');
+  const [selectedOffice, setSelectedOffice] = useState('');
   const [address, setAddress] = useState({
     area: '',
     city: '',
@@ -417,7 +420,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
         const now = new Date().getTime();
         const hoursPassed = (now - timestamp) / (1000 * 60 * 60);
 
-        if (hoursPassed < DRAFT_EXPIRY_HOURS) {
+        if (hoursPassed < settings.draft_expiry_hours) {
           // Check if customerId conflicts with draft
           if (customerId && data.selectedCustomer?.id !== customerId) {
             setShowDraftDialog(true);
@@ -446,6 +449,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
     setBookingTimeFrom(data.bookingTimeFrom || '');
     setBookingTimeTo(data.bookingTimeTo || '');
     setSelectedAgent(data.selectedAgent || '');
+    setSelectedOffice(data.selectedOffice || '');
     setAddress(data.address || { area: '', city: '', district: '', state: '', map_link: '' });
     setCustomerPhone(data.customerPhone || '');
     setNotes(data.notes || '');
@@ -466,6 +470,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
       bookingTimeFrom,
       bookingTimeTo,
       selectedAgent,
+      selectedOffice,
       customerPhone,
       address,
       notes,
@@ -499,6 +504,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
       if (agents.length === 0) {
         fetchAgents();
       }
+      fetchOffices();
     } catch (error) {
       toast.error('Failed to load data');
     }
@@ -622,6 +628,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
 
         // Set agent
         setSelectedAgent(order.assigned_to?.id?.toString() || '');
+        setSelectedOffice(order.office_id?.toString() || '');
 
         // Set address from order.address object
         setAddress({
@@ -684,6 +691,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
     setBookingTimeTo('');
     setCustomerPhone('');
     setSelectedAgent('');
+    setSelectedOffice('');
     setAddress({ area: '', city: '', district: '', state: '', map_link: '' });
     setNotes('');
     setOrderStatus('');
@@ -723,6 +731,9 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
         if (!item.vehicle_type) stepErrors[`package_${index}_vehicle_type`] = 'Required';
         if (!item.package_id) stepErrors[`package_${index}_package`] = 'Required';
         if (!item.quantity || item.quantity < 1) stepErrors[`package_${index}_quantity`] = 'Required';
+        if (!item.is_reward && !orderService.validateDiscount(item.discount_value || 0, item.discount_type, item.quantity * item.unit_price)) {
+          stepErrors[`package_${index}_discount`] = `Discount cannot exceed ${settings.max_discount_percentage}%`;
+        }
       });
     }
 
@@ -731,6 +742,9 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
       addonItems.forEach((item, index) => {
         if (!item.addon_id) stepErrors[`addon_${index}_addon`] = 'Required';
         if (!item.quantity || item.quantity < 1) stepErrors[`addon_${index}_quantity`] = 'Required';
+        if (!item.is_reward && !orderService.validateDiscount(item.discount_value || 0, item.discount_type, item.quantity * item.unit_price)) {
+          stepErrors[`addon_${index}_discount`] = `Discount cannot exceed ${settings.max_discount_percentage}%`;
+        }
       });
     }
 
@@ -920,17 +934,17 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
 
   // Generate time options in 30-minute intervals
   const generateTimeOptions = () => {
-    const times = [];
-    for (let hour = 6; hour <= 20; hour++) {
-      for (let minute of [0, 30]) {
-        const timeValue = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-        const displayHour = hour === 12 ? 12 : hour > 12 ? hour - 12 : hour;
-        const period = hour < 12 ? 'AM' : 'PM';
-        const displayTime = `${displayHour}:${String(minute).padStart(2, '0')} ${period}`;
-        times.push({ value: timeValue, label: displayTime });
-      }
-    }
-    return times;
+    return generateTimeSlots(
+      settings.working_hours_start,
+      settings.working_hours_end,
+      settings.slot_interval_minutes
+    ).map((timeValue) => {
+      const [hour, minute] = timeValue.split(':').map(Number);
+      const displayHour = hour === 12 ? 12 : hour > 12 ? hour - 12 : hour;
+      const period = hour < 12 ? 'AM' : 'PM';
+      const displayTime = `${displayHour}:${String(minute).padStart(2, '0')} ${period}`;
+      return { value: timeValue, label: displayTime };
+    });
   };
 
   // Calculate totals
@@ -955,7 +969,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
     const pointsDiscount = pointsToRedeem || 0;
     const subtotalAfterPointsDiscount = Math.max(0, subtotalAfterDiscount - pointsDiscount);
     
-    const gst = (subtotalAfterPointsDiscount * GST_PERCENTAGE) / 100;
+    const gst = (subtotalAfterPointsDiscount * settings.gst_percentage) / 100;
     const totalBeforeRounding = subtotalAfterPointsDiscount + gst;
     const roundedTotal = Math.round(totalBeforeRounding);
     const roundOff = roundedTotal - totalBeforeRounding;
@@ -969,7 +983,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
       pointsDiscount,
       subtotalAfterPointsDiscount,
       gst,
-      gstPercentage: GST_PERCENTAGE,
+      gstPercentage: settings.gst_percentage,
       roundOff,
       total: roundedTotal,
     };
@@ -1140,6 +1154,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
         booking_time_from: bookingTimeFromISO,
         booking_time_to: bookingTimeToISO,
         assigned_to_id: selectedAgent && selectedAgent !== 'unassigned' ? parseInt(selectedAgent, 10) : null,
+        office_id: selectedOffice ? parseInt(selectedOffice, 10) : null,
         offer_id: selectedOffer ? parseInt(selectedOffer.id, 10) : null,
         points_redeemed: pointsToRedeem || 0,
         notes,
@@ -1163,11 +1178,17 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
         ...address
       };
 
-      if (orderId) {
-        await orderService.updateOrder(orderId, orderData);
+      const result = orderId
+        ? await orderService.updateOrder(orderId, orderData)
+        : await orderService.createOrder(orderData);
+
+      if (result.queued) {
+        toast.info('Order saved offline', {
+          description: 'It will be sent when you are back online',
+        });
+      } else if (orderId) {
         toast.success('Order updated successfully');
       } else {
-        await orderService.createOrder(orderData);
         toast.success(`Order ${finalStatus === 'draft' ? 'saved as draft' : 'confirmed'} successfully`);
       }
 
@@ -1565,7 +1586,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
       ) : (
         <div className="space-y-4">
           {packageItems.map((item, index) => {
-            const hasError = errors[`package_${index}_vehicle_type`] || errors[`package_${index}_package`];
+            const hasError = errors[`package_${index}_vehicle_type`] || errors[`package_${index}_package`] || errors[`package_${index}_discount`];
             return (
               <Card key={index} className={`p-4 ${item.is_reward ? 'bg-green-50 border-green-200' : ''}`}>
                 <div className="space-y-4">
@@ -1614,7 +1635,8 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
                       <X className="h-4 w-4" />
                       <span>
                         {errors[`package_${index}_vehicle_type`] && 'Vehicle type is required. '}
-                        {errors[`package_${index}_package`] && 'Package selection is required.'}
+                        {errors[`package_${index}_package`] && 'Package selection is required. '}
+                        {errors[`package_${index}_discount`]}
                       </span>
                     </div>
                   )}
@@ -1788,7 +1810,7 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
       ) : (
         <div className="space-y-4">
           {addonItems.map((item, index) => {
-            const hasError = errors[`addon_${index}_addon`];
+            const hasError = errors[`addon_${index}_addon`] || errors[`addon_${index}_discount`];
             return (
               <Card key={index} className={`p-4 ${item.is_reward ? 'bg-green-50 border-green-200' : ''}`}>
                 <div className="space-y-3">
@@ -1817,7 +1839,10 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
                   {hasError && (
                     <div className="flex items-center gap-2 text-destructive text-sm bg-destructive/10 p-2 rounded">
                       <X className="h-4 w-4" />
-                      <span>Add-on selection is required</span>
+                      <span>
+                        {errors[`addon_${index}_addon`] && 'Add-on selection is required. '}
+                        {errors[`addon_${index}_discount`]}
+                      </span>
                     </div>
                   )}
 
@@ -2093,6 +2118,11 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
               <Label>Assign Agent (Optional)</Label>
               <Select value={selectedAgent || "unassigned"} onValueChange={(value) => {
                 setSelectedAgent(value === "unassigned" ? "" : value);
+                // Default the office to the agent's branch
+                const agent = agents.find((a) => String(a.id) === value);
+                if (!selectedOffice && agent?.office_id) {
+                  setSelectedOffice(String(agent.office_id));
+                }
                 saveDraft();
               }}>
                 <SelectTrigger>
@@ -2109,6 +2139,28 @@ const OrderWizard = ({ open, onOpenChange, onSuccess, customerId = null, orderId
               </Select>
             </div>
 
+            {offices.length > 0 && (
+              <div>
+                <Label>Office (Optional)</Label>
+                <Select value={selectedOffice || "none"} onValueChange={(value) => {
+                  setSelectedOffice(value === "none" ? "" : value);
+                  saveDraft();
+                }}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="No office" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">No office</SelectItem>
+                    {offices.map((office) => (
+                      <SelectItem key={office.id} value={String(office.id)}>
+                        {office.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
             {/* Available Offers Section */}
             <div>
               <Label className="flex items-center gap-2">
@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Switch } from './ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { getVehicleTypes } from '../lib/vehicleData';
+
+/**
+ * Package Form Component
+ * Form for creating and editing service packages
+ * A package is priced for a single vehicle type; use "Duplicate" on the
+ * Services page to offer the same package for another vehicle type
+ */
+const PackageForm = ({ pkg, onSubmit, onCancel }) => {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    vehicle_type: '',
+    unit_price: '',
+    subscription_enabled: false,
+    subscription_price: '',
+    max_washes_per_month: '',
+    is_active: true,
+  });
+
+  const [errors, setErrors] = useState({});
+
+  // Pre-fill form if editing or duplicating
+  useEffect(() => {
+    if (pkg) {
+      setFormData({
+        name: pkg.name || '',
+        description: pkg.description || '',
+        vehicle_type: pkg.vehicle_type?.toLowerCase() || '',
+        unit_price: pkg.unit_price ?? pkg.price ?? '',
+        subscription_enabled: !!pkg.subscription_enabled,
+        subscription_price: pkg.subscription_price ?? '',
+        max_washes_per_month: pkg.max_washes_per_month ?? '',
+        is_active: pkg.is_active !== false,
+      });
+    }
+  }, [pkg]);
+
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    // Clear error for this field
+    if (errors[name]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[name];
+        return newErrors;
+      });
+    }
+  };
+
+  // Validate form
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name || !formData.name.trim()) {
+      newErrors.name = 'Package name is required';
+    }
+
+    if (!formData.vehicle_type) {
+      newErrors.vehicle_type = 'Vehicle type is required';
+    }
+
+    const price = parseFloat(formData.unit_price);
+    if (formData.unit_price === '' || isNaN(price)) {
+      newErrors.unit_price = 'Price is required';
+    } else if (price < 0) {
+      newErrors.unit_price = 'Price must be a positive number';
+    }
+
+    if (formData.subscription_enabled) {
+      const subscriptionPrice = parseFloat(formData.subscription_price);
+      if (formData.subscription_price === '' || isNaN(subscriptionPrice) || subscriptionPrice < 0) {
+        newErrors.subscription_price = 'Monthly price is required for subscription packages';
+      }
+
+      const washes = parseInt(formData.max_washes_per_month, 10);
+      if (isNaN(washes) || washes < 1) {
+        newErrors.max_washes_per_month = 'Washes per month must be at least 1';
+      }
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle submit
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      toast.error('Please fix the errors in the form');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const submitData = {
+        name: formData.name.trim(),
+        description: formData.description.trim(),
+        vehicle_type: formData.vehicle_type,
+        unit_price: parseFloat(formData.unit_price),
+        subscription_enabled: formData.subscription_enabled,
+        is_active: formData.is_active,
+      };
+
+      if (formData.subscription_enabled) {
+        submitData.subscription_price = parseFloat(formData.subscription_price);
+        submitData.max_washes_per_month = parseInt(formData.max_washes_per_month, 10);
+      }
+
+      await onSubmit(submitData);
+    } catch (error) {
+      // Handle validation errors from server
+      if (error.response?.data?.errors) {
+        const serverErrors = {};
+        const errorMessages = error.response.data.errors;
+
+        if (Array.isArray(errorMessages)) {
+          errorMessages.forEach((msg) => {
+            toast.error(msg);
+          });
+        } else if (typeof errorMessages === 'object') {
+          Object.keys(errorMessages).forEach((key) => {
+            serverErrors[key] = Array.isArray(errorMessages[key])
+              ? errorMessages[key][0]
+              : errorMessages[key];
+          });
+        }
+
+        setErrors(serverErrors);
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to save package');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 pt-6">
+      {/* Name */}
+      <div className="space-y-2">
+        <Label htmlFor="name">
+          Package Name <span className="text-red-500">*</span>
+        </Label>
+        <Input
+          id="name"
+          name="name"
+          type="text"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="Premium Foam Wash"
+          className={errors.name ? 'border-red-500' : ''}
+        />
+        {errors.name && <p className="text-sm text-red-500">{errors.name}</p>}
+      </div>
+
+      {/* Description */}
+      <div className="space-y-2">
+        <Label htmlFor="description">Description</Label>
+        <Textarea
+          id="description"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          placeholder="Exterior foam wash, interior vacuum and tyre polish"
+          rows={3}
+        />
+      </div>
+
+      {/* Vehicle Type & Price */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="vehicle_type">
+            Vehicle Type <span className="text-red-500">*</span>
+          </Label>
+          <Select
+            value={formData.vehicle_type}
+            onValueChange={(value) => handleChange({ target: { name: 'vehicle_type', value } })}
+          >
+            <SelectTrigger id="vehicle_type" className={errors.vehicle_type ? 'border-red-500' : ''}>
+              <SelectValue placeholder="Select type" />
+            </SelectTrigger>
+            <SelectContent>
+              {getVehicleTypes().map((type) => (
+                <SelectItem key={type} value={type.toLowerCase()}>
+                  {type}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.vehicle_type && <p className="text-sm text-red-500">{errors.vehicle_type}</p>}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="unit_price">
+            Price (₹) <span className="text-red-500">*</span>
+          </Label>
+          <Input
+            id="unit_price"
+            name="unit_price"
+            type="number"
+            step="0.01"
+            min="0"
+            value={formData.unit_price}
+            onChange={handleChange}
+            placeholder="499"
+            className={errors.unit_price ? 'border-red-500' : ''}
+          />
+          {errors.unit_price && <p className="text-sm text-red-500">{errors.unit_price}</p>}
+        </div>
+      </div>
+
+      {/* Subscription */}
+      <div className="space-y-4 rounded-lg border p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <Label htmlFor="subscription_enabled">Available for Subscriptions</Label>
+            <p className="text-xs text-gray-500 mt-1">Offer this package in the subscription wizard</p>
+          </div>
+          <Switch
+            id="subscription_enabled"
+            checked={formData.subscription_enabled}
+            onCheckedChange={(checked) => setFormData((prev) => ({ ...prev, subscription_enabled: checked }))}
+          />
+        </div>
+
+        {formData.subscription_enabled && (
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="subscription_price">
+                Monthly Price (₹) <span className="text-red-500">*</span>
+              </Label>
+              <Input
+                id="subscription_price"
+                name="subscription_price"
+                type="number"
+                step="0.01"
+                min="0"
+                value={formData.subscription_price}
+                onChange={handleChange}
+                placeholder="1799"
+                className={errors.subscription_price ? 'border-red-500' : ''}
+              />
+              {errors.subscription_price && (
+                <p className="text-sm text-red-500">{errors.subscription_price}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="max_washes_per_month">
+                Washes / Month <span className="text-red-500">*</span>
+              </Label>
+              <Input
+                id="max_washes_per_month"
+                name="max_washes_per_month"
+                type="number"
+                min="1"
+                value={formData.max_washes_per_month}
+                onChange={handleChange}
+                placeholder="4"
+                className={errors.max_washes_per_month ? 'border-red-500' : ''}
+              />
+              {errors.max_washes_per_month && (
+                <p className="text-sm text-red-500">{errors.max_washes_per_month}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Active */}
+      <div className="flex items-center justify-between rounded-lg border p-4">
+        <div>
+          <Label htmlFor="is_active">Active</Label>
+          <p className="text-xs text-gray-500 mt-1">Inactive packages are hidden from new orders</p>
+        </div>
+        <Switch
+          id="is_active"
+          checked={formData.is_active}
+          onCheckedChange={(checked) => setFormData((prev) => ({ ...prev, is_active: checked }))}
+        />
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex gap-3 pt-4">
+        <Button type="submit" disabled={loading} className="flex-1">
+          {loading ? (
+            <>
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            <>{pkg?.id ? 'Update Package' : 'Create Package'}</>
+          )}
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel} disabled={loading}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default PackageForm;
@@ -0,0 +1,95 @@
+import { format, parseISO } from 'date-fns';
+import Logo from './Logo';
+import { formatCurrency, formatDate } from '../lib/utilities';
+
+/**
+ * Payslip Document Component
+ * Printable payslip for one employee and month (see calculatePayslip).
+ * Printed from the payroll screen inside `.payslip-print`, one payslip per page.
+ */
+const PayslipDocument = ({ payslip }) => {
+  const { employee } = payslip;
+  const monthLabel = format(parseISO(`${payslip.month}-01`), 'MMMM yyyy');
+
+  const earnings = [
+    employee.scheme === 'salary' && {
+      label: payslip.daysEmployed < payslip.daysInMonth
+        ? `Salary (${payslip.daysEmployed}/${payslip.daysInMonth} days)`
+        : 'Salary',
+      amount: payslip.baseSalary,
+    },
+    employee.scheme === 'commission' && {
+      label: `Commission (${employee.commission_percentage || 0}% of ${formatCurrency(payslip.orderValue)})`,
+      amount: payslip.commission,
+    },
+    {
+      label: `Work incentive (${employee.work_incentive_percentage || 0}% of ${formatCurrency(payslip.orderValue)})`,
+      amount: payslip.workIncentive,
+    },
+    {
+      label: `5-star incentive (${employee.five_star_incentive_percentage || 0}% of ${formatCurrency(payslip.fiveStarValue)})`,
+      amount: payslip.fiveStarIncentive,
+    },
+  ].filter(Boolean);
+
+  return (
+    <div className="payslip bg-white p-8 text-sm text-gray-900">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-6 border-b pb-6">
+        <Logo width={120} height={40} />
+        <div className="text-right">
+          <h2 className="text-2xl font-bold tracking-wide">PAYSLIP</h2>
+          <p className="font-semibold mt-1">{monthLabel}</p>
+        </div>
+      </div>
+
+      {/* Employee */}
+      <div className="grid grid-cols-2 gap-6 py-6 border-b">
+        <div>
+          <p className="text-xs uppercase tracking-wider font-bold text-gray-500 mb-2">Employee</p>
+          <p className="font-semibold">{employee.name}</p>
+          {employee.employee_number && <p>#{employee.employee_number}</p>}
+          {employee.job_title && <p>{employee.job_title}</p>}
+        </div>
+        <div className="text-right space-y-1">
+          {employee.joining_date && <p><span className="text-gray-500">Joined: </span>{formatDate(employee.joining_date)}</p>}
+          {employee.resignation_date && <p><span className="text-gray-500">Resigned: </span>{formatDate(employee.resignation_date)}</p>}
+          <p><span className="text-gray-500">Completed orders: </span>{payslip.completedOrders}</p>
+          <p><span className="text-gray-500">5-star orders: </span>{payslip.fiveStarOrders}</p>
+        </div>
+      </div>
+
+      {/* Earnings */}
+      <table className="w-full my-6">
+        <thead>
+          <tr className="border-b text-left">
+            <th className="py-2 font-semibold">Earnings</th>
+            <th className="py-2 font-semibold text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {earnings.map((line) => (
+            <tr key={line.label} className="border-b last:border-0">
+              <td className="py-2">{line.label}</td>
+              <td className="py-2 text-right">{formatCurrency(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex justify-between border-t-2 border-gray-900 pt-3 text-base font-bold">
+        <span>Net Pay</span>
+        <span>{formatCurrency(payslip.total)}</span>
+      </div>
+
+      {employee.bank_account_number && (
+        <p className="mt-6 text-gray-600">
+          Paid to account ending {employee.bank_account_number.slice(-4)}
+          {employee.bank_ifsc && ` (${employee.bank_ifsc})`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PayslipDocument;
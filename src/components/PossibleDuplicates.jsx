@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { AlertTriangle, ExternalLink, Loader2 } from 'lucide-react';
+import customerService from '../services/customerService';
+import { normalizePhone } from '../lib/utilities';
+import { ENQUIRY_STATUS_LABELS } from '../constants/enquiryConstants';
+
+/**
+ * Possible Duplicates Component
+ * Live check for customers, open enquiries and active subscriptions on the same phone number
+ * Links open in a new tab so the form being filled is not lost
+ * @param {string} phone - Phone number as typed (normalized before lookup)
+ * @param {string} excludeCustomerId - Customer being edited or already linked
+ * @param {string} excludeEnquiryId - Enquiry being edited
+ */
+const PossibleDuplicates = ({ phone, excludeCustomerId, excludeEnquiryId }) => {
+  const [matches, setMatches] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const normalized = normalizePhone(phone);
+
+  useEffect(() => {
+    if (normalized.length !== 10 || !navigator.onLine) {
+      setMatches(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = {};
+        if (excludeCustomerId) params.exclude_customer_id = excludeCustomerId;
+        if (excludeEnquiryId) params.exclude_enquiry_id = excludeEnquiryId;
+        const response = await customerService.checkDuplicates(normalized, params);
+        if (!cancelled) setMatches(response);
+      } catch (error) {
+        // Not being able to check should never block the form
+        if (!cancelled) setMatches(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [normalized, excludeCustomerId, excludeEnquiryId]);
+
+  if (loading) {
+    return (
+      <p className="text-xs text-muted-foreground flex items-center gap-1">
+        <Loader2 className="h-3 w-3 animate-spin" />
+        Checking for duplicates...
+      </p>
+    );
+  }
+
+  const customers = matches?.customers || [];
+  const enquiries = matches?.enquiries || [];
+  const subscriptions = matches?.subscriptions || [];
+  if (customers.length + enquiries.length + subscriptions.length === 0) return null;
+
+  const linkClass = 'flex items-center justify-between gap-2 rounded px-2 py-1 text-sm hover:bg-amber-100';
+
+  return (
+    <div className="rounded-md border border-amber-200 bg-amber-50 p-3 space-y-2">
+      <p className="text-sm font-medium text-amber-900 flex items-center gap-2">
+        <AlertTriangle className="h-4 w-4" />
+        Possible duplicate
+      </p>
+      <div className="space-y-1">
+        {customers.map((customer) => (
+          <a
+            key={`customer-${customer.id}`}
+            href={`/customers?search=${normalized}`}
+            target="_blank"
+            rel="noreferrer"
+            className={linkClass}
+          >
+            <span className="truncate">
+              Customer: <span className="font-medium">{customer.name}</span>
+              {customer.area && <span className="text-amber-800"> · {customer.area}</span>}
+            </span>
+            <ExternalLink className="h-3 w-3 shrink-0 text-amber-700" />
+          </a>
+        ))}
+        {enquiries.map((enquiry) => (
+          <a
+            key={`enquiry-${enquiry.id}`}
+            href={`/enquiries/${enquiry.id}`}
+            target="_blank"
+            rel="noreferrer"
+            className={linkClass}
+          >
+            <span className="truncate">
+              Enquiry: <span className="font-medium">{enquiry.contact_name || enquiry.customer?.name || `#${enquiry.id}`}</span>
+              <span className="text-amber-800">
+                {' '}· {ENQUIRY_STATUS_LABELS[enquiry.status] || enquiry.status}
+                {enquiry.created_at && ` · ${format(new Date(enquiry.created_at), 'dd MMM')}`}
+              </span>
+            </span>
+            <ExternalLink className="h-3 w-3 shrink-0 text-amber-700" />
+          </a>
+        ))}
+        {subscriptions.map((subscription) => (
+          <a
+            key={`subscription-${subscription.id}`}
+            href={`/subscriptions/${subscription.id}`}
+            target="_blank"
+            rel="noreferrer"
+            className={linkClass}
+          >
+            <span className="truncate">
+              Active subscription: <span className="font-medium">{subscription.customer?.name || `#${subscription.id}`}</span>
+              {subscription.next_wash_date && (
+                <span className="text-amber-800"> · next wash {format(new Date(subscription.next_wash_date), 'dd MMM')}</span>
+              )}
+            </span>
+            <ExternalLink className="h-3 w-3 shrink-0 text-amber-700" />
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PossibleDuplicates;
@@ -1,4 +1,5 @@
 import { Navigate } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
 import useAuthStore from '../store/authStore';
 
 /**
@@ -11,7 +12,16 @@ import useAuthStore from '../store/authStore';
  * @param {string|Array<string>} props.allowedRoles - Optional role(s) that can access this route
  */
 const ProtectedRoute = ({ children, allowedRoles }) => {
-  const { isAuthenticated, user } = useAuthStore();
+  const { isAuthenticated, user, hasHydrated } = useAuthStore();
+
+  // Wait for the stored session to be decrypted before deciding
+  if (!hasHydrated) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <Loader2 className="h-12 w-12 animate-spin text-primary-500" />
+      </div>
+    );
+  }
 
   // Check if user is authenticated
   if (!isAuthenticated) {
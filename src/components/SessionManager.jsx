@@ -0,0 +1,131 @@
+import { useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import useAuthStore from '../store/authStore';
+import useOrderStore from '../store/orderStore';
+import useSettingsStore from '../store/settingsStore';
+import useSyncStore from '../store/syncStore';
+import useNotificationPreferencesStore from '../store/notificationPreferencesStore';
+import useNotificationCenterStore from '../store/notificationCenterStore';
+import useFollowUpStore from '../store/followUpStore';
+import pushNotificationService from '../services/pushNotifications';
+import ablyClient from '../services/ablyClient';
+import { ENQUIRY_SOURCE_LABELS, SLA_TYPE_LABELS } from '../constants/enquiryConstants';
+
+/**
+ * SessionManager Component
+ * Starts per-session services for the signed-in user. Mounted once in App,
+ * outside the routes, because Layout remounts on every navigation
+ */
+const SessionManager = () => {
+  const userId = useAuthStore((state) => state.user?.id);
+  const userRole = useAuthStore((state) => state.user?.role);
+  const navigate = useNavigate();
+
+  // Real-time order updates; disconnected on logout
+  useEffect(() => {
+    if (!userId) return;
+    useOrderStore.getState().initializeRealtime();
+  }, [userId]);
+
+  // Refresh business settings (GST, discounts, time slots) once per session
+  useEffect(() => {
+    if (!userId) return;
+    useSettingsStore.getState().fetchSettings();
+  }, [userId]);
+
+  // Watch the offline sync queue (badge + replay on reconnect)
+  useEffect(() => {
+    if (!userId) return;
+    useSyncStore.getState().init();
+  }, [userId]);
+
+  // Per-event notification preferences (also copied for the service worker)
+  useEffect(() => {
+    if (!userId) return;
+    useNotificationPreferencesStore.getState().fetchPreferences();
+  }, [userId]);
+
+  // Notification inbox (bell) for the signed-in user
+  useEffect(() => {
+    if (!userId) return;
+    const { start, stop } = useNotificationCenterStore.getState();
+    start();
+    return stop;
+  }, [userId]);
+
+  // Enquiry SLA escalations arrive on the user's own channel
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    let unsubscribe = null;
+    ablyClient.initialize()
+      .then(() => {
+        if (cancelled) return;
+        unsubscribe = ablyClient.subscribeToAgent(userId, (eventName, eventData) => {
+          if (eventName !== 'enquiry.sla_breached') return;
+
+          const data = eventData.data || {};
+          const { notify } = useNotificationPreferencesStore.getState();
+          notify(eventName, { assignedToId: data.assigned_to_id, officeId: data.office_id }, () => {
+            toast.warning(`${SLA_TYPE_LABELS[data.sla_type] || 'SLA'} breached`, {
+              description: [
+                data.contact_name || 'Unknown',
+                ENQUIRY_SOURCE_LABELS[data.source],
+                data.assigned_to_name ? `assigned to ${data.assigned_to_name}` : 'unassigned',
+              ].filter(Boolean).join(' · '),
+              duration: 10000,
+              action: {
+                label: 'View',
+                onClick: () => navigate(`/enquiries/${data.enquiry_id ?? data.id}`),
+              },
+            });
+          });
+        });
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [userId, navigate]);
+
+  // Pending follow-ups, also scheduled as reminders on this device
+  useEffect(() => {
+    if (userRole === 'admin' || userRole === 'sales_executive') {
+      useFollowUpStore.getState().fetchFollowUps();
+    }
+  }, [userId, userRole]);
+
+  // Keep this device's push subscription registered for the signed-in user
+  useEffect(() => {
+    if (!userId) return;
+
+    pushNotificationService.initialize({ userId }).catch(() => {});
+
+    if (!('serviceWorker' in navigator)) return;
+    const handleMessage = (event) => {
+      if (event.data?.type === 'PUSH_SUBSCRIPTION_CHANGED') {
+        pushNotificationService.initialize({ userId, register: true }).catch(() => {});
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+
+    // Snoozed notifications come due while the app is open
+    pushNotificationService.checkScheduledNotifications().catch(() => {});
+    const scheduledInterval = setInterval(() => {
+      pushNotificationService.checkScheduledNotifications().catch(() => {});
+    }, 60000);
+
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', handleMessage);
+      clearInterval(scheduledInterval);
+    };
+  }, [userId]);
+
+  return null;
+};
+
+export default SessionManager;
@@ -38,14 +38,12 @@ import { toast } from 'sonner';
 import subscriptionService from '../services/subscriptionService';
 import customerService from '../services/customerService';
 import { getBrands, getModelsByBrand, getVehicleType } from '../lib/vehicleData';
+import useSettingsStore from '../store/settingsStore';
 import {
   STORAGE_KEYS,
-  DRAFT_EXPIRY_HOURS,
-  MAX_DISCOUNT_PERCENTAGE,
   DISCOUNT_TYPES,
   PAYMENT_METHODS,
   SUBSCRIPTION_PAYMENT_STATUSES,
-  GST_PERCENTAGE,
   generateTimeSlots,
   formatTimeDisplay,
 } from '../lib/constants';
@@ -133,7 +131,12 @@ const SubscriptionWizard = ({ open, onOpenChange, onSuccess, customerId = null,
   const [errors, setErrors] = useState({});
 
   // Time slots
-  const timeSlots = generateTimeSlots();
+  const { settings } = useSettingsStore();
+  const timeSlots = generateTimeSlots(
+    settings.working_hours_start,
+    settings.working_hours_end,
+    settings.slot_interval_minutes
+  );
 
   // Load draft from localStorage on mount
   useEffect(() => {
@@ -242,7 +245,7 @@ const SubscriptionWizard = ({ open, onOpenChange, onSuccess, customerId = null,
   const saveDraft = () => {
     try {
       const expiryDate = new Date();
-      expiryDate.setHours(expiryDate.getHours() + DRAFT_EXPIRY_HOURS);
+      expiryDate.setHours(expiryDate.getHours() + settings.draft_expiry_hours);
 
       const draft = {
         selectedCustomer,
@@ -742,7 +745,7 @@ const SubscriptionWizard = ({ open, onOpenChange, onSuccess, customerId = null,
     // Package prices already include quantity (monthsDuration)
     // Addon prices already include selected wash count, no multiplication needed
     const subtotal = packageTotal + addonTotal;
-    const gst = (subtotal * GST_PERCENTAGE) / 100;
+    const gst = (subtotal * settings.gst_percentage) / 100;
     const totalBeforeRounding = subtotal + gst;
     const roundedTotal = Math.round(totalBeforeRounding);
     const roundOff = roundedTotal - totalBeforeRounding;
@@ -752,7 +755,7 @@ const SubscriptionWizard = ({ open, onOpenChange, onSuccess, customerId = null,
       addons: addonTotal,
       subtotal,
       gst,
-      gstPercentage: GST_PERCENTAGE,
+      gstPercentage: settings.gst_percentage,
       roundOff,
       perMonth: (roundedTotal / monthsDuration),
       total: roundedTotal,
@@ -0,0 +1,95 @@
+import { Link } from 'react-router-dom';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Button } from './ui/button';
+import { CloudUpload, AlertTriangle, RotateCcw, Trash2 } from 'lucide-react';
+import useSyncStore from '../store/syncStore';
+import { formatDateTime } from '../lib/utilities';
+
+/**
+ * Offline sync queue indicator
+ * Floating badge with the number of order changes waiting to sync;
+ * lists them and lets the user retry or discard conflicts
+ */
+export default function SyncStatus() {
+  const { entries, retry, discard } = useSyncStore();
+
+  if (entries.length === 0) return null;
+
+  const conflicts = entries.filter((e) => e.status === 'conflict');
+  const hasConflicts = conflicts.length > 0;
+
+  return (
+    <div className="fixed bottom-20 right-4 lg:bottom-6 z-40">
+      <Popover>
+        <PopoverTrigger asChild>
+          <button
+            className={`flex items-center gap-2 rounded-full px-3 py-2 shadow-lg text-sm font-medium ${
+              hasConflicts ? 'bg-red-600 text-white' : 'bg-amber-500 text-white'
+            }`}
+          >
+            {hasConflicts ? (
+              <AlertTriangle className="h-4 w-4" />
+            ) : (
+              <CloudUpload className="h-4 w-4" />
+            )}
+            {hasConflicts
+              ? `${conflicts.length} conflict${conflicts.length > 1 ? 's' : ''}`
+              : `${entries.length} pending sync`}
+          </button>
+        </PopoverTrigger>
+        <PopoverContent className="w-80 p-0" align="end" side="top">
+          <div className="p-3 border-b">
+            <p className="text-sm font-semibold">Offline changes</p>
+            <p className="text-xs text-muted-foreground">
+              Saved on this device and sent in order once you are back online
+            </p>
+          </div>
+          <div className="max-h-80 overflow-y-auto divide-y">
+            {entries.map((entry) => (
+              <div key={entry.id} className="p-3 space-y-1">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-medium">{entry.description}</span>
+                  {entry.status === 'conflict' ? (
+                    <span className="text-[10px] font-bold uppercase text-red-600">Conflict</span>
+                  ) : (
+                    <span className="text-[10px] font-bold uppercase text-amber-600">Pending</span>
+                  )}
+                </div>
+                <div className="flex items-center justify-between text-xs text-muted-foreground">
+                  <span>{formatDateTime(entry.createdAt)}</span>
+                  {entry.orderId && (
+                    <Link to={`/orders/${entry.orderId}`} className="text-primary underline">
+                      View order
+                    </Link>
+                  )}
+                </div>
+                {entry.status === 'conflict' && (
+                  <>
+                    <p className="text-xs text-red-600">{entry.error}</p>
+                    <div className="flex gap-2 pt-1">
+                      <Button size="sm" variant="outline" className="h-7" onClick={() => retry(entry.id)}>
+                        <RotateCcw className="h-3 w-3 mr-1" />
+                        Retry
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="h-7 text-destructive"
+                        onClick={() => discard(entry.id)}
+                      >
+                        <Trash2 className="h-3 w-3 mr-1" />
+                        Discard
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+}
+
+export { SyncStatus };
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/alert-dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Textarea } from './ui/textarea';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import invoiceService from '../services/invoiceService';
+import { INVOICE_VOID_REASONS } from '../lib/constants';
+
+/**
+ * Void Invoice Dialog
+ * Asks for a void reason and voids the invoice
+ * @param {Object} invoice - Invoice to void (null closes the dialog)
+ * @param {Function} onClose - Called when the dialog closes
+ * @param {Function} onVoided - Called with the voided invoice
+ */
+const VoidInvoiceDialog = ({ invoice, onClose, onVoided }) => {
+  const [reason, setReason] = useState('');
+  const [customReason, setCustomReason] = useState('');
+  const [voiding, setVoiding] = useState(false);
+
+  useEffect(() => {
+    if (invoice) {
+      setReason('');
+      setCustomReason('');
+    }
+  }, [invoice]);
+
+  const handleVoid = async () => {
+    const voidReason = reason === 'Other' ? customReason.trim() : reason;
+
+    if (!voidReason) {
+      toast.error('Please provide a void reason');
+      return;
+    }
+
+    setVoiding(true);
+    try {
+      const data = await invoiceService.voidInvoice(invoice.id, voidReason);
+      toast.success(`Invoice #${invoice.invoice_number} voided`);
+      onVoided?.(data.invoice);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to void invoice');
+    } finally {
+      setVoiding(false);
+    }
+  };
+
+  return (
+    <AlertDialog open={!!invoice} onOpenChange={(open) => !open && onClose()}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>Void Invoice #{invoice?.invoice_number}</AlertDialogTitle>
+          <AlertDialogDescription>
+            A voided invoice stays on record but can no longer be used. This action cannot be undone.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        <div className="space-y-4 py-4">
+          <div>
+            <label className="text-sm font-medium">Void Reason *</label>
+            <Select value={reason} onValueChange={setReason}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select reason" />
+              </SelectTrigger>
+              <SelectContent>
+                {INVOICE_VOID_REASONS.map((item) => (
+                  <SelectItem key={item} value={item}>
+                    {item}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {reason === 'Other' && (
+            <div>
+              <label className="text-sm font-medium">Please specify *</label>
+              <Textarea
+                value={customReason}
+                onChange={(e) => setCustomReason(e.target.value)}
+                placeholder="Enter void reason..."
+                rows={3}
+              />
+            </div>
+          )}
+        </div>
+
+        <AlertDialogFooter>
+          <AlertDialogCancel disabled={voiding}>Cancel</AlertDialogCancel>
+          <AlertDialogAction
+            onClick={(e) => {
+              e.preventDefault();
+              handleVoid();
+            }}
+            disabled={voiding || !reason || (reason === 'Other' && !customReason.trim())}
+            className="bg-destructive hover:bg-destructive/90"
+          >
+            {voiding && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Void Invoice
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default VoidInvoiceDialog;
@@ -0,0 +1,161 @@
+import { useEffect, useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Loader2, MessageCircle, AlertCircle } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import useSettingsStore from '../store/settingsStore';
+import messageService from '../services/messageService';
+import {
+  TEMPLATE_CATEGORIES,
+  TEMPLATE_PLACEHOLDERS,
+  fillTemplate,
+  getUnfilledPlaceholders,
+  getWhatsAppUrl,
+} from '../lib/messageTemplates';
+
+/**
+ * WhatsApp Template Dialog Component
+ * Pick a message template, review the filled-in text and open it in WhatsApp
+ * The sent message is logged against the record it was sent from
+ * @param {boolean} open - Dialog open state
+ * @param {Function} onOpenChange - Open state change handler
+ * @param {string} phone - Recipient phone
+ * @param {string} customerName - Recipient name
+ * @param {Object} record - { type: 'order'|'enquiry'|'subscription', id }
+ * @param {Object} values - Placeholder values (see getTemplateValues)
+ * @param {Function} onSent - Called after the message is logged
+ */
+const WhatsAppTemplateDialog = ({ open, onOpenChange, phone, customerName, record, values, onSent }) => {
+  const templates = useSettingsStore((state) => state.settings.whatsapp_templates) || [];
+  const [templateId, setTemplateId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setTemplateId(null);
+      setMessage('');
+    }
+  }, [open]);
+
+  const grouped = useMemo(() => (
+    TEMPLATE_CATEGORIES
+      .map((category) => ({ ...category, templates: templates.filter((t) => t.category === category.value) }))
+      .filter((category) => category.templates.length > 0)
+  ), [templates]);
+
+  const handleSelect = (template) => {
+    setTemplateId(template.id);
+    setMessage(fillTemplate(template.body, values));
+  };
+
+  const unfilled = getUnfilledPlaceholders(message);
+
+  const handleSend = async () => {
+    window.open(getWhatsAppUrl(phone, message.trim()), '_blank');
+
+    // Nothing to log for a blank chat
+    if (!record?.id || !message.trim()) {
+      onOpenChange(false);
+      return;
+    }
+
+    setSending(true);
+    try {
+      await messageService.logMessage({
+        record_type: record.type,
+        record_id: record.id,
+        channel: 'whatsapp',
+        template_id: templateId,
+        body: message.trim(),
+        phone,
+      });
+      onSent?.();
+    } catch (error) {
+      toast.error('WhatsApp opened, but the message could not be logged');
+    } finally {
+      setSending(false);
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>WhatsApp {customerName}</DialogTitle>
+          <DialogDescription>Pick a template or write your own message</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {grouped.map((category) => (
+            <div key={category.value} className="space-y-2">
+              <p className="text-xs font-medium text-muted-foreground">{category.label}</p>
+              <div className="flex flex-wrap gap-2">
+                {category.templates.map((template) => (
+                  <button
+                    key={template.id}
+                    type="button"
+                    onClick={() => handleSelect(template)}
+                    className={cn(
+                      'px-3 py-1 rounded-full border text-sm transition-colors',
+                      templateId === template.id
+                        ? 'bg-green-600 border-green-600 text-white'
+                        : 'bg-white border-gray-200 hover:border-gray-300'
+                    )}
+                  >
+                    {template.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <Textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Type a message..."
+            rows={6}
+          />
+
+          {unfilled.length > 0 && (
+            <p className="text-xs text-amber-700 flex items-start gap-1">
+              <AlertCircle className="h-3 w-3 mt-0.5 shrink-0" />
+              Fill in before sending:{' '}
+              {unfilled.map((key) => TEMPLATE_PLACEHOLDERS.find((p) => p.value === key)?.label || key).join(', ')}
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={sending}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSend}
+            disabled={sending || unfilled.length > 0}
+            className="bg-green-600 hover:bg-green-700"
+          >
+            {sending ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <MessageCircle className="h-4 w-4 mr-2" />
+            )}
+            {message.trim() ? 'Send on WhatsApp' : 'Open chat'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WhatsAppTemplateDialog;
@@ -132,3 +132,38 @@ export const LOST_REASON_OPTIONS = Object.entries(LOST_REASON_LABELS).map(([valu
   value,
   label,
 }));
+
+// Lead Assignment Strategies
+export const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'round_robin',
+  WEIGHTED: 'weighted',
+  LEAST_LOADED: 'least_loaded',
+};
+
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: 'Round Robin',
+  [ASSIGNMENT_STRATEGIES.WEIGHTED]: 'Weighted',
+  [ASSIGNMENT_STRATEGIES.LEAST_LOADED]: 'Fewest Open Leads',
+};
+
+export const ASSIGNMENT_STRATEGY_DESCRIPTIONS = {
+  [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: 'Members take turns',
+  [ASSIGNMENT_STRATEGIES.WEIGHTED]: 'Members get leads in proportion to their weight',
+  [ASSIGNMENT_STRATEGIES.LEAST_LOADED]: 'The member with the fewest open leads gets the next one',
+};
+
+export const ASSIGNMENT_STRATEGY_OPTIONS = Object.entries(ASSIGNMENT_STRATEGY_LABELS).map(([value, label]) => ({
+  value,
+  label,
+}));
+
+// Enquiry SLAs - used for sources without their own setting
+export const DEFAULT_ENQUIRY_SLA = {
+  first_response_minutes: 30,
+  follow_up_days: 2,
+};
+
+export const SLA_TYPE_LABELS = {
+  first_response: 'First response',
+  follow_up: 'Follow-up',
+};
@@ -0,0 +1,142 @@
+import { differenceInMinutes, format } from 'date-fns';
+import { getDistanceMeters } from './utilities';
+
+/**
+ * Attendance rules
+ * - Check-in must be within check_in_radius_meters of the agent's home or office
+ * - Late: checked in after attendance_start_time plus late_grace_minutes
+ * - Missed check-out: checked in on a past day and never checked out
+ * The server applies the same rules when recording attendance.
+ */
+
+const GEOLOCATION_ERRORS = {
+  1: 'Location permission denied. Allow location access to check in.',
+  2: 'Could not determine your location. Move to an open area and try again.',
+  3: 'Getting your location timed out. Please try again.',
+};
+
+/**
+ * Current GPS position of the device
+ * @returns {Promise<{ latitude: number, longitude: number, accuracy: number }>}
+ */
+export const getCurrentPosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Location is not supported on this device'));
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      accuracy: Math.round(coords.accuracy),
+    }),
+    (error) => reject(new Error(GEOLOCATION_ERRORS[error.code] || 'Could not get your location')),
+    { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+  );
+});
+
+/**
+ * Places an agent may check in from, taken from their profile
+ * @param {Object} profile - Profile with home_coordinates and office
+ * @returns {Array<{ site: string, name: string, latitude: number, longitude: number }>}
+ */
+export const getCheckInSites = (profile) => {
+  const sites = [];
+  if (profile?.home_coordinates?.latitude && profile?.home_coordinates?.longitude) {
+    sites.push({ site: 'home', name: 'Home', ...profile.home_coordinates });
+  }
+  if (profile?.office?.latitude && profile?.office?.longitude) {
+    sites.push({
+      site: 'office',
+      name: profile.office.name || 'Office',
+      latitude: profile.office.latitude,
+      longitude: profile.office.longitude,
+    });
+  }
+  return sites;
+};
+
+/**
+ * Nearest check-in site to a position
+ * @param {Object} position - { latitude, longitude }
+ * @param {Array} sites - From getCheckInSites
+ * @param {number} radiusMeters - Allowed distance from a site
+ * @returns {{ site: Object, distance: number, withinRadius: boolean }|null} null when no sites
+ */
+export const matchCheckInSite = (position, sites, radiusMeters) => {
+  const nearest = sites
+    .map((site) => ({
+      site,
+      distance: Math.round(getDistanceMeters(position.latitude, position.longitude, site.latitude, site.longitude)),
+    }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (!nearest) return null;
+  return { ...nearest, withinRadius: nearest.distance <= radiusMeters };
+};
+
+/**
+ * Whether a check-in was late
+ * @param {string} checkInTime - ISO timestamp
+ * @param {Object} settings - attendance_start_time (HH:mm) and late_grace_minutes
+ */
+export const isLateCheckIn = (checkInTime, settings) => {
+  if (!checkInTime || !settings?.attendance_start_time) return false;
+  const [hours, minutes] = settings.attendance_start_time.split(':').map(Number);
+  const checkIn = new Date(checkInTime);
+  const cutoff = new Date(checkIn);
+  cutoff.setHours(hours, minutes + (Number(settings.late_grace_minutes) || 0), 0, 0);
+  return checkIn > cutoff;
+};
+
+/**
+ * Whether an attendance record is a missed check-out (checked in on a past day, never out)
+ * @param {Object} attendance - Record with date, check_in_time, check_out_time
+ * @param {Date} now - Current time
+ */
+export const isMissedCheckOut = (attendance, now = new Date()) => (
+  Boolean(attendance.check_in_time)
+  && !attendance.check_out_time
+  && attendance.date < format(now, 'yyyy-MM-dd')
+);
+
+/**
+ * Minutes between check-in and check-out
+ * @param {Object} attendance - Record with check_in_time, check_out_time
+ * @returns {number} 0 until checked out
+ */
+export const getWorkedMinutes = (attendance) => (
+  attendance.check_in_time && attendance.check_out_time
+    ? Math.max(0, differenceInMinutes(new Date(attendance.check_out_time), new Date(attendance.check_in_time)))
+    : 0
+);
+
+/**
+ * Monthly totals per agent for the attendance register
+ * @param {Array} attendances - Records with user, date, check_in_time, check_out_time
+ * @param {Object} settings - Attendance settings
+ * @returns {Array<{ user, daysPresent, lateArrivals, missedCheckOuts, workedMinutes }>}
+ */
+export const summarizeAttendance = (attendances, settings) => {
+  const byUser = {};
+  attendances.forEach((attendance) => {
+    const userId = attendance.user?.id;
+    if (!byUser[userId]) {
+      byUser[userId] = { user: attendance.user, daysPresent: 0, lateArrivals: 0, missedCheckOuts: 0, workedMinutes: 0 };
+    }
+    const summary = byUser[userId];
+    if (attendance.check_in_time) summary.daysPresent += 1;
+    if (isLateCheckIn(attendance.check_in_time, settings)) summary.lateArrivals += 1;
+    if (isMissedCheckOut(attendance)) summary.missedCheckOuts += 1;
+    summary.workedMinutes += getWorkedMinutes(attendance);
+  });
+
+  return Object.values(byUser).sort((a, b) => (a.user?.name || '').localeCompare(b.user?.name || ''));
+};
+
+/**
+ * Format minutes as "8h 30m"
+ * @param {number} minutes - Duration in minutes
+ */
+export const formatWorkedTime = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
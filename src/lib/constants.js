@@ -3,6 +3,8 @@
  * Reference: /Users/shan/works/spado-api/API_DOCUMENTATION.md
  */
 
+import { DEFAULT_WHATSAPP_TEMPLATES } from './messageTemplates';
+
 // User Roles
 export const USER_ROLES = {
   ADMIN: 'admin',
@@ -117,6 +119,7 @@ export const ORDER_STATUSES = [
 // Payment Status Constants
 export const PAYMENT_STATUSES = [
   { value: 'pending', label: 'Pending', color: 'yellow' },
+  { value: 'partial', label: 'Partial', color: 'orange' },
   { value: 'paid', label: 'Paid', color: 'green' },
   { value: 'failed', label: 'Failed', color: 'red' },
   { value: 'refunded', label: 'Refunded', color: 'purple' },
@@ -166,6 +169,25 @@ export const MAX_DISCOUNT_PERCENTAGE = 100;
 // GST Percentage (18% for car wash services)
 export const GST_PERCENTAGE = 0;
 
+// Business settings defaults, used until the settings API responds
+// (and as the fallback when it is unreachable). Admins change the live
+// values on the Settings page; read them via useSettingsStore.
+export const DEFAULT_SETTINGS = {
+  gst_percentage: GST_PERCENTAGE,
+  max_discount_percentage: 50,
+  draft_expiry_hours: DRAFT_EXPIRY_HOURS,
+  cancellation_reasons: CANCELLATION_REASONS,
+  working_hours_start: '06:00',
+  working_hours_end: '20:00',
+  slot_interval_minutes: 30,
+  attendance_start_time: '08:00',
+  late_grace_minutes: 15,
+  check_in_radius_meters: 200,
+  enquiry_slas: {}, // Per source: { first_response_minutes, follow_up_days }
+  whatsapp_templates: DEFAULT_WHATSAPP_TEMPLATES,
+  review_link: '',
+};
+
 /**
  * Get status color class
  * @param {string} status - Status value
@@ -215,6 +237,32 @@ export const SUBSCRIPTION_PAYMENT_STATUSES = [
   { value: 'paid', label: 'Paid', variant: 'default', color: 'green' },
 ];
 
+// ============================================
+// INVOICE CONSTANTS
+// ============================================
+
+// Invoice Status Constants
+export const INVOICE_STATUSES = [
+  { value: 'issued', label: 'Issued', color: 'green' },
+  { value: 'void', label: 'Void', color: 'red' },
+];
+
+// Invoice Source Types (what an invoice was raised against)
+export const INVOICE_SOURCE_TYPES = [
+  { value: 'order', label: 'Order' },
+  { value: 'subscription_payment', label: 'Subscription Payment' },
+];
+
+// Reasons offered when voiding an invoice
+export const INVOICE_VOID_REASONS = [
+  'Incorrect Amount',
+  'Incorrect Customer Details',
+  'Order Cancelled',
+  'Payment Refunded',
+  'Duplicate Invoice',
+  'Other',
+];
+
 /**
  * Generate time slots for subscription scheduling in 24-hour format
  * @param {string} startTime - Start time in HH:MM format (default: '06:00')
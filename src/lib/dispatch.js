@@ -0,0 +1,110 @@
+import { differenceInMinutes, format, startOfDay } from 'date-fns';
+
+/**
+ * Dispatch board timeline helpers
+ * Day lanes run from DAY_START_HOUR to DAY_END_HOUR; drops snap to SNAP_MINUTES.
+ */
+
+export const DAY_START_HOUR = 7;
+export const DAY_END_HOUR = 21;
+export const SNAP_MINUTES = 15;
+
+const DAY_MINUTES = (DAY_END_HOUR - DAY_START_HOUR) * 60;
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * Minutes from midnight for a booking time
+ * @param {string} dateTime - ISO date time
+ * @returns {number|null}
+ */
+export const getMinuteOfDay = (dateTime) => {
+  if (!dateTime) return null;
+  const date = new Date(dateTime);
+  return differenceInMinutes(date, startOfDay(date));
+};
+
+/**
+ * Booking length in minutes (an hour when the end time is missing)
+ * @param {Object} order - Order with booking_time_from/to
+ * @returns {number}
+ */
+export const getDurationMinutes = (order) => {
+  if (!order.booking_time_from || !order.booking_time_to) return DEFAULT_DURATION_MINUTES;
+  const minutes = differenceInMinutes(new Date(order.booking_time_to), new Date(order.booking_time_from));
+  return minutes > 0 ? minutes : DEFAULT_DURATION_MINUTES;
+};
+
+/**
+ * Horizontal position of an order block in a day lane, as percentages
+ * Blocks outside the visible hours are clamped to the edges.
+ * @param {Object} order - Order with booking_time_from/to
+ * @returns {{ left: number, width: number }|null} Null when the order has no start time
+ */
+export const getBlockPosition = (order) => {
+  const start = getMinuteOfDay(order.booking_time_from);
+  if (start === null) return null;
+
+  const from = Math.min(Math.max(start - DAY_START_HOUR * 60, 0), DAY_MINUTES - SNAP_MINUTES);
+  const to = Math.min(Math.max(start + getDurationMinutes(order) - DAY_START_HOUR * 60, from + SNAP_MINUTES), DAY_MINUTES);
+
+  return {
+    left: (from / DAY_MINUTES) * 100,
+    width: ((to - from) / DAY_MINUTES) * 100,
+  };
+};
+
+/**
+ * Start minute of the day for a drop at a point in a day lane, snapped to SNAP_MINUTES
+ * @param {number} ratio - Drop position across the lane (0 to 1)
+ * @returns {number} Minutes from midnight
+ */
+export const getMinuteAtRatio = (ratio) => {
+  const minutes = DAY_START_HOUR * 60 + ratio * DAY_MINUTES;
+  const snapped = Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES;
+  return Math.min(Math.max(snapped, DAY_START_HOUR * 60), DAY_END_HOUR * 60 - SNAP_MINUTES);
+};
+
+/**
+ * Booking fields for moving an order, keeping its duration
+ * @param {Object} order - Order being moved
+ * @param {Date} day - New booking day
+ * @param {number} startMinute - New start, in minutes from midnight (defaults to the current start)
+ * @returns {{ booking_date: string, booking_time_from: string, booking_time_to: string }}
+ */
+export const getRescheduledBooking = (order, day, startMinute = getMinuteOfDay(order.booking_time_from) ?? DAY_START_HOUR * 60) => {
+  const from = new Date(startOfDay(day).getTime() + startMinute * 60000);
+  const to = new Date(from.getTime() + getDurationMinutes(order) * 60000);
+
+  return {
+    booking_date: format(day, 'yyyy-MM-dd'),
+    booking_time_from: from.toISOString(),
+    booking_time_to: to.toISOString(),
+  };
+};
+
+/**
+ * IDs of orders whose booking windows overlap another order for the same agent
+ * @param {Array} orders - Orders to check
+ * @returns {Set} Order IDs
+ */
+export const getOverlappingOrderIds = (orders) => {
+  const overlapping = new Set();
+  const timed = orders.filter((order) => order.assigned_to?.id && order.booking_time_from);
+
+  timed.forEach((order, index) => {
+    const start = new Date(order.booking_time_from).getTime();
+    const end = start + getDurationMinutes(order) * 60000;
+
+    timed.slice(index + 1).forEach((other) => {
+      if (other.assigned_to.id !== order.assigned_to.id) return;
+      const otherStart = new Date(other.booking_time_from).getTime();
+      const otherEnd = otherStart + getDurationMinutes(other) * 60000;
+      if (start < otherEnd && otherStart < end) {
+        overlapping.add(order.id);
+        overlapping.add(other.id);
+      }
+    });
+  });
+
+  return overlapping;
+};
@@ -0,0 +1,54 @@
+import { addDays, addMinutes } from 'date-fns';
+import { DEFAULT_ENQUIRY_SLA, ENQUIRY_STATUSES } from '../constants/enquiryConstants';
+
+/**
+ * Enquiry SLA rules
+ * A new enquiry must get its first response within the source's
+ * first_response_minutes; an open enquiry that has been contacted must be
+ * followed up within follow_up_days of the last contact.
+ *
+ * The server applies the same rules for escalations and the enquiry report -
+ * keep the two in step.
+ */
+
+// Contacted but not yet won or lost
+const FOLLOW_UP_STATUSES = [
+  ENQUIRY_STATUSES.CONTACTED,
+  ENQUIRY_STATUSES.INTERESTED,
+  ENQUIRY_STATUSES.NEEDS_FOLLOWUP,
+];
+
+/**
+ * SLA for a source, falling back to the default
+ * @param {string} source - ENQUIRY_SOURCES value
+ * @param {Object} slas - enquiry_slas setting, keyed by source
+ */
+export const getEnquirySla = (source, slas) => ({
+  ...DEFAULT_ENQUIRY_SLA,
+  ...slas?.[source],
+});
+
+/**
+ * Which SLA an enquiry is running against and whether it is breached
+ * @param {Object} enquiry - Enquiry
+ * @param {Object} slas - enquiry_slas setting
+ * @param {Date} now - Current time
+ * @returns {{ type: 'first_response'|'follow_up', dueAt: Date, breached: boolean }|null}
+ */
+export const getSlaStatus = (enquiry, slas, now = new Date()) => {
+  const sla = getEnquirySla(enquiry.source, slas);
+
+  if (enquiry.status === ENQUIRY_STATUSES.NEW && enquiry.created_at) {
+    const dueAt = addMinutes(new Date(enquiry.created_at), Number(sla.first_response_minutes));
+    return { type: 'first_response', dueAt, breached: now > dueAt };
+  }
+
+  if (FOLLOW_UP_STATUSES.includes(enquiry.status)) {
+    const lastContact = enquiry.last_contacted_at || enquiry.status_changed_at || enquiry.updated_at;
+    if (!lastContact) return null;
+    const dueAt = addDays(new Date(lastContact), Number(sla.follow_up_days));
+    return { type: 'follow_up', dueAt, breached: now > dueAt };
+  }
+
+  return null;
+};
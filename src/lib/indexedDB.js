@@ -6,7 +6,7 @@ import { openDB } from 'idb';
  */
 
 const DB_NAME = 'SpadoCarWashDB';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 
 // Store names
 const STORES = {
@@ -15,6 +15,10 @@ const STORES = {
   BOOKINGS: 'bookings',
   CUSTOMERS: 'customers',
   SERVICES: 'services',
+  SYNC_QUEUE: 'syncQueue',
+  KEYS: 'keys',
+  SCHEDULED_NOTIFICATIONS: 'scheduledNotifications',
+  NOTIFICATIONS: 'notifications',
 };
 
 /**
@@ -23,7 +27,7 @@ const STORES = {
  */
 const initDB = async () => {
   const db = await openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
+    upgrade(db, oldVersion, newVersion, transaction) {
       // Create object stores if they don't exist
       if (!db.objectStoreNames.contains(STORES.USER_DATA)) {
         db.createObjectStore(STORES.USER_DATA);
@@ -42,9 +46,35 @@ const initDB = async () => {
       if (!db.objectStoreNames.contains(STORES.CUSTOMERS)) {
         db.createObjectStore(STORES.CUSTOMERS, { keyPath: 'id' });
       }
+      // v3: phone lookup for offline customer search
+      const customersStore = transaction.objectStore(STORES.CUSTOMERS);
+      if (!customersStore.indexNames.contains('search_phone')) {
+        customersStore.createIndex('search_phone', 'search_phone');
+      }
       if (!db.objectStoreNames.contains(STORES.SERVICES)) {
         db.createObjectStore(STORES.SERVICES, { keyPath: 'id' });
       }
+      // v2: writes made offline, replayed in id order by the service worker
+      if (!db.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
+        const syncStore = db.createObjectStore(STORES.SYNC_QUEUE, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        syncStore.createIndex('orderId', 'orderId');
+      }
+      // v4: non-extractable Web Crypto keys used by secureStorage
+      if (!db.objectStoreNames.contains(STORES.KEYS)) {
+        db.createObjectStore(STORES.KEYS);
+      }
+      // v5: notifications the service worker shows later (snooze, reminders)
+      if (!db.objectStoreNames.contains(STORES.SCHEDULED_NOTIFICATIONS)) {
+        db.createObjectStore(STORES.SCHEDULED_NOTIFICATIONS, { keyPath: 'id' });
+      }
+      // v6: notification center inbox
+      if (!db.objectStoreNames.contains(STORES.NOTIFICATIONS)) {
+        const notificationsStore = db.createObjectStore(STORES.NOTIFICATIONS, { keyPath: 'id' });
+        notificationsStore.createIndex('created_at', 'created_at');
+      }
     },
   });
   return db;
@@ -90,6 +120,31 @@ const clearStore = async (storeName) => {
   return await db.clear(storeName);
 };
 
+/**
+ * Record when a store was last filled from the server
+ */
+const setCacheTimestamp = async (storeName) => {
+  return await put(STORES.USER_DATA, `cacheMeta:${storeName}`, {
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get when a store was last filled from the server
+ * @returns {Promise<string|null>} ISO timestamp
+ */
+const getCacheTimestamp = async (storeName) => {
+  const meta = await get(STORES.USER_DATA, `cacheMeta:${storeName}`);
+  return meta?.timestamp || null;
+};
+
+/**
+ * Digits used to match a phone number regardless of +91 / leading 0 / spaces
+ */
+const toSearchPhone = (phone) => {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+};
+
 /**
  * Cache user data
  */
@@ -118,6 +173,16 @@ const cacheDashboardData = async (role, data) => {
   });
 };
 
+/**
+ * Get cached dashboard data regardless of age, with its timestamp
+ * Used for stale-while-revalidate and offline viewing
+ * @returns {Promise<{data: Object, timestamp: string}|null>}
+ */
+const getCachedDashboardEntry = async (role) => {
+  const cached = await get(STORES.DASHBOARD_CACHE, role);
+  return cached ? { data: cached.data, timestamp: cached.timestamp } : null;
+};
+
 /**
  * Get cached dashboard data
  */
@@ -153,6 +218,7 @@ const cacheBookings = async (bookings) => {
   }
   
   await tx.done;
+  await setCacheTimestamp(STORES.BOOKINGS);
 };
 
 /**
@@ -164,18 +230,18 @@ const getCachedBookings = async () => {
 
 /**
  * Cache customers list
+ * Upserts, so the offline directory grows as lists and searches are loaded
  */
 const cacheCustomers = async (customers) => {
   const db = await initDB();
   const tx = db.transaction(STORES.CUSTOMERS, 'readwrite');
   
-  await tx.store.clear();
-  
   for (const customer of customers) {
-    await tx.store.put(customer);
+    await tx.store.put({ ...customer, search_phone: toSearchPhone(customer.phone) });
   }
   
   await tx.done;
+  await setCacheTimestamp(STORES.CUSTOMERS);
 };
 
 /**
@@ -186,30 +252,160 @@ const getCachedCustomers = async () => {
 };
 
 /**
- * Cache services list
+ * Search cached customers by name or phone
+ * Phone-like queries use the search_phone index for prefix matches
+ * @param {string} query - Name or phone fragment
  */
-const cacheServices = async (services) => {
+const searchCachedCustomers = async (query) => {
+  const term = String(query || '').trim().toLowerCase();
+  if (!term) return await getCachedCustomers();
+
+  if (/^[\d\s+-]+$/.test(term)) {
+    // Partial number: drop +91 / leading 0 so it lines up with search_phone
+    let prefix = term.replace(/\D/g, '');
+    if (term.startsWith('+91')) prefix = prefix.slice(2);
+    prefix = prefix.replace(/^0+/, '').slice(-10);
+
+    const db = await initDB();
+    const matches = await db.getAllFromIndex(
+      STORES.CUSTOMERS,
+      'search_phone',
+      IDBKeyRange.bound(prefix, `${prefix}\uffff`)
+    );
+    if (matches.length > 0) return matches;
+
+    // Fall back to matching anywhere in the number (e.g. last digits)
+    const all = await getCachedCustomers();
+    return all.filter((c) => c.search_phone?.includes(prefix));
+  }
+
+  const all = await getCachedCustomers();
+  return all.filter((c) => c.name?.toLowerCase().includes(term));
+};
+
+/**
+ * Cache a services lookup (packages or add-ons) under a key
+ * @param {string} key - Lookup key including its filters, e.g. 'packages:Sedan'
+ * @param {Object} data - API response to serve offline
+ */
+const cacheServices = async (key, data) => {
   const db = await initDB();
-  const tx = db.transaction(STORES.SERVICES, 'readwrite');
-  
-  await tx.store.clear();
-  
-  for (const service of services) {
-    await tx.store.put(service);
+  return await db.put(STORES.SERVICES, {
+    id: key,
+    data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get a cached services lookup
+ * @returns {Promise<{id: string, data: Object, timestamp: string}|undefined>}
+ */
+const getCachedServices = async (key) => {
+  return await get(STORES.SERVICES, key);
+};
+
+/**
+ * Add a write to the offline sync queue
+ * @returns {Promise<number>} Queue entry id
+ */
+const addSyncEntry = async (entry) => {
+  const db = await initDB();
+  return await db.add(STORES.SYNC_QUEUE, entry);
+};
+
+/**
+ * Get queued writes in the order they were made
+ */
+const getSyncEntries = async () => {
+  return await getAll(STORES.SYNC_QUEUE);
+};
+
+/**
+ * Update a queued write (e.g. reset a conflict to pending)
+ */
+const updateSyncEntry = async (entry) => {
+  const db = await initDB();
+  return await db.put(STORES.SYNC_QUEUE, entry);
+};
+
+/**
+ * Remove a queued write
+ */
+const removeSyncEntry = async (id) => {
+  return await del(STORES.SYNC_QUEUE, id);
+};
+
+/**
+ * Save notification center items (upsert by id)
+ */
+const cacheNotifications = async (notifications) => {
+  const db = await initDB();
+  const tx = db.transaction(STORES.NOTIFICATIONS, 'readwrite');
+
+  for (const notification of notifications) {
+    await tx.store.put(notification);
   }
-  
+
   await tx.done;
 };
 
 /**
- * Get cached services
+ * Get cached notification center items, newest first
+ */
+const getCachedNotifications = async () => {
+  const db = await initDB();
+  const items = await db.getAllFromIndex(STORES.NOTIFICATIONS, 'created_at');
+  return items.reverse();
+};
+
+/**
+ * Remove cached notification center items
+ * @param {Array<string|number>} ids - Notification IDs
  */
-const getCachedServices = async () => {
-  return await getAll(STORES.SERVICES);
+const removeCachedNotifications = async (ids) => {
+  const db = await initDB();
+  const tx = db.transaction(STORES.NOTIFICATIONS, 'readwrite');
+
+  for (const id of ids) {
+    await tx.store.delete(id);
+  }
+
+  await tx.done;
+};
+
+/**
+ * Get a stored CryptoKey
+ * @param {string} name - Key name
+ * @returns {Promise<CryptoKey|undefined>}
+ */
+const getCryptoKey = async (name) => {
+  return await get(STORES.KEYS, name);
+};
+
+/**
+ * Store a CryptoKey unless one with the same name already exists
+ * Another tab may have created it first; the stored key always wins
+ * @param {string} name - Key name
+ * @param {CryptoKey} key - Key to store
+ * @returns {Promise<CryptoKey>} The key now stored under the name
+ */
+const saveCryptoKey = async (name, key) => {
+  const db = await initDB();
+  try {
+    await db.add(STORES.KEYS, key, name);
+    return key;
+  } catch (error) {
+    if (error.name !== 'ConstraintError') throw error;
+    return await db.get(STORES.KEYS, name);
+  }
 };
 
 /**
  * Clear all cached data
+ * Crypto keys are left alone - they belong to the device. So is the sync
+ * queue: its entries are tagged with the user who made them and replay once
+ * that user signs in again
  */
 const clearAllCache = async () => {
   const db = await initDB();
@@ -219,6 +415,8 @@ const clearAllCache = async () => {
     STORES.BOOKINGS,
     STORES.CUSTOMERS,
     STORES.SERVICES,
+    STORES.SCHEDULED_NOTIFICATIONS,
+    STORES.NOTIFICATIONS,
   ];
   
   for (const store of stores) {
@@ -235,14 +433,27 @@ export const indexedDBService = {
   clearStore,
   cacheUserData,
   getCachedUserData,
+  setCacheTimestamp,
+  getCacheTimestamp,
   cacheDashboardData,
+  getCachedDashboardEntry,
   getCachedDashboardData,
   cacheBookings,
   getCachedBookings,
   cacheCustomers,
   getCachedCustomers,
+  searchCachedCustomers,
   cacheServices,
   getCachedServices,
+  addSyncEntry,
+  getSyncEntries,
+  updateSyncEntry,
+  removeSyncEntry,
+  cacheNotifications,
+  getCachedNotifications,
+  removeCachedNotifications,
+  getCryptoKey,
+  saveCryptoKey,
   clearAllCache,
   STORES,
 };
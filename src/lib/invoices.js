@@ -0,0 +1,162 @@
+import orderService from '../services/orderService';
+import subscriptionService from '../services/subscriptionService';
+
+/**
+ * Invoice snapshot builders
+ * An invoice freezes the amounts of its source at the time it is issued, so
+ * later edits to an order or subscription never change an issued invoice.
+ * Re-issue an invoice to pick up corrected amounts.
+ */
+
+const toNumber = (value) => parseFloat(value) || 0;
+const toPaise = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build an invoice line from an order package or add-on item
+ * @param {Object} item - Order package/add-on item
+ * @param {string} description - Line description
+ * @returns {Object} Invoice line item
+ */
+const buildOrderLine = (item, description) => {
+  const quantity = item.quantity || 1;
+  const unitPrice = toNumber(item.price ?? item.unit_price);
+  const total = toNumber(item.total_price);
+
+  return {
+    description,
+    quantity,
+    unit_price: unitPrice,
+    discount: Math.max(0, unitPrice * quantity - total),
+    total,
+    // Offer reward items are fully discounted
+    is_reward: unitPrice > 0 && total === 0,
+  };
+};
+
+/**
+ * Build an invoice snapshot for a completed order
+ * Totals come from the order as saved by OrderWizard.calculateTotals, so the
+ * invoice always matches what the customer was quoted
+ * @param {Object} order - Order with packages, addons and totals
+ * @returns {Object} Invoice data for invoiceService.createInvoice
+ */
+export const buildOrderInvoice = (order) => {
+  const packageLines = (order.packages || []).map((item) => {
+    const vehicle = [item.brand, item.model].filter(Boolean).join(' ') || item.vehicle_type;
+    const name = item.package_name || item.name;
+    return buildOrderLine(item, vehicle ? `${name} (${vehicle})` : name);
+  });
+  const addonLines = (order.addons || []).map((item) => buildOrderLine(item, item.addon_name));
+
+  const lineItems = [...packageLines, ...addonLines];
+  const subtotal = toNumber(order.subtotal_amount)
+    || lineItems.reduce((sum, line) => sum + line.total, 0);
+
+  // Legacy orders store a single discount instead of offer/points discounts
+  const offerDiscount = toNumber(order.offer_discount)
+    || (!order.points_discount ? toNumber(order.discount) : 0);
+  const pointsDiscount = toNumber(order.points_discount || order.points_redeemed);
+
+  return {
+    source_type: 'order',
+    source_id: order.id,
+    source_reference: order.order_number,
+    customer_id: order.customer?.id,
+    customer_name: order.customer?.name,
+    customer_phone: order.customer?.phone,
+    customer_email: order.customer?.email,
+    billing_address: [order.address?.area, order.address?.city].filter(Boolean).join(', '),
+    service_date: order.booking_date,
+    line_items: lineItems,
+    subtotal,
+    offer_name: order.offer?.name || null,
+    offer_discount: offerDiscount,
+    points_redeemed: order.points_redeemed || 0,
+    points_discount: pointsDiscount,
+    gst_percentage: toNumber(order.gst_percentage),
+    gst_amount: toNumber(order.gst_amount),
+    round_off: toNumber(order.round_off),
+    total: toNumber(order.total_amount),
+    payment_method: order.payment_method || null,
+    payment_status: order.payment_status || null,
+  };
+};
+
+/**
+ * Build an invoice snapshot for a single subscription payment
+ * Payments are recorded GST-inclusive, so the taxable value is backed out of
+ * the amount received. Rounding happens once: GST takes whatever is left, so
+ * the line and GST always add up to exactly the amount on the receipt
+ * @param {Object} subscription - Subscription with packages and GST details
+ * @param {Object} payment - Payment being invoiced
+ * @param {number} payment.amount - Amount received
+ * @param {string} payment.date - Payment date (ISO string)
+ * @param {string} payment.method - Payment method
+ * @returns {Object} Invoice data for invoiceService.createInvoice
+ */
+export const buildSubscriptionPaymentInvoice = (subscription, payment) => {
+  const gstPercentage = toNumber(subscription.gst_percentage);
+  const amount = toPaise(toNumber(payment.amount));
+  const taxableValue = toPaise(amount / (1 + gstPercentage / 100));
+  const gst = toPaise(amount - taxableValue);
+
+  const packageNames = (subscription.subscription_packages || [])
+    .map((pkg) => pkg.package?.name)
+    .filter(Boolean)
+    .join(', ');
+  const months = subscription.months_duration;
+
+  return {
+    source_type: 'subscription_payment',
+    source_id: subscription.id,
+    source_reference: subscription.subscription_number || `SUB-${subscription.id}`,
+    customer_id: subscription.customer?.id,
+    customer_name: subscription.customer?.name,
+    customer_phone: subscription.customer?.phone,
+    customer_email: subscription.customer?.email,
+    billing_address: subscription.area || '',
+    service_date: payment.date,
+    line_items: [
+      {
+        description: `${packageNames || 'Subscription'} – ${months} month${months === 1 ? '' : 's'} (${subscription.vehicle_type})`,
+        quantity: 1,
+        unit_price: taxableValue,
+        discount: 0,
+        total: taxableValue,
+        is_reward: false,
+      },
+    ],
+    subtotal: taxableValue,
+    offer_name: null,
+    offer_discount: 0,
+    points_redeemed: 0,
+    points_discount: 0,
+    gst_percentage: gstPercentage,
+    gst_amount: gst,
+    round_off: 0,
+    total: amount,
+    payment_method: payment.method || null,
+    payment_status: 'paid',
+  };
+};
+
+/**
+ * Build a fresh snapshot for re-issuing an invoice from its current source
+ * Subscription payments keep the amount, date and method of the original
+ * payment; only the subscription details are refreshed
+ * @param {Object} invoice - Invoice being re-issued
+ * @returns {Promise<Object>} Invoice data for invoiceService.reissueInvoice
+ */
+export const buildReissueInvoice = async (invoice) => {
+  if (invoice.source_type === 'subscription_payment') {
+    const data = await subscriptionService.getSubscriptionById(invoice.source_id);
+    return buildSubscriptionPaymentInvoice(data.subscription, {
+      amount: invoice.total,
+      date: invoice.service_date,
+      method: invoice.payment_method,
+    });
+  }
+
+  const data = await orderService.getOrderById(invoice.source_id);
+  return buildOrderInvoice(data.order);
+};
@@ -0,0 +1,130 @@
+import { formatCurrency, formatDate, formatTime, normalizePhone } from './utilities';
+
+/**
+ * WhatsApp message templates
+ * Templates live in business settings (whatsapp_templates) and use
+ * {{placeholder}} tokens filled from the order, enquiry or subscription
+ * the message is sent from.
+ */
+
+export const TEMPLATE_CATEGORIES = [
+  { value: 'booking_confirmation', label: 'Booking confirmation' },
+  { value: 'reminder', label: 'Reminder' },
+  { value: 'payment_request', label: 'Payment request' },
+  { value: 'review_request', label: 'Review request' },
+  { value: 'general', label: 'General' },
+];
+
+export const TEMPLATE_PLACEHOLDERS = [
+  { value: 'customer_name', label: 'Customer name' },
+  { value: 'booking_date', label: 'Booking date' },
+  { value: 'booking_time', label: 'Booking time' },
+  { value: 'package', label: 'Package(s)' },
+  { value: 'order_number', label: 'Order number' },
+  { value: 'order_total', label: 'Order total' },
+  { value: 'review_link', label: 'Review link' },
+];
+
+export const DEFAULT_WHATSAPP_TEMPLATES = [
+  {
+    id: 'booking_confirmation',
+    name: 'Booking confirmed',
+    category: 'booking_confirmation',
+    body: 'Hi {{customer_name}}, your {{package}} wash is confirmed for {{booking_date}} at {{booking_time}}. Thank you for choosing Spado!',
+  },
+  {
+    id: 'booking_reminder',
+    name: 'Wash reminder',
+    category: 'reminder',
+    body: 'Hi {{customer_name}}, a reminder that our team will be with you on {{booking_date}} at {{booking_time}} for your {{package}} wash.',
+  },
+  {
+    id: 'payment_request',
+    name: 'Payment request',
+    category: 'payment_request',
+    body: 'Hi {{customer_name}}, the amount due for order #{{order_number}} is {{order_total}}. You can pay by UPI or cash to our team. Thank you!',
+  },
+  {
+    id: 'review_request',
+    name: 'Review request',
+    category: 'review_request',
+    body: 'Hi {{customer_name}}, thank you for choosing Spado! We would love to hear how we did: {{review_link}}',
+  },
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Replace {{placeholders}} with values; unknown or empty ones are left in
+ * place so the sender can see what still needs filling in
+ * @param {string} body - Template text
+ * @param {Object} values - Placeholder values
+ */
+export const fillTemplate = (body, values) => {
+  return String(body || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+    const value = values?.[key];
+    return value === undefined || value === null || value === '' ? match : String(value);
+  });
+};
+
+/**
+ * Placeholders still present in a message
+ * @param {string} text - Message text
+ */
+export const getUnfilledPlaceholders = (text) => {
+  return [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]);
+};
+
+/**
+ * Washing schedule times are HH:MM; full timestamps are formatted as they are
+ */
+const formatScheduleTime = (time) => formatTime(/^\d{2}:\d{2}(:\d{2})?$/.test(time) ? `2000-01-01T${time}` : time);
+
+/**
+ * Placeholder values for a record
+ * @param {Object} record - One of { order, enquiry, subscription }
+ * @param {Object} settings - Business settings (for review_link)
+ */
+export const getTemplateValues = ({ order, enquiry, subscription }, settings = {}) => {
+  const values = { review_link: settings.review_link };
+
+  if (order) {
+    values.customer_name = order.customer?.name;
+    values.booking_date = order.booking_date && formatDate(order.booking_date);
+    values.booking_time = order.booking_time_from && formatTime(order.booking_time_from);
+    values.package = order.packages?.map((item) => item.package_name).filter(Boolean).join(', ');
+    values.order_number = order.order_number;
+    values.order_total = order.total_amount != null ? formatCurrency(order.total_amount) : undefined;
+  }
+
+  if (enquiry) {
+    values.customer_name = enquiry.customer?.name || enquiry.contact_name;
+    values.booking_date = enquiry.preferred_date && formatDate(enquiry.preferred_date);
+  }
+
+  if (subscription) {
+    const today = new Date().toISOString().slice(0, 10);
+    const nextWash = subscription.washing_schedules?.find((schedule) => schedule.date >= today);
+    values.customer_name = subscription.customer?.name;
+    values.booking_date = nextWash && formatDate(nextWash.date);
+    values.booking_time = nextWash?.time_from && formatScheduleTime(nextWash.time_from);
+    values.package = subscription.subscription_packages?.map((pkg) => pkg.package?.name).filter(Boolean).join(', ');
+    // Subscription price for the whole term (payment_amount is only what has been paid so far)
+    values.order_total = subscription.subscription_amount != null
+      ? formatCurrency((parseFloat(subscription.subscription_amount) || 0) * (subscription.months_duration || 1))
+      : undefined;
+  }
+
+  return values;
+};
+
+/**
+ * wa.me link for an Indian number, optionally with the message filled in
+ * @param {string} phone - Phone number
+ * @param {string} text - Message text
+ */
+export const getWhatsAppUrl = (phone, text = '') => {
+  const digits = normalizePhone(phone);
+  const number = digits.length === 10 ? `91${digits}` : digits;
+  return `https://wa.me/${number}${text ? `?text=${encodeURIComponent(text)}` : ''}`;
+};
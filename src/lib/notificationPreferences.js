@@ -0,0 +1,154 @@
+/**
+ * Notification preference rules
+ * Each event type has a setting per channel (in-app toast, push, sound) and a
+ * scope saying whose records it applies to. Quiet hours silence push and sound
+ * but keep in-app toasts.
+ *
+ * public/sw.js repeats allowsNotification/getEventScope for push messages -
+ * keep the two in step.
+ */
+
+export const NOTIFICATION_EVENTS = [
+  { value: 'order.created', label: 'New order' },
+  { value: 'order.assigned', label: 'Order assigned' },
+  { value: 'order.reassigned', label: 'Order reassigned' },
+  { value: 'order.status_changed', label: 'Order status changed' },
+  { value: 'order.assignee_response_updated', label: 'Agent response' },
+  { value: 'order.cancelled', label: 'Order cancelled' },
+  { value: 'order.feedback_added', label: 'Customer feedback' },
+  { value: 'enquiry.created', label: 'New enquiry' },
+  { value: 'enquiry.assigned', label: 'Enquiry assigned' },
+  { value: 'enquiry.status_changed', label: 'Enquiry status changed' },
+  { value: 'enquiry.sla_breached', label: 'Enquiry SLA breached' },
+];
+
+export const NOTIFICATION_CHANNELS = [
+  { value: 'toast', label: 'In-app' },
+  { value: 'push', label: 'Push' },
+  { value: 'sound', label: 'Sound' },
+];
+
+export const NOTIFICATION_SCOPES = [
+  { value: 'mine', label: 'Mine' },
+  { value: 'team', label: 'My team' },
+  { value: 'all', label: 'Everyone' },
+];
+
+// Scopes each preference scope lets through
+const SCOPE_INCLUDES = {
+  mine: ['mine'],
+  team: ['mine', 'team'],
+  all: ['mine', 'team', 'other'],
+};
+
+const rule = (toast, push, sound, scope) => ({ toast, push, sound, scope });
+const off = rule(false, false, false, 'mine');
+
+/**
+ * Default preferences for a role
+ * Agents only hear about jobs given to them; sales executives about their own
+ * orders and enquiries; admins about everything
+ * @param {string} role - User role
+ */
+export const getDefaultPreferences = (role) => {
+  const events = {};
+
+  NOTIFICATION_EVENTS.forEach(({ value }) => {
+    switch (role) {
+      case 'agent':
+        events[value] = ['order.assigned', 'order.reassigned', 'order.cancelled'].includes(value)
+          ? rule(true, true, true, 'mine')
+          : off;
+        break;
+      case 'sales_executive':
+        events[value] = rule(true, true, false, 'mine');
+        break;
+      case 'accountant':
+        events[value] = value.startsWith('order.') ? rule(true, false, false, 'all') : off;
+        break;
+      default:
+        events[value] = rule(true, true, false, 'all');
+    }
+  });
+
+  return {
+    events,
+    quiet_hours: { enabled: false, start: '22:00', end: '07:00' },
+  };
+};
+
+/**
+ * Fill in events/fields missing from saved preferences with the role defaults
+ * @param {Object} saved - Preferences from the server or device
+ * @param {string} role - User role
+ */
+export const mergeWithDefaults = (saved, role) => {
+  const defaults = getDefaultPreferences(role);
+  if (!saved) return defaults;
+
+  const events = {};
+  Object.keys(defaults.events).forEach((event) => {
+    events[event] = { ...defaults.events[event], ...saved.events?.[event] };
+  });
+
+  return {
+    events,
+    quiet_hours: { ...defaults.quiet_hours, ...saved.quiet_hours },
+  };
+};
+
+/**
+ * Check whether a time falls within quiet hours (the window may cross midnight)
+ * @param {Object} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} date - Time to check
+ */
+export const isInQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+  const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+  };
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * How a record relates to the user
+ * @param {Object} context - { assignedToId, createdById, officeId }
+ * @param {Object} user - Current user
+ * @returns {'mine'|'team'|'other'}
+ */
+export const getEventScope = (context, user) => {
+  const userId = user?.id;
+  if (userId && (context.assignedToId === userId || context.createdById === userId)) {
+    return 'mine';
+  }
+  if (user?.office_id && context.officeId && String(context.officeId) === String(user.office_id)) {
+    return 'team';
+  }
+  return 'other';
+};
+
+/**
+ * Whether an event should notify through a channel
+ * @param {Object} preferences - Notification preferences
+ * @param {string} eventName - e.g. 'order.assigned'
+ * @param {'toast'|'push'|'sound'} channel - Delivery channel
+ * @param {'mine'|'team'|'other'} scope - From getEventScope
+ * @param {Date} date - Time of delivery (for quiet hours)
+ */
+export const allowsNotification = (preferences, eventName, channel, scope, date = new Date()) => {
+  const eventRule = preferences?.events?.[eventName];
+  // Events without a preference (e.g. new event types) are not filtered
+  if (!eventRule) return true;
+
+  if (!eventRule[channel]) return false;
+  if (!SCOPE_INCLUDES[eventRule.scope]?.includes(scope)) return false;
+  if (channel !== 'toast' && isInQuietHours(preferences.quiet_hours, date)) return false;
+
+  return true;
+};
@@ -0,0 +1,78 @@
+import {
+  differenceInCalendarDays,
+  endOfMonth,
+  getDaysInMonth,
+  max,
+  min,
+  parseISO,
+  startOfMonth,
+} from 'date-fns';
+
+/**
+ * Payroll calculation
+ * - Salary scheme: fixed_salary, prorated by the days employed in the month
+ * - Commission scheme: commission_percentage of completed order value
+ * - Work incentive: work_incentive_percentage of completed order value
+ * - 5-star incentive: five_star_incentive_percentage of the value of orders rated 5 stars
+ * Order figures only cover the days employed, so only the fixed salary is prorated.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Days an employee was on the books during a month
+ * @param {Object} employee - Employee with joining_date / resignation_date
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {{ daysEmployed: number, daysInMonth: number }}
+ */
+export const getDaysEmployed = (employee, month) => {
+  const monthStart = startOfMonth(parseISO(`${month}-01`));
+  const monthEnd = endOfMonth(monthStart);
+  const daysInMonth = getDaysInMonth(monthStart);
+
+  const from = employee.joining_date ? max([monthStart, parseISO(employee.joining_date)]) : monthStart;
+  const to = employee.resignation_date ? min([monthEnd, parseISO(employee.resignation_date)]) : monthEnd;
+
+  const daysEmployed = Math.max(0, differenceInCalendarDays(to, from) + 1);
+  return { daysEmployed: Math.min(daysEmployed, daysInMonth), daysInMonth };
+};
+
+/**
+ * Payslip lines for one employee
+ * @param {Object} employee - Employee with scheme and percentages
+ * @param {Object} stats - { completed_orders, order_value, five_star_orders, five_star_value }
+ * @param {string} month - Month in YYYY-MM format
+ */
+export const calculatePayslip = (employee, stats = {}, month) => {
+  const { daysEmployed, daysInMonth } = getDaysEmployed(employee, month);
+  const orderValue = Number(stats.order_value) || 0;
+  const fiveStarValue = Number(stats.five_star_value) || 0;
+  const percent = (value, rate) => (value * (Number(rate) || 0)) / 100;
+
+  const baseSalary = employee.scheme === 'salary'
+    ? ((Number(employee.fixed_salary) || 0) * daysEmployed) / daysInMonth
+    : 0;
+  const commission = employee.scheme === 'commission'
+    ? percent(orderValue, employee.commission_percentage)
+    : 0;
+  const workIncentive = percent(orderValue, employee.work_incentive_percentage);
+  const fiveStarIncentive = percent(fiveStarValue, employee.five_star_incentive_percentage);
+
+  const payslip = {
+    employee,
+    month,
+    daysEmployed,
+    daysInMonth,
+    completedOrders: stats.completed_orders || 0,
+    orderValue,
+    fiveStarOrders: stats.five_star_orders || 0,
+    fiveStarValue,
+    baseSalary: round2(baseSalary),
+    commission: round2(commission),
+    workIncentive: round2(workIncentive),
+    fiveStarIncentive: round2(fiveStarIncentive),
+  };
+  payslip.total = round2(payslip.baseSalary + payslip.commission + payslip.workIncentive + payslip.fiveStarIncentive);
+
+  return payslip;
+};
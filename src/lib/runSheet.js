@@ -0,0 +1,162 @@
+import { differenceInMinutes } from 'date-fns';
+import { getDistanceMeters } from './utilities';
+
+/**
+ * Daily run sheet for an agent
+ * Stops are ordered by booking window; jobs sharing a start time go nearest-first
+ * from the previous stop (or the agent's home/office for the first one).
+ * Travel is estimated from straight-line distance, so treat it as a lower bound.
+ */
+
+const ROAD_FACTOR = 1.4; // Road distance vs straight line in town
+const AVERAGE_SPEED_KMPH = 25;
+export const TIGHT_GAP_MINUTES = 15; // Less slack than this after travel is flagged as tight
+
+// Google Maps directions links take at most this many waypoints between origin and destination
+const MAX_MAPS_WAYPOINTS = 9;
+
+const getCoordinates = (order) => (
+  order.address?.latitude && order.address?.longitude
+    ? { latitude: Number(order.address.latitude), longitude: Number(order.address.longitude) }
+    : null
+);
+
+const distanceKm = (from, to) => (
+  from && to ? getDistanceMeters(from.latitude, from.longitude, to.latitude, to.longitude) / 1000 : null
+);
+
+/**
+ * Where an agent starts the day: home coordinates, else their office
+ * Accepts a user from the users API (home_latitude, office_id) or the profile API (home_coordinates, office)
+ * @param {Object} person - Agent user or profile
+ * @param {Array} offices - Offices to resolve office_id against
+ * @returns {{ label: string, latitude: number, longitude: number }|null}
+ */
+export const getRunStart = (person, offices = []) => {
+  const homeLat = person?.home_coordinates?.latitude ?? person?.home_latitude;
+  const homeLng = person?.home_coordinates?.longitude ?? person?.home_longitude;
+  if (homeLat && homeLng) {
+    return { label: 'Home', latitude: Number(homeLat), longitude: Number(homeLng) };
+  }
+
+  const office = person?.office?.latitude
+    ? person.office
+    : offices.find((o) => String(o.id) === String(person?.office_id));
+  if (office?.latitude && office?.longitude) {
+    return { label: office.name || 'Office', latitude: Number(office.latitude), longitude: Number(office.longitude) };
+  }
+
+  return null;
+};
+
+/**
+ * Estimated drive time for a straight-line distance
+ * @param {number} km - Straight-line distance
+ * @returns {number} Minutes
+ */
+export const estimateTravelMinutes = (km) => Math.round(((km * ROAD_FACTOR) / AVERAGE_SPEED_KMPH) * 60);
+
+/**
+ * Order the day's stops and work out the legs between them
+ * @param {Array} orders - The agent's orders for the day
+ * @param {Object} start - From getRunStart (optional)
+ * @returns {{ stops: Array, totalKm: number, issues: number }}
+ *   Each stop: { order, distanceKm, travelMinutes, gapMinutes, issue } where issue is
+ *   'overlap' (windows overlap), 'impossible' (not enough time to drive), 'tight' or null
+ */
+export const buildRunSheet = (orders, start = null) => {
+  const remaining = [...orders].sort((a, b) => {
+    if (!a.booking_time_from) return 1;
+    if (!b.booking_time_from) return -1;
+    return new Date(a.booking_time_from) - new Date(b.booking_time_from);
+  });
+
+  const stops = [];
+  let position = start;
+  let previous = null;
+
+  while (remaining.length > 0) {
+    // Among jobs in the earliest window, take the nearest one
+    const windowStart = remaining[0].booking_time_from;
+    const candidates = remaining.filter((order) => order.booking_time_from === windowStart);
+    const next = candidates.reduce((best, order) => {
+      const bestKm = distanceKm(position, getCoordinates(best));
+      const km = distanceKm(position, getCoordinates(order));
+      return km !== null && (bestKm === null || km < bestKm) ? order : best;
+    });
+    remaining.splice(remaining.indexOf(next), 1);
+
+    const coordinates = getCoordinates(next);
+    const km = distanceKm(position, coordinates);
+    const travelMinutes = km !== null ? estimateTravelMinutes(km) : null;
+    const gapMinutes = previous?.booking_time_to && next.booking_time_from
+      ? differenceInMinutes(new Date(next.booking_time_from), new Date(previous.booking_time_to))
+      : null;
+
+    let issue = null;
+    if (gapMinutes !== null) {
+      if (gapMinutes < 0) issue = 'overlap';
+      else if (travelMinutes !== null && travelMinutes > gapMinutes) issue = 'impossible';
+      else if (gapMinutes - (travelMinutes || 0) < TIGHT_GAP_MINUTES) issue = 'tight';
+    }
+
+    stops.push({
+      order: next,
+      distanceKm: km !== null ? Math.round(km * 10) / 10 : null,
+      travelMinutes,
+      gapMinutes,
+      issue,
+    });
+
+    position = coordinates || position;
+    previous = next;
+  }
+
+  return {
+    stops,
+    totalKm: Math.round(stops.reduce((sum, stop) => sum + (stop.distanceKm || 0), 0) * 10) / 10,
+    issues: stops.filter((stop) => stop.issue === 'overlap' || stop.issue === 'impossible').length,
+  };
+};
+
+const getMapsUrl = (origin, points) => {
+  const params = new URLSearchParams({ api: '1', travelmode: 'driving' });
+  if (origin) params.set('origin', origin);
+  params.set('destination', points[points.length - 1]);
+  if (points.length > 1) params.set('waypoints', points.slice(0, -1).join('|'));
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+};
+
+/**
+ * Google Maps directions links through every stop in order
+ * Stops without coordinates use their address text. Maps caps the waypoints per
+ * link, so longer runs are split into legs, each starting where the last one ended.
+ * @param {Array} stops - From buildRunSheet
+ * @param {Object} start - From getRunStart (optional, defaults to the device location)
+ * @returns {Array<{ url: string, from: number, to: number }>} One link per leg, with the
+ *   first and last stop numbers it covers (1-based)
+ */
+export const getRunSheetMapsUrls = (stops, start = null) => {
+  const points = stops
+    .map(({ order }, index) => {
+      const coordinates = getCoordinates(order);
+      const point = coordinates ? `${coordinates.latitude},${coordinates.longitude}` : order.full_address;
+      return point ? { point, number: index + 1 } : null;
+    })
+    .filter(Boolean);
+
+  const legs = [];
+  let origin = start ? `${start.latitude},${start.longitude}` : null;
+
+  for (let i = 0; i < points.length; i += MAX_MAPS_WAYPOINTS + 1) {
+    const leg = points.slice(i, i + MAX_MAPS_WAYPOINTS + 1);
+    legs.push({
+      url: getMapsUrl(origin, leg.map(({ point }) => point)),
+      from: leg[0].number,
+      to: leg[leg.length - 1].number,
+    });
+    origin = leg[leg.length - 1].point;
+  }
+
+  return legs;
+};
@@ -1,65 +1,151 @@
+import indexedDBService from './indexedDB';
+
 /**
  * Secure Storage Utility
  * Provides encrypted storage for sensitive data in localStorage
- * Note: This is basic client-side encryption and should be used with httpOnly cookies for production
+ * Values are encrypted with AES-GCM via Web Crypto. The key is generated on
+ * the device, is non-extractable and lives in IndexedDB, so the ciphertext in
+ * localStorage is useless on its own
  */
 
-const ENCRYPTION_KEY = 'spado-secure-storage-v1'; // In production, this should be derived from user session
+const KEY_NAME = 'secure-storage';
+// Marks values written by this module; anything else is legacy plaintext
+const PREFIX = 'enc:v1:';
+
+let keyPromise = null;
 
 /**
- * Simple XOR encryption (basic obfuscation)
- * WARNING: This is NOT cryptographically secure. Use Web Crypto API for real encryption
- * This is meant as a basic layer to prevent casual inspection
+ * Get the device encryption key, creating it on first use
+ * @returns {Promise<CryptoKey>}
  */
-const simpleEncrypt = (text) => {
-  if (!text) return '';
-  
-  try {
-    const textBytes = new TextEncoder().encode(text);
-    const keyBytes = new TextEncoder().encode(ENCRYPTION_KEY);
-    
-    const encrypted = Array.from(textBytes).map((byte, i) => 
-      byte ^ keyBytes[i % keyBytes.length]
-    );
-    
-    return btoa(String.fromCharCode(...encrypted));
-  } catch (error) {
-    return text;
+const getKey = () => {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const existing = await indexedDBService.getCryptoKey(KEY_NAME);
+      if (existing) return existing;
+
+      const key = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false, // non-extractable
+        ['encrypt', 'decrypt']
+      );
+      return await indexedDBService.saveCryptoKey(KEY_NAME, key);
+    })().catch((error) => {
+      keyPromise = null;
+      throw error;
+    });
   }
+  return keyPromise;
+};
+
+// Spreading a large buffer into fromCharCode exceeds the engine's argument limit
+const BASE64_CHUNK_SIZE = 0x8000;
+
+const toBase64 = (bytes) => {
+  const data = new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < data.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...data.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+/**
+ * Encrypt a string
+ * public/sw.js decrypts this format with the same key
+ * @returns {Promise<string>} PREFIX + base64 IV + '.' + base64 ciphertext
+ */
+export const encrypt = async (text) => {
+  const key = await getKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return `${PREFIX}${toBase64(iv)}.${toBase64(cipher)}`;
 };
 
 /**
- * Simple XOR decryption
+ * Encrypt binary data (e.g. a queued upload)
+ * public/sw.js decrypts this format with the same key
+ * @param {ArrayBuffer} buffer - Data to encrypt
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
  */
-const simpleDecrypt = (encrypted) => {
-  if (!encrypted) return '';
-  
+export const encryptBytes = async (buffer) => {
+  const key = await getKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, buffer);
+  return { iv, data };
+};
+
+/**
+ * Decrypt a value produced by encrypt
+ * @returns {Promise<string>}
+ */
+const decrypt = async (value) => {
+  const key = await getKey();
+  const [iv, cipher] = value.slice(PREFIX.length).split('.');
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(cipher)
+  );
+  return new TextDecoder().decode(plain);
+};
+
+/**
+ * Read and decrypt a raw string
+ * Plaintext written before encryption existed is returned as-is and
+ * re-saved encrypted. Values that can no longer be decrypted (e.g. the
+ * key was wiped with site data) are dropped.
+ * @returns {Promise<string|null>}
+ */
+const readString = async (key) => {
+  const stored = localStorage.getItem(key);
+  if (!stored) return null;
+
+  if (!stored.startsWith(PREFIX)) {
+    await writeString(key, stored);
+    return stored;
+  }
+
   try {
-    const encryptedBytes = Uint8Array.from(atob(encrypted), c => c.charCodeAt(0));
-    const keyBytes = new TextEncoder().encode(ENCRYPTION_KEY);
-    
-    const decrypted = Array.from(encryptedBytes).map((byte, i) => 
-      byte ^ keyBytes[i % keyBytes.length]
-    );
-    
-    return new TextDecoder().decode(new Uint8Array(decrypted));
+    return await decrypt(stored);
   } catch (error) {
-    return encrypted;
+    console.error(`Failed to decrypt "${key}", discarding it:`, error);
+    localStorage.removeItem(key);
+    return null;
   }
 };
 
+let writeChain = Promise.resolve();
+
+/**
+ * Encrypt and write a raw string
+ * Writes are chained so a slow encryption cannot land after a newer value
+ */
+const writeString = (key, text) => {
+  const write = writeChain.then(async () => {
+    localStorage.setItem(key, await encrypt(text));
+  });
+  writeChain = write.catch(() => {});
+  return write;
+};
+
 /**
  * Secure storage wrapper
  */
 export const secureStorage = {
   /**
    * Set item in localStorage with encryption
+   * @returns {Promise<boolean>}
    */
-  setItem: (key, value) => {
+  setItem: async (key, value) => {
     try {
       const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
-      const encrypted = simpleEncrypt(stringValue);
-      localStorage.setItem(key, encrypted);
+      await writeString(key, stringValue);
       return true;
     } catch (error) {
       return false;
@@ -68,14 +154,13 @@ export const secureStorage = {
 
   /**
    * Get item from localStorage with decryption
+   * @returns {Promise<*>}
    */
-  getItem: (key) => {
+  getItem: async (key) => {
     try {
-      const encrypted = localStorage.getItem(key);
-      if (!encrypted) return null;
-      
-      const decrypted = simpleDecrypt(encrypted);
-      
+      const decrypted = await readString(key);
+      if (decrypted === null) return null;
+
       // Try to parse as JSON
       try {
         return JSON.parse(decrypted);
@@ -119,6 +204,33 @@ export const secureStorage = {
   }
 };
 
+/**
+ * Encrypted StateStorage for zustand's persist middleware
+ * Use with createJSONStorage(() => encryptedStateStorage)
+ */
+export const encryptedStateStorage = {
+  getItem: async (key) => {
+    try {
+      return await readString(key);
+    } catch (error) {
+      console.error(`Failed to read "${key}":`, error);
+      return null;
+    }
+  },
+
+  setItem: async (key, value) => {
+    try {
+      await writeString(key, value);
+    } catch (error) {
+      console.error(`Failed to write "${key}":`, error);
+    }
+  },
+
+  removeItem: (key) => {
+    localStorage.removeItem(key);
+  },
+};
+
 /**
  * Session storage wrapper (for temporary data)
  */
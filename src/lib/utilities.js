@@ -117,6 +117,61 @@ export const calculateRoundOff = (amount) => {
   };
 };
 
+/**
+ * Normalize an Indian mobile number to its 10 digits
+ * Strips spaces and dashes, a +91 / 0091 country code and a leading trunk 0
+ * @param {string} phone - Phone number as typed
+ * @returns {string} 10 digit number, or the remaining digits for partial input
+ */
+export const normalizePhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 14 && digits.startsWith('0091')) {
+    digits = digits.slice(4);
+  } else if (digits.length === 12 && digits.startsWith('91')) {
+    digits = digits.slice(2);
+  } else if (digits.length === 11 && digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+  return digits;
+};
+
+/**
+ * Build a Google Maps directions URL to a service address
+ * Prefers exact coordinates, then the saved map link, then the address text
+ * @param {Object} address - Address with latitude/longitude/map_link
+ * @param {string} fallbackText - Address text used when no location is saved
+ * @returns {string|null} Directions URL or null if nothing to navigate to
+ */
+export const getDirectionsUrl = (address, fallbackText = '') => {
+  if (address?.latitude && address?.longitude) {
+    return `https://www.google.com/maps/dir/?api=1&destination=${address.latitude},${address.longitude}`;
+  }
+  if (address?.map_link) {
+    return address.map_link;
+  }
+  if (fallbackText) {
+    return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(fallbackText)}`;
+  }
+  return null;
+};
+
+/**
+ * Straight-line distance between two coordinates (haversine)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+export const getDistanceMeters = (lat1, lng1, lat2, lng2) => {
+  const toRad = (deg) => (Number(deg) * Math.PI) / 180;
+  const dLat = toRad(lat2) - toRad(lat1);
+  const dLng = toRad(lng2) - toRad(lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
 /**
  * Expand shortened URL using backend API
  * @param {string} shortUrl - Shortened URL to expand
@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback } from 'react';
+import { format, addDays, subDays, isToday } from 'date-fns';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import AgentJobCard from '../components/AgentJobCard';
+import { toast } from 'sonner';
+import { ChevronLeft, ChevronRight, Briefcase, RefreshCw } from 'lucide-react';
+import orderService from '../services/orderService';
+import useAuthStore from '../store/authStore';
+
+/**
+ * Agent Jobs Page
+ * A field agent's assigned orders for a day, in booking time order
+ */
+const AgentJobs = () => {
+  const { user } = useAuthStore();
+  const [date, setDate] = useState(new Date());
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await orderService.getAllOrders({
+        booking_date: format(date, 'yyyy-MM-dd'),
+        assigned_to_id: user?.id,
+        per_page: 100,
+      });
+
+      const assigned = (response.orders || [])
+        .filter((order) => order.status !== 'draft' && order.assigned_to?.id === user?.id)
+        .sort((a, b) => new Date(a.booking_time_from).getTime() - new Date(b.booking_time_from).getTime());
+
+      setJobs(assigned);
+    } catch (error) {
+      toast.error('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [date, user?.id]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const remaining = jobs.filter((job) => job.status === 'confirmed' || job.status === 'in_progress').length;
+
+  return (
+    <div className="p-4 md:p-6 space-y-6 max-w-2xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">My Jobs</h1>
+          <p className="text-gray-600 mt-1">
+            {jobs.length} job{jobs.length === 1 ? '' : 's'}, {remaining} remaining
+          </p>
+        </div>
+        <Button variant="outline" size="icon" onClick={fetchJobs} disabled={loading}>
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </Button>
+      </div>
+
+      {/* Day switcher */}
+      <Card className="p-2 flex items-center justify-between">
+        <Button variant="ghost" size="icon" onClick={() => setDate((d) => subDays(d, 1))}>
+          <ChevronLeft className="h-5 w-5" />
+        </Button>
+        <button
+          className="text-sm font-semibold"
+          onClick={() => setDate(new Date())}
+        >
+          {isToday(date) ? 'Today' : format(date, 'EEE, MMM dd')}
+        </button>
+        <Button variant="ghost" size="icon" onClick={() => setDate((d) => addDays(d, 1))}>
+          <ChevronRight className="h-5 w-5" />
+        </Button>
+      </Card>
+
+      {/* Job List */}
+      {loading && jobs.length === 0 ? (
+        <div className="space-y-3">
+          {[...Array(3)].map((_, i) => (
+            <Skeleton key={i} className="h-48 w-full rounded-xl" />
+          ))}
+        </div>
+      ) : jobs.length === 0 ? (
+        <Card className="p-12 text-center">
+          <Briefcase className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No jobs scheduled</h3>
+          <p className="text-gray-600">Jobs assigned to you for this day will appear here</p>
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {jobs.map((job) => (
+            <AgentJobCard key={job.id} order={job} onUpdated={fetchJobs} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgentJobs;
@@ -0,0 +1,486 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Switch } from '../components/ui/switch';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { ConfirmDialog } from '../components/ui/confirm-dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from '../components/ui/sheet';
+import { toast } from 'sonner';
+import {
+  Plus,
+  ArrowUp,
+  ArrowDown,
+  Edit2,
+  Trash2,
+  Loader2,
+  Shuffle,
+  UserCheck,
+  History,
+} from 'lucide-react';
+import AssignmentRuleForm from '../components/AssignmentRuleForm';
+import assignmentRuleService from '../services/assignmentRuleService';
+import userService from '../services/userService';
+import { USER_ROLES } from '../lib/constants';
+import {
+  ENQUIRY_SOURCE_OPTIONS,
+  ENQUIRY_SOURCE_LABELS,
+  ASSIGNMENT_STRATEGY_LABELS,
+} from '../constants/enquiryConstants';
+
+const AUDIT_PER_PAGE = 20;
+
+/**
+ * Assignment Rules Page Component
+ * Admin editor for automatic lead assignment, with a next-lead preview and audit trail
+ */
+const AssignmentRules = () => {
+  const navigate = useNavigate();
+  const [rules, setRules] = useState([]);
+  const [salesUsers, setSalesUsers] = useState([]);
+  const [workload, setWorkload] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Rule form
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedRule, setSelectedRule] = useState(null);
+  const [deleteRule, setDeleteRule] = useState(null);
+
+  // Preview
+  const [previewSource, setPreviewSource] = useState('any');
+  const [previewArea, setPreviewArea] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
+  // Audit trail
+  const [audits, setAudits] = useState([]);
+  const [auditPage, setAuditPage] = useState(1);
+  const [auditHasMore, setAuditHasMore] = useState(false);
+  const [auditLoading, setAuditLoading] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const [rulesRes, workloadRes] = await Promise.all([
+        assignmentRuleService.getRules(),
+        assignmentRuleService.getWorkload(),
+      ]);
+      setRules(rulesRes.assignment_rules || []);
+      setWorkload(workloadRes.users || []);
+    } catch (error) {
+      toast.error('Failed to load assignment rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchAudits = useCallback(async (page = 1) => {
+    setAuditLoading(true);
+    try {
+      const response = await assignmentRuleService.getAuditLog({ page, per_page: AUDIT_PER_PAGE });
+      const items = response.audits || [];
+      setAudits((prev) => (page === 1 ? items : [...prev, ...items]));
+      setAuditPage(page);
+      setAuditHasMore(page < (response.pagination?.total_pages || 1));
+    } catch (error) {
+      toast.error('Failed to load assignment history');
+    } finally {
+      setAuditLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+    fetchAudits(1);
+    userService.getAllUsers()
+      .then((response) => {
+        const users = response.users || response || [];
+        setSalesUsers(users.filter((u) => u.role === USER_ROLES.SALES_EXECUTIVE));
+      })
+      .catch(() => toast.error('Failed to load sales executives'));
+  }, [fetchRules, fetchAudits]);
+
+  const openForm = (rule = null) => {
+    setSelectedRule(rule);
+    setFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setFormOpen(false);
+    setSelectedRule(null);
+  };
+
+  // Handle rule form submit
+  const handleSubmit = async (ruleData) => {
+    if (selectedRule?.id) {
+      await assignmentRuleService.updateRule(selectedRule.id, ruleData);
+      toast.success('Rule updated successfully');
+    } else {
+      await assignmentRuleService.createRule(ruleData);
+      toast.success('Rule created successfully');
+    }
+    closeForm();
+    setPreview(null);
+    fetchRules();
+  };
+
+  const handleToggleActive = async (rule, active) => {
+    setRules((prev) => prev.map((r) => (r.id === rule.id ? { ...r, active } : r)));
+    try {
+      await assignmentRuleService.updateRule(rule.id, { active });
+      setPreview(null);
+    } catch (error) {
+      setRules((prev) => prev.map((r) => (r.id === rule.id ? { ...r, active: rule.active } : r)));
+      toast.error('Failed to update rule');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await assignmentRuleService.deleteRule(deleteRule.id);
+      toast.success('Rule deleted');
+      setPreview(null);
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete rule');
+    }
+  };
+
+  // Rules are evaluated top to bottom
+  const handleMove = async (index, direction) => {
+    const swapIndex = index + direction;
+    if (swapIndex < 0 || swapIndex >= rules.length) return;
+
+    const reordered = [...rules];
+    [reordered[index], reordered[swapIndex]] = [reordered[swapIndex], reordered[index]];
+
+    setRules(reordered);
+    try {
+      await assignmentRuleService.reorderRules(reordered.map((rule) => rule.id));
+      setPreview(null);
+    } catch (error) {
+      setRules(rules);
+      toast.error('Failed to save order');
+    }
+  };
+
+  const handlePreview = async () => {
+    setPreviewLoading(true);
+    try {
+      const params = {};
+      if (previewSource !== 'any') params.source = previewSource;
+      if (previewArea.trim()) params.area = previewArea.trim();
+      setPreview(await assignmentRuleService.previewNextAssignment(params));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to preview assignment');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const getUserName = (userId) => salesUsers.find((u) => u.id === userId)?.name || `User #${userId}`;
+
+  const describeMatch = (rule) => {
+    const parts = [];
+    parts.push(rule.sources?.length
+      ? rule.sources.map((s) => ENQUIRY_SOURCE_LABELS[s] || s).join(', ')
+      : 'Any source');
+    parts.push(rule.areas?.length ? rule.areas.join(', ') : 'any area');
+    return parts.join(' · ');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Lead Assignment</h1>
+            <p className="text-gray-600 mt-1">
+              New enquiries without an assignee go to the first active rule that matches
+            </p>
+          </div>
+          <Button onClick={() => openForm()}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </Button>
+        </div>
+
+        {/* Preview */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <UserCheck className="h-5 w-5" />
+              Who gets the next lead?
+            </CardTitle>
+            <CardDescription>Test the rules without assigning anything</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] gap-3 items-end">
+              <div className="space-y-2">
+                <Label>Source</Label>
+                <Select value={previewSource} onValueChange={setPreviewSource}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any source</SelectItem>
+                    {ENQUIRY_SOURCE_OPTIONS.map((source) => (
+                      <SelectItem key={source.value} value={source.value}>
+                        {source.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="preview-area">Area</Label>
+                <Input
+                  id="preview-area"
+                  value={previewArea}
+                  onChange={(e) => setPreviewArea(e.target.value)}
+                  placeholder="Any area"
+                />
+              </div>
+              <Button onClick={handlePreview} disabled={previewLoading}>
+                {previewLoading ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Shuffle className="h-4 w-4 mr-2" />
+                )}
+                Preview
+              </Button>
+            </div>
+            {preview && (
+              <div className="rounded-lg bg-gray-50 p-4 text-sm">
+                {preview.assignee ? (
+                  <>
+                    <p className="font-semibold text-gray-900">{preview.assignee.name}</p>
+                    <p className="text-muted-foreground">
+                      {preview.rule ? `Rule "${preview.rule.name}"` : 'No rule'}
+                      {preview.reason && ` · ${preview.reason}`}
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-muted-foreground">
+                    {preview.reason || 'No rule matches - the enquiry would stay unassigned'}
+                  </p>
+                )}
+              </div>
+            )}
+            {workload.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {workload.map((user) => (
+                  <span key={user.id} className="inline-flex items-center gap-1 rounded-full border bg-white px-3 py-1 text-xs">
+                    {user.name}
+                    <span className="font-semibold">{user.open_leads}</span>
+                    open
+                  </span>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Rules */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Rules</CardTitle>
+            <CardDescription>Checked from top to bottom</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {loading ? (
+              <>
+                <Skeleton className="h-20 w-full rounded-lg" />
+                <Skeleton className="h-20 w-full rounded-lg" />
+              </>
+            ) : rules.length === 0 ? (
+              <p className="text-sm text-muted-foreground text-center py-6">
+                No rules yet - new enquiries are left for manual assignment
+              </p>
+            ) : (
+              rules.map((rule, index) => (
+                <div
+                  key={rule.id}
+                  className={`rounded-lg border p-3 flex items-start gap-3 ${rule.active ? 'bg-white' : 'bg-gray-50 opacity-70'}`}
+                >
+                  <div className="flex flex-col">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      disabled={index === 0}
+                      onClick={() => handleMove(index, -1)}
+                      title="Move up"
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      disabled={index === rules.length - 1}
+                      onClick={() => handleMove(index, 1)}
+                      title="Move down"
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  <div className="flex-1 min-w-0 space-y-1">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <p className="font-semibold text-gray-900">{rule.name}</p>
+                      <Badge2 variant="secondary">{ASSIGNMENT_STRATEGY_LABELS[rule.strategy] || rule.strategy}</Badge2>
+                      {rule.max_open_leads && (
+                        <Badge2 variant="outline">Max {rule.max_open_leads} open</Badge2>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground">{describeMatch(rule)}</p>
+                    <p className="text-xs text-gray-700">
+                      {(rule.members || [])
+                        .map((m) => (rule.strategy === 'weighted' ? `${getUserName(m.user_id)} ×${m.weight}` : getUserName(m.user_id)))
+                        .join(', ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Switch
+                      checked={rule.active}
+                      onCheckedChange={(checked) => handleToggleActive(rule, checked)}
+                      aria-label="Active"
+                    />
+                    <Button variant="ghost" size="sm" className="h-8 w-8 p-0" onClick={() => openForm(rule)}>
+                      <Edit2 className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-8 w-8 p-0 text-red-600 hover:text-red-700"
+                      onClick={() => setDeleteRule(rule)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Audit Trail */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <History className="h-5 w-5" />
+              Assignment History
+            </CardTitle>
+            <CardDescription>Every automatic assignment and the rule that made it</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {audits.length === 0 && !auditLoading ? (
+              <p className="text-sm text-muted-foreground text-center py-6">No automatic assignments yet</p>
+            ) : (
+              <div className="overflow-x-auto text-sm">
+                <table className="w-full">
+                  <thead className="border-b">
+                    <tr className="text-left">
+                      <th className="px-3 py-2 font-semibold">When</th>
+                      <th className="px-3 py-2 font-semibold">Enquiry</th>
+                      <th className="px-3 py-2 font-semibold">Assigned To</th>
+                      <th className="px-3 py-2 font-semibold">Rule</th>
+                      <th className="px-3 py-2 font-semibold">Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {audits.map((audit) => (
+                      <tr key={audit.id} className="border-b last:border-0">
+                        <td className="px-3 py-2 whitespace-nowrap text-muted-foreground">
+                          {format(new Date(audit.created_at), 'dd MMM, h:mm a')}
+                        </td>
+                        <td className="px-3 py-2">
+                          <button
+                            type="button"
+                            onClick={() => navigate(`/enquiries/${audit.enquiry?.id}`)}
+                            className="hover:underline text-left"
+                          >
+                            {audit.enquiry?.contact_name || audit.enquiry?.contact_phone || `#${audit.enquiry?.id}`}
+                          </button>
+                          {audit.enquiry?.source && (
+                            <span className="block text-xs text-muted-foreground">
+                              {ENQUIRY_SOURCE_LABELS[audit.enquiry.source] || audit.enquiry.source}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">{audit.assigned_to?.name || '—'}</td>
+                        <td className="px-3 py-2">{audit.rule?.name || '—'}</td>
+                        <td className="px-3 py-2 text-muted-foreground">{audit.reason || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {auditLoading && (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+              </div>
+            )}
+            {auditHasMore && !auditLoading && (
+              <div className="flex justify-center pt-4">
+                <Button variant="outline" size="sm" onClick={() => fetchAudits(auditPage + 1)}>
+                  Load more
+                </Button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Rule Form Sheet */}
+      <Sheet open={formOpen} onOpenChange={(open) => !open && closeForm()}>
+        <SheetContent className="sm:max-w-xl overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>{selectedRule?.id ? 'Edit Rule' : 'Add Rule'}</SheetTitle>
+            <SheetDescription>
+              Applies to enquiries created from now on
+            </SheetDescription>
+          </SheetHeader>
+          {formOpen && (
+            <AssignmentRuleForm
+              rule={selectedRule}
+              salesUsers={salesUsers}
+              onSubmit={handleSubmit}
+              onCancel={closeForm}
+            />
+          )}
+        </SheetContent>
+      </Sheet>
+
+      <ConfirmDialog
+        open={!!deleteRule}
+        onOpenChange={(open) => !open && setDeleteRule(null)}
+        onConfirm={handleDelete}
+        title="Delete rule?"
+        description={`"${deleteRule?.name}" will no longer assign new enquiries. Past assignments stay in the history.`}
+        confirmText="Delete"
+        variant="destructive"
+      />
+    </div>
+  );
+};
+
+export default AssignmentRules;
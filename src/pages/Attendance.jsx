@@ -0,0 +1,255 @@
+import { useState, useEffect, useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import { toast } from 'sonner';
+import attendanceService from '../services/attendanceService';
+import userService from '../services/userService';
+import useSettingsStore from '../store/settingsStore';
+import { USER_ROLES, formatTimeDisplay } from '../lib/constants';
+import { formatTime } from '../lib/utilities';
+import {
+  formatWorkedTime,
+  getWorkedMinutes,
+  isLateCheckIn,
+  isMissedCheckOut,
+  summarizeAttendance,
+} from '../lib/attendance';
+
+const RECORD_FILTERS = [
+  { value: 'all', label: 'All days' },
+  { value: 'late', label: 'Late arrivals' },
+  { value: 'missed', label: 'Missed check-outs' },
+];
+
+/**
+ * Attendance Register Page (Admin Only)
+ * Monthly agent check-ins with late arrivals, missed check-outs and totals per agent
+ */
+const Attendance = () => {
+  const { settings } = useSettingsStore();
+  const [month, setMonth] = useState(format(new Date(), 'yyyy-MM'));
+  const [agentFilter, setAgentFilter] = useState('all');
+  const [recordFilter, setRecordFilter] = useState('all');
+  const [agents, setAgents] = useState([]);
+  const [attendances, setAttendances] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    userService.getAllUsers()
+      .then((response) => {
+        const users = response.users || response || [];
+        setAgents(users.filter((u) => u.role === USER_ROLES.AGENT));
+      })
+      .catch(() => setAgents([]));
+  }, []);
+
+  useEffect(() => {
+    if (!month) return;
+
+    const fetchAttendances = async () => {
+      setLoading(true);
+      try {
+        const params = { month };
+        if (agentFilter !== 'all') params.user_id = agentFilter;
+        const response = await attendanceService.getAttendances(params);
+        setAttendances(response.attendances || []);
+      } catch (error) {
+        toast.error('Failed to load attendance');
+        setAttendances([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAttendances();
+  }, [month, agentFilter]);
+
+  const summaries = useMemo(() => summarizeAttendance(attendances, settings), [attendances, settings]);
+
+  const records = attendances
+    .filter((attendance) => {
+      if (recordFilter === 'late') return isLateCheckIn(attendance.check_in_time, settings);
+      if (recordFilter === 'missed') return isMissedCheckOut(attendance);
+      return true;
+    })
+    .sort((a, b) => b.date.localeCompare(a.date) || (a.user?.name || '').localeCompare(b.user?.name || ''));
+
+  const monthLabel = month ? format(parseISO(`${month}-01`), 'MMMM yyyy') : '';
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Attendance</h1>
+          <p className="text-gray-600 mt-1">
+            Agent check-ins · shift starts {formatTimeDisplay(settings.attendance_start_time)}, {settings.late_grace_minutes} min grace
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="attendance-month" className="text-xs">Month</Label>
+            <Input
+              id="attendance-month"
+              type="month"
+              value={month}
+              max={format(new Date(), 'yyyy-MM')}
+              onChange={(e) => setMonth(e.target.value)}
+              className="w-44"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs">Agent</Label>
+            <Select value={agentFilter} onValueChange={setAgentFilter}>
+              <SelectTrigger className="w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All agents</SelectItem>
+                {agents.map((agent) => (
+                  <SelectItem key={agent.id} value={String(agent.id)}>{agent.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+      </div>
+
+      {/* Monthly Totals */}
+      <Card>
+        <CardHeader>
+          <CardTitle>{monthLabel}</CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          {loading ? (
+            <div className="p-4 space-y-3">
+              {[...Array(3)].map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : summaries.length === 0 ? (
+            <p className="text-center text-muted-foreground py-10">No check-ins in {monthLabel}</p>
+          ) : (
+            <div className="overflow-x-auto text-sm">
+              <table className="w-full">
+                <thead className="border-b">
+                  <tr className="text-left">
+                    <th className="px-4 py-3 font-semibold">Agent</th>
+                    <th className="px-4 py-3 font-semibold text-right">Days Present</th>
+                    <th className="px-4 py-3 font-semibold text-right">Late</th>
+                    <th className="px-4 py-3 font-semibold text-right">Missed Check-outs</th>
+                    <th className="px-4 py-3 font-semibold text-right">Hours</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summaries.map((summary) => (
+                    <tr key={summary.user?.id} className="border-b last:border-0">
+                      <td className="px-4 py-3 font-medium">{summary.user?.name}</td>
+                      <td className="px-4 py-3 text-right">{summary.daysPresent}</td>
+                      <td className={`px-4 py-3 text-right ${summary.lateArrivals > 0 ? 'text-amber-600 font-semibold' : ''}`}>
+                        {summary.lateArrivals}
+                      </td>
+                      <td className={`px-4 py-3 text-right ${summary.missedCheckOuts > 0 ? 'text-red-600 font-semibold' : ''}`}>
+                        {summary.missedCheckOuts}
+                      </td>
+                      <td className="px-4 py-3 text-right">{formatWorkedTime(summary.workedMinutes)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Daily Register */}
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <CardTitle>Register</CardTitle>
+          <Select value={recordFilter} onValueChange={setRecordFilter}>
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RECORD_FILTERS.map((filter) => (
+                <SelectItem key={filter.value} value={filter.value}>{filter.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent className="p-0">
+          {loading ? (
+            <div className="p-4 space-y-3">
+              {[...Array(5)].map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : records.length === 0 ? (
+            <p className="text-center text-muted-foreground py-10">No records</p>
+          ) : (
+            <div className="overflow-x-auto text-sm">
+              <table className="w-full">
+                <thead className="border-b">
+                  <tr className="text-left">
+                    <th className="px-4 py-3 font-semibold">Date</th>
+                    <th className="px-4 py-3 font-semibold">Agent</th>
+                    <th className="px-4 py-3 font-semibold">Check-in</th>
+                    <th className="px-4 py-3 font-semibold">Check-out</th>
+                    <th className="px-4 py-3 font-semibold text-right">Hours</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.map((attendance) => {
+                    const late = isLateCheckIn(attendance.check_in_time, settings);
+                    const missed = isMissedCheckOut(attendance);
+                    return (
+                      <tr key={attendance.id} className="border-b last:border-0">
+                        <td className="px-4 py-3 whitespace-nowrap">{format(parseISO(attendance.date), 'EEE, MMM dd')}</td>
+                        <td className="px-4 py-3 font-medium">{attendance.user?.name}</td>
+                        <td className="px-4 py-3">
+                          <div className="flex items-center gap-2">
+                            {formatTime(attendance.check_in_time)}
+                            {late && <Badge2 variant="warning" className="text-[10px] h-5">Late</Badge2>}
+                          </div>
+                          {attendance.check_in_site && (
+                            <p className="text-xs text-muted-foreground capitalize">
+                              {attendance.check_in_site}
+                              {attendance.check_in_distance_meters != null && ` · ${attendance.check_in_distance_meters} m`}
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          {attendance.check_out_time
+                            ? formatTime(attendance.check_out_time)
+                            : missed
+                              ? <Badge2 variant="destructive" className="text-[10px] h-5">Missed</Badge2>
+                              : <span className="text-muted-foreground">—</span>}
+                        </td>
+                        <td className="px-4 py-3 text-right">
+                          {attendance.check_out_time ? formatWorkedTime(getWorkedMinutes(attendance)) : '—'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Attendance;
@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { Checkbox } from '../components/ui/checkbox';
+import { ConfirmDialog } from '../components/ui/confirm-dialog';
+import LetterAvatar from '../components/LetterAvatar';
+import { toast } from 'sonner';
+import { ArrowLeft, Merge, Phone, MapPin, CheckCircle } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import customerService from '../services/customerService';
+
+/**
+ * Pick the customer to keep by default: most orders, then the oldest record
+ */
+const getDefaultPrimary = (customers) => {
+  const sorted = [...customers].sort((a, b) => {
+    const orders = (b.orders_count || 0) - (a.orders_count || 0);
+    if (orders !== 0) return orders;
+    return new Date(a.created_at) - new Date(b.created_at);
+  });
+  return sorted[0]?.id;
+};
+
+/**
+ * Customers of a group folded into the kept one: everyone not unticked
+ */
+const getDuplicateIds = (group, primaryId, excludedIds = []) => (
+  group.customers
+    .filter((c) => c.id !== primaryId && !excludedIds.includes(c.id))
+    .map((c) => c.id)
+);
+
+/**
+ * Customer Duplicates Page Component
+ * Admin tool to fold customers sharing a phone number into one record.
+ * Members who only share the number (family, fleet owners) can be left out
+ */
+const CustomerDuplicates = () => {
+  const navigate = useNavigate();
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [primaryIds, setPrimaryIds] = useState({});
+  const [excludedIds, setExcludedIds] = useState({}); // phone -> customer IDs left out of the merge
+  const [mergeGroup, setMergeGroup] = useState(null);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      const response = await customerService.getDuplicateGroups();
+      const fetched = response.groups || [];
+      setGroups(fetched);
+      setPrimaryIds(Object.fromEntries(fetched.map((g) => [g.phone, getDefaultPrimary(g.customers)])));
+    } catch (error) {
+      toast.error('Failed to load duplicate customers');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGroups();
+  }, [fetchGroups]);
+
+  const toggleMember = (phone, customerId) => {
+    setExcludedIds((prev) => {
+      const excluded = prev[phone] || [];
+      return {
+        ...prev,
+        [phone]: excluded.includes(customerId)
+          ? excluded.filter((id) => id !== customerId)
+          : [...excluded, customerId],
+      };
+    });
+  };
+
+  const selectPrimary = (phone, customerId) => {
+    setPrimaryIds((prev) => ({ ...prev, [phone]: customerId }));
+    // The kept customer is always part of the merge
+    setExcludedIds((prev) => ({ ...prev, [phone]: (prev[phone] || []).filter((id) => id !== customerId) }));
+  };
+
+  const handleMerge = async () => {
+    const primaryId = primaryIds[mergeGroup.phone];
+    const duplicateIds = getDuplicateIds(mergeGroup, primaryId, excludedIds[mergeGroup.phone]);
+    try {
+      const response = await customerService.mergeCustomers(primaryId, duplicateIds);
+      const merged = response.merged || {};
+      toast.success(
+        `Merged into ${response.customer?.name || 'customer'}: ${merged.orders || 0} orders, ` +
+        `${merged.subscriptions || 0} subscriptions, ${merged.loyalty_points || 0} loyalty points moved`
+      );
+      // Customers left out still share the number with the kept one
+      setGroups((prev) => prev
+        .map((g) => (g.phone === mergeGroup.phone
+          ? { ...g, customers: g.customers.filter((c) => !duplicateIds.includes(c.id)) }
+          : g))
+        .filter((g) => g.customers.length > 1));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to merge customers');
+    }
+  };
+
+  const mergePrimary = mergeGroup?.customers.find((c) => c.id === primaryIds[mergeGroup.phone]);
+  const mergeCount = mergeGroup
+    ? getDuplicateIds(mergeGroup, primaryIds[mergeGroup.phone], excludedIds[mergeGroup.phone]).length
+    : 0;
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-start gap-3">
+        <Button variant="ghost" size="sm" className="h-9 w-9 p-0" onClick={() => navigate('/customers')}>
+          <ArrowLeft className="h-5 w-5" />
+        </Button>
+        <div>
+          <h1 className="text-2xl font-bold flex items-center gap-2">
+            <Merge className="h-7 w-7" strokeWidth={1.5} />
+            Duplicate Customers
+          </h1>
+          <p className="text-muted-foreground">
+            Customers sharing a phone number. Choose the record to keep - orders, loyalty points,
+            subscriptions and enquiries of the ticked others move onto it. Untick anyone who is a
+            different customer using the same number.
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="space-y-4">
+          <Skeleton className="h-40 w-full rounded-xl" />
+          <Skeleton className="h-40 w-full rounded-xl" />
+        </div>
+      ) : groups.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center">
+            <CheckCircle className="h-10 w-10 text-green-500 mx-auto mb-3" />
+            <p className="font-medium">No duplicate customers</p>
+            <p className="text-sm text-muted-foreground">Every phone number belongs to a single customer</p>
+          </CardContent>
+        </Card>
+      ) : (
+        groups.map((group) => (
+          <Card key={group.phone}>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+              <div>
+                <CardTitle className="flex items-center gap-2 text-lg">
+                  <Phone className="h-4 w-4" />
+                  +91 {group.phone}
+                </CardTitle>
+                <CardDescription>{group.customers.length} customers</CardDescription>
+              </div>
+              <Button
+                size="sm"
+                onClick={() => setMergeGroup(group)}
+                disabled={getDuplicateIds(group, primaryIds[group.phone], excludedIds[group.phone]).length === 0}
+              >
+                <Merge className="h-4 w-4 mr-2" />
+                Merge
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {group.customers.map((customer) => {
+                const isPrimary = primaryIds[group.phone] === customer.id;
+                const isExcluded = (excludedIds[group.phone] || []).includes(customer.id);
+                return (
+                  <div
+                    key={customer.id}
+                    className={cn(
+                      'flex items-center gap-3 rounded-lg border p-3 transition-colors',
+                      isPrimary ? 'border-primary bg-primary/5' : 'hover:bg-gray-50',
+                      isExcluded && 'opacity-60'
+                    )}
+                  >
+                    <Checkbox
+                      checked={!isExcluded}
+                      disabled={isPrimary}
+                      onCheckedChange={() => toggleMember(group.phone, customer.id)}
+                      aria-label={`Include ${customer.name} in the merge`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => selectPrimary(group.phone, customer.id)}
+                      className="flex-1 flex items-center gap-3 min-w-0 text-left"
+                    >
+                      <LetterAvatar name={customer.name} size="sm" />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium truncate capitalize">
+                          {customer.name}
+                          {isPrimary && <span className="ml-2 text-xs font-semibold text-primary">Keep</span>}
+                        </p>
+                        <p className="text-xs text-muted-foreground flex items-center gap-1">
+                          {customer.area && (
+                            <>
+                              <MapPin className="h-3 w-3" />
+                              {customer.area} ·
+                            </>
+                          )}
+                          Since {format(new Date(customer.created_at), 'MMM yyyy')}
+                        </p>
+                      </div>
+                      <div className="text-right text-xs text-muted-foreground space-y-0.5">
+                        <p>{customer.orders_count || 0} orders</p>
+                        <p>{customer.loyalty_points || 0} points</p>
+                        {customer.active_subscriptions_count > 0 && (
+                          <p>{customer.active_subscriptions_count} active subscriptions</p>
+                        )}
+                      </div>
+                    </button>
+                  </div>
+                );
+              })}
+            </CardContent>
+          </Card>
+        ))
+      )}
+
+      <ConfirmDialog
+        open={!!mergeGroup}
+        onOpenChange={(open) => !open && setMergeGroup(null)}
+        onConfirm={handleMerge}
+        title="Merge customers?"
+        description={`${mergeCount} duplicate record(s) will be folded into ${mergePrimary?.name || 'the selected customer'} and removed. Unticked customers stay separate. This cannot be undone.`}
+        confirmText="Merge"
+        variant="destructive"
+      />
+    </div>
+  );
+};
+
+export default CustomerDuplicates;
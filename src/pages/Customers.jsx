@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Card } from '../components/ui/card';
@@ -25,6 +26,9 @@ import {
 } from '../components/ui/alert-dialog';
 import { toast } from 'sonner';
 import customerService from '../services/customerService';
+import useAuthStore from '../store/authStore';
+import indexedDBService from '../lib/indexedDB';
+import LastUpdated from '../components/LastUpdated';
 import {
   Plus,
   Search,
@@ -44,6 +48,7 @@ import {
   Filter,
   ArrowLeft,
   X,
+  Merge,
 } from 'lucide-react';
 import OrderWizard from '../components/OrderWizard';
 import { format } from 'date-fns';
@@ -63,16 +68,22 @@ import {
   SelectTrigger,
   SelectValue,
 } from '../components/ui/select';
+import OfficeFilter from '../components/OfficeFilter';
+import useOfficeStore from '../store/officeStore';
 
 /**
  * Customers Page Component
  * Manages customer list with search, filters, pagination, and CRUD operations
  */
 const Customers = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuthStore();
+  const { selectedOfficeId } = useOfficeStore();
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [searchInput, setSearchInput] = useState('');
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
+  const [searchInput, setSearchInput] = useState(searchParams.get('search') || '');
   const [dateFilter, setDateFilter] = useState('all');
   const [customDays, setCustomDays] = useState('');
   const [customMonths, setCustomMonths] = useState('');
@@ -83,6 +94,7 @@ const Customers = () => {
   const [totalCount, setTotalCount] = useState(0);
   const [hasMore, setHasMore] = useState(true);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
+  const [updatedAt, setUpdatedAt] = useState(null); // When the list was last loaded from the server
 
   // Refs for infinite scroll
   const observerTarget = useRef(null);
@@ -110,18 +122,55 @@ const Customers = () => {
   // Form ref
   const formRef = useRef(null);
 
+  // Show customers cached on this device (read-only, no paging)
+  const showCachedCustomers = async () => {
+    const cached = (await indexedDBService.searchCachedCustomers(searchTerm))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    setCustomers(cached);
+    setTotalPages(1);
+    setTotalCount(cached.length);
+    setHasMore(false);
+    setUpdatedAt(await indexedDBService.getCacheTimestamp(indexedDBService.STORES.CUSTOMERS));
+    return cached;
+  };
+
   // Fetch customers
   const fetchCustomers = async (pageNum = 1, append = false) => {
     if (!append) {
       setLoading(true);
     }
 
+    // Date and office filters need the server; name/phone search works on the cache
+    const canUseCache = !append && dateFilter === 'all' && selectedOfficeId === 'all';
+
+    if (canUseCache && !navigator.onLine) {
+      try {
+        await showCachedCustomers();
+      } catch (error) {
+        setCustomers([]);
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+
+    // Unfiltered first page: show the cached list straight away
+    if (canUseCache && pageNum === 1 && !searchTerm && customers.length === 0) {
+      try {
+        const cached = await showCachedCustomers();
+        if (cached.length > 0) setLoading(false);
+      } catch (error) {
+        // Cache unavailable - wait for the server
+      }
+    }
+
     try {
       const params = {
         page: pageNum,
         per_page: perPage,
         search: searchTerm,
       };
+      if (selectedOfficeId !== 'all') params.office_id = selectedOfficeId;
 
       // Add date filter
       if (dateFilter !== 'all') {
@@ -138,6 +187,8 @@ const Customers = () => {
 
       const response = await customerService.getAllCustomers(params);
       const newCustomers = response.customers || [];
+      indexedDBService.cacheCustomers(newCustomers).catch(() => {});
+      setUpdatedAt(new Date().toISOString());
 
       if (append) {
         setCustomers(prev => [...prev, ...newCustomers]);
@@ -151,9 +202,14 @@ const Customers = () => {
       setTotalCount(paginationData.total_count || paginationData.total || 0);
       setHasMore(pageNum < (paginationData.total_pages || 1));
     } catch (error) {
-      toast.error('Failed to load customers');
-      if (!append) {
-        setCustomers([]);
+      if (canUseCache && !error.response) {
+        // Server unreachable - fall back to the cached list
+        await showCachedCustomers().catch(() => setCustomers([]));
+      } else {
+        toast.error('Failed to load customers');
+        if (!append) {
+          setCustomers([]);
+        }
       }
     } finally {
       setLoading(false);
@@ -236,7 +292,7 @@ const Customers = () => {
     setPage(1);
     setCustomers([]);
     fetchCustomers(1, false);
-  }, [searchTerm, dateFilter, customDays, customMonths, customUnit]);
+  }, [searchTerm, dateFilter, customDays, customMonths, customUnit, selectedOfficeId]);
 
   // Fetch customers on page change (desktop pagination)
   useEffect(() => {
@@ -344,11 +400,20 @@ const Customers = () => {
             Customers
           </h1>
           <p className="text-muted-foreground">Manage your customers</p>
+          <LastUpdated timestamp={updatedAt} className="mt-1" />
+        </div>
+        <div className="flex gap-2">
+          {user?.role === 'admin' && (
+            <Button variant="outline" onClick={() => navigate('/customers/duplicates')}>
+              <Merge className="h-4 w-4 mr-2" />
+              Duplicates
+            </Button>
+          )}
+          <Button onClick={() => handleOpenForm()} className="w-full sm:w-auto shadow-sm">
+            <Plus className="h-4 w-4 mr-2" />
+            Add Customer
+          </Button>
         </div>
-        <Button onClick={() => handleOpenForm()} className="w-full sm:w-auto shadow-sm">
-          <Plus className="h-4 w-4 mr-2" />
-          Add Customer
-        </Button>
       </div>
 
       {/* Header - Mobile Only */}
@@ -358,6 +423,7 @@ const Customers = () => {
           Customers
         </h1>
         <p className="text-muted-foreground text-sm">Manage your customer database ({totalCount})</p>
+        <LastUpdated timestamp={updatedAt} className="mt-1" />
       </div>
 
       {/* Search and Filters - Sheet-based Implementation */}
@@ -390,6 +456,8 @@ const Customers = () => {
             </Button>
           </div>
 
+          <OfficeFilter />
+
           {/* Filter Button with Sheet */}
           <Sheet open={isFilterOpen} onOpenChange={handleFilterOpen}>
             <SheetTrigger asChild>
@@ -26,6 +26,10 @@ import {
 import OrderDetail from './OrderDetail';
 import useAuthStore from '../store/authStore';
 import useOrderStore from '../store/orderStore';
+import useFollowUpStore from '../store/followUpStore';
+import LastUpdated from '../components/LastUpdated';
+import NotificationCenter from '../components/NotificationCenter';
+import FollowUpAgenda from '../components/FollowUpAgenda';
 import orderService from '../services/orderService';
 import dashboardService from '../services/dashboardService';
 import { format, isToday, parseISO } from 'date-fns';
@@ -41,7 +45,6 @@ import {
   User,
   MapPin,
   Clock10,
-  Bell,
   Search,
   ArrowRight,
   ChevronRight,
@@ -71,6 +74,8 @@ import { toast } from 'sonner';
 import { formatTime, checkServiceAvailability, getAgentsAvailableToday } from '@/lib/utilities';
 import { getBrands, getModelsByBrand, getVehicleType, getVehicleTypes } from '../lib/vehicleData';
 import VehicleIcon from '@/components/VehicleIcon';
+import AgentJobCard from '@/components/AgentJobCard';
+import AttendanceCheckIn from '@/components/AttendanceCheckIn';
 
 /**
  * Dashboard Page Component
@@ -78,6 +83,7 @@ import VehicleIcon from '@/components/VehicleIcon';
  * - Admin: Full system overview
  * - Sales Executive: Sales and customer metrics
  * - Accountant: Financial reports and transactions
+ * - Agent: Today's assigned jobs
  * - Real-time updates via Ably WebSocket
  */
 const Dashboard = () => {
@@ -88,15 +94,18 @@ const Dashboard = () => {
   // Dashboard stats state
   const [dashboardStats, setDashboardStats] = useState(null);
   const [statsLoading, setStatsLoading] = useState(true);
+  const [statsUpdatedAt, setStatsUpdatedAt] = useState(null);
   
   // Use order store instead of local state
   const {
     upcomingOrders,
     completedOrders,
     isLoading: loadingOrders,
+    todayOrdersUpdatedAt,
     fetchTodayOrders,
     updateOrder,
   } = useOrderStore();
+  const { followUps: pendingFollowUps } = useFollowUpStore();
 
   // Quick Links Dialog States
   const [vehicleIdentifierOpen, setVehicleIdentifierOpen] = useState(false);
@@ -153,9 +162,18 @@ const Dashboard = () => {
 
   // Fetch dashboard stats
   const fetchDashboardStats = async () => {
+    // Show the last stats seen on this device while fresh ones load
+    const cached = await dashboardService.getCachedStats();
+    if (cached) {
+      setDashboardStats((current) => current || cached.data);
+      setStatsUpdatedAt((current) => current || cached.timestamp);
+      setStatsLoading(false);
+    }
+
     try {
       const stats = await dashboardService.getStats();
       setDashboardStats(stats);
+      setStatsUpdatedAt(new Date().toISOString());
     } catch (error) {
       // Don't show error to user, just use default values
     } finally {
@@ -499,6 +517,19 @@ const Dashboard = () => {
               </div>
             </div>
           )}
+
+          <div className="border-none flex flex-col gap-4">
+            <div className="text-lg flex items-center justify-between">
+              <span className="font-semibold text-xl text-gray-900 flex items-center gap-2">
+                My Follow-ups
+                <span className="text-sm font-medium text-muted-foreground bg-gray-100 px-2 py-0.5 rounded-full">{pendingFollowUps.length}</span>
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => navigate('/follow-ups')}>
+                View all
+              </Button>
+            </div>
+            <FollowUpAgenda upcomingLimit={3} />
+          </div>
         </div>
 
         {/* Quick Links Column - Desktop Only */}
@@ -632,8 +663,70 @@ const Dashboard = () => {
     );
   };
 
+  // Agent Dashboard - today's jobs assigned to the signed-in agent
+  const AgentDashboard = () => {
+    const isMine = (order) => order.assigned_to?.id === user?.id;
+    const myUpcoming = upcomingOrders.filter(isMine);
+    const myCompleted = completedOrders.filter(isMine);
+
+    return (
+      <div className="space-y-6">
+        <div className="grid grid-cols-3 gap-3">
+          <Card className="p-3 text-center">
+            <p className="text-2xl font-bold">{myUpcoming.length + myCompleted.length}</p>
+            <p className="text-[11px] font-semibold text-muted-foreground uppercase tracking-wider">Jobs Today</p>
+          </Card>
+          <Card className="p-3 text-center">
+            <p className="text-2xl font-bold text-amber-600">{myUpcoming.length}</p>
+            <p className="text-[11px] font-semibold text-muted-foreground uppercase tracking-wider">Remaining</p>
+          </Card>
+          <Card className="p-3 text-center">
+            <p className="text-2xl font-bold text-green-600">{myCompleted.length}</p>
+            <p className="text-[11px] font-semibold text-muted-foreground uppercase tracking-wider">Completed</p>
+          </Card>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-bold">Up Next</h2>
+            <Button variant="ghost" size="sm" onClick={() => navigate('/jobs')}>
+              All Jobs <ArrowRight className="h-4 w-4 ml-1" />
+            </Button>
+          </div>
+          {loadingOrders && myUpcoming.length === 0 ? (
+            <div className="space-y-3">
+              <Skeleton className="h-48 w-full rounded-xl" />
+              <Skeleton className="h-48 w-full rounded-xl" />
+            </div>
+          ) : myUpcoming.length === 0 ? (
+            <Card className="p-8 text-center">
+              <CheckCircle2 className="h-10 w-10 text-green-500 mx-auto mb-3" />
+              <p className="font-semibold text-gray-900">No pending jobs</p>
+              <p className="text-sm text-muted-foreground">You're all caught up for today</p>
+            </Card>
+          ) : (
+            myUpcoming.map((order) => (
+              <AgentJobCard key={order.id} order={order} onUpdated={fetchTodayOrders} />
+            ))
+          )}
+        </div>
+
+        {myCompleted.length > 0 && (
+          <div className="space-y-3">
+            <h2 className="text-lg font-bold">Completed</h2>
+            {myCompleted.map((order) => (
+              <AgentJobCard key={order.id} order={order} onUpdated={fetchTodayOrders} />
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const getRoleDashboard = () => {
     switch (user?.role) {
+      case 'agent':
+        return <AgentDashboard />;
       case 'admin':
         return <AdminDashboard />;
       case 'sales_executive':
@@ -658,17 +751,17 @@ const Dashboard = () => {
             </div>
           </div>
           <div className="flex items-center gap-2">
-            <Button 
-              variant="ghost" 
-              size="icon" 
-              className="rounded-full h-10 w-10"
-              onClick={() => navigate('/customers')}
-            >
-              <UserSearch className="h-5 w-5" />
-            </Button>
-            <Button variant="ghost" size="icon" className="rounded-full h-10 w-10">
-              <Bell className="h-5 w-5" />
-            </Button>
+            {user?.role !== 'agent' && (
+              <Button 
+                variant="ghost" 
+                size="icon" 
+                className="rounded-full h-10 w-10"
+                onClick={() => navigate('/customers')}
+              >
+                <UserSearch className="h-5 w-5" />
+              </Button>
+            )}
+            <NotificationCenter />
           </div>
         </div>
       </div>
@@ -682,6 +775,7 @@ const Dashboard = () => {
                 {user?.role === 'admin' && 'Admin Dashboard'}
                 {user?.role === 'sales_executive' && 'Sales Dashboard'}
                 {user?.role === 'accountant' && 'Financial Dashboard'}
+                {user?.role === 'agent' && "Today's Jobs"}
               </h1>
               <p className="text-gray-600 mt-1">
                 Welcome back, {user?.name || user?.email}!
@@ -690,6 +784,13 @@ const Dashboard = () => {
           </div>
         </div>
 
+        <LastUpdated
+          timestamp={[statsUpdatedAt, todayOrdersUpdatedAt].filter(Boolean).sort()[0]}
+        />
+
+        {/* Rendered outside AgentDashboard so it is not remounted on every refresh */}
+        {user?.role === 'agent' && <AttendanceCheckIn />}
+
         {getRoleDashboard()}
 
         {/* Order Detail Sheet */}
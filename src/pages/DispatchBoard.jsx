@@ -0,0 +1,455 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  format,
+  addDays,
+  subDays,
+  addWeeks,
+  subWeeks,
+  startOfWeek,
+  isToday,
+} from 'date-fns';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { Tabs, TabsList, TabsTrigger } from '../components/ui/tabs';
+import LetterAvatar from '../components/LetterAvatar';
+import OfficeFilter from '../components/OfficeFilter';
+import { toast } from 'sonner';
+import { AlertTriangle, ChevronLeft, ChevronRight, ChartGantt, Loader2, UserX } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import orderService from '../services/orderService';
+import useOrderStore from '../store/orderStore';
+import useOfficeStore from '../store/officeStore';
+import { formatTime, getAgentsAvailableToday } from '../lib/utilities';
+import {
+  DAY_START_HOUR,
+  DAY_END_HOUR,
+  getBlockPosition,
+  getMinuteAtRatio,
+  getRescheduledBooking,
+  getOverlappingOrderIds,
+} from '../lib/dispatch';
+
+const UNASSIGNED = 'unassigned';
+const HOURS = Array.from({ length: DAY_END_HOUR - DAY_START_HOUR }, (_, i) => DAY_START_HOUR + i);
+
+const getCustomerName = (order) => order.customer?.name || order.customer_name || 'Unnamed Customer';
+
+/**
+ * Dispatch Board Page (Admin Only)
+ * Day and week timeline with one lane per agent. Drag a booking across time to
+ * reschedule it or onto another lane to reassign it. Overlapping bookings and
+ * agents who have not checked in today are highlighted.
+ * Touch devices cannot drag - tap a booking to edit it on the order page instead.
+ */
+const DispatchBoard = () => {
+  const navigate = useNavigate();
+  const { agents, fetchAgents } = useOrderStore();
+  const { selectedOfficeId } = useOfficeStore();
+
+  const [view, setView] = useState('day');
+  const [date, setDate] = useState(new Date());
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [checkedInIds, setCheckedInIds] = useState(null);
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+
+  const days = useMemo(() => {
+    if (view === 'day') return [date];
+    const weekStart = startOfWeek(date, { weekStartsOn: 1 });
+    return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  }, [view, date]);
+  const showsToday = days.some((day) => isToday(day));
+
+  useEffect(() => {
+    if (agents.length === 0) {
+      fetchAgents();
+    }
+  }, [agents.length, fetchAgents]);
+
+  // Only the latest load may update the board - paging days or offices quickly
+  // must not let a slower, older response overwrite it
+  const latestRequest = useRef(0);
+
+  const fetchOrders = useCallback(async () => {
+    const requestId = ++latestRequest.current;
+    try {
+      setLoading(true);
+      const params = {
+        date_from: format(days[0], 'yyyy-MM-dd'),
+        date_to: format(days[days.length - 1], 'yyyy-MM-dd'),
+        per_page: 200,
+      };
+      if (selectedOfficeId !== 'all') params.office_id = selectedOfficeId;
+
+      // A busy week can run past one page, so keep fetching until the last one
+      const weekOrders = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await orderService.getAllOrders({ ...params, page });
+        if (requestId !== latestRequest.current) return;
+        weekOrders.push(...(response.orders || []));
+        totalPages = (response.pagination || response).total_pages || 1;
+        page += 1;
+      } while (page <= totalPages);
+
+      setOrders(weekOrders.filter((order) => order.status !== 'draft' && order.status !== 'cancelled'));
+    } catch (error) {
+      if (requestId === latestRequest.current) toast.error('Failed to load bookings');
+    } finally {
+      if (requestId === latestRequest.current) setLoading(false);
+    }
+  }, [days, selectedOfficeId]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  // Check-in status only means something for today
+  useEffect(() => {
+    if (!showsToday) {
+      setCheckedInIds(null);
+      return;
+    }
+    getAgentsAvailableToday()
+      .then((result) => setCheckedInIds(new Set((result.agents || []).map((agent) => String(agent.id)))))
+      .catch(() => setCheckedInIds(null));
+  }, [showsToday]);
+
+  const lanes = useMemo(() => {
+    const officeAgents = selectedOfficeId === 'all'
+      ? agents
+      : agents.filter((agent) => String(agent.office_id) === selectedOfficeId);
+    const result = officeAgents.map((agent) => ({ id: String(agent.id), name: agent.name, agent }));
+
+    // Bookings in this office can be assigned to an agent from another one
+    orders.forEach((order) => {
+      const assignee = order.assigned_to;
+      if (!assignee?.id || result.some((lane) => lane.id === String(assignee.id))) return;
+      const agent = agents.find((a) => String(a.id) === String(assignee.id)) || assignee;
+      result.push({ id: String(assignee.id), name: agent.name, agent, otherOffice: true });
+    });
+
+    if (orders.some((order) => !order.assigned_to?.id)) {
+      result.push({ id: UNASSIGNED, name: 'Unassigned' });
+    }
+    return result;
+  }, [agents, orders, selectedOfficeId]);
+
+  const overlappingIds = useMemo(() => getOverlappingOrderIds(orders), [orders]);
+  const notCheckedIn = checkedInIds
+    ? lanes.filter((lane) => lane.agent && !checkedInIds.has(lane.id))
+    : [];
+
+  const getLaneOrders = (laneId, day) => orders
+    .filter((order) => String(order.assigned_to?.id || UNASSIGNED) === laneId)
+    .filter((order) => order.booking_date === format(day, 'yyyy-MM-dd'))
+    .sort((a, b) => new Date(a.booking_time_from) - new Date(b.booking_time_from));
+
+  const shiftDate = (direction) => {
+    if (view === 'day') {
+      setDate((d) => (direction > 0 ? addDays(d, 1) : subDays(d, 1)));
+    } else {
+      setDate((d) => (direction > 0 ? addWeeks(d, 1) : subWeeks(d, 1)));
+    }
+  };
+
+  const handleDragStart = (e, order) => {
+    // Where the block was grabbed, so a day-view drop keeps that point under the cursor
+    const block = e.currentTarget.getBoundingClientRect();
+    const lane = e.currentTarget.parentElement.getBoundingClientRect();
+    e.dataTransfer.setData('text/plain', String(order.id));
+    e.dataTransfer.effectAllowed = 'move';
+    setDragged({ order, grabRatio: (e.clientX - block.left) / lane.width });
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  // Move a booking dropped on a lane (and, in day view, a time)
+  const handleDrop = async (e, laneId, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    if (!dragged) return;
+    const { order, grabRatio } = dragged;
+    setDragged(null);
+
+    let startMinute;
+    if (view === 'day') {
+      const rect = e.currentTarget.getBoundingClientRect();
+      startMinute = getMinuteAtRatio((e.clientX - rect.left) / rect.width - grabRatio);
+    }
+
+    const booking = getRescheduledBooking(order, day, startMinute);
+    const timeChanged = new Date(booking.booking_time_from).getTime() !== new Date(order.booking_time_from).getTime();
+    const lane = lanes.find((l) => l.id === laneId);
+    const agentChanged = laneId !== String(order.assigned_to?.id || UNASSIGNED);
+
+    if (laneId === UNASSIGNED && agentChanged) {
+      toast.error('Bookings can only be moved to another agent');
+      return;
+    }
+    if (!timeChanged && !agentChanged) return;
+
+    setOrders((prev) => prev.map((o) => (o.id === order.id ? {
+      ...o,
+      ...(timeChanged ? booking : {}),
+      ...(agentChanged ? { assigned_to: { ...o.assigned_to, id: lane.agent.id, name: lane.agent.name } } : {}),
+    } : o)));
+
+    setSavingId(order.id);
+    try {
+      if (agentChanged) {
+        await orderService.reassignOrder(order.id, lane.agent.id, 'Moved on dispatch board');
+      }
+      const result = timeChanged ? await orderService.updateOrder(order.id, booking) : null;
+
+      if (result?.queued) {
+        toast.info('Saved offline', {
+          description: 'This change will sync when you are back online',
+        });
+      } else if (agentChanged && timeChanged) {
+        toast.success(`Moved to ${lane.name} at ${formatTime(booking.booking_time_from)}`);
+      } else if (agentChanged) {
+        toast.success(`Reassigned to ${lane.name}`);
+      } else {
+        toast.success(`Booking moved to ${format(day, 'MMM dd')} at ${formatTime(booking.booking_time_from)}`);
+      }
+    } catch (error) {
+      // Reload rather than roll back - the reassignment may have gone through before the time change failed
+      fetchOrders();
+      toast.error(error.response?.data?.error || 'Failed to move booking');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const dropHandlers = (laneId, day) => {
+    const key = `${laneId}-${format(day, 'yyyy-MM-dd')}`;
+    return {
+      onDragOver: (e) => {
+        e.preventDefault();
+        setDropTarget(key);
+      },
+      onDragLeave: () => setDropTarget((current) => (current === key ? null : current)),
+      onDrop: (e) => handleDrop(e, laneId, day),
+      isTarget: dropTarget === key,
+    };
+  };
+
+  const renderBlock = (order, style) => {
+    const overlapping = overlappingIds.has(order.id);
+    const locked = order.status === 'completed';
+    return (
+      <div
+        key={order.id}
+        draggable={!locked && savingId !== order.id}
+        onDragStart={(e) => handleDragStart(e, order)}
+        onDragEnd={handleDragEnd}
+        onClick={() => navigate(`/orders/${order.id}`)}
+        style={style}
+        title={`${getCustomerName(order)} #${order.order_number}`}
+        className={cn(
+          'rounded-md border px-2 py-1 text-xs overflow-hidden bg-primary/10 border-primary/40 hover:border-primary transition-colors',
+          style ? 'absolute top-1.5 bottom-1.5' : 'w-full',
+          locked ? 'opacity-60 cursor-pointer' : 'cursor-grab active:cursor-grabbing',
+          overlapping && 'bg-red-50 border-red-400 hover:border-red-500',
+          dragged?.order.id === order.id && 'opacity-50'
+        )}
+      >
+        <div className="flex items-center gap-1 font-semibold">
+          {savingId === order.id ? (
+            <Loader2 className="h-3 w-3 animate-spin shrink-0" />
+          ) : overlapping && (
+            <AlertTriangle className="h-3 w-3 text-red-600 shrink-0" />
+          )}
+          <span className="truncate">{order.booking_time_from ? formatTime(order.booking_time_from) : 'No time'}</span>
+        </div>
+        <p className="truncate text-muted-foreground">{getCustomerName(order)}</p>
+      </div>
+    );
+  };
+
+  const renderLaneHeader = (lane, jobCount) => (
+    <div className="w-44 shrink-0 flex items-center gap-2 px-3 py-2 border-r bg-white">
+      {lane.agent ? <LetterAvatar name={lane.name} size="sm" /> : <UserX className="h-5 w-5 text-muted-foreground" />}
+      <div className="min-w-0">
+        <p className="text-sm font-semibold truncate">{lane.name}</p>
+        {checkedInIds && lane.agent && !checkedInIds.has(lane.id) ? (
+          <Badge2 variant="warning" className="text-[10px] h-5">Not checked in</Badge2>
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            {jobCount} job{jobCount === 1 ? '' : 's'}
+            {lane.otherOffice && ' · other office'}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Dispatch</h1>
+          <p className="text-gray-600 mt-1">Drag bookings to reschedule or reassign them</p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <OfficeFilter />
+          <Tabs value={view} onValueChange={setView}>
+            <TabsList>
+              <TabsTrigger value="day">Day</TabsTrigger>
+              <TabsTrigger value="week">Week</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </div>
+      </div>
+
+      {/* Date navigation and flags */}
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        <Card className="p-2 flex items-center justify-between md:w-80">
+          <Button variant="ghost" size="icon" onClick={() => shiftDate(-1)}>
+            <ChevronLeft className="h-5 w-5" />
+          </Button>
+          <button className="text-sm font-semibold" onClick={() => setDate(new Date())}>
+            {view === 'day'
+              ? (isToday(date) ? 'Today' : format(date, 'EEE, MMM dd'))
+              : `${format(days[0], 'MMM dd')} - ${format(days[6], 'MMM dd')}`}
+          </button>
+          <Button variant="ghost" size="icon" onClick={() => shiftDate(1)}>
+            <ChevronRight className="h-5 w-5" />
+          </Button>
+        </Card>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <Badge2 variant="secondary">{orders.length} booking{orders.length === 1 ? '' : 's'}</Badge2>
+          {overlappingIds.size > 0 && (
+            <Badge2 variant="destructive">
+              <AlertTriangle className="h-3 w-3" />
+              {overlappingIds.size} overlapping
+            </Badge2>
+          )}
+          {notCheckedIn.length > 0 && (
+            <Badge2 variant="warning">
+              {notCheckedIn.length} agent{notCheckedIn.length === 1 ? '' : 's'} not checked in
+            </Badge2>
+          )}
+        </div>
+      </div>
+
+      {loading && orders.length === 0 ? (
+        <div className="space-y-2">
+          {[...Array(4)].map((_, i) => (
+            <Skeleton key={i} className="h-16 w-full rounded-lg" />
+          ))}
+        </div>
+      ) : lanes.length === 0 ? (
+        <Card className="p-12 text-center">
+          <ChartGantt className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No agents</h3>
+          <p className="text-gray-600">Agents in this office will appear here as lanes</p>
+        </Card>
+      ) : view === 'day' ? (
+        <Card className="overflow-x-auto p-0">
+          <div className="min-w-[960px]">
+            {/* Hour scale */}
+            <div className="flex border-b bg-gray-50">
+              <div className="w-44 shrink-0 border-r" />
+              <div className="flex-1 flex">
+                {HOURS.map((hour) => (
+                  <div key={hour} className="flex-1 px-1 py-2 text-xs text-muted-foreground border-l first:border-l-0">
+                    {format(new Date(2000, 0, 1, hour), 'h a')}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {lanes.map((lane) => {
+              const laneOrders = getLaneOrders(lane.id, date);
+              const { isTarget, ...handlers } = dropHandlers(lane.id, date);
+              return (
+                <div key={lane.id} className="flex border-b last:border-b-0">
+                  {renderLaneHeader(lane, laneOrders.length)}
+                  <div
+                    {...handlers}
+                    className={cn(
+                      'relative flex-1 h-16 transition-colors',
+                      isTarget && 'bg-primary/5',
+                      checkedInIds && lane.agent && !checkedInIds.has(lane.id) && 'bg-amber-50/60'
+                    )}
+                  >
+                    {/* Hour grid */}
+                    <div className="absolute inset-0 flex pointer-events-none">
+                      {HOURS.map((hour) => (
+                        <div key={hour} className="flex-1 border-l first:border-l-0 border-gray-100" />
+                      ))}
+                    </div>
+                    {laneOrders.map((order) => {
+                      const position = getBlockPosition(order);
+                      return position && renderBlock(order, { left: `${position.left}%`, width: `${position.width}%` });
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+      ) : (
+        <Card className="overflow-x-auto p-0">
+          <div className="min-w-[1100px]">
+            {/* Day headers */}
+            <div className="flex border-b bg-gray-50">
+              <div className="w-44 shrink-0 border-r" />
+              {days.map((day) => (
+                <button
+                  key={day.toISOString()}
+                  onClick={() => {
+                    setDate(day);
+                    setView('day');
+                  }}
+                  className={cn(
+                    'flex-1 px-2 py-2 text-xs font-semibold text-left border-l first:border-l-0 hover:bg-gray-100',
+                    isToday(day) && 'text-primary'
+                  )}
+                >
+                  {format(day, 'EEE dd')}
+                </button>
+              ))}
+            </div>
+
+            {lanes.map((lane) => (
+              <div key={lane.id} className="flex border-b last:border-b-0">
+                {renderLaneHeader(lane, days.reduce((sum, day) => sum + getLaneOrders(lane.id, day).length, 0))}
+                {days.map((day) => {
+                  const { isTarget, ...handlers } = dropHandlers(lane.id, day);
+                  return (
+                    <div
+                      key={day.toISOString()}
+                      {...handlers}
+                      className={cn(
+                        'flex-1 min-w-0 min-h-16 p-1.5 space-y-1 border-l first:border-l-0 transition-colors',
+                        isToday(day) && 'bg-primary/5',
+                        isTarget && 'bg-primary/10'
+                      )}
+                    >
+                      {getLaneOrders(lane.id, day).map((order) => renderBlock(order))}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default DispatchBoard;
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Card } from '../components/ui/card';
@@ -56,6 +57,7 @@ import {
   User,
   BoltIcon,
   CogIcon,
+  Wallet,
 } from 'lucide-react';
 import {
   DropdownMenu,
@@ -79,6 +81,7 @@ import EmployeeForm from '../components/EmployeeForm';
  * Manages employee records with full CRUD operations
  */
 const Employees = () => {
+  const navigate = useNavigate();
   const [employees, setEmployees] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -237,10 +240,16 @@ const Employees = () => {
           <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Employees</h1>
           <p className="text-gray-600 mt-1">Manage employee records and compensation</p>
         </div>
-        <Button onClick={handleAdd} className="sm:w-auto">
-          <Plus className="h-4 w-4 mr-2" />
-          Add Employee
-        </Button>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => navigate('/employees/payroll')} className="sm:w-auto">
+            <Wallet className="h-4 w-4 mr-2" />
+            Payroll
+          </Button>
+          <Button onClick={handleAdd} className="sm:w-auto">
+            <Plus className="h-4 w-4 mr-2" />
+            Add Employee
+          </Button>
+        </div>
       </div>
 
       {/* Filters and Search */}
@@ -14,6 +14,8 @@ import {
 import { toast } from 'sonner';
 import ablyClient from '../services/ablyClient';
 import useEnquiryStore from '../store/enquiryStore';
+import useAuthStore from '../store/authStore';
+import useNotificationPreferencesStore from '../store/notificationPreferencesStore';
 import {
   ENQUIRY_SOURCE_OPTIONS,
   ENQUIRY_SOURCE_LABELS,
@@ -27,6 +29,7 @@ import {
 } from '../constants/enquiryConstants';
 import {
   Plus,
+  Shuffle,
   Search,
   ChevronLeft,
   ChevronRight,
@@ -41,6 +44,8 @@ import {
   MessageSquare,
   Bell,
   PackageOpen,
+  List,
+  SquareKanban,
 } from 'lucide-react';
 import { format } from 'date-fns';
 import {
@@ -55,6 +60,10 @@ import { Badge2 } from '@/components/ui/badge2';
 import { Skeleton } from '../components/ui/skeleton';
 import EnquiryDetail from './EnquiryDetail';
 import EnquiryWizard from '../components/EnquiryWizard';
+import EnquiryBoard from '../components/EnquiryBoard';
+import EnquirySlaBadge from '../components/EnquirySlaBadge';
+import OfficeFilter from '../components/OfficeFilter';
+import useOfficeStore from '../store/officeStore';
 import { formatDateTime } from '@/lib/utilities';
 
 /**
@@ -63,6 +72,7 @@ import { formatDateTime } from '@/lib/utilities';
  */
 const Enquiries = () => {
   const navigate = useNavigate();
+  const { user } = useAuthStore();
   
   // Use enquiry store
   const {
@@ -77,8 +87,10 @@ const Enquiries = () => {
     setFilters,
     fetchEnquiries,
     fetchPage,
+    fetchPipeline,
     resetPagination,
   } = useEnquiryStore();
+  const { selectedOfficeId } = useOfficeStore();
   
   // Load persisted state from localStorage
   const loadPersistedState = () => {
@@ -119,6 +131,10 @@ const Enquiries = () => {
   const observerTarget = useRef(null);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
 
+  // List or pipeline board
+  const [view, setView] = useState(localStorage.getItem('enquiriesView') || 'list');
+  const viewRef = useRef(view);
+
   // Wizard and filter sheet states
   const [isWizardOpen, setIsWizardOpen] = useState(false);
   const [isFilterOpen, setIsFilterOpen] = useState(false);
@@ -156,6 +172,21 @@ const Enquiries = () => {
     localStorage.setItem('enquiriesFilters', JSON.stringify(filterState));
   }, [searchQuery, status, source, sentiment, dateFrom, dateTo, assignedToId, storePage]);
 
+  // Persist the chosen view
+  useEffect(() => {
+    viewRef.current = view;
+    localStorage.setItem('enquiriesView', view);
+  }, [view]);
+
+  // Reload whichever view is showing
+  const refreshView = useCallback(() => {
+    if (viewRef.current === 'board') {
+      fetchPipeline().catch(() => {});
+    } else {
+      fetchEnquiries(true);
+    }
+  }, [fetchEnquiries, fetchPipeline]);
+
   // Detect mobile/desktop resize
   useEffect(() => {
     const handleResize = () => {
@@ -181,8 +212,9 @@ const Enquiries = () => {
       date_from: dateFrom,
       date_to: dateTo,
       assigned_to_id: assignedToId !== 'all' ? assignedToId : '',
+      office_id: selectedOfficeId !== 'all' ? selectedOfficeId : '',
     });
-  }, [searchQuery, status, source, sentiment, dateFrom, dateTo, assignedToId, setFilters]);
+  }, [searchQuery, status, source, sentiment, dateFrom, dateTo, assignedToId, selectedOfficeId, setFilters]);
 
   // Fetch enquiries with proper reset logic
   useEffect(() => {
@@ -192,13 +224,13 @@ const Enquiries = () => {
       hasInitiallyFetched.current = true;
 
       // Always fetch on mount - use persisted filters but get fresh data
-      fetchEnquiries(true);
+      refreshView();
       return;
     }
 
-    // Reset and fetch when filters change
-    fetchEnquiries(true);
-  }, [searchQuery, status, source, sentiment, dateFrom, dateTo, assignedToId, fetchEnquiries]);
+    // Reset and fetch when filters or the view change
+    refreshView();
+  }, [searchQuery, status, source, sentiment, dateFrom, dateTo, assignedToId, selectedOfficeId, view, refreshView]);
 
   // Infinite scroll observer callback
   const handleObserver = useCallback((entries) => {
@@ -239,20 +271,32 @@ const Enquiries = () => {
         // Subscribe to enquiries channel
         unsubscribe = ablyClient.subscribeToEnquiries((eventName, eventData) => {
           // Handle different event types
+          // Toasts and sounds follow the user's notification preferences
+          const { notify } = useNotificationPreferencesStore.getState();
+          const context = {
+            assignedToId: eventData.data?.assigned_to_id,
+            createdById: eventData.data?.created_by_id,
+            officeId: eventData.data?.office_id,
+          };
+
           if (eventName === 'enquiry.created') {
-            toast.success('New Enquiry', {
-              description: `New enquiry from ${eventData.data.contact_name || 'Unknown'} via ${eventData.data.source || 'unknown'}`,
+            notify(eventName, context, () => {
+              toast.success('New Enquiry', {
+                description: `New enquiry from ${eventData.data.contact_name || 'Unknown'} via ${eventData.data.source || 'unknown'}`,
+              });
             });
-            // Refresh the list to show new enquiry
-            fetchEnquiries(true);
+            // Refresh the list (or board counts) to show new enquiry
+            refreshView();
           } else if (eventName === 'enquiry.updated' || eventName === 'enquiry.status_changed') {
-            // Refresh the list to show updates
-            fetchEnquiries(true);
+            // Refresh the list to show updates (moves board cards, resets ageing)
+            refreshView();
           } else if (eventName === 'enquiry.assigned') {
-            toast.info('Enquiry Assigned', {
-              description: `Enquiry from ${eventData.data.contact_name || 'Unknown'} has been assigned`,
+            notify(eventName, context, () => {
+              toast.info('Enquiry Assigned', {
+                description: `Enquiry from ${eventData.data.contact_name || 'Unknown'} has been assigned`,
+              });
             });
-            fetchEnquiries(true);
+            refreshView();
           } else if (eventName === 'enquiry.comment_added') {
             // Optionally update comment count in the list
           }
@@ -393,7 +437,7 @@ const Enquiries = () => {
   const handleWizardSuccess = () => {
     setIsWizardOpen(false);
     // Refresh the list from the beginning
-    fetchEnquiries(true);
+    refreshView();
   };
 
   // Check if follow-up is needed (follow-up date in the past or today)
@@ -416,10 +460,18 @@ const Enquiries = () => {
           </h1>
           <p className="text-muted-foreground">Track and manage customer enquiries</p>
         </div>
-        <Button onClick={() => setIsWizardOpen(true)} className="w-full sm:w-auto">
-          <Plus className="h-4 w-4 mr-2" />
-          New Enquiry
-        </Button>
+        <div className="flex gap-2">
+          {user?.role === 'admin' && (
+            <Button variant="outline" onClick={() => navigate('/enquiries/assignment-rules')}>
+              <Shuffle className="h-4 w-4 mr-2" />
+              Assignment Rules
+            </Button>
+          )}
+          <Button onClick={() => setIsWizardOpen(true)} className="w-full sm:w-auto">
+            <Plus className="h-4 w-4 mr-2" />
+            New Enquiry
+          </Button>
+        </div>
       </div>
 
       {/* Mobile Title - Visible only on mobile */}
@@ -460,6 +512,8 @@ const Enquiries = () => {
             </Button>
           </div>
 
+          <OfficeFilter />
+
           {/* Filter Button */}
           <Sheet open={isFilterOpen} onOpenChange={handleFilterOpen}>
             <SheetTrigger asChild>
@@ -573,6 +627,28 @@ const Enquiries = () => {
               </div>
             </SheetContent>
           </Sheet>
+
+          {/* View Toggle */}
+          <div className="flex rounded-md border bg-white p-0.5 shrink-0">
+            <Button
+              variant={view === 'list' ? 'default' : 'ghost'}
+              size="sm"
+              className="flex-1 sm:flex-none"
+              onClick={() => setView('list')}
+            >
+              <List className="h-4 w-4 mr-2" />
+              List
+            </Button>
+            <Button
+              variant={view === 'board' ? 'default' : 'ghost'}
+              size="sm"
+              className="flex-1 sm:flex-none"
+              onClick={() => setView('board')}
+            >
+              <SquareKanban className="h-4 w-4 mr-2" />
+              Board
+            </Button>
+          </div>
         </div>
       </div>
 
@@ -597,227 +673,237 @@ const Enquiries = () => {
         </div>
       )}
 
-      {/* Enquiries List */}
-      <Card className="border-0 shadow-none md:border-1 rounded-lg md:shadow-xs bg-white">
-        {loading ? (
-          <div className="space-y-4">
-            {/* Desktop Skeleton */}
-            <div className="hidden md:block">
-              <div className="border-b px-4 py-3 flex gap-4">
-                <Skeleton className="h-4 w-1/4" />
-                <Skeleton className="h-4 w-1/5" />
-                <Skeleton className="h-4 w-1/6" />
-                <Skeleton className="h-4 w-20 ml-auto" />
-              </div>
-              {[1, 2, 3, 4, 5].map((i) => (
-                <div key={i} className="border-b last:border-0 px-4 py-4 flex items-center gap-4">
-                  <Skeleton className="h-10 w-10 rounded-full" />
-                  <div className="space-y-2 flex-1">
-                    <Skeleton className="h-4 w-1/3" />
-                    <Skeleton className="h-3 w-1/4" />
-                  </div>
+      {/* Enquiries Board */}
+      {view === 'board' ? (
+        <EnquiryBoard onOpenEnquiry={handleOpenEnquiryDetail} />
+      ) : (
+        <Card className="border-0 shadow-none md:border-1 rounded-lg md:shadow-xs bg-white">
+          {loading ? (
+            <div className="space-y-4">
+              {/* Desktop Skeleton */}
+              <div className="hidden md:block">
+                <div className="border-b px-4 py-3 flex gap-4">
+                  <Skeleton className="h-4 w-1/4" />
                   <Skeleton className="h-4 w-1/5" />
                   <Skeleton className="h-4 w-1/6" />
-                  <Skeleton className="h-8 w-20 rounded-full ml-auto" />
+                  <Skeleton className="h-4 w-20 ml-auto" />
                 </div>
-              ))}
-            </div>
-
-            {/* Mobile Skeleton */}
-            <div className="md:hidden space-y-3 px-1">
-              {[1, 2, 3, 4].map((i) => (
-                <div key={i} className="bg-white rounded-xl p-4 shadow-sm border border-gray-100 space-y-4">
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center gap-3">
-                      <Skeleton className="h-10 w-10 rounded-full" />
-                      <div className="space-y-2">
-                        <Skeleton className="h-4 w-32" />
-                        <Skeleton className="h-3 w-20" />
-                      </div>
+                {[1, 2, 3, 4, 5].map((i) => (
+                  <div key={i} className="border-b last:border-0 px-4 py-4 flex items-center gap-4">
+                    <Skeleton className="h-10 w-10 rounded-full" />
+                    <div className="space-y-2 flex-1">
+                      <Skeleton className="h-4 w-1/3" />
+                      <Skeleton className="h-3 w-1/4" />
                     </div>
-                    <Skeleton className="h-6 w-16 rounded-full" />
+                    <Skeleton className="h-4 w-1/5" />
+                    <Skeleton className="h-4 w-1/6" />
+                    <Skeleton className="h-8 w-20 rounded-full ml-auto" />
                   </div>
-                  <div className="flex justify-between items-center bg-gray-50 p-2 rounded-lg">
-                    <div className="space-y-1">
-                      <Skeleton className="h-3 w-12" />
-                      <Skeleton className="h-4 w-16" />
+                ))}
+              </div>
+
+              {/* Mobile Skeleton */}
+              <div className="md:hidden space-y-3 px-1">
+                {[1, 2, 3, 4].map((i) => (
+                  <div key={i} className="bg-white rounded-xl p-4 shadow-sm border border-gray-100 space-y-4">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-3">
+                        <Skeleton className="h-10 w-10 rounded-full" />
+                        <div className="space-y-2">
+                          <Skeleton className="h-4 w-32" />
+                          <Skeleton className="h-3 w-20" />
+                        </div>
+                      </div>
+                      <Skeleton className="h-6 w-16 rounded-full" />
                     </div>
-                    <div className="space-y-1 text-right">
-                      <Skeleton className="h-3 w-12" />
-                      <Skeleton className="h-4 w-16" />
+                    <div className="flex justify-between items-center bg-gray-50 p-2 rounded-lg">
+                      <div className="space-y-1">
+                        <Skeleton className="h-3 w-12" />
+                        <Skeleton className="h-4 w-16" />
+                      </div>
+                      <div className="space-y-1 text-right">
+                        <Skeleton className="h-3 w-12" />
+                        <Skeleton className="h-4 w-16" />
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
-          </div>
-        ) : error ? (
-          <div className="text-center py-12">
-            <FileText className="h-12 w-12 mx-auto text-red-500 mb-4" />
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">Failed to load enquiries</h3>
-            <p className="text-muted-foreground mb-4">{error}</p>
-            <Button onClick={() => fetchEnquiries(true)} variant="outline">
-              Try Again
-            </Button>
-          </div>
-        ) : enquiries.length === 0 ? (
-          <div className="text-center py-12">
-            <FileText className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">No enquiries found</h3>
-            <p className="text-muted-foreground mb-4">Try adjusting your filters or create a new enquiry</p>
-            <Button onClick={() => setIsWizardOpen(true)}>
-              <Plus className="h-4 w-4 mr-2" />
-              New Enquiry
-            </Button>
-          </div>
-        ) : (
-          <>
-            {/* Mobile View - Cards with Infinite Scroll */}
-            <div className="block md:hidden space-y-3">
-              {enquiries.map((enquiry) => (
-                <div
-                  key={enquiry.id}
-                  onClick={() => handleOpenEnquiryDetail(enquiry.id)}
-                  className="bg-white shadow-sm border border-gray-100 rounded-xl p-4 active:scale-[0.98] active:bg-gray-50 transition-all duration-200"
-                >
-                  <div className="flex items-center gap-4">
-                    <LetterAvatar 
-                      name={enquiry.customer?.name || enquiry.contact_name || 'Unknown'} 
-                      size="sm" 
-                    />
-                    <div className="flex-1 min-w-0">
-                      <div className="flex items-center justify-between">
-                        <div className="font-bold text-base truncate capitalize">
-                          {enquiry.customer?.name || enquiry.contact_name || 'Unknown'}
-                        </div>
-                      </div>
-                      <div className="flex items-center justify-between mt-1">
-                        <div className="text-xs text-muted-foreground flex items-center gap-2">
-                          <Phone className="h-3 w-3" />
-                          <span>{enquiry.contact_phone}</span>
+          ) : error ? (
+            <div className="text-center py-12">
+              <FileText className="h-12 w-12 mx-auto text-red-500 mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Failed to load enquiries</h3>
+              <p className="text-muted-foreground mb-4">{error}</p>
+              <Button onClick={() => fetchEnquiries(true)} variant="outline">
+                Try Again
+              </Button>
+            </div>
+          ) : enquiries.length === 0 ? (
+            <div className="text-center py-12">
+              <FileText className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">No enquiries found</h3>
+              <p className="text-muted-foreground mb-4">Try adjusting your filters or create a new enquiry</p>
+              <Button onClick={() => setIsWizardOpen(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                New Enquiry
+              </Button>
+            </div>
+          ) : (
+            <>
+              {/* Mobile View - Cards with Infinite Scroll */}
+              <div className="block md:hidden space-y-3">
+                {enquiries.map((enquiry) => (
+                  <div
+                    key={enquiry.id}
+                    onClick={() => handleOpenEnquiryDetail(enquiry.id)}
+                    className="bg-white shadow-sm border border-gray-100 rounded-xl p-4 active:scale-[0.98] active:bg-gray-50 transition-all duration-200"
+                  >
+                    <div className="flex items-center gap-4">
+                      <LetterAvatar 
+                        name={enquiry.customer?.name || enquiry.contact_name || 'Unknown'} 
+                        size="sm" 
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center justify-between">
+                          <div className="font-bold text-base truncate capitalize">
+                            {enquiry.customer?.name || enquiry.contact_name || 'Unknown'}
+                          </div>
                         </div>
-                        <div className="text-xs text-muted-foreground">
-                          {ENQUIRY_SOURCE_LABELS[enquiry.source]}
+                        <div className="flex items-center justify-between mt-1">
+                          <div className="text-xs text-muted-foreground flex items-center gap-2">
+                            <Phone className="h-3 w-3" />
+                            <span>{enquiry.contact_phone}</span>
+                          </div>
+                          <div className="text-xs text-muted-foreground">
+                            {ENQUIRY_SOURCE_LABELS[enquiry.source]}
+                          </div>
                         </div>
                       </div>
                     </div>
-                  </div>
 
-                  <div className="flex items-center justify-between mt-4 pt-3 border-t border-gray-50">
-                    <div className="flex items-center gap-3 text-xs text-muted-foreground">
-                      <div className="flex items-center gap-1">
-                        <Calendar className="h-3 w-3" />
-                        {formatDateTime(enquiry.updated_at)}
-                      </div>
-                      {enquiry.followup_date && (
+                    <div className="flex items-center justify-between mt-4 pt-3 border-t border-gray-50">
+                      <div className="flex items-center gap-3 text-xs text-muted-foreground">
                         <div className="flex items-center gap-1">
-                          <Bell className={`h-3 w-3 ${isFollowUpNeeded(enquiry.followup_date) ? 'text-red-500' : ''}`} />
-                          {formatDate(enquiry.followup_date)}
+                          <Calendar className="h-3 w-3" />
+                          {formatDateTime(enquiry.updated_at)}
                         </div>
-                      )}
+                        {enquiry.followup_date && (
+                          <div className="flex items-center gap-1">
+                            <Bell className={`h-3 w-3 ${isFollowUpNeeded(enquiry.followup_date) ? 'text-red-500' : ''}`} />
+                            {formatDate(enquiry.followup_date)}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <EnquirySlaBadge enquiry={enquiry} />
+                        <Badge2 variant={getBadgeVariant(enquiry.status)} className="px-2">
+                          {ENQUIRY_STATUS_LABELS[enquiry.status]}
+                        </Badge2>
+                      </div>
                     </div>
-                    <Badge2 variant={getBadgeVariant(enquiry.status)} className="px-2">
-                      {ENQUIRY_STATUS_LABELS[enquiry.status]}
-                    </Badge2>
                   </div>
-                </div>
-              ))}
+                ))}
 
-              {/* Infinite scroll loader */}
-              {hasMore && (
-                <div ref={observerTarget} className="flex justify-center py-4">
-                  {loadingMore && <Loader2 className="h-6 w-6 animate-spin text-primary" />}
-                </div>
-              )}
+                {/* Infinite scroll loader */}
+                {hasMore && (
+                  <div ref={observerTarget} className="flex justify-center py-4">
+                    {loadingMore && <Loader2 className="h-6 w-6 animate-spin text-primary" />}
+                  </div>
+                )}
 
-              {/* End of list message */}
-              {!hasMore && enquiries.length > 0 && (
-                <div className="text-center py-6 text-sm text-muted-foreground">
-                  You've reached the end of the list ({totalCount} enquiries)
-                </div>
-              )}
-            </div>
+                {/* End of list message */}
+                {!hasMore && enquiries.length > 0 && (
+                  <div className="text-center py-6 text-sm text-muted-foreground">
+                    You've reached the end of the list ({totalCount} enquiries)
+                  </div>
+                )}
+              </div>
 
-            {/* Desktop View - Table */}
-            <div className="hidden md:block overflow-x-auto text-sm">
-              <table className="w-full">
-                <thead className="border-b">
-                  <tr className="text-left text-sm">
-                    <th className="px-4 py-3 font-semibold">Contact</th>
-                    <th className="px-4 py-3 font-semibold">Phone</th>
-                    <th className="px-4 py-3 font-semibold">Source</th>
-                    <th className="px-4 py-3 font-semibold">Area</th>
-                    <th className="px-4 py-3 font-semibold">Status</th>
-                    <th className="px-4 py-3 font-semibold">Next Follow-up</th>
-                    <th className="px-4 py-3 font-semibold">Updated At</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {enquiries.map((enquiry) => (
-                    <tr
-                      key={enquiry.id}
-                      className="border-b last:border-0 hover:bg-muted/50 cursor-pointer"
-                      onClick={() => handleOpenEnquiryDetail(enquiry.id)}
-                    >
-                      <td className="px-4 py-3">
-                        <div className="flex items-center gap-2">
-                          <LetterAvatar 
-                            name={enquiry.customer?.name || enquiry.contact_name || 'Unknown'} 
-                            size="xs" 
-                          />
-                          <div>
-                            <div className="font-medium capitalize">
-                              {enquiry.customer?.name || enquiry.contact_name || 'Unknown'}
-                            </div>
-                            {enquiry.contact_email && (
-                              <div className="text-xs text-muted-foreground">
-                                {enquiry.contact_email}
+              {/* Desktop View - Table */}
+              <div className="hidden md:block overflow-x-auto text-sm">
+                <table className="w-full">
+                  <thead className="border-b">
+                    <tr className="text-left text-sm">
+                      <th className="px-4 py-3 font-semibold">Contact</th>
+                      <th className="px-4 py-3 font-semibold">Phone</th>
+                      <th className="px-4 py-3 font-semibold">Source</th>
+                      <th className="px-4 py-3 font-semibold">Area</th>
+                      <th className="px-4 py-3 font-semibold">Status</th>
+                      <th className="px-4 py-3 font-semibold">Next Follow-up</th>
+                      <th className="px-4 py-3 font-semibold">Updated At</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {enquiries.map((enquiry) => (
+                      <tr
+                        key={enquiry.id}
+                        className="border-b last:border-0 hover:bg-muted/50 cursor-pointer"
+                        onClick={() => handleOpenEnquiryDetail(enquiry.id)}
+                      >
+                        <td className="px-4 py-3">
+                          <div className="flex items-center gap-2">
+                            <LetterAvatar 
+                              name={enquiry.customer?.name || enquiry.contact_name || 'Unknown'} 
+                              size="xs" 
+                            />
+                            <div>
+                              <div className="font-medium capitalize">
+                                {enquiry.customer?.name || enquiry.contact_name || 'Unknown'}
                               </div>
-                            )}
+                              {enquiry.contact_email && (
+                                <div className="text-xs text-muted-foreground">
+                                  {enquiry.contact_email}
+                                </div>
+                              )}
+                            </div>
                           </div>
-                        </div>
-                      </td>
-                      <td className="px-4 py-3">
-                        <div className="flex items-center gap-1">
-                          <Phone className="h-3 w-3 text-muted-foreground" />
-                          <span className="font-medium">{enquiry.contact_phone}</span>
-                        </div>
-                      </td>
-                      <td className="px-4 py-3">
-                        <div className="font-medium capitalize">
-                          {ENQUIRY_SOURCE_LABELS[enquiry.source]}
-                        </div>
-                      </td>
-                      <td className="px-4 py-3">
-                        <div className="font-medium capitalize">{enquiry.area || 'N/A'}</div>
-                      </td>
-                      <td className="px-4 py-3">
-                        <Badge2 variant={getBadgeVariant(enquiry.status)}>
-                          {ENQUIRY_STATUS_LABELS[enquiry.status]}
-                        </Badge2>
-                      </td>
-                      <td className="px-4 py-3">
-                        {enquiry.followup_date ? (
-                          <div className={`flex items-center gap-1 ${isFollowUpNeeded(enquiry.followup_date) ? 'text-red-500 font-medium' : ''}`}>
-                            <Bell className="h-3 w-3" />
-                            {formatDate(enquiry.followup_date)}
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex items-center gap-1">
+                            <Phone className="h-3 w-3 text-muted-foreground" />
+                            <span className="font-medium">{enquiry.contact_phone}</span>
                           </div>
-                        ) : (
-                          <span className="text-muted-foreground">N/A</span>
-                        )}
-                      </td>
-                      <td className="px-4 py-3">{formatDateTime(enquiry.updated_at)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </>
-        )}
-      </Card>
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="font-medium capitalize">
+                            {ENQUIRY_SOURCE_LABELS[enquiry.source]}
+                          </div>
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="font-medium capitalize">{enquiry.area || 'N/A'}</div>
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex flex-col items-start gap-1">
+                            <Badge2 variant={getBadgeVariant(enquiry.status)}>
+                              {ENQUIRY_STATUS_LABELS[enquiry.status]}
+                            </Badge2>
+                            <EnquirySlaBadge enquiry={enquiry} />
+                          </div>
+                        </td>
+                        <td className="px-4 py-3">
+                          {enquiry.followup_date ? (
+                            <div className={`flex items-center gap-1 ${isFollowUpNeeded(enquiry.followup_date) ? 'text-red-500 font-medium' : ''}`}>
+                              <Bell className="h-3 w-3" />
+                              {formatDate(enquiry.followup_date)}
+                            </div>
+                          ) : (
+                            <span className="text-muted-foreground">N/A</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">{formatDateTime(enquiry.updated_at)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </Card>
+      )}
 
       {/* Desktop Pagination with Page Numbers */}
-      {!isMobile && totalPages > 1 && (
+      {view === 'list' && !isMobile && totalPages > 1 && (
         <div className="flex items-center justify-between">
           <p className="text-sm text-muted-foreground">
             Showing {Math.min((storePage - 1) * perPage + 1, totalCount)} to {Math.min(storePage * perPage, totalCount)} of {totalCount} enquiries
@@ -914,7 +1000,7 @@ const Enquiries = () => {
               onClose={handleCloseEnquiryDetail}
               onUpdate={(updatedEnquiry) => {
                 // Refresh the enquiry to get latest data
-                fetchEnquiries(true);
+                refreshView();
               }}
             />
           )}
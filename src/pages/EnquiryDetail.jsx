@@ -40,6 +40,7 @@ import {
 import { toast } from 'sonner';
 import ablyClient from '../services/ablyClient';
 import useEnquiryStore from '../store/enquiryStore';
+import useFollowUpStore, { getReminderTime } from '../store/followUpStore';
 import {
   ENQUIRY_SOURCE_LABELS,
   ENQUIRY_STATUS_LABELS,
@@ -79,6 +80,8 @@ import { sanitizeImageUrl, isValidUrl } from '../lib/security';
 import { Badge2 } from '@/components/ui/badge2';
 import LetterAvatar from '@/components/LetterAvatar';
 import CustomerContact from '@/components/CustomerContact';
+import useSettingsStore from '../store/settingsStore';
+import { getTemplateValues } from '../lib/messageTemplates';
 import VoiceNoteRecorder from '@/components/VoiceNoteRecorder';
 import WaveformPlayer from '@/components/WaveformPlayer';
 import OrderWizard from '../components/OrderWizard';
@@ -102,6 +105,7 @@ const EnquiryDetail = ({ enquiryId, onClose, onUpdate }) => {
     assignEnquiry,
     convertToOrder,
   } = useEnquiryStore();
+  const { settings } = useSettingsStore();
 
   // Quick status update (no dialog)
   const [updatingStatus, setUpdatingStatus] = useState(false);
@@ -450,6 +454,7 @@ const EnquiryDetail = ({ enquiryId, onClose, onUpdate }) => {
     try {
       await enquiryService.addFollowUp(id, {
         follow_up_at: followUpDate,
+        remind_at: getReminderTime({ follow_up_at: followUpDate }).toISOString(),
         notes: followUpNotes
       });
       
@@ -460,8 +465,9 @@ const EnquiryDetail = ({ enquiryId, onClose, onUpdate }) => {
       
       // Refresh enquiry to get updated status
       await fetchEnquiryById(id);
-      // Refresh follow-ups list
+      // Refresh follow-ups list (and this device's reminders)
       await fetchFollowUps();
+      useFollowUpStore.getState().fetchFollowUps();
       
       // Notify parent if provided
       if (onUpdate && enquiry) {
@@ -631,6 +637,9 @@ const EnquiryDetail = ({ enquiryId, onClose, onUpdate }) => {
                   <CustomerContact
                     phone={enquiry.contact_phone}
                     customerName={enquiry.customer?.name || enquiry.contact_name || 'Customer'}
+                    record={{ type: 'enquiry', id: enquiry.id }}
+                    templateValues={getTemplateValues({ enquiry }, settings)}
+                    onMessageSent={fetchComments}
                   />
                   {enquiry.area && (
                     <span className="flex items-center gap-1">
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { format, isSameDay, startOfDay } from 'date-fns';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { Calendar } from '../components/ui/calendar';
+import { Card, CardContent } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import FollowUpAgenda, { FollowUpItem } from '../components/FollowUpAgenda';
+import useFollowUpStore, { getReminderTime } from '../store/followUpStore';
+import { CalendarDays, ListTodo, RefreshCw } from 'lucide-react';
+
+/**
+ * Follow-ups Page
+ * The current user's pending enquiry follow-ups as an agenda or a calendar
+ */
+const FollowUps = () => {
+  const { followUps, isLoading, fetchFollowUps } = useFollowUpStore();
+  const [selectedDate, setSelectedDate] = useState(startOfDay(new Date()));
+
+  useEffect(() => {
+    fetchFollowUps();
+  }, [fetchFollowUps]);
+
+  const dueDays = followUps.map((f) => startOfDay(getReminderTime(f)));
+  const overdueDays = dueDays.filter((day) => day < startOfDay(new Date()));
+  const selectedFollowUps = followUps
+    .filter((f) => isSameDay(getReminderTime(f), selectedDate))
+    .sort((a, b) => getReminderTime(a) - getReminderTime(b));
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">My Follow-ups</h1>
+            <p className="text-gray-600 mt-1">
+              Reminders are sent to this device when a follow-up is due
+            </p>
+          </div>
+          <Button variant="outline" size="icon" onClick={fetchFollowUps} disabled={isLoading} aria-label="Refresh">
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+
+        <Tabs defaultValue="agenda">
+          <TabsList>
+            <TabsTrigger value="agenda">
+              <ListTodo className="h-4 w-4 mr-2" />
+              Agenda
+            </TabsTrigger>
+            <TabsTrigger value="calendar">
+              <CalendarDays className="h-4 w-4 mr-2" />
+              Calendar
+            </TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="agenda" className="mt-4">
+            <FollowUpAgenda />
+          </TabsContent>
+
+          <TabsContent value="calendar" className="mt-4">
+            <div className="grid gap-4 md:grid-cols-[auto_1fr]">
+              <Card className="bg-white w-fit">
+                <CardContent className="p-2">
+                  <Calendar
+                    mode="single"
+                    selected={selectedDate}
+                    onSelect={(date) => date && setSelectedDate(date)}
+                    modifiers={{ due: dueDays, overdue: overdueDays }}
+                    modifiersClassNames={{
+                      due: 'font-bold [&>button]:underline [&>button]:decoration-primary [&>button]:decoration-2',
+                      overdue: '[&>button]:decoration-red-500',
+                    }}
+                  />
+                </CardContent>
+              </Card>
+
+              <div className="space-y-2">
+                <p className="font-semibold text-gray-900">
+                  {format(selectedDate, 'EEEE, dd MMMM')}
+                  <span className="ml-2 text-sm font-medium text-muted-foreground bg-gray-100 px-2 py-0.5 rounded-full">
+                    {selectedFollowUps.length}
+                  </span>
+                </p>
+                {selectedFollowUps.length > 0 ? (
+                  selectedFollowUps.map((followUp) => (
+                    <FollowUpItem
+                      key={followUp.id}
+                      followUp={followUp}
+                      overdue={getReminderTime(followUp) < startOfDay(new Date())}
+                    />
+                  ))
+                ) : (
+                  <p className="text-sm text-muted-foreground py-6 text-center bg-white rounded-xl border border-dashed">
+                    No follow-ups on this day
+                  </p>
+                )}
+              </div>
+            </div>
+          </TabsContent>
+        </Tabs>
+      </div>
+    </div>
+  );
+};
+
+export default FollowUps;
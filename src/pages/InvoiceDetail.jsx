@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Button } from '../components/ui/button';
+import { Badge2 } from '../components/ui/badge2';
+import { ConfirmDialog } from '../components/ui/confirm-dialog';
+import InvoiceDocument from '../components/InvoiceDocument';
+import VoidInvoiceDialog from '../components/VoidInvoiceDialog';
+import { toast } from 'sonner';
+import {
+  ArrowLeft,
+  Printer,
+  RefreshCw,
+  Ban,
+  ExternalLink,
+  Loader2,
+} from 'lucide-react';
+import invoiceService from '../services/invoiceService';
+import { buildReissueInvoice } from '../lib/invoices';
+import { INVOICE_STATUSES, getStatusLabel } from '../lib/constants';
+import useAuthStore from '../store/authStore';
+
+/**
+ * Invoice Detail Page
+ * Shows a single invoice ready to print or save as PDF, with re-issue and void
+ */
+const InvoiceDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [reissuing, setReissuing] = useState(false);
+  const [isReissueOpen, setIsReissueOpen] = useState(false);
+  const [invoiceToVoid, setInvoiceToVoid] = useState(null);
+
+  // Sales executives can generate and print invoices; only admins and accountants amend them
+  const canManage = ['admin', 'accountant'].includes(user?.role);
+
+  useEffect(() => {
+    const fetchInvoice = async () => {
+      setLoading(true);
+      try {
+        const data = await invoiceService.getInvoiceById(id);
+        setInvoice(data.invoice);
+      } catch (error) {
+        toast.error('Failed to load invoice');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvoice();
+  }, [id]);
+
+  const handleReissue = async () => {
+    setReissuing(true);
+    try {
+      const snapshot = await buildReissueInvoice(invoice);
+      const data = await invoiceService.reissueInvoice(invoice.id, snapshot);
+      toast.success(`Invoice re-issued as #${data.invoice.invoice_number}`);
+      navigate(`/invoices/${data.invoice.id}`, { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to re-issue invoice');
+    } finally {
+      setReissuing(false);
+    }
+  };
+
+  const openSource = () => {
+    if (invoice.source_type === 'subscription_payment') {
+      navigate(`/subscriptions/${invoice.source_id}`);
+    } else {
+      navigate(`/orders/${invoice.source_id}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (!invoice) {
+    return (
+      <div className="p-6">
+        <div className="text-center py-12">
+          <p className="text-muted-foreground">Invoice not found</p>
+          <Button onClick={() => navigate(-1)} className="mt-4">
+            Go Back
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => navigate(-1)}
+            className="rounded-full flex-shrink-0"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <h1 className="text-xl sm:text-2xl font-semibold">Invoice #{invoice.invoice_number}</h1>
+          <Badge2 variant={invoice.status === 'void' ? 'destructive' : 'success'}>
+            {getStatusLabel(invoice.status, INVOICE_STATUSES)}
+          </Badge2>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={openSource}>
+            <ExternalLink className="h-4 w-4 mr-2" />
+            {invoice.source_reference}
+          </Button>
+          {canManage && invoice.status === 'issued' && (
+            <>
+              <Button variant="outline" onClick={() => setIsReissueOpen(true)} disabled={reissuing}>
+                {reissuing ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <RefreshCw className="h-4 w-4 mr-2" />
+                )}
+                Re-issue
+              </Button>
+              <Button variant="outline" onClick={() => setInvoiceToVoid(invoice)} className="text-destructive">
+                <Ban className="h-4 w-4 mr-2" />
+                Void
+              </Button>
+            </>
+          )}
+          <Button onClick={() => window.print()}>
+            <Printer className="h-4 w-4 mr-2" />
+            Print / PDF
+          </Button>
+        </div>
+      </div>
+
+      {invoice.status === 'void' && invoice.replaced_by && (
+        <div className="p-3 rounded-lg border border-orange-200 bg-orange-50 text-sm text-orange-800">
+          This invoice was re-issued as{' '}
+          <button
+            className="font-semibold underline"
+            onClick={() => navigate(`/invoices/${invoice.replaced_by.id}`)}
+          >
+            #{invoice.replaced_by.invoice_number}
+          </button>
+        </div>
+      )}
+
+      <div className="max-w-3xl mx-auto">
+        <InvoiceDocument invoice={invoice} />
+      </div>
+
+      <ConfirmDialog
+        open={isReissueOpen}
+        onOpenChange={setIsReissueOpen}
+        onConfirm={handleReissue}
+        title={`Re-issue Invoice #${invoice.invoice_number}`}
+        description="This invoice will be voided and a new invoice number issued with the latest order or subscription details."
+        confirmText="Re-issue"
+      />
+
+      <VoidInvoiceDialog
+        invoice={invoiceToVoid}
+        onClose={() => setInvoiceToVoid(null)}
+        onVoided={(voided) => setInvoice(voided)}
+      />
+    </div>
+  );
+};
+
+export default InvoiceDetail;
@@ -0,0 +1,325 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '../components/ui/dropdown-menu';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { ConfirmDialog } from '../components/ui/confirm-dialog';
+import VoidInvoiceDialog from '../components/VoidInvoiceDialog';
+import { toast } from 'sonner';
+import {
+  Search,
+  FileText,
+  MoreVertical,
+  Eye,
+  RefreshCw,
+  Ban,
+  ChevronLeft,
+  ChevronRight,
+} from 'lucide-react';
+import invoiceService from '../services/invoiceService';
+import { buildReissueInvoice } from '../lib/invoices';
+import {
+  INVOICE_STATUSES,
+  INVOICE_SOURCE_TYPES,
+  getStatusLabel,
+} from '../lib/constants';
+import { formatDate, formatCurrency } from '../lib/utilities';
+
+/**
+ * Invoices Page Component
+ * Lists issued and voided invoices with search, filters, re-issue and void
+ */
+const Invoices = () => {
+  const navigate = useNavigate();
+
+  // State
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sourceFilter, setSourceFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const [perPage] = useState(20);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+
+  // Action states
+  const [invoiceToReissue, setInvoiceToReissue] = useState(null);
+  const [invoiceToVoid, setInvoiceToVoid] = useState(null);
+
+  // Fetch invoices
+  const fetchInvoices = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page,
+        per_page: perPage,
+        search: searchQuery || undefined,
+        status: statusFilter !== 'all' ? statusFilter : undefined,
+        source_type: sourceFilter !== 'all' ? sourceFilter : undefined,
+      };
+
+      const response = await invoiceService.getInvoices(params);
+      setInvoices(response.invoices || []);
+      setTotalCount(response.pagination?.total_count || 0);
+      setTotalPages(response.pagination?.total_pages || 1);
+    } catch (error) {
+      toast.error('Failed to fetch invoices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Effect: Fetch invoices when filters or pagination changes
+  useEffect(() => {
+    fetchInvoices();
+  }, [page, searchQuery, statusFilter, sourceFilter]);
+
+  const handleSearchChange = (e) => {
+    setSearchQuery(e.target.value);
+    setPage(1);
+  };
+
+  const handleStatusChange = (value) => {
+    setStatusFilter(value);
+    setPage(1);
+  };
+
+  const handleSourceChange = (value) => {
+    setSourceFilter(value);
+    setPage(1);
+  };
+
+  // Re-issue: void the current invoice and issue a new number from fresh source data
+  const handleReissue = async () => {
+    const invoice = invoiceToReissue;
+    try {
+      const snapshot = await buildReissueInvoice(invoice);
+      const data = await invoiceService.reissueInvoice(invoice.id, snapshot);
+      toast.success(`Invoice re-issued as #${data.invoice.invoice_number}`);
+      navigate(`/invoices/${data.invoice.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to re-issue invoice');
+    }
+  };
+
+  const getStatusVariant = (status) => (status === 'void' ? 'destructive' : 'success');
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Invoices</h1>
+        <p className="text-gray-600 mt-1">
+          Invoices for completed orders and subscription payments
+        </p>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {/* Search */}
+          <div className="relative">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <Input
+              type="text"
+              placeholder="Search by invoice #, order # or customer..."
+              value={searchQuery}
+              onChange={handleSearchChange}
+              className="pl-10"
+            />
+          </div>
+
+          {/* Source Filter */}
+          <Select value={sourceFilter} onValueChange={handleSourceChange}>
+            <SelectTrigger>
+              <SelectValue placeholder="All Types" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Types</SelectItem>
+              {INVOICE_SOURCE_TYPES.map((type) => (
+                <SelectItem key={type.value} value={type.value}>
+                  {type.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          {/* Status Filter */}
+          <Select value={statusFilter} onValueChange={handleStatusChange}>
+            <SelectTrigger>
+              <SelectValue placeholder="All Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Status</SelectItem>
+              {INVOICE_STATUSES.map((status) => (
+                <SelectItem key={status.value} value={status.value}>
+                  {status.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </Card>
+
+      {/* Invoice List */}
+      {loading ? (
+        <Card className="p-6">
+          <div className="space-y-4">
+            {[...Array(5)].map((_, i) => (
+              <Skeleton key={i} className="h-16 w-full" />
+            ))}
+          </div>
+        </Card>
+      ) : invoices.length === 0 ? (
+        <Card className="p-12 text-center">
+          <FileText className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No invoices found</h3>
+          <p className="text-gray-600">
+            {searchQuery || statusFilter !== 'all' || sourceFilter !== 'all'
+              ? 'Try adjusting your search or filters'
+              : 'Invoices are generated from completed orders and subscription payments'}
+          </p>
+        </Card>
+      ) : (
+        <Card className="overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th className="text-left p-3 font-medium text-gray-600">Invoice #</th>
+                  <th className="text-left p-3 font-medium text-gray-600">Issued</th>
+                  <th className="text-left p-3 font-medium text-gray-600">Customer</th>
+                  <th className="text-left p-3 font-medium text-gray-600">Source</th>
+                  <th className="text-left p-3 font-medium text-gray-600">Status</th>
+                  <th className="text-right p-3 font-medium text-gray-600">Total</th>
+                  <th className="p-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.map((invoice) => (
+                  <tr
+                    key={invoice.id}
+                    className="border-b last:border-0 hover:bg-muted/50 cursor-pointer"
+                    onClick={() => navigate(`/invoices/${invoice.id}`)}
+                  >
+                    <td className="p-3 font-medium">#{invoice.invoice_number}</td>
+                    <td className="p-3">{formatDate(invoice.issued_at)}</td>
+                    <td className="p-3">
+                      <div className="font-medium">{invoice.customer_name}</div>
+                      <div className="text-xs text-muted-foreground">{invoice.customer_phone}</div>
+                    </td>
+                    <td className="p-3">
+                      <div>{invoice.source_reference}</div>
+                      <div className="text-xs text-muted-foreground">
+                        {getStatusLabel(invoice.source_type, INVOICE_SOURCE_TYPES)}
+                      </div>
+                    </td>
+                    <td className="p-3">
+                      <Badge2 variant={getStatusVariant(invoice.status)}>
+                        {getStatusLabel(invoice.status, INVOICE_STATUSES)}
+                      </Badge2>
+                    </td>
+                    <td className="p-3 text-right font-medium">{formatCurrency(invoice.total)}</td>
+                    <td className="p-3 text-right" onClick={(e) => e.stopPropagation()}>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <Button variant="ghost" size="icon">
+                            <MoreVertical className="h-4 w-4" />
+                          </Button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="end">
+                          <DropdownMenuItem onClick={() => navigate(`/invoices/${invoice.id}`)}>
+                            <Eye className="h-4 w-4 mr-2" />
+                            View / Print
+                          </DropdownMenuItem>
+                          {invoice.status === 'issued' && (
+                            <>
+                              <DropdownMenuItem onClick={() => setInvoiceToReissue(invoice)}>
+                                <RefreshCw className="h-4 w-4 mr-2" />
+                                Re-issue
+                              </DropdownMenuItem>
+                              <DropdownMenuItem
+                                onClick={() => setInvoiceToVoid(invoice)}
+                                className="text-destructive focus:text-destructive"
+                              >
+                                <Ban className="h-4 w-4 mr-2" />
+                                Void
+                              </DropdownMenuItem>
+                            </>
+                          )}
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      {/* Pagination */}
+      {!loading && totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            Showing {Math.min((page - 1) * perPage + 1, totalCount)} to {Math.min(page * perPage, totalCount)} of {totalCount} invoices
+          </p>
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPage(Math.max(1, page - 1))}
+              disabled={page === 1}
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span className="text-sm text-muted-foreground">
+              Page {page} of {totalPages}
+            </span>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPage(Math.min(totalPages, page + 1))}
+              disabled={page === totalPages}
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        open={!!invoiceToReissue}
+        onOpenChange={(open) => !open && setInvoiceToReissue(null)}
+        onConfirm={handleReissue}
+        title={`Re-issue Invoice #${invoiceToReissue?.invoice_number || ''}`}
+        description="The current invoice will be voided and a new invoice number issued with the latest order or subscription details."
+        confirmText="Re-issue"
+      />
+
+      <VoidInvoiceDialog
+        invoice={invoiceToVoid}
+        onClose={() => setInvoiceToVoid(null)}
+        onVoided={() => fetchInvoices()}
+      />
+    </div>
+  );
+};
+
+export default Invoices;
@@ -6,7 +6,6 @@ import { Label } from '../components/ui/label';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '../components/ui/card';
 import { toast } from 'sonner';
 import authService from '../services/authService';
-import pushNotificationService from '../services/pushNotifications';
 import { Loader2, Eye, EyeOff, Download } from 'lucide-react';
 import Logo from '../components/Logo';
 import usePWAInstall from '../hooks/usePWAInstall';
@@ -78,10 +77,6 @@ const Login = () => {
 
       const userRole = response.user.role;
 
-      // Initialize push notifications after successful login
-      pushNotificationService.initialize().catch(error => {
-      });
-
       // Navigate to dashboard
       navigate('/dashboard');
     } catch (error) {
@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Switch } from '../components/ui/switch';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { ConfirmDialog } from '../components/ui/confirm-dialog';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from '../components/ui/sheet';
+import { toast } from 'sonner';
+import { Plus, Edit2, Trash2, Building2, MapPin, Phone, Radius, Navigation } from 'lucide-react';
+import OfficeForm from '../components/OfficeForm';
+import MapPreview from '../components/MapPreview';
+import officeService from '../services/officeService';
+import useOfficeStore from '../store/officeStore';
+import { getDirectionsUrl } from '../lib/utilities';
+
+/**
+ * Offices Page Component (Admin Only)
+ * Manages branches: address, map location, service radius and active state
+ */
+const Offices = () => {
+  const { fetchOffices } = useOfficeStore();
+  const [offices, setOffices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedOffice, setSelectedOffice] = useState(null);
+  const [deleteOffice, setDeleteOffice] = useState(null);
+
+  const loadOffices = async () => {
+    try {
+      const response = await officeService.getAllOffices();
+      setOffices(response.offices || []);
+    } catch (error) {
+      toast.error('Failed to load offices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadOffices();
+  }, []);
+
+  // Reload the page list and the active offices used by pickers and filters
+  const refresh = () => {
+    loadOffices();
+    fetchOffices(true);
+  };
+
+  const openForm = (office = null) => {
+    setSelectedOffice(office);
+    setFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setFormOpen(false);
+    setSelectedOffice(null);
+  };
+
+  // Handle office form submit
+  const handleSubmit = async (officeData) => {
+    if (selectedOffice?.id) {
+      await officeService.updateOffice(selectedOffice.id, officeData);
+      toast.success('Office updated successfully');
+    } else {
+      await officeService.createOffice(officeData);
+      toast.success('Office created successfully');
+    }
+    closeForm();
+    refresh();
+  };
+
+  const handleToggleActive = async (office, active) => {
+    setOffices((prev) => prev.map((o) => (o.id === office.id ? { ...o, is_active: active } : o)));
+    try {
+      if (active) {
+        await officeService.activateOffice(office.id);
+      } else {
+        await officeService.deactivateOffice(office.id);
+      }
+      fetchOffices(true);
+    } catch (error) {
+      setOffices((prev) => prev.map((o) => (o.id === office.id ? { ...o, is_active: office.is_active } : o)));
+      toast.error(error.response?.data?.error || 'Failed to update office');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await officeService.deleteOffice(deleteOffice.id);
+      toast.success('Office deleted');
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete office');
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Offices</h1>
+          <p className="text-gray-600 mt-1">Branches that users, employees, orders and enquiries belong to</p>
+        </div>
+        <Button onClick={() => openForm()} className="sm:w-auto">
+          <Plus className="h-4 w-4 mr-2" />
+          Add Office
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {[...Array(3)].map((_, i) => (
+            <Skeleton key={i} className="h-72 w-full rounded-xl" />
+          ))}
+        </div>
+      ) : offices.length === 0 ? (
+        <Card className="p-10 text-center">
+          <Building2 className="h-10 w-10 mx-auto mb-3 text-gray-300" />
+          <p className="font-semibold text-gray-900">No offices yet</p>
+          <p className="text-sm text-muted-foreground">Add your first branch to assign staff and bookings to it</p>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {offices.map((office) => {
+            const directionsUrl = getDirectionsUrl(office);
+            return (
+              <Card key={office.id} className={`p-4 space-y-3 ${office.is_active === false ? 'opacity-70' : ''}`}>
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold truncate">{office.name}</h3>
+                      {office.is_active === false && <Badge2 variant="secondary">Inactive</Badge2>}
+                    </div>
+                    {office.city && <p className="text-sm text-muted-foreground">{office.city}</p>}
+                  </div>
+                  <Switch
+                    checked={office.is_active !== false}
+                    onCheckedChange={(checked) => handleToggleActive(office, checked)}
+                    aria-label="Active"
+                  />
+                </div>
+
+                {office.latitude && office.longitude && (
+                  <MapPreview lat={office.latitude} lng={office.longitude} />
+                )}
+
+                <div className="space-y-1 text-sm text-muted-foreground">
+                  {office.address && (
+                    <p className="flex items-start gap-2">
+                      <MapPin className="h-4 w-4 mt-0.5 shrink-0" />
+                      {office.address}
+                    </p>
+                  )}
+                  {office.phone && (
+                    <p className="flex items-center gap-2">
+                      <Phone className="h-4 w-4 shrink-0" />
+                      {office.phone}
+                    </p>
+                  )}
+                  {office.service_radius_km && (
+                    <p className="flex items-center gap-2">
+                      <Radius className="h-4 w-4 shrink-0" />
+                      Serves within {office.service_radius_km} km
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex gap-2 pt-1">
+                  <Button variant="outline" size="sm" className="flex-1" onClick={() => openForm(office)}>
+                    <Edit2 className="h-4 w-4 mr-2" />
+                    Edit
+                  </Button>
+                  {directionsUrl && (
+                    <Button variant="outline" size="sm" asChild>
+                      <a href={directionsUrl} target="_blank" rel="noopener noreferrer">
+                        <Navigation className="h-4 w-4" />
+                      </a>
+                    </Button>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700"
+                    onClick={() => setDeleteOffice(office)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Office Form Sheet */}
+      <Sheet open={formOpen} onOpenChange={(open) => !open && closeForm()}>
+        <SheetContent className="sm:max-w-xl overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>{selectedOffice?.id ? 'Edit Office' : 'Add Office'}</SheetTitle>
+            <SheetDescription>
+              Agents can check in within the attendance radius of their office
+            </SheetDescription>
+          </SheetHeader>
+          {formOpen && (
+            <OfficeForm
+              office={selectedOffice}
+              onSubmit={handleSubmit}
+              onCancel={closeForm}
+            />
+          )}
+        </SheetContent>
+      </Sheet>
+
+      <ConfirmDialog
+        open={!!deleteOffice}
+        onOpenChange={(open) => !open && setDeleteOffice(null)}
+        onConfirm={handleDelete}
+        title="Delete office?"
+        description={`"${deleteOffice?.name}" will be removed. Deactivate it instead to keep it on past records.`}
+        confirmText="Delete"
+        variant="destructive"
+      />
+    </div>
+  );
+};
+
+export default Offices;
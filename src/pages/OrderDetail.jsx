@@ -53,16 +53,18 @@ import { DatePicker } from '../components/ui/date-picker';
 import { Label } from '../components/ui/label';
 import { toast } from 'sonner';
 import orderService from '../services/orderService';
+import invoiceService from '../services/invoiceService';
+import { buildOrderInvoice } from '../lib/invoices';
 import OrderWizard from '../components/OrderWizard';
 import {
   ORDER_STATUSES,
   PAYMENT_STATUSES,
-  CANCELLATION_REASONS,
   getStatusColor,
   getStatusLabel,
 } from '../lib/constants';
 import {
   ArrowLeft,
+  CloudUpload,
   Edit,
   Ban,
   Loader2,
@@ -96,6 +98,7 @@ import {
   CalendarClock,
   BadgePlus,
   BadgePercent,
+  FileText,
 } from 'lucide-react';
 import MapPreview from '@/components/MapPreview';
 import VehicleIcon from '../components/VehicleIcon';
@@ -103,6 +106,9 @@ import { formatDate, formatDateTime, formatTime, formatCurrency } from '../lib/u
 import { Badge2 } from '@/components/ui/badge2';
 import LetterAvatar from '@/components/LetterAvatar';
 import useOrderStore from '../store/orderStore';
+import useSettingsStore from '../store/settingsStore';
+import { getTemplateValues } from '../lib/messageTemplates';
+import useSyncStore from '../store/syncStore';
 import ablyClient from '../services/ablyClient';
 
 /**
@@ -118,6 +124,10 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
 
   // Get agents from store
   const { agents, fetchAgents } = useOrderStore();
+  const { settings } = useSettingsStore();
+  const { entries: syncEntries } = useSyncStore();
+  const pendingSyncCount = syncEntries.filter((e) => e.orderId === String(id)).length;
+  const prevPendingSyncCount = useRef(pendingSyncCount);
 
   // Tabs state
   const [activeTab, setActiveTab] = useState('packages');
@@ -221,6 +231,9 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
   // Feedback comments view dialog
   const [isFeedbackViewOpen, setIsFeedbackViewOpen] = useState(false);
 
+  // Invoice state
+  const [openingInvoice, setOpeningInvoice] = useState(false);
+
   // Helper: Generate time options in 30-minute intervals (6 AM to 8:30 PM)
   const generateTimeOptions = () => {
     const times = [];
@@ -278,6 +291,22 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
     };
   }, [id]); // Re-subscribe if orderId changes
 
+  // Reload once queued offline changes for this order have synced
+  useEffect(() => {
+    if (pendingSyncCount < prevPendingSyncCount.current && navigator.onLine) {
+      fetchOrderDetails(true);
+    }
+    prevPendingSyncCount.current = pendingSyncCount;
+  }, [pendingSyncCount]);
+
+  // A write was queued offline - show it locally until it syncs
+  const applyQueuedChange = (changes) => {
+    setOrder((prev) => ({ ...prev, ...changes }));
+    toast.info('Saved offline', {
+      description: 'This change will sync when you are back online',
+    });
+  };
+
   const fetchOrderDetails = async (shouldCallUpdate = false) => {
     setLoading(true);
     try {
@@ -347,11 +376,15 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
   const performStatusChange = async (newStatus) => {
     setChangingStatus(true);
     try {
-      await orderService.updateOrderStatus(id, newStatus);
-      toast.success('Status updated successfully');
-      await fetchOrderDetails(true); // Pass true to trigger onUpdate
-      // Fetch timeline in background without blocking
-      setTimeout(() => fetchTimeline(), 0);
+      const result = await orderService.updateOrderStatus(id, newStatus);
+      if (result.queued) {
+        applyQueuedChange({ status: newStatus });
+      } else {
+        toast.success('Status updated successfully');
+        await fetchOrderDetails(true); // Pass true to trigger onUpdate
+        // Fetch timeline in background without blocking
+        setTimeout(() => fetchTimeline(), 0);
+      }
       setIsStatusConfirmOpen(false);
       setPaymentReceived(false); // Reset checkbox
     } catch (error) {
@@ -392,16 +425,21 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
       const bookingTimeFromISO = new Date(`${bookingDateISO}T${bookingTimeFrom}:00`).toISOString();
       const bookingTimeToISO = new Date(`${bookingDateISO}T${bookingTimeTo}:00`).toISOString();
 
-      await orderService.updateOrder(id, {
+      const bookingChanges = {
         booking_date: bookingDateISO,
         booking_time_from: bookingTimeFromISO,
         booking_time_to: bookingTimeToISO,
-      });
+      };
+      const result = await orderService.updateOrder(id, bookingChanges);
 
-      toast.success('Booking time updated successfully');
       setIsBookingEditOpen(false);
-      await fetchOrderDetails(true);
-      setTimeout(() => fetchTimeline(), 0);
+      if (result.queued) {
+        applyQueuedChange(bookingChanges);
+      } else {
+        toast.success('Booking time updated successfully');
+        await fetchOrderDetails(true);
+        setTimeout(() => fetchTimeline(), 0);
+      }
     } catch (error) {
       toast.error('Failed to update booking time');
     } finally {
@@ -433,6 +471,31 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
     }
   };
 
+  // Open the order's current invoice, issuing one on first use
+  const handleOpenInvoice = async () => {
+    setOpeningInvoice(true);
+    try {
+      const existing = await invoiceService.getInvoices({
+        source_type: 'order',
+        source_id: order.id,
+        status: 'issued',
+      });
+      let invoice = existing.invoices?.[0];
+
+      if (!invoice) {
+        const data = await invoiceService.createInvoice(buildOrderInvoice(order));
+        invoice = data.invoice;
+        toast.success(`Invoice #${invoice.invoice_number} generated`);
+      }
+
+      navigate(`/invoices/${invoice.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate invoice');
+    } finally {
+      setOpeningInvoice(false);
+    }
+  };
+
   // Calculate subtotal from packages and addons
   const calculateSubtotal = () => {
     const packagesTotal = order.packages?.reduce((sum, item) => {
@@ -499,10 +562,14 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
   // Handle save note
   const handleSaveNote = async () => {
     try {
-      await orderService.updateOrderNote(id, noteText);
-      toast.success('Note updated successfully');
+      const result = await orderService.updateOrderNote(id, noteText);
       setEditingNote(false);
-      await fetchOrderDetails(true); // Pass true to trigger onUpdate
+      if (result.queued) {
+        applyQueuedChange({ notes: noteText });
+      } else {
+        toast.success('Note updated successfully');
+        await fetchOrderDetails(true); // Pass true to trigger onUpdate
+      }
     } catch (error) {
       toast.error('Failed to update note');
     }
@@ -517,15 +584,23 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
 
     setSubmittingFeedback(true);
     try {
-      await orderService.submitOrderFeedback(id, {
+      const result = await orderService.submitOrderFeedback(id, {
         rating: feedbackRating,
         comments: feedbackComment
       });
-      toast.success('Feedback submitted successfully');
       setIsFeedbackDialogOpen(false);
       setFeedbackRating(0);
       setFeedbackComment('');
-      await fetchOrderDetails(true); // Pass true to trigger onUpdate
+      if (result.queued) {
+        applyQueuedChange({
+          rating: feedbackRating,
+          feedback_comments: feedbackComment,
+          feedback_submitted_at: new Date().toISOString(),
+        });
+      } else {
+        toast.success('Feedback submitted successfully');
+        await fetchOrderDetails(true); // Pass true to trigger onUpdate
+      }
     } catch (error) {
       toast.error('Failed to submit feedback');
     } finally {
@@ -699,6 +774,13 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
                   {getStatusLabel(order.status, ORDER_STATUSES)}
                 </Badge2>
 
+                {pendingSyncCount > 0 && (
+                  <Badge2 variant="warning" className="flex items-center gap-1 text-[10px] sm:text-xs" title="Saved offline, waiting to sync">
+                    <CloudUpload className="h-3 w-3" />
+                    {pendingSyncCount} pending
+                  </Badge2>
+                )}
+
                 {order.subscription_id && (
                   <Badge2
                     variant="secondary"
@@ -711,6 +793,23 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
                 )}
               </div>
 
+              {order.status === 'completed' && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleOpenInvoice}
+                  disabled={openingInvoice}
+                  className="flex-shrink-0"
+                >
+                  {openingInvoice ? (
+                    <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                  ) : (
+                    <FileText className="h-4 w-4 mr-1" />
+                  )}
+                  Invoice
+                </Button>
+              )}
+
               {isEditable && (
                 <div className="flex items-center gap-1">
                   <DropdownMenu>
@@ -1603,6 +1702,9 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
                     <CustomerContact
                       phone={order.customer.phone}
                       customerName={order.customer.name}
+                      record={{ type: 'order', id: order.id }}
+                      templateValues={getTemplateValues({ order }, settings)}
+                      onMessageSent={fetchTimeline}
                     />
                   )}
                 </div>
@@ -2359,7 +2461,7 @@ const OrderDetail = ({ orderId, onClose, onUpdate }) => {
                   <SelectValue placeholder="Select reason" />
                 </SelectTrigger>
                 <SelectContent>
-                  {CANCELLATION_REASONS.map((reason) => (
+                  {settings.cancellation_reasons.map((reason) => (
                     <SelectItem key={reason} value={reason}>
                       {reason}
                     </SelectItem>
@@ -14,6 +14,8 @@ import {
 import { toast } from 'sonner';
 import orderService from '../services/orderService';
 import useOrderStore from '../store/orderStore';
+import useOfficeStore from '../store/officeStore';
+import OfficeFilter from '../components/OfficeFilter';
 import OrderWizard from '../components/OrderWizard';
 import OrderDetail from './OrderDetail';
 import {
@@ -77,6 +79,7 @@ const Orders = () => {
     resetPagination,
     fetchAgents,
   } = useOrderStore();
+  const { selectedOfficeId } = useOfficeStore();
   
   // Load persisted state from localStorage
   const loadPersistedState = () => {
@@ -183,8 +186,9 @@ const Orders = () => {
       date_from: dateFrom,
       date_to: dateTo,
       assigned_to_id: agentId !== 'all' ? agentId : '',
+      office_id: selectedOfficeId !== 'all' ? selectedOfficeId : '',
     });
-  }, [searchQuery, status, paymentStatus, dateFrom, dateTo, agentId, setFilters]);
+  }, [searchQuery, status, paymentStatus, dateFrom, dateTo, agentId, selectedOfficeId, setFilters]);
 
   // Fetch orders with proper reset logic
   useEffect(() => {
@@ -200,7 +204,7 @@ const Orders = () => {
 
     // Reset and fetch when filters change
     fetchOrders(true);
-  }, [searchQuery, status, paymentStatus, dateFrom, dateTo, agentId, fetchOrders]);
+  }, [searchQuery, status, paymentStatus, dateFrom, dateTo, agentId, selectedOfficeId, fetchOrders]);
 
   // Infinite scroll observer callback
   const handleObserver = useCallback((entries) => {
@@ -417,6 +421,8 @@ const Orders = () => {
             </Button>
           </div>
 
+          <OfficeFilter />
+
           {/* Filter Button */}
           <Sheet open={isFilterOpen} onOpenChange={handleFilterOpen}>
             <SheetTrigger asChild>
@@ -0,0 +1,706 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Checkbox } from '../components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../components/ui/dialog';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { toast } from 'sonner';
+import {
+  Search,
+  Wallet,
+  CheckCircle2,
+  Loader2,
+  Image as ImageIcon,
+  IndianRupee,
+  RefreshCw,
+} from 'lucide-react';
+import { format, parseISO, subDays } from 'date-fns';
+import orderService from '../services/orderService';
+import subscriptionService from '../services/subscriptionService';
+import transactionService from '../services/transactionService';
+import invoiceService from '../services/invoiceService';
+import { buildSubscriptionPaymentInvoice } from '../lib/invoices';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  SUBSCRIPTION_PAYMENT_STATUSES,
+  getStatusLabel,
+} from '../lib/constants';
+import { formatDate, formatCurrency } from '../lib/utilities';
+
+// Receipts accountants reconcile by hand; card payments settle through the gateway
+const RECEIPT_METHODS = PAYMENT_METHODS.filter((method) => method.value !== 'card');
+
+const OUTSTANDING_PER_PAGE = 200;
+
+/**
+ * Normalise an unpaid order into a reconciliation row
+ * Part payments already received come off the outstanding amount
+ */
+const toOrderRow = (order) => ({
+  key: `order-${order.id}`,
+  type: 'order',
+  id: order.id,
+  reference: order.order_number,
+  customer: order.customer,
+  agent: order.assigned_to,
+  date: order.booking_date,
+  outstanding: Math.max(0, (parseFloat(order.total_amount) || 0) - (parseFloat(order.received_amount) || 0)),
+  status: order.payment_status,
+  proofUrl: order.image_urls?.payment_proof || null,
+  source: order,
+});
+
+/**
+ * Normalise a partially paid subscription into a reconciliation row
+ */
+const toSubscriptionRow = (subscription) => {
+  const total = (parseFloat(subscription.subscription_amount) || 0) * (subscription.months_duration || 1);
+  return {
+    key: `subscription-${subscription.id}`,
+    type: 'subscription',
+    id: subscription.id,
+    reference: subscription.subscription_number || `SUB-${subscription.id}`,
+    customer: subscription.customer,
+    agent: null,
+    date: subscription.payment_date || subscription.start_date,
+    outstanding: Math.max(0, total - (parseFloat(subscription.payment_amount) || 0)),
+    status: subscription.payment_status,
+    proofUrl: null,
+    source: subscription,
+  };
+};
+
+/**
+ * Payments Page
+ * Reconciliation workspace for accountants: record cash/UPI/bank transfer
+ * receipts against unpaid orders and part-paid subscriptions, and track the
+ * cash each agent is holding day by day
+ */
+const Payments = () => {
+  const navigate = useNavigate();
+  const [activeTab, setActiveTab] = useState('outstanding');
+
+  // Outstanding state
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+
+  // Receipt dialog state
+  const [isReceiptDialogOpen, setIsReceiptDialogOpen] = useState(false);
+  const [receiptMethod, setReceiptMethod] = useState('cash');
+  const [receiptDate, setReceiptDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [receiptAmounts, setReceiptAmounts] = useState({});
+  const [recording, setRecording] = useState(false);
+
+  // Proof viewer state
+  const [proofRow, setProofRow] = useState(null);
+
+  // Cash in hand state
+  const [cashFrom, setCashFrom] = useState(format(subDays(new Date(), 6), 'yyyy-MM-dd'));
+  const [cashTo, setCashTo] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [cashReceipts, setCashReceipts] = useState([]);
+  const [cashLoading, setCashLoading] = useState(false);
+
+  const fetchOutstanding = async () => {
+    setLoading(true);
+    try {
+      const [pendingOrders, partialOrders, failedOrders, partialSubscriptions] = await Promise.all([
+        orderService.getAllOrders({ payment_status: 'pending', per_page: OUTSTANDING_PER_PAGE }),
+        orderService.getAllOrders({ payment_status: 'partial', per_page: OUTSTANDING_PER_PAGE }),
+        orderService.getAllOrders({ payment_status: 'failed', per_page: OUTSTANDING_PER_PAGE }),
+        subscriptionService.getAllSubscriptions({ payment_status: 'partial', per_page: OUTSTANDING_PER_PAGE }),
+      ]);
+
+      const orderRows = [...(pendingOrders.orders || []), ...(partialOrders.orders || []), ...(failedOrders.orders || [])]
+        .filter((order) => order.status !== 'cancelled')
+        .map(toOrderRow);
+      const subscriptionRows = (partialSubscriptions.subscriptions || []).map(toSubscriptionRow);
+
+      setRows(
+        [...orderRows, ...subscriptionRows].sort((a, b) => new Date(a.date) - new Date(b.date))
+      );
+      setSelectedKeys([]);
+    } catch (error) {
+      console.error('Error loading outstanding payments:', error);
+      toast.error('Failed to load outstanding payments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCashInHand = async () => {
+    if (cashFrom > cashTo) {
+      toast.error('From date must be before to date');
+      return;
+    }
+
+    setCashLoading(true);
+    try {
+      const response = await transactionService.exportTransactions({
+        payment_method: 'cash',
+        payment_status: 'paid',
+        date_from: cashFrom,
+        date_to: cashTo,
+      });
+      setCashReceipts(response.transactions || []);
+    } catch (error) {
+      console.error('Error loading cash receipts:', error);
+      toast.error('Failed to load cash in hand');
+    } finally {
+      setCashLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOutstanding();
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'cash') {
+      fetchCashInHand();
+    }
+  }, [activeTab]);
+
+  const filteredRows = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    return rows.filter((row) => {
+      if (typeFilter !== 'all' && row.type !== typeFilter) return false;
+      if (!query) return true;
+      return [row.reference, row.customer?.name, row.customer?.phone, row.agent?.name]
+        .filter(Boolean)
+        .some((value) => value.toString().toLowerCase().includes(query));
+    });
+  }, [rows, searchQuery, typeFilter]);
+
+  const selectedRows = rows.filter((row) => selectedKeys.includes(row.key));
+  const allVisibleSelected = filteredRows.length > 0
+    && filteredRows.every((row) => selectedKeys.includes(row.key));
+
+  const toggleRow = (key) => {
+    setSelectedKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  };
+
+  const toggleAllVisible = () => {
+    const visibleKeys = filteredRows.map((row) => row.key);
+    setSelectedKeys((prev) =>
+      allVisibleSelected
+        ? prev.filter((key) => !visibleKeys.includes(key))
+        : [...new Set([...prev, ...visibleKeys])]
+    );
+  };
+
+  const openReceiptDialog = (keys = selectedKeys) => {
+    if (keys.length === 0) return;
+    setSelectedKeys(keys);
+    setReceiptAmounts(
+      Object.fromEntries(
+        rows.filter((row) => keys.includes(row.key)).map((row) => [row.key, row.outstanding.toString()])
+      )
+    );
+    setIsReceiptDialogOpen(true);
+  };
+
+  // Record one receipt in the ledger, then update what the source has received;
+  // subscription payments also get their invoice
+  const recordReceipt = async (row, amount, paidAt) => {
+    await transactionService.createTransaction({
+      source_type: row.type,
+      source_id: row.id,
+      amount,
+      payment_method: receiptMethod,
+      transaction_date: paidAt,
+    });
+
+    if (row.type === 'order') {
+      // A short receipt adds to what was received and leaves the rest outstanding
+      await orderService.updateOrder(row.id, {
+        payment_status: amount >= row.outstanding ? 'paid' : 'partial',
+        received_amount: (parseFloat(row.source.received_amount) || 0) + amount,
+      });
+      return;
+    }
+
+    await subscriptionService.updatePayment(row.id, {
+      payment_amount: amount,
+      payment_date: paidAt,
+    });
+
+    try {
+      await invoiceService.createInvoice(
+        buildSubscriptionPaymentInvoice(row.source, { amount, date: paidAt, method: receiptMethod })
+      );
+    } catch (error) {
+      console.error(`Invoice for ${row.reference} could not be generated:`, error);
+    }
+  };
+
+  const handleRecordReceipts = async () => {
+    const invalid = selectedRows.find((row) => {
+      const amount = parseFloat(receiptAmounts[row.key]);
+      return isNaN(amount) || amount <= 0;
+    });
+    if (invalid) {
+      toast.error(`Enter a valid amount for ${invalid.reference}`);
+      return;
+    }
+
+    const overpaid = selectedRows.find((row) => parseFloat(receiptAmounts[row.key]) > row.outstanding);
+    if (overpaid) {
+      toast.error(`${overpaid.reference} has only ${formatCurrency(overpaid.outstanding)} outstanding`);
+      return;
+    }
+
+    setRecording(true);
+    const paidAt = new Date(receiptDate + 'T00:00:00Z').toISOString();
+
+    // Independent receipts: one failure must not block the rest
+    const results = await Promise.allSettled(
+      selectedRows.map((row) => recordReceipt(row, parseFloat(receiptAmounts[row.key]), paidAt))
+    );
+
+    const failed = selectedRows.filter((_, index) => results[index].status === 'rejected');
+    const succeeded = selectedRows.length - failed.length;
+
+    if (succeeded > 0) {
+      toast.success(`${succeeded} receipt${succeeded === 1 ? '' : 's'} recorded`);
+    }
+    if (failed.length > 0) {
+      toast.error(`Failed to record ${failed.map((row) => row.reference).join(', ')}`);
+    }
+
+    setRecording(false);
+    setIsReceiptDialogOpen(false);
+    await fetchOutstanding();
+    setSelectedKeys(failed.map((row) => row.key));
+    if (activeTab === 'cash') fetchCashInHand();
+  };
+
+  // Group cash receipts by day and agent, with a running total per agent
+  const cashInHand = useMemo(() => {
+    const byDayAgent = {};
+    cashReceipts.forEach((txn) => {
+      if (!txn.transaction_date) return;
+      const day = format(parseISO(txn.transaction_date), 'yyyy-MM-dd');
+      const agentKey = txn.agent?.id ?? 'unassigned';
+      const key = `${day}|${agentKey}`;
+      if (!byDayAgent[key]) {
+        byDayAgent[key] = {
+          day,
+          agentKey,
+          agentName: txn.agent?.name || 'Unassigned',
+          receipts: 0,
+          collected: 0,
+        };
+      }
+      byDayAgent[key].receipts += 1;
+      byDayAgent[key].collected += parseFloat(txn.amount) || 0;
+    });
+
+    const entries = Object.values(byDayAgent).sort((a, b) =>
+      a.day === b.day ? a.agentName.localeCompare(b.agentName) : a.day.localeCompare(b.day)
+    );
+
+    const running = {};
+    entries.forEach((entry) => {
+      running[entry.agentKey] = (running[entry.agentKey] || 0) + entry.collected;
+      entry.runningTotal = running[entry.agentKey];
+    });
+
+    const agentTotals = Object.values(
+      entries.reduce((acc, entry) => {
+        acc[entry.agentKey] = {
+          agentName: entry.agentName,
+          total: entry.runningTotal,
+        };
+        return acc;
+      }, {})
+    ).sort((a, b) => b.total - a.total);
+
+    // Newest day first for display
+    return { entries: entries.reverse(), agentTotals };
+  }, [cashReceipts]);
+
+  const selectedTotal = selectedRows.reduce(
+    (sum, row) => sum + (parseFloat(receiptAmounts[row.key]) || 0),
+    0
+  );
+
+  const getStatusVariant = (status) => {
+    if (status === 'failed') return 'destructive';
+    if (status === 'partial') return 'info';
+    return 'warning';
+  };
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Payments</h1>
+        <p className="text-gray-600 mt-1">Reconcile receipts and track cash held by agents</p>
+      </div>
+
+      <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
+        <TabsList>
+          <TabsTrigger value="outstanding">Outstanding ({rows.length})</TabsTrigger>
+          <TabsTrigger value="cash">Cash in Hand</TabsTrigger>
+        </TabsList>
+
+        {/* Outstanding Tab */}
+        <TabsContent value="outstanding" className="space-y-4 mt-4">
+          <Card className="p-4">
+            <div className="flex flex-col md:flex-row gap-4">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  type="text"
+                  placeholder="Search by reference, customer or agent..."
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  className="pl-10"
+                />
+              </div>
+              <Select value={typeFilter} onValueChange={setTypeFilter}>
+                <SelectTrigger className="md:w-[200px]">
+                  <SelectValue placeholder="All Types" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Types</SelectItem>
+                  <SelectItem value="order">Orders</SelectItem>
+                  <SelectItem value="subscription">Subscriptions</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={fetchOutstanding} disabled={loading}>
+                <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                Refresh
+              </Button>
+              <Button onClick={() => openReceiptDialog()} disabled={selectedKeys.length === 0}>
+                <CheckCircle2 className="h-4 w-4 mr-2" />
+                Record Receipts ({selectedKeys.length})
+              </Button>
+            </div>
+          </Card>
+
+          {loading ? (
+            <Card className="p-6">
+              <div className="space-y-4">
+                {[...Array(5)].map((_, i) => (
+                  <Skeleton key={i} className="h-14 w-full" />
+                ))}
+              </div>
+            </Card>
+          ) : filteredRows.length === 0 ? (
+            <Card className="p-12 text-center">
+              <CheckCircle2 className="h-12 w-12 text-green-500 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">All caught up</h3>
+              <p className="text-gray-600">
+                {searchQuery || typeFilter !== 'all'
+                  ? 'No outstanding payments match your filters'
+                  : 'There are no unpaid orders or part-paid subscriptions'}
+              </p>
+            </Card>
+          ) : (
+            <Card className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 border-b">
+                    <tr>
+                      <th className="p-3 w-10">
+                        <Checkbox checked={allVisibleSelected} onCheckedChange={toggleAllVisible} />
+                      </th>
+                      <th className="text-left p-3 font-medium text-gray-600">Reference</th>
+                      <th className="text-left p-3 font-medium text-gray-600">Customer</th>
+                      <th className="text-left p-3 font-medium text-gray-600">Agent</th>
+                      <th className="text-left p-3 font-medium text-gray-600">Date</th>
+                      <th className="text-left p-3 font-medium text-gray-600">Status</th>
+                      <th className="text-left p-3 font-medium text-gray-600">Proof</th>
+                      <th className="text-right p-3 font-medium text-gray-600">Outstanding</th>
+                      <th className="p-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredRows.map((row) => (
+                      <tr key={row.key} className="border-b last:border-0 hover:bg-muted/50">
+                        <td className="p-3">
+                          <Checkbox
+                            checked={selectedKeys.includes(row.key)}
+                            onCheckedChange={() => toggleRow(row.key)}
+                          />
+                        </td>
+                        <td className="p-3">
+                          <button
+                            className="font-medium text-primary hover:underline"
+                            onClick={() => navigate(`/${row.type === 'order' ? 'orders' : 'subscriptions'}/${row.id}`)}
+                          >
+                            {row.reference}
+                          </button>
+                          <div className="text-xs text-muted-foreground capitalize">{row.type}</div>
+                        </td>
+                        <td className="p-3">
+                          <div className="font-medium">{row.customer?.name}</div>
+                          <div className="text-xs text-muted-foreground">{row.customer?.phone}</div>
+                        </td>
+                        <td className="p-3">{row.agent?.name || '-'}</td>
+                        <td className="p-3">{formatDate(row.date)}</td>
+                        <td className="p-3">
+                          <Badge2 variant={getStatusVariant(row.status)}>
+                            {getStatusLabel(
+                              row.status,
+                              row.type === 'order' ? PAYMENT_STATUSES : SUBSCRIPTION_PAYMENT_STATUSES
+                            )}
+                          </Badge2>
+                        </td>
+                        <td className="p-3">
+                          {row.proofUrl ? (
+                            <button onClick={() => setProofRow(row)} title="View payment proof">
+                              <img
+                                src={row.proofUrl}
+                                alt={`Payment proof for ${row.reference}`}
+                                className="h-10 w-10 rounded border object-cover hover:opacity-80"
+                              />
+                            </button>
+                          ) : (
+                            <span className="text-muted-foreground">-</span>
+                          )}
+                        </td>
+                        <td className="p-3 text-right font-medium">{formatCurrency(row.outstanding)}</td>
+                        <td className="p-3 text-right">
+                          <Button size="sm" variant="outline" onClick={() => openReceiptDialog([row.key])}>
+                            Record
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          )}
+        </TabsContent>
+
+        {/* Cash in Hand Tab */}
+        <TabsContent value="cash" className="space-y-4 mt-4">
+          <Card className="p-4">
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <div>
+                <Label htmlFor="cash_from">From Date</Label>
+                <Input
+                  id="cash_from"
+                  type="date"
+                  value={cashFrom}
+                  onChange={(e) => setCashFrom(e.target.value)}
+                />
+              </div>
+              <div>
+                <Label htmlFor="cash_to">To Date</Label>
+                <Input
+                  id="cash_to"
+                  type="date"
+                  value={cashTo}
+                  onChange={(e) => setCashTo(e.target.value)}
+                />
+              </div>
+              <Button onClick={fetchCashInHand} disabled={cashLoading}>
+                {cashLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Apply
+              </Button>
+            </div>
+          </Card>
+
+          {cashLoading ? (
+            <Card className="p-6">
+              <div className="space-y-4">
+                {[...Array(4)].map((_, i) => (
+                  <Skeleton key={i} className="h-12 w-full" />
+                ))}
+              </div>
+            </Card>
+          ) : cashInHand.entries.length === 0 ? (
+            <Card className="p-12 text-center">
+              <Wallet className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">No cash collected</h3>
+              <p className="text-gray-600">No cash receipts were recorded in this period</p>
+            </Card>
+          ) : (
+            <>
+              {/* Per-agent totals */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {cashInHand.agentTotals.map((agent) => (
+                  <Card key={agent.agentName}>
+                    <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                      <CardTitle className="text-sm font-medium truncate">{agent.agentName}</CardTitle>
+                      <IndianRupee className="h-4 w-4 text-muted-foreground" />
+                    </CardHeader>
+                    <CardContent>
+                      <div className="text-2xl font-bold">{formatCurrency(agent.total)}</div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+
+              <Card className="overflow-hidden">
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 border-b">
+                      <tr>
+                        <th className="text-left p-3 font-medium text-gray-600">Date</th>
+                        <th className="text-left p-3 font-medium text-gray-600">Agent</th>
+                        <th className="text-center p-3 font-medium text-gray-600">Receipts</th>
+                        <th className="text-right p-3 font-medium text-gray-600">Collected</th>
+                        <th className="text-right p-3 font-medium text-gray-600">Running Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {cashInHand.entries.map((entry) => (
+                        <tr key={`${entry.day}-${entry.agentKey}`} className="border-b last:border-0">
+                          <td className="p-3">{formatDate(entry.day)}</td>
+                          <td className="p-3 font-medium">{entry.agentName}</td>
+                          <td className="p-3 text-center">{entry.receipts}</td>
+                          <td className="p-3 text-right">{formatCurrency(entry.collected)}</td>
+                          <td className="p-3 text-right font-semibold">{formatCurrency(entry.runningTotal)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            </>
+          )}
+        </TabsContent>
+      </Tabs>
+
+      {/* Record Receipts Dialog */}
+      <Dialog open={isReceiptDialogOpen} onOpenChange={(open) => !recording && setIsReceiptDialogOpen(open)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Record Receipts</DialogTitle>
+            <DialogDescription>
+              Mark {selectedRows.length} payment{selectedRows.length === 1 ? '' : 's'} as received
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-2">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="receipt_method">Payment Method *</Label>
+                <Select value={receiptMethod} onValueChange={setReceiptMethod}>
+                  <SelectTrigger id="receipt_method">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {RECEIPT_METHODS.map((method) => (
+                      <SelectItem key={method.value} value={method.value}>
+                        {method.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="receipt_date">Received On *</Label>
+                <Input
+                  id="receipt_date"
+                  type="date"
+                  value={receiptDate}
+                  onChange={(e) => setReceiptDate(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="max-h-64 overflow-y-auto border rounded-lg divide-y">
+              {selectedRows.map((row) => (
+                <div key={row.key} className="flex items-center justify-between gap-3 p-3">
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{row.reference}</p>
+                    <p className="text-xs text-muted-foreground truncate">{row.customer?.name}</p>
+                    {parseFloat(receiptAmounts[row.key]) < row.outstanding && (
+                      <p className="text-xs text-amber-600">
+                        Part payment - {formatCurrency(row.outstanding - parseFloat(receiptAmounts[row.key]))} stays outstanding
+                      </p>
+                    )}
+                  </div>
+                  <Input
+                    type="number"
+                    min="0"
+                    max={row.outstanding}
+                    step="0.01"
+                    value={receiptAmounts[row.key] ?? ''}
+                    onChange={(e) =>
+                      setReceiptAmounts((prev) => ({ ...prev, [row.key]: e.target.value }))
+                    }
+                    className="w-32 text-right"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-between font-semibold">
+              <span>Total</span>
+              <span>{formatCurrency(selectedTotal)}</span>
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsReceiptDialogOpen(false)} disabled={recording}>
+              Cancel
+            </Button>
+            <Button onClick={handleRecordReceipts} disabled={recording || selectedRows.length === 0}>
+              {recording ? (
+                <>
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  Recording...
+                </>
+              ) : (
+                'Mark as Received'
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Payment Proof Viewer */}
+      <Dialog open={!!proofRow} onOpenChange={(open) => !open && setProofRow(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <ImageIcon className="h-5 w-5" />
+              Payment Proof – {proofRow?.reference}
+            </DialogTitle>
+          </DialogHeader>
+          {proofRow?.proofUrl && (
+            <img
+              src={proofRow.proofUrl}
+              alt={`Payment proof for ${proofRow.reference}`}
+              className="w-full max-h-[70vh] object-contain rounded-lg"
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default Payments;
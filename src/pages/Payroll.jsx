@@ -0,0 +1,254 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, parseISO, subMonths } from 'date-fns';
+import * as XLSX from 'xlsx';
+import { saveAs } from 'file-saver';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge } from '../components/ui/badge';
+import PayslipDocument from '../components/PayslipDocument';
+import { toast } from 'sonner';
+import { ArrowLeft, Download, Landmark, Printer, Wallet } from 'lucide-react';
+import employeeService from '../services/employeeService';
+import { calculatePayslip } from '../lib/payroll';
+import { formatCurrency } from '../lib/utilities';
+
+/**
+ * Payroll Page Component
+ * Monthly salary, commission and incentive run for all employees
+ */
+const Payroll = () => {
+  const navigate = useNavigate();
+  const [month, setMonth] = useState(format(subMonths(new Date(), 1), 'yyyy-MM'));
+  const [employees, setEmployees] = useState([]);
+  const [stats, setStats] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!month) return;
+
+    const fetchPayroll = async () => {
+      setLoading(true);
+      try {
+        const [employeesRes, statsRes] = await Promise.all([
+          employeeService.getAllEmployees(),
+          employeeService.getPayrollStats(month),
+        ]);
+        setEmployees(employeesRes.employees || employeesRes || []);
+        setStats(Object.fromEntries((statsRes.employees || []).map((s) => [s.employee_id, s])));
+      } catch (error) {
+        toast.error('Failed to load payroll data');
+        setEmployees([]);
+        setStats({});
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPayroll();
+  }, [month]);
+
+  // Employees on the books for at least one day of the month
+  const payslips = useMemo(() => (
+    employees
+      .map((employee) => calculatePayslip(employee, stats[employee.id], month))
+      .filter((payslip) => payslip.daysEmployed > 0)
+      .sort((a, b) => (a.employee.name || '').localeCompare(b.employee.name || ''))
+  ), [employees, stats, month]);
+
+  const totals = payslips.reduce((sum, p) => ({
+    baseSalary: sum.baseSalary + p.baseSalary,
+    commission: sum.commission + p.commission,
+    incentives: sum.incentives + p.workIncentive + p.fiveStarIncentive,
+    total: sum.total + p.total,
+  }), { baseSalary: 0, commission: 0, incentives: 0, total: 0 });
+
+  const monthLabel = month ? format(parseISO(`${month}-01`), 'MMMM yyyy') : '';
+
+  const exportPayroll = () => {
+    const rows = payslips.map((p) => ({
+      'Employee Number': p.employee.employee_number || '',
+      'Name': p.employee.name,
+      'Scheme': p.employee.scheme,
+      'Days Employed': `${p.daysEmployed}/${p.daysInMonth}`,
+      'Completed Orders': p.completedOrders,
+      'Order Value': p.orderValue,
+      '5-Star Orders': p.fiveStarOrders,
+      'Salary': p.baseSalary,
+      'Commission': p.commission,
+      'Work Incentive': p.workIncentive,
+      '5-Star Incentive': p.fiveStarIncentive,
+      'Net Pay': p.total,
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Payroll');
+    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, `payroll_${month}.xlsx`);
+    toast.success('Payroll exported successfully');
+  };
+
+  const exportBankSheet = () => {
+    const payable = payslips.filter((p) => p.total > 0);
+    const missing = payable.filter((p) => !p.employee.bank_account_number || !p.employee.bank_ifsc);
+
+    const rows = payable
+      .filter((p) => p.employee.bank_account_number && p.employee.bank_ifsc)
+      .map((p) => ({
+        'Beneficiary Name': p.employee.bank_account_name || p.employee.name,
+        'Account Number': p.employee.bank_account_number,
+        'IFSC': p.employee.bank_ifsc,
+        'Amount': p.total,
+        'Narration': `Salary ${monthLabel}`,
+        'Employee Number': p.employee.employee_number || '',
+      }));
+
+    if (rows.length === 0) {
+      toast.error('No employees with bank details to pay');
+      return;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Bank Transfer');
+    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, `bank_transfer_${month}.xlsx`);
+
+    if (missing.length > 0) {
+      toast.warning(`Left out ${missing.length} employee(s) without bank details: ${missing.map((p) => p.employee.name).join(', ')}`);
+    } else {
+      toast.success('Bank transfer sheet exported');
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 print:hidden">
+        <div className="flex items-start gap-3">
+          <Button variant="ghost" size="sm" className="h-9 w-9 p-0" onClick={() => navigate('/employees')}>
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Payroll</h1>
+            <p className="text-gray-600 mt-1">Salary, commission and incentives for the month</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="payroll-month" className="text-xs">Month</Label>
+            <Input
+              id="payroll-month"
+              type="month"
+              value={month}
+              max={format(new Date(), 'yyyy-MM')}
+              onChange={(e) => setMonth(e.target.value)}
+              className="w-44"
+            />
+          </div>
+          <Button variant="outline" onClick={exportPayroll} disabled={loading || payslips.length === 0}>
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </Button>
+          <Button variant="outline" onClick={exportBankSheet} disabled={loading || payslips.length === 0}>
+            <Landmark className="h-4 w-4 mr-2" />
+            Bank Sheet
+          </Button>
+          <Button onClick={() => window.print()} disabled={loading || payslips.length === 0}>
+            <Printer className="h-4 w-4 mr-2" />
+            Payslips
+          </Button>
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 print:hidden">
+        {[
+          { label: 'Salaries', value: totals.baseSalary },
+          { label: 'Commission', value: totals.commission },
+          { label: 'Incentives', value: totals.incentives },
+          { label: 'Net Payroll', value: totals.total },
+        ].map((item) => (
+          <Card key={item.label}>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">{item.label}</CardTitle>
+              <Wallet className="h-4 w-4 text-muted-foreground" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold">{loading ? '—' : formatCurrency(item.value)}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* Payroll Table */}
+      <Card className="print:hidden">
+        <CardContent className="p-0">
+          {loading ? (
+            <div className="p-4 space-y-3">
+              {[...Array(4)].map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : payslips.length === 0 ? (
+            <p className="text-center text-muted-foreground py-12">No employees on the books in {monthLabel}</p>
+          ) : (
+            <div className="overflow-x-auto text-sm">
+              <table className="w-full">
+                <thead className="border-b">
+                  <tr className="text-left">
+                    <th className="px-4 py-3 font-semibold">Employee</th>
+                    <th className="px-4 py-3 font-semibold text-right">Days</th>
+                    <th className="px-4 py-3 font-semibold text-right">Orders</th>
+                    <th className="px-4 py-3 font-semibold text-right">Order Value</th>
+                    <th className="px-4 py-3 font-semibold text-right">5★</th>
+                    <th className="px-4 py-3 font-semibold text-right">Salary</th>
+                    <th className="px-4 py-3 font-semibold text-right">Commission</th>
+                    <th className="px-4 py-3 font-semibold text-right">Incentives</th>
+                    <th className="px-4 py-3 font-semibold text-right">Net Pay</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payslips.map((p) => (
+                    <tr key={p.employee.id} className="border-b last:border-0">
+                      <td className="px-4 py-3">
+                        <div className="font-medium">{p.employee.name}</div>
+                        <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                          {p.employee.employee_number}
+                          <Badge variant="outline" className="capitalize">{p.employee.scheme}</Badge>
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {p.daysEmployed < p.daysInMonth ? `${p.daysEmployed}/${p.daysInMonth}` : p.daysInMonth}
+                      </td>
+                      <td className="px-4 py-3 text-right">{p.completedOrders}</td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(p.orderValue)}</td>
+                      <td className="px-4 py-3 text-right">{p.fiveStarOrders}</td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(p.baseSalary)}</td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(p.commission)}</td>
+                      <td className="px-4 py-3 text-right">{formatCurrency(p.workIncentive + p.fiveStarIncentive)}</td>
+                      <td className="px-4 py-3 text-right font-semibold">{formatCurrency(p.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Payslips - only rendered for printing */}
+      <div className="payslip-print hidden print:block">
+        {payslips.map((p) => (
+          <PayslipDocument key={p.employee.id} payslip={p} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Payroll;
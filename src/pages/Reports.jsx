@@ -53,6 +53,8 @@ import { getStatusLabel, getStatusColor, ORDER_STATUSES, PAYMENT_STATUSES } from
 import { Badge2 } from '../components/ui/badge2';
 import apiClient from '../services/apiClient';
 import useAuthStore from '../store/authStore';
+import useOfficeStore from '../store/officeStore';
+import OfficeFilter from '../components/OfficeFilter';
 
 const Reports = () => {
   const { user } = useAuthStore();
@@ -60,6 +62,7 @@ const Reports = () => {
   const [loading, setLoading] = useState(false);
   const [reportData, setReportData] = useState(null);
   const [agents, setAgents] = useState([]);
+  const { selectedOfficeId } = useOfficeStore();
   
   // Filter states
   const [filters, setFilters] = useState({
@@ -187,6 +190,7 @@ const Reports = () => {
       if (filters.status) params.status = filters.status;
       if (filters.payment_status) params.payment_status = filters.payment_status;
       if (filters.agent_id) params.agent_id = filters.agent_id;
+      if (selectedOfficeId !== 'all') params.office_id = selectedOfficeId;
 
       const response = await apiClient.get('/orders/reports/orders', { params });
       setReportData(response.data);
@@ -279,6 +283,7 @@ const Reports = () => {
       if (enquiryFilters.source) params.source = enquiryFilters.source;
       if (enquiryFilters.status) params.status = enquiryFilters.status;
       if (enquiryFilters.assigned_to_id) params.assigned_to_id = enquiryFilters.assigned_to_id;
+      if (selectedOfficeId !== 'all') params.office_id = selectedOfficeId;
 
       const response = await apiClient.get('/enquiries/reports', { params });
       setReportData(response.data);
@@ -325,6 +330,8 @@ const Reports = () => {
       'Active Pipeline': summary.active_pipeline,
       'Overdue Follow-ups': summary.overdue_followups,
       'Stale Enquiries': summary.stale_enquiries,
+      'First Response SLA Compliance (%)': reportData.sla?.first_response?.compliance_rate?.toFixed(2) || 'N/A',
+      'Follow-up SLA Compliance (%)': reportData.sla?.follow_up?.compliance_rate?.toFixed(2) || 'N/A',
     }];
 
     // Source performance sheet
@@ -376,6 +383,19 @@ const Reports = () => {
     const agentSheet = XLSX.utils.json_to_sheet(agentData);
     XLSX.utils.book_append_sheet(workbook, agentSheet, 'Agent Performance');
     
+    if (reportData.sla) {
+      const slaData = (reportData.sla.by_source || []).map(s => ({
+        'Source': s.source,
+        'First Response SLA (minutes)': s.first_response_minutes,
+        'Follow-up SLA (days)': s.follow_up_days,
+        'First Response Compliance (%)': (s.first_response_compliance || 0).toFixed(2),
+        'Follow-up Compliance (%)': (s.follow_up_compliance || 0).toFixed(2),
+        'Breaches': s.breached || 0,
+      }));
+      const slaSheet = XLSX.utils.json_to_sheet(slaData);
+      XLSX.utils.book_append_sheet(workbook, slaSheet, 'SLA Compliance');
+    }
+    
     const detailedSheet = XLSX.utils.json_to_sheet(detailedData);
     XLSX.utils.book_append_sheet(workbook, detailedSheet, 'Detailed Enquiries');
 
@@ -455,6 +475,7 @@ const Reports = () => {
           </Button>
           <h1 className="text-3xl font-bold">Orders Report</h1>
         </div>
+        <OfficeFilter className="w-44" />
       </div>
 
       {/* Filters Section */}
@@ -831,6 +852,7 @@ const Reports = () => {
             </Button>
             <h1 className="text-3xl font-bold">Enquiries Report</h1>
           </div>
+          <OfficeFilter className="w-44" />
         </div>
 
         {/* Filters */}
@@ -1046,6 +1068,7 @@ const Reports = () => {
               <TabsTrigger value="trends">Trends</TabsTrigger>
               <TabsTrigger value="sources">Sources</TabsTrigger>
               <TabsTrigger value="agents">Agents</TabsTrigger>
+              {reportData.sla && <TabsTrigger value="sla">SLA</TabsTrigger>}
             </TabsList>
 
             {/* Volume Tab */}
@@ -1201,6 +1224,72 @@ const Reports = () => {
                 </CardContent>
               </Card>
             </TabsContent>
+
+            {/* SLA Tab */}
+            {reportData.sla && (
+              <TabsContent value="sla" className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {[
+                    { key: 'first_response', title: 'First Response SLA', icon: Clock },
+                    { key: 'follow_up', title: 'Follow-up SLA', icon: PhoneCall },
+                  ].map(({ key, title, icon: Icon }) => {
+                    const metrics = reportData.sla[key] || {};
+                    return (
+                      <Card key={key}>
+                        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                          <CardTitle className="text-sm font-medium">{title}</CardTitle>
+                          <Icon className="h-4 w-4 text-muted-foreground" />
+                        </CardHeader>
+                        <CardContent>
+                          <div className="text-2xl font-bold">{(metrics.compliance_rate || 0).toFixed(1)}%</div>
+                          <p className="text-xs text-muted-foreground">
+                            {metrics.met || 0} met · {metrics.breached || 0} breached
+                            {metrics.pending > 0 && ` · ${metrics.pending} running`}
+                            {key === 'first_response' && metrics.avg_minutes != null &&
+                              ` · avg ${Math.round(metrics.avg_minutes)} min`}
+                          </p>
+                        </CardContent>
+                      </Card>
+                    );
+                  })}
+                </div>
+                <Card>
+                  <CardHeader>
+                    <CardTitle>SLA Compliance by Source</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <div className="overflow-x-auto">
+                      <table className="w-full border-collapse">
+                        <thead>
+                          <tr className="border-b">
+                            <th className="text-left p-2">Source</th>
+                            <th className="text-right p-2">SLA</th>
+                            <th className="text-right p-2">First Response</th>
+                            <th className="text-right p-2">Follow-up</th>
+                            <th className="text-right p-2">Breaches</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {(reportData.sla.by_source || []).map((source, idx) => (
+                            <tr key={idx} className="border-b hover:bg-muted/50">
+                              <td className="p-2 font-medium">
+                                {source.source.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                              </td>
+                              <td className="text-right p-2 text-muted-foreground">
+                                {source.first_response_minutes}m / {source.follow_up_days}d
+                              </td>
+                              <td className="text-right p-2">{(source.first_response_compliance || 0).toFixed(1)}%</td>
+                              <td className="text-right p-2">{(source.follow_up_compliance || 0).toFixed(1)}%</td>
+                              <td className="text-right p-2">{source.breached || 0}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </CardContent>
+                </Card>
+              </TabsContent>
+            )}
           </Tabs>
         )}
 
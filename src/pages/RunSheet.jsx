@@ -0,0 +1,255 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { format, addDays, subDays, isToday } from 'date-fns';
+import { Card } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import { toast } from 'sonner';
+import {
+  ChevronLeft,
+  ChevronRight,
+  Clock10,
+  Home,
+  MapPin,
+  Navigation,
+  Printer,
+  Route,
+  AlertTriangle,
+} from 'lucide-react';
+import orderService from '../services/orderService';
+import userService from '../services/userService';
+import useAuthStore from '../store/authStore';
+import useOrderStore from '../store/orderStore';
+import useOfficeStore from '../store/officeStore';
+import { formatTime } from '../lib/utilities';
+import { getStatusLabel } from '../lib/constants';
+import { buildRunSheet, getRunSheetMapsUrls, getRunStart } from '../lib/runSheet';
+
+const ISSUE_LABELS = {
+  overlap: { label: 'Overlaps previous job', variant: 'destructive' },
+  impossible: { label: 'Not enough time to get there', variant: 'destructive' },
+  tight: { label: 'Tight', variant: 'warning' },
+};
+
+/**
+ * Run Sheet Page
+ * An agent's stops for a day in driving order, with travel estimates between jobs,
+ * flags for bookings that cannot be reached in time, printing and a Google Maps route.
+ * Agents see their own sheet; admins and sales pick an agent.
+ */
+const RunSheet = () => {
+  const { user } = useAuthStore();
+  const { agents, fetchAgents } = useOrderStore();
+  const { offices, fetchOffices } = useOfficeStore();
+  const isAgent = user?.role === 'agent';
+
+  const [date, setDate] = useState(new Date());
+  const [agentId, setAgentId] = useState(isAgent ? String(user.id) : '');
+  const [profile, setProfile] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchOffices();
+    if (isAgent) {
+      userService.getProfile()
+        .then((response) => setProfile(response.data))
+        .catch(() => setProfile(null));
+    } else if (agents.length === 0) {
+      fetchAgents();
+    }
+  }, [isAgent, agents.length, fetchAgents, fetchOffices]);
+
+  const fetchOrders = useCallback(async () => {
+    if (!agentId) return;
+    try {
+      setLoading(true);
+      const response = await orderService.getAllOrders({
+        booking_date: format(date, 'yyyy-MM-dd'),
+        assigned_to_id: agentId,
+        per_page: 100,
+      });
+      setOrders((response.orders || []).filter((order) => (
+        String(order.assigned_to?.id) === agentId && order.status !== 'draft' && order.status !== 'cancelled'
+      )));
+    } catch (error) {
+      toast.error('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [date, agentId]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const agent = isAgent ? profile : agents.find((a) => String(a.id) === agentId);
+  const start = useMemo(() => getRunStart(agent, offices), [agent, offices]);
+  const sheet = useMemo(() => buildRunSheet(orders, start), [orders, start]);
+  const routeLinks = getRunSheetMapsUrls(sheet.stops, start);
+
+  return (
+    <div className="p-4 md:p-6 space-y-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Run Sheet</h1>
+          <p className="text-gray-600 mt-1">Stops in driving order with travel time between jobs</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={() => window.print()} disabled={sheet.stops.length === 0}>
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </Button>
+          {routeLinks.map((link) => (
+            <Button key={link.from} asChild>
+              <a href={link.url} target="_blank" rel="noopener noreferrer">
+                <Navigation className="h-4 w-4 mr-2" />
+                {routeLinks.length === 1 ? 'Open Route' : `Route: Stops ${link.from}–${link.to}`}
+              </a>
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {/* Agent and day */}
+      <div className="flex flex-col sm:flex-row gap-3">
+        {!isAgent && (
+          <Select value={agentId} onValueChange={setAgentId}>
+            <SelectTrigger className="sm:w-56">
+              <SelectValue placeholder="Select agent" />
+            </SelectTrigger>
+            <SelectContent>
+              {agents.map((a) => (
+                <SelectItem key={a.id} value={String(a.id)}>{a.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+        <Card className="p-2 flex flex-1 items-center justify-between">
+          <Button variant="ghost" size="icon" onClick={() => setDate((d) => subDays(d, 1))}>
+            <ChevronLeft className="h-5 w-5" />
+          </Button>
+          <button className="text-sm font-semibold" onClick={() => setDate(new Date())}>
+            {isToday(date) ? 'Today' : format(date, 'EEE, MMM dd')}
+          </button>
+          <Button variant="ghost" size="icon" onClick={() => setDate((d) => addDays(d, 1))}>
+            <ChevronRight className="h-5 w-5" />
+          </Button>
+        </Card>
+      </div>
+
+      {!agentId ? (
+        <Card className="p-12 text-center">
+          <Route className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">Pick an agent to see their run sheet</p>
+        </Card>
+      ) : loading && orders.length === 0 ? (
+        <div className="space-y-3">
+          {[...Array(3)].map((_, i) => (
+            <Skeleton key={i} className="h-24 w-full rounded-xl" />
+          ))}
+        </div>
+      ) : sheet.stops.length === 0 ? (
+        <Card className="p-12 text-center">
+          <Route className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No jobs scheduled</h3>
+          <p className="text-gray-600">Assigned jobs for this day will appear here</p>
+        </Card>
+      ) : (
+        <Card className="run-sheet-print p-4 sm:p-6 space-y-4">
+          {/* Sheet header (also the printed title) */}
+          <div className="flex items-start justify-between gap-4 border-b pb-4">
+            <div>
+              <h2 className="text-lg font-bold">{agent?.name || 'Agent'}</h2>
+              <p className="text-sm text-muted-foreground">{format(date, 'EEEE, MMM dd, yyyy')}</p>
+            </div>
+            <div className="text-right text-sm">
+              <p className="font-semibold">{sheet.stops.length} stop{sheet.stops.length === 1 ? '' : 's'} · ~{sheet.totalKm} km</p>
+              {sheet.issues > 0 && (
+                <p className="text-red-600 font-semibold">
+                  {sheet.issues} booking{sheet.issues === 1 ? '' : 's'} can't be reached in time
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Start */}
+          <div className="flex items-center gap-3 text-sm text-muted-foreground">
+            <div className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center shrink-0">
+              <Home className="h-4 w-4" />
+            </div>
+            {start ? `Start from ${start.label}` : 'No home or office location set - distances start from the first job'}
+          </div>
+
+          {sheet.stops.map((stop, index) => {
+            const { order } = stop;
+            const issue = ISSUE_LABELS[stop.issue];
+            return (
+              <div key={order.id} className="space-y-2 break-inside-avoid">
+                {/* Leg */}
+                <div className="ml-4 border-l-2 border-dashed pl-6 py-1 text-xs text-muted-foreground flex flex-wrap items-center gap-x-3 gap-y-1">
+                  {stop.distanceKm !== null ? (
+                    <span>{stop.distanceKm} km · ~{stop.travelMinutes} min drive</span>
+                  ) : (
+                    <span>No location for distance</span>
+                  )}
+                  {stop.gapMinutes !== null && (
+                    <span>{stop.gapMinutes < 0 ? `${-stop.gapMinutes} min overlap` : `${stop.gapMinutes} min gap`}</span>
+                  )}
+                  {issue && (
+                    <Badge2 variant={issue.variant} className="text-[10px] h-5">
+                      {stop.issue !== 'tight' && <AlertTriangle className="h-3 w-3" />}
+                      {issue.label}
+                    </Badge2>
+                  )}
+                </div>
+
+                {/* Stop */}
+                <div className={`flex items-start gap-3 rounded-lg border p-3 ${stop.issue === 'overlap' || stop.issue === 'impossible' ? 'border-red-300 bg-red-50/50' : ''}`}>
+                  <div className="h-8 w-8 rounded-full bg-primary text-primary-foreground flex items-center justify-center text-sm font-bold shrink-0">
+                    {index + 1}
+                  </div>
+                  <div className="flex-1 min-w-0 space-y-1">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-1.5 text-sm font-bold">
+                        <Clock10 className="h-4 w-4 text-primary" />
+                        {order.booking_time_from ? formatTime(order.booking_time_from) : 'No time'}
+                        {order.booking_time_to && (
+                          <span className="text-muted-foreground font-medium">– {formatTime(order.booking_time_to)}</span>
+                        )}
+                      </div>
+                      <span className="text-xs text-muted-foreground">{getStatusLabel(order.status)}</span>
+                    </div>
+                    <p className="font-semibold truncate">
+                      {order.customer?.name || order.customer_name || 'Unnamed Customer'}
+                      <span className="ml-2 text-xs font-normal text-muted-foreground">#{order.order_number}</span>
+                    </p>
+                    <p className="flex items-start gap-1.5 text-sm text-gray-700">
+                      <MapPin className="h-4 w-4 mt-0.5 text-muted-foreground shrink-0" />
+                      {order.full_address || order.area || 'No address provided'}
+                    </p>
+                    {order.packages?.length > 0 && (
+                      <p className="text-xs text-muted-foreground">
+                        {order.packages.map((item) => item.package_name).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default RunSheet;
@@ -0,0 +1,500 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Card } from '../components/ui/card';
+import { Switch } from '../components/ui/switch';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from '../components/ui/sheet';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '../components/ui/dropdown-menu';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { toast } from 'sonner';
+import {
+  Plus,
+  Search,
+  Archive,
+  ArchiveRestore,
+  ArrowUp,
+  ArrowDown,
+  Edit2,
+  Copy,
+  MoreVertical,
+  Package,
+  Sparkles,
+} from 'lucide-react';
+import packageService from '../services/packageService';
+import PackageForm from '../components/PackageForm';
+import AddonForm from '../components/AddonForm';
+import VehicleIcon from '../components/VehicleIcon';
+import useAuthStore from '../store/authStore';
+import { getVehicleTypes } from '../lib/vehicleData';
+import { formatCurrency } from '../lib/utilities';
+
+/**
+ * Services Page Component
+ * Service catalogue for packages and add-ons used by the order and subscription wizards
+ * Admins can create, edit, price, reorder and archive; other roles get a read-only view
+ */
+const Services = () => {
+  const { user } = useAuthStore();
+  const canManage = user?.role === 'admin';
+
+  // State
+  const [activeTab, setActiveTab] = useState('packages');
+  const [packages, setPackages] = useState([]);
+  const [addons, setAddons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [vehicleFilter, setVehicleFilter] = useState('all');
+  const [includeArchived, setIncludeArchived] = useState(false);
+
+  // Form sheet state
+  const [formType, setFormType] = useState(null); // null, 'package', 'addon'
+  const [selectedItem, setSelectedItem] = useState(null);
+
+  // Fetch catalogue
+  const fetchCatalogue = async () => {
+    try {
+      setLoading(true);
+      const params = { include_archived: includeArchived };
+      const [packagesRes, addonsRes] = await Promise.all([
+        packageService.getAllPackages(params),
+        packageService.getAllAddons(params),
+      ]);
+      setPackages(sortByPosition(packagesRes.packages || packagesRes || []));
+      setAddons(sortByPosition(addonsRes.addons || addonsRes || []));
+    } catch (error) {
+      toast.error('Failed to load services');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCatalogue();
+  }, [includeArchived]);
+
+  const sortByPosition = (items) => {
+    return [...items].sort((a, b) => (a.position ?? Number.MAX_SAFE_INTEGER) - (b.position ?? Number.MAX_SAFE_INTEGER));
+  };
+
+  const matchesSearch = (item) => {
+    if (!searchQuery) return true;
+    const query = searchQuery.toLowerCase();
+    return item.name?.toLowerCase().includes(query) || item.description?.toLowerCase().includes(query);
+  };
+
+  const filteredPackages = packages.filter(
+    (pkg) =>
+      matchesSearch(pkg) &&
+      (vehicleFilter === 'all' || pkg.vehicle_type?.toLowerCase() === vehicleFilter)
+  );
+
+  const filteredAddons = addons.filter(matchesSearch);
+
+  // Open form sheet
+  const openForm = (type, item = null) => {
+    setFormType(type);
+    setSelectedItem(item);
+  };
+
+  const closeForm = () => {
+    setFormType(null);
+    setSelectedItem(null);
+  };
+
+  // Duplicate a package for another vehicle type
+  const handleDuplicate = (pkg) => {
+    const { id, position, archived_at, ...rest } = pkg;
+    openForm('package', { ...rest, vehicle_type: '' });
+  };
+
+  // Handle package form submit
+  const handlePackageSubmit = async (packageData) => {
+    if (selectedItem?.id) {
+      await packageService.updatePackage(selectedItem.id, packageData);
+      toast.success('Package updated successfully');
+    } else {
+      await packageService.createPackage(packageData);
+      toast.success('Package created successfully');
+    }
+    closeForm();
+    fetchCatalogue();
+  };
+
+  // Handle add-on form submit
+  const handleAddonSubmit = async (addonData) => {
+    if (selectedItem?.id) {
+      await packageService.updateAddon(selectedItem.id, addonData);
+      toast.success('Add-on updated successfully');
+    } else {
+      await packageService.createAddon(addonData);
+      toast.success('Add-on created successfully');
+    }
+    closeForm();
+    fetchCatalogue();
+  };
+
+  // Toggle subscription availability inline
+  const handleToggleSubscription = async (pkg, checked) => {
+    if (checked && !pkg.subscription_price) {
+      toast.info('Set a monthly price before enabling subscriptions');
+      openForm('package', { ...pkg, subscription_enabled: true });
+      return;
+    }
+
+    setPackages((prev) => prev.map((p) => (p.id === pkg.id ? { ...p, subscription_enabled: checked } : p)));
+    try {
+      await packageService.updatePackage(pkg.id, { subscription_enabled: checked });
+      toast.success(checked ? 'Package enabled for subscriptions' : 'Package removed from subscriptions');
+    } catch (error) {
+      setPackages((prev) => prev.map((p) => (p.id === pkg.id ? { ...p, subscription_enabled: !checked } : p)));
+      toast.error('Failed to update package');
+    }
+  };
+
+  // Handle archive/unarchive
+  const handleArchive = async (type, item) => {
+    try {
+      if (type === 'package') {
+        if (item.archived_at) {
+          await packageService.unarchivePackage(item.id);
+        } else {
+          await packageService.archivePackage(item.id);
+        }
+      } else if (item.archived_at) {
+        await packageService.unarchiveAddon(item.id);
+      } else {
+        await packageService.archiveAddon(item.id);
+      }
+      toast.success(item.archived_at ? 'Unarchived successfully' : 'Archived successfully');
+      fetchCatalogue();
+    } catch (error) {
+      toast.error('Failed to update archive status');
+    }
+  };
+
+  // Move an item up or down within the visible list and persist the new order
+  const handleMove = async (type, visibleItems, index, direction) => {
+    const target = visibleItems[index];
+    const swapWith = visibleItems[index + direction];
+    if (!target || !swapWith) return;
+
+    const allItems = type === 'package' ? packages : addons;
+    const setItems = type === 'package' ? setPackages : setAddons;
+
+    const reordered = [...allItems];
+    const fromIndex = reordered.findIndex((item) => item.id === target.id);
+    const toIndex = reordered.findIndex((item) => item.id === swapWith.id);
+    [reordered[fromIndex], reordered[toIndex]] = [reordered[toIndex], reordered[fromIndex]];
+
+    setItems(reordered);
+    try {
+      const ids = reordered.map((item) => item.id);
+      if (type === 'package') {
+        await packageService.reorderPackages(ids);
+      } else {
+        await packageService.reorderAddons(ids);
+      }
+    } catch (error) {
+      setItems(allItems);
+      toast.error('Failed to save order');
+    }
+  };
+
+  // Render row actions
+  const renderActions = (type, item, visibleItems, index) => {
+    if (!canManage) return null;
+
+    return (
+      <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-8 w-8 p-0"
+          disabled={index === 0}
+          onClick={() => handleMove(type, visibleItems, index, -1)}
+          title="Move up"
+        >
+          <ArrowUp className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-8 w-8 p-0"
+          disabled={index === visibleItems.length - 1}
+          onClick={() => handleMove(type, visibleItems, index, 1)}
+          title="Move down"
+        >
+          <ArrowDown className="h-4 w-4" />
+        </Button>
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="ghost" size="sm" className="h-8 w-8 p-0">
+              <MoreVertical className="h-4 w-4" />
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuItem onClick={() => openForm(type, item)}>
+              <Edit2 className="h-4 w-4 mr-2" />
+              Edit
+            </DropdownMenuItem>
+            {type === 'package' && (
+              <DropdownMenuItem onClick={() => handleDuplicate(item)}>
+                <Copy className="h-4 w-4 mr-2" />
+                Duplicate for another vehicle
+              </DropdownMenuItem>
+            )}
+            <DropdownMenuItem onClick={() => handleArchive(type, item)}>
+              {item.archived_at ? (
+                <>
+                  <ArchiveRestore className="h-4 w-4 mr-2" />
+                  Unarchive
+                </>
+              ) : (
+                <>
+                  <Archive className="h-4 w-4 mr-2" />
+                  Archive
+                </>
+              )}
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+    );
+  };
+
+  // Render status badges shared by packages and add-ons
+  const renderStatusBadges = (item) => (
+    <>
+      {item.archived_at && <Badge2 variant="secondary">Archived</Badge2>}
+      {!item.archived_at && item.is_active === false && <Badge2 variant="warning">Inactive</Badge2>}
+    </>
+  );
+
+  const renderLoading = () => (
+    <Card className="p-6">
+      <div className="space-y-4">
+        {[...Array(5)].map((_, i) => (
+          <Skeleton key={i} className="h-16 w-full" />
+        ))}
+      </div>
+    </Card>
+  );
+
+  const renderEmpty = (label, type) => (
+    <Card className="p-12 text-center">
+      <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">No {label} found</h3>
+      <p className="text-gray-500 mb-4">
+        {searchQuery || vehicleFilter !== 'all'
+          ? 'Try adjusting your filters'
+          : `Add your first ${label.replace(/s$/, '')} to get started`}
+      </p>
+      {canManage && !searchQuery && (
+        <Button onClick={() => openForm(type)}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add {type === 'package' ? 'Package' : 'Add-on'}
+        </Button>
+      )}
+    </Card>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Services</h1>
+            <p className="text-gray-600 mt-1">
+              Packages and add-ons offered in orders and subscriptions
+            </p>
+          </div>
+          {canManage && (
+            <Button onClick={() => openForm(activeTab === 'packages' ? 'package' : 'addon')}>
+              <Plus className="h-4 w-4 mr-2" />
+              {activeTab === 'packages' ? 'Add Package' : 'Add Add-on'}
+            </Button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+            <Input
+              type="text"
+              placeholder="Search by name or description..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="pl-10 bg-white"
+            />
+          </div>
+          {canManage && (
+            <Button
+              variant={includeArchived ? 'default' : 'outline'}
+              onClick={() => setIncludeArchived(!includeArchived)}
+            >
+              <Archive className="h-4 w-4 mr-2" />
+              {includeArchived ? 'Hide Archived' : 'Show Archived'}
+            </Button>
+          )}
+        </div>
+
+        <Tabs value={activeTab} onValueChange={setActiveTab}>
+          <TabsList>
+            <TabsTrigger value="packages">Packages ({packages.length})</TabsTrigger>
+            <TabsTrigger value="addons">Add-ons ({addons.length})</TabsTrigger>
+          </TabsList>
+
+          {/* Packages Tab */}
+          <TabsContent value="packages" className="space-y-4 mt-4">
+            {/* Vehicle type pills */}
+            <div className="flex flex-wrap gap-2">
+              <Button
+                size="sm"
+                variant={vehicleFilter === 'all' ? 'default' : 'outline'}
+                onClick={() => setVehicleFilter('all')}
+              >
+                All Vehicles
+              </Button>
+              {getVehicleTypes().map((type) => (
+                <Button
+                  key={type}
+                  size="sm"
+                  variant={vehicleFilter === type.toLowerCase() ? 'default' : 'outline'}
+                  onClick={() => setVehicleFilter(type.toLowerCase())}
+                >
+                  {type}
+                </Button>
+              ))}
+            </div>
+
+            {loading ? renderLoading() : filteredPackages.length === 0 ? renderEmpty('packages', 'package') : (
+              <div className="space-y-3">
+                {filteredPackages.map((pkg, index) => (
+                  <Card
+                    key={pkg.id}
+                    className={`p-4 ${pkg.archived_at ? 'opacity-60' : ''} ${canManage ? 'cursor-pointer hover:shadow-md transition-shadow' : ''}`}
+                    onClick={() => canManage && openForm('package', pkg)}
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="flex items-start gap-3 flex-1 min-w-0">
+                        <VehicleIcon vehicleType={pkg.vehicle_type} size={40} className="shrink-0 text-primary" />
+                        <div className="min-w-0">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <h3 className="font-semibold text-gray-900">{pkg.name}</h3>
+                            <Badge2 variant="info" className="capitalize">{pkg.vehicle_type}</Badge2>
+                            {renderStatusBadges(pkg)}
+                          </div>
+                          {pkg.description && (
+                            <p className="text-sm text-gray-600 mt-1 line-clamp-2">{pkg.description}</p>
+                          )}
+                          <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+                            <span className="font-semibold text-gray-900">
+                              {formatCurrency(pkg.unit_price ?? pkg.price)}
+                            </span>
+                            {pkg.subscription_enabled && (
+                              <span className="text-gray-600">
+                                {formatCurrency(pkg.subscription_price)}/month
+                                {pkg.max_washes_per_month ? ` • ${pkg.max_washes_per_month} washes` : ''}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center gap-3" onClick={(e) => e.stopPropagation()}>
+                        <div className="hidden sm:flex items-center gap-2">
+                          <span className="text-xs text-gray-500">Subscription</span>
+                          <Switch
+                            checked={!!pkg.subscription_enabled}
+                            disabled={!canManage || !!pkg.archived_at}
+                            onCheckedChange={(checked) => handleToggleSubscription(pkg, checked)}
+                          />
+                        </div>
+                        {renderActions('package', pkg, filteredPackages, index)}
+                      </div>
+                    </div>
+                  </Card>
+                ))}
+              </div>
+            )}
+          </TabsContent>
+
+          {/* Add-ons Tab */}
+          <TabsContent value="addons" className="space-y-4 mt-4">
+            {loading ? renderLoading() : filteredAddons.length === 0 ? renderEmpty('add-ons', 'addon') : (
+              <div className="space-y-3">
+                {filteredAddons.map((addon, index) => (
+                  <Card
+                    key={addon.id}
+                    className={`p-4 ${addon.archived_at ? 'opacity-60' : ''} ${canManage ? 'cursor-pointer hover:shadow-md transition-shadow' : ''}`}
+                    onClick={() => canManage && openForm('addon', addon)}
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="flex items-start gap-3 flex-1 min-w-0">
+                        <div className="h-10 w-10 shrink-0 rounded-full bg-primary/10 flex items-center justify-center">
+                          <Sparkles className="h-5 w-5 text-primary" />
+                        </div>
+                        <div className="min-w-0">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <h3 className="font-semibold text-gray-900">{addon.name}</h3>
+                            {renderStatusBadges(addon)}
+                          </div>
+                          {addon.description && (
+                            <p className="text-sm text-gray-600 mt-1 line-clamp-2">{addon.description}</p>
+                          )}
+                          <p className="text-sm font-semibold text-gray-900 mt-2">
+                            {formatCurrency(addon.unit_price ?? addon.price)}
+                          </p>
+                        </div>
+                      </div>
+                      {renderActions('addon', addon, filteredAddons, index)}
+                    </div>
+                  </Card>
+                ))}
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
+      </div>
+
+      {/* Package / Add-on Form Sheet */}
+      <Sheet open={!!formType} onOpenChange={(open) => !open && closeForm()}>
+        <SheetContent className="sm:max-w-xl overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>
+              {formType === 'package'
+                ? selectedItem?.id ? 'Edit Package' : 'Add Package'
+                : selectedItem?.id ? 'Edit Add-on' : 'Add Add-on'}
+            </SheetTitle>
+            <SheetDescription>
+              Price changes apply to new orders and subscriptions only
+            </SheetDescription>
+          </SheetHeader>
+          {formType === 'package' && (
+            <PackageForm pkg={selectedItem} onSubmit={handlePackageSubmit} onCancel={closeForm} />
+          )}
+          {formType === 'addon' && (
+            <AddonForm addon={selectedItem} onSubmit={handleAddonSubmit} onCancel={closeForm} />
+          )}
+        </SheetContent>
+      </Sheet>
+    </div>
+  );
+};
+
+export default Services;
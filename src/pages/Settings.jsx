@@ -0,0 +1,619 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Textarea } from '../components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import { toast } from 'sonner';
+import { Plus, X, Loader2, RotateCcw, Save, Trash2 } from 'lucide-react';
+import useSettingsStore from '../store/settingsStore';
+import { ENQUIRY_SOURCE_OPTIONS, DEFAULT_ENQUIRY_SLA } from '../constants/enquiryConstants';
+import { TEMPLATE_CATEGORIES, TEMPLATE_PLACEHOLDERS } from '../lib/messageTemplates';
+import {
+  DEFAULT_SETTINGS,
+  generateTimeSlots,
+  formatTimeDisplay,
+} from '../lib/constants';
+
+const SLOT_INTERVALS = [15, 30, 60];
+
+// Every half hour of the day, used for the working hours selects
+const HOUR_OPTIONS = generateTimeSlots('00:00', '23:30', 30);
+
+/**
+ * Settings Page Component
+ * Admin configuration for GST, discounts, drafts, cancellation reasons, booking slots, attendance,
+ * enquiry SLAs and WhatsApp templates
+ */
+const Settings = () => {
+  const { settings, isLoading, fetchSettings, updateSettings } = useSettingsStore();
+
+  const [form, setForm] = useState(settings);
+  const [newReason, setNewReason] = useState('');
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  // Sync form when fresh settings arrive
+  useEffect(() => {
+    setForm(settings);
+  }, [settings]);
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: undefined }));
+    }
+  };
+
+  const handleAddReason = () => {
+    const reason = newReason.trim();
+    if (!reason) return;
+
+    if (form.cancellation_reasons.some((r) => r.toLowerCase() === reason.toLowerCase())) {
+      toast.error('This reason already exists');
+      return;
+    }
+
+    // Keep 'Other' last so the free-text option stays at the end of the list
+    const reasons = form.cancellation_reasons.filter((r) => r !== 'Other');
+    handleChange('cancellation_reasons', [...reasons, reason, 'Other']);
+    setNewReason('');
+  };
+
+  const handleRemoveReason = (reason) => {
+    handleChange(
+      'cancellation_reasons',
+      form.cancellation_reasons.filter((r) => r !== reason)
+    );
+  };
+
+  const handleSlaChange = (source, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      enquiry_slas: {
+        ...prev.enquiry_slas,
+        [source]: { ...prev.enquiry_slas?.[source], [field]: value },
+      },
+    }));
+    if (errors.enquiry_slas) {
+      setErrors((prev) => ({ ...prev, enquiry_slas: undefined }));
+    }
+  };
+
+  const handleTemplateChange = (templateId, field, value) => {
+    handleChange(
+      'whatsapp_templates',
+      form.whatsapp_templates.map((t) => (t.id === templateId ? { ...t, [field]: value } : t))
+    );
+  };
+
+  const handleAddTemplate = () => {
+    handleChange('whatsapp_templates', [
+      ...(form.whatsapp_templates || []),
+      { id: `custom-${Date.now()}`, name: '', category: 'general', body: '' },
+    ]);
+  };
+
+  // Blank SLA fields fall back to the default
+  const getSlasForSave = () => {
+    const slas = {};
+    Object.entries(form.enquiry_slas || {}).forEach(([source, sla]) => {
+      const values = {};
+      ['first_response_minutes', 'follow_up_days'].forEach((field) => {
+        if (sla?.[field] !== undefined && sla[field] !== '') values[field] = Number(sla[field]);
+      });
+      if (Object.keys(values).length > 0) slas[source] = values;
+    });
+    return slas;
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    const gst = Number(form.gst_percentage);
+    const maxDiscount = Number(form.max_discount_percentage);
+    const expiry = Number(form.draft_expiry_hours);
+    const grace = Number(form.late_grace_minutes);
+    const radius = Number(form.check_in_radius_meters);
+
+    if (form.gst_percentage === '' || isNaN(gst) || gst < 0 || gst > 100) {
+      newErrors.gst_percentage = 'Enter a percentage between 0 and 100';
+    }
+    if (form.max_discount_percentage === '' || isNaN(maxDiscount) || maxDiscount < 0 || maxDiscount > 100) {
+      newErrors.max_discount_percentage = 'Enter a percentage between 0 and 100';
+    }
+    if (!Number.isInteger(expiry) || expiry < 1) {
+      newErrors.draft_expiry_hours = 'Enter a whole number of hours (at least 1)';
+    }
+    if (form.cancellation_reasons.filter((r) => r !== 'Other').length === 0) {
+      newErrors.cancellation_reasons = 'Add at least one cancellation reason';
+    }
+    if (form.working_hours_start >= form.working_hours_end) {
+      newErrors.working_hours = 'Closing time must be after opening time';
+    }
+    if (form.late_grace_minutes === '' || !Number.isInteger(grace) || grace < 0) {
+      newErrors.late_grace_minutes = 'Enter a whole number of minutes';
+    }
+    if (!Number.isInteger(radius) || radius < 50) {
+      newErrors.check_in_radius_meters = 'Enter a whole number of meters (at least 50)';
+    }
+    if ((form.whatsapp_templates || []).some((t) => !t.name.trim() || !t.body.trim())) {
+      newErrors.whatsapp_templates = 'Every template needs a name and a message';
+    }
+    const slaValues = Object.values(getSlasForSave()).flatMap((sla) => Object.values(sla));
+    if (slaValues.some((value) => !Number.isInteger(value) || value < 1)) {
+      newErrors.enquiry_slas = 'SLAs must be whole numbers of at least 1';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validate()) {
+      toast.error('Please fix the highlighted fields');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await updateSettings({
+        ...form,
+        gst_percentage: Number(form.gst_percentage),
+        max_discount_percentage: Number(form.max_discount_percentage),
+        draft_expiry_hours: Number(form.draft_expiry_hours),
+        slot_interval_minutes: Number(form.slot_interval_minutes),
+        late_grace_minutes: Number(form.late_grace_minutes),
+        check_in_radius_meters: Number(form.check_in_radius_meters),
+        enquiry_slas: getSlasForSave(),
+      });
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const previewSlots = form.working_hours_start < form.working_hours_end
+    ? generateTimeSlots(form.working_hours_start, form.working_hours_end, Number(form.slot_interval_minutes))
+    : [];
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600 mt-1">Business configuration used across orders and subscriptions</p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={() => {
+              setForm(DEFAULT_SETTINGS);
+              setErrors({});
+            }}
+            disabled={saving}
+          >
+            <RotateCcw className="h-4 w-4 mr-2" />
+            Defaults
+          </Button>
+          <Button onClick={handleSave} disabled={saving || isLoading}>
+            {saving ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <Save className="h-4 w-4 mr-2" />
+                Save Changes
+              </>
+            )}
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Pricing */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Pricing</CardTitle>
+            <CardDescription>Applied when creating orders and subscriptions</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="gst_percentage">GST (%)</Label>
+              <Input
+                id="gst_percentage"
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={form.gst_percentage}
+                onChange={(e) => handleChange('gst_percentage', e.target.value)}
+                className={errors.gst_percentage ? 'border-red-500' : ''}
+              />
+              {errors.gst_percentage && (
+                <p className="text-sm text-red-500">{errors.gst_percentage}</p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="max_discount_percentage">Maximum Discount (%)</Label>
+              <Input
+                id="max_discount_percentage"
+                type="number"
+                min="0"
+                max="100"
+                value={form.max_discount_percentage}
+                onChange={(e) => handleChange('max_discount_percentage', e.target.value)}
+                className={errors.max_discount_percentage ? 'border-red-500' : ''}
+              />
+              {errors.max_discount_percentage ? (
+                <p className="text-sm text-red-500">{errors.max_discount_percentage}</p>
+              ) : (
+                <p className="text-xs text-muted-foreground">
+                  Limit for line item discounts; fixed discounts are capped at the same share of the item total
+                </p>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Drafts */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Drafts</CardTitle>
+            <CardDescription>Unsaved order and subscription wizards</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <Label htmlFor="draft_expiry_hours">Draft Expiry (hours)</Label>
+            <Input
+              id="draft_expiry_hours"
+              type="number"
+              min="1"
+              value={form.draft_expiry_hours}
+              onChange={(e) => handleChange('draft_expiry_hours', e.target.value)}
+              className={errors.draft_expiry_hours ? 'border-red-500' : ''}
+            />
+            {errors.draft_expiry_hours ? (
+              <p className="text-sm text-red-500">{errors.draft_expiry_hours}</p>
+            ) : (
+              <p className="text-xs text-muted-foreground">
+                Drafts older than this are discarded when the wizard opens
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Booking Slots */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Booking Slots</CardTitle>
+            <CardDescription>Time slots offered in the order and subscription wizards</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label>Opens</Label>
+                <Select
+                  value={form.working_hours_start}
+                  onValueChange={(value) => handleChange('working_hours_start', value)}
+                >
+                  <SelectTrigger className={errors.working_hours ? 'border-red-500' : ''}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {HOUR_OPTIONS.map((time) => (
+                      <SelectItem key={time} value={time}>
+                        {formatTimeDisplay(time)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Closes</Label>
+                <Select
+                  value={form.working_hours_end}
+                  onValueChange={(value) => handleChange('working_hours_end', value)}
+                >
+                  <SelectTrigger className={errors.working_hours ? 'border-red-500' : ''}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {HOUR_OPTIONS.map((time) => (
+                      <SelectItem key={time} value={time}>
+                        {formatTimeDisplay(time)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Interval</Label>
+                <Select
+                  value={String(form.slot_interval_minutes)}
+                  onValueChange={(value) => handleChange('slot_interval_minutes', Number(value))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SLOT_INTERVALS.map((minutes) => (
+                      <SelectItem key={minutes} value={String(minutes)}>
+                        {minutes} min
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {errors.working_hours && (
+              <p className="text-sm text-red-500">{errors.working_hours}</p>
+            )}
+            {previewSlots.length > 0 && (
+              <p className="text-xs text-muted-foreground">
+                {previewSlots.length} slots: {formatTimeDisplay(previewSlots[0])}, {formatTimeDisplay(previewSlots[1] || previewSlots[0])} … {formatTimeDisplay(previewSlots[previewSlots.length - 1])}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Attendance */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Attendance</CardTitle>
+            <CardDescription>Agent check-in from home or office</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label>Shift Starts</Label>
+                <Select
+                  value={form.attendance_start_time}
+                  onValueChange={(value) => handleChange('attendance_start_time', value)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {HOUR_OPTIONS.map((time) => (
+                      <SelectItem key={time} value={time}>
+                        {formatTimeDisplay(time)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="late_grace_minutes">Grace (min)</Label>
+                <Input
+                  id="late_grace_minutes"
+                  type="number"
+                  min="0"
+                  value={form.late_grace_minutes}
+                  onChange={(e) => handleChange('late_grace_minutes', e.target.value)}
+                  className={errors.late_grace_minutes ? 'border-red-500' : ''}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="check_in_radius_meters">Radius (m)</Label>
+                <Input
+                  id="check_in_radius_meters"
+                  type="number"
+                  min="50"
+                  step="50"
+                  value={form.check_in_radius_meters}
+                  onChange={(e) => handleChange('check_in_radius_meters', e.target.value)}
+                  className={errors.check_in_radius_meters ? 'border-red-500' : ''}
+                />
+              </div>
+            </div>
+            {errors.late_grace_minutes || errors.check_in_radius_meters ? (
+              <p className="text-sm text-red-500">{errors.late_grace_minutes || errors.check_in_radius_meters}</p>
+            ) : (
+              <p className="text-xs text-muted-foreground">
+                Check-ins after {formatTimeDisplay(form.attendance_start_time)} plus the grace period are marked late.
+                Agents must be within the radius of their home or office location.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Cancellation Reasons */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Cancellation Reasons</CardTitle>
+            <CardDescription>Offered when cancelling an order. "Other" always asks for details.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              {form.cancellation_reasons.map((reason) => (
+                <span
+                  key={reason}
+                  className="inline-flex items-center gap-1 rounded-full border bg-gray-50 px-3 py-1 text-sm"
+                >
+                  {reason}
+                  {reason !== 'Other' && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveReason(reason)}
+                      className="text-gray-400 hover:text-red-500"
+                      aria-label={`Remove ${reason}`}
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <Input
+                placeholder="Add a reason..."
+                value={newReason}
+                onChange={(e) => setNewReason(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    handleAddReason();
+                  }
+                }}
+              />
+              <Button variant="outline" onClick={handleAddReason} disabled={!newReason.trim()}>
+                <Plus className="h-4 w-4" />
+              </Button>
+            </div>
+            {errors.cancellation_reasons && (
+              <p className="text-sm text-red-500">{errors.cancellation_reasons}</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Enquiry SLAs */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Enquiry SLAs</CardTitle>
+            <CardDescription>
+              Breached enquiries are flagged in the list and escalated to admins. Leave blank for the default.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="border-b">
+                  <tr className="text-left">
+                    <th className="py-2 pr-4 font-semibold">Source</th>
+                    <th className="py-2 pr-4 font-semibold">First response (minutes)</th>
+                    <th className="py-2 font-semibold">Follow-up (days)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ENQUIRY_SOURCE_OPTIONS.map((source) => (
+                    <tr key={source.value} className="border-b last:border-0">
+                      <td className="py-2 pr-4">{source.label}</td>
+                      <td className="py-2 pr-4">
+                        <Input
+                          type="number"
+                          min="1"
+                          value={form.enquiry_slas?.[source.value]?.first_response_minutes ?? ''}
+                          onChange={(e) => handleSlaChange(source.value, 'first_response_minutes', e.target.value)}
+                          placeholder={String(DEFAULT_ENQUIRY_SLA.first_response_minutes)}
+                          className="h-8 w-28"
+                          aria-label={`${source.label} first response minutes`}
+                        />
+                      </td>
+                      <td className="py-2">
+                        <Input
+                          type="number"
+                          min="1"
+                          value={form.enquiry_slas?.[source.value]?.follow_up_days ?? ''}
+                          onChange={(e) => handleSlaChange(source.value, 'follow_up_days', e.target.value)}
+                          placeholder={String(DEFAULT_ENQUIRY_SLA.follow_up_days)}
+                          className="h-8 w-28"
+                          aria-label={`${source.label} follow-up days`}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {errors.enquiry_slas && (
+              <p className="text-sm text-red-500">{errors.enquiry_slas}</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* WhatsApp Templates */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>WhatsApp Templates</CardTitle>
+            <CardDescription>
+              Offered when messaging a customer from an order, enquiry or subscription. Placeholders:{' '}
+              {TEMPLATE_PLACEHOLDERS.map((p) => `{{${p.value}}}`).join(', ')}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="review_link">Review Link</Label>
+              <Input
+                id="review_link"
+                type="url"
+                value={form.review_link || ''}
+                onChange={(e) => handleChange('review_link', e.target.value)}
+                placeholder="https://g.page/r/..."
+              />
+              <p className="text-xs text-muted-foreground">Used for {'{{review_link}}'}</p>
+            </div>
+            {(form.whatsapp_templates || []).map((template) => (
+              <div key={template.id} className="rounded-lg border p-3 space-y-2">
+                <div className="flex gap-2">
+                  <Input
+                    value={template.name}
+                    onChange={(e) => handleTemplateChange(template.id, 'name', e.target.value)}
+                    placeholder="Template name"
+                    aria-label="Template name"
+                  />
+                  <Select
+                    value={template.category}
+                    onValueChange={(value) => handleTemplateChange(template.id, 'category', value)}
+                  >
+                    <SelectTrigger className="w-48 shrink-0">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {TEMPLATE_CATEGORIES.map((category) => (
+                        <SelectItem key={category.value} value={category.value}>
+                          {category.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="shrink-0 text-red-600 hover:text-red-700"
+                    onClick={() => handleChange(
+                      'whatsapp_templates',
+                      form.whatsapp_templates.filter((t) => t.id !== template.id)
+                    )}
+                    aria-label={`Remove ${template.name || 'template'}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                <Textarea
+                  value={template.body}
+                  onChange={(e) => handleTemplateChange(template.id, 'body', e.target.value)}
+                  placeholder="Hi {{customer_name}}, ..."
+                  rows={3}
+                />
+              </div>
+            ))}
+            <Button variant="outline" onClick={handleAddTemplate}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Template
+            </Button>
+            {errors.whatsapp_templates && (
+              <p className="text-sm text-red-500">{errors.whatsapp_templates}</p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -46,6 +46,11 @@ import { DatePicker } from '../components/ui/date-picker';
 import VehicleIcon from '../components/VehicleIcon';
 import { toast } from 'sonner';
 import subscriptionService from '../services/subscriptionService';
+import invoiceService from '../services/invoiceService';
+import messageService from '../services/messageService';
+import useSettingsStore from '../store/settingsStore';
+import { getTemplateValues } from '../lib/messageTemplates';
+import { buildSubscriptionPaymentInvoice } from '../lib/invoices';
 import {
   SUBSCRIPTION_STATUSES,
   SUBSCRIPTION_PAYMENT_STATUSES,
@@ -72,6 +77,7 @@ import {
   Eye,
   MoreVertical,
   Repeat,
+  MessageCircle,
 } from 'lucide-react';
 import { format, parseISO } from 'date-fns';
 import CustomerContact from '@/components/CustomerContact';
@@ -85,10 +91,12 @@ import { cn } from '@/lib/utils';
 const SubscriptionDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { settings } = useSettingsStore();
 
   const [subscription, setSubscription] = useState(null);
   const [loading, setLoading] = useState(true);
   const [orders, setOrders] = useState([]);
+  const [messages, setMessages] = useState([]);
 
   // Dialog states
   const [isPaymentDialogOpen, setIsPaymentDialogOpen] = useState(false);
@@ -104,6 +112,7 @@ const SubscriptionDetail = () => {
     if (id) {
       fetchSubscriptionDetails();
       fetchSubscriptionOrders();
+      fetchMessages();
     }
   }, [id]);
 
@@ -127,6 +136,16 @@ const SubscriptionDetail = () => {
     }
   };
 
+  const fetchMessages = async () => {
+    try {
+      const data = await messageService.getMessages({ record_type: 'subscription', record_id: id });
+      setMessages(data.messages || []);
+    } catch (error) {
+      console.error('Failed to load message history:', error);
+      toast.error('Failed to load message history');
+    }
+  };
+
   const handlePauseResume = async () => {
     try {
       if (subscription.status === 'active') {
@@ -160,11 +179,16 @@ const SubscriptionDetail = () => {
     }
 
     setPaymentLoading(true);
+    const payment = {
+      amount: parseFloat(paymentAmount),
+      date: paymentDate ? new Date(paymentDate + 'T00:00:00Z').toISOString() : new Date().toISOString(),
+      method: paymentMethod,
+    };
     try {
       await subscriptionService.updatePayment(id, {
-        payment_amount: parseFloat(paymentAmount),
-        payment_date: paymentDate ? new Date(paymentDate + 'T00:00:00Z').toISOString() : null,
-        payment_method: paymentMethod,
+        payment_amount: payment.amount,
+        payment_date: paymentDate ? payment.date : null,
+        payment_method: payment.method,
       });
       toast.success('Payment updated successfully');
       setIsPaymentDialogOpen(false);
@@ -174,9 +198,25 @@ const SubscriptionDetail = () => {
       fetchSubscriptionDetails();
     } catch (error) {
       toast.error('Failed to update payment');
+      return;
     } finally {
       setPaymentLoading(false);
     }
+
+    // Every subscription payment gets its own invoice
+    try {
+      const data = await invoiceService.createInvoice(
+        buildSubscriptionPaymentInvoice(subscription, payment)
+      );
+      toast.success(`Invoice #${data.invoice.invoice_number} generated`, {
+        action: {
+          label: 'View',
+          onClick: () => navigate(`/invoices/${data.invoice.id}`),
+        },
+      });
+    } catch (error) {
+      toast.error('Payment saved, but the invoice could not be generated');
+    }
   };
 
   const formatDate = (dateString) => {
@@ -349,6 +389,9 @@ const SubscriptionDetail = () => {
                       <CustomerContact
                         phone={subscription.customer.phone}
                         customerName={subscription.customer.name}
+                        record={{ type: 'subscription', id: subscription.id }}
+                        templateValues={getTemplateValues({ subscription }, settings)}
+                        onMessageSent={fetchMessages}
                       />
                     )}
                   </div>
@@ -458,6 +501,27 @@ const SubscriptionDetail = () => {
               </Card>
             )}
 
+            {/* Messages sent to the customer */}
+            {messages.length > 0 && (
+              <Card className="p-6">
+                <h2 className="text-lg font-semibold mb-4">Messages ({messages.length})</h2>
+                <div className="space-y-3">
+                  {messages.map((message) => (
+                    <div key={message.id} className="border rounded-lg p-3">
+                      <div className="flex items-center justify-between text-xs text-muted-foreground mb-1">
+                        <span className="flex items-center gap-1">
+                          <MessageCircle className="h-3 w-3 text-green-600" />
+                          {message.sent_by?.name || 'WhatsApp'}
+                        </span>
+                        <span>{format(parseISO(message.created_at), 'MMM dd, yyyy hh:mm a')}</span>
+                      </div>
+                      <p className="text-sm whitespace-pre-wrap">{message.body}</p>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
+
             {/* Order History */}
             <Card className="p-6">
               <h2 className="text-lg font-semibold mb-4">
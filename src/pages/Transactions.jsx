@@ -0,0 +1,511 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../components/ui/select';
+import { Skeleton } from '../components/ui/skeleton';
+import { Badge2 } from '../components/ui/badge2';
+import { toast } from 'sonner';
+import * as XLSX from 'xlsx';
+import { saveAs } from 'file-saver';
+import {
+  Download,
+  Filter,
+  Loader2,
+  IndianRupee,
+  FileText,
+  Wallet,
+  ChevronLeft,
+  ChevronRight,
+  Receipt,
+} from 'lucide-react';
+import { format, parseISO, startOfMonth } from 'date-fns';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  SUBSCRIPTION_PAYMENT_STATUSES,
+  getStatusLabel,
+} from '../lib/constants';
+import { formatCurrency } from '../lib/utilities';
+import transactionService from '../services/transactionService';
+import apiClient from '../services/apiClient';
+
+// Order and subscription payment statuses share pending/paid; merge them for the filter
+const LEDGER_PAYMENT_STATUSES = [
+  ...PAYMENT_STATUSES,
+  ...SUBSCRIPTION_PAYMENT_STATUSES.filter(
+    (status) => !PAYMENT_STATUSES.some((s) => s.value === status.value)
+  ),
+];
+
+const SOURCE_TYPES = [
+  { value: 'order', label: 'Order' },
+  { value: 'subscription', label: 'Subscription' },
+];
+
+const PER_PAGE = 25;
+
+const getPaymentStatusVariant = (status) => {
+  switch (status) {
+    case 'paid':
+      return 'success';
+    case 'failed':
+      return 'destructive';
+    case 'refunded':
+      return 'secondary';
+    default:
+      return 'warning';
+  }
+};
+
+const getInitialFilters = () => ({
+  date_from: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+  date_to: format(new Date(), 'yyyy-MM-dd'),
+  source_type: '',
+  payment_method: '',
+  payment_status: '',
+  agent_id: '',
+});
+
+/**
+ * Transactions Page
+ * Single ledger of order and subscription payments for accountants
+ */
+const Transactions = () => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [transactions, setTransactions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [agents, setAgents] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+
+  // Filters being edited vs. filters applied to the ledger
+  const [filters, setFilters] = useState(getInitialFilters);
+  const [appliedFilters, setAppliedFilters] = useState(getInitialFilters);
+
+  // Load agents for filter dropdown
+  useEffect(() => {
+    const loadAgents = async () => {
+      try {
+        const response = await apiClient.get('/users', {
+          params: { role: 'agent', per_page: 1000 },
+        });
+        setAgents(response.data.users || []);
+      } catch (error) {
+        console.error('Error loading agents:', error);
+      }
+    };
+    loadAgents();
+  }, []);
+
+  const buildParams = (source) => {
+    const params = {};
+    Object.entries(source).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    return params;
+  };
+
+  const fetchTransactions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await transactionService.getTransactions({
+        ...buildParams(appliedFilters),
+        page,
+        per_page: PER_PAGE,
+      });
+      setTransactions(response.transactions || []);
+      setSummary(response.summary || null);
+      setTotalPages(response.pagination?.total_pages || 1);
+      setTotalCount(response.pagination?.total_count || 0);
+    } catch (error) {
+      console.error('Error fetching transactions:', error);
+      toast.error('Failed to load transactions');
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const applyFilters = () => {
+    if (filters.date_from && filters.date_to && filters.date_from > filters.date_to) {
+      toast.error('From date must be before to date');
+      return;
+    }
+    setPage(1);
+    setAppliedFilters({ ...filters });
+  };
+
+  const clearFilters = () => {
+    const initial = getInitialFilters();
+    setFilters(initial);
+    setAppliedFilters(initial);
+    setPage(1);
+  };
+
+  const openSource = (transaction) => {
+    if (transaction.source_type === 'subscription') {
+      navigate(`/subscriptions/${transaction.source_id}`);
+    } else {
+      navigate(`/orders/${transaction.source_id}`);
+    }
+  };
+
+  const formatTransactionDate = (value) => (value ? format(parseISO(value), 'MMM dd, yyyy') : '-');
+
+  // Export the full filtered ledger, not just the visible page
+  const exportToExcel = async () => {
+    setExporting(true);
+    try {
+      const response = await transactionService.exportTransactions(buildParams(appliedFilters));
+      const rows = response.transactions || [];
+
+      if (rows.length === 0) {
+        toast.error('No data to export');
+        return;
+      }
+
+      const excelData = rows.map((txn) => ({
+        'Date': txn.transaction_date ? format(parseISO(txn.transaction_date), 'yyyy-MM-dd') : '',
+        'Type': getStatusLabel(txn.source_type, SOURCE_TYPES),
+        'Reference #': txn.reference_number,
+        'Customer Name': txn.customer?.name || '',
+        'Customer Phone': txn.customer?.phone || '',
+        'Agent': txn.agent?.name || '',
+        'Payment Method': getStatusLabel(txn.payment_method, PAYMENT_METHODS) || '',
+        'Payment Status': getStatusLabel(txn.payment_status, LEDGER_PAYMENT_STATUSES),
+        'Amount': txn.amount,
+      }));
+
+      const worksheet = XLSX.utils.json_to_sheet(excelData);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Transactions');
+
+      const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+      const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      saveAs(blob, `transactions_${appliedFilters.date_from || 'all'}_${appliedFilters.date_to || 'all'}.xlsx`);
+
+      toast.success('Transactions exported successfully');
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      toast.error('Failed to export transactions');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Transactions</h1>
+          <p className="text-gray-600 mt-1">Order and subscription payments in one ledger</p>
+        </div>
+        <Button onClick={exportToExcel} disabled={exporting || loading || totalCount === 0}>
+          {exporting ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <Download className="mr-2 h-4 w-4" />
+          )}
+          Export to Excel
+        </Button>
+      </div>
+
+      {/* Filters Section */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Filter className="h-5 w-5" />
+            Filters
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <div>
+              <Label htmlFor="date_from">From Date</Label>
+              <Input
+                id="date_from"
+                type="date"
+                value={filters.date_from}
+                onChange={(e) => setFilters({ ...filters, date_from: e.target.value })}
+              />
+            </div>
+
+            <div>
+              <Label htmlFor="date_to">To Date</Label>
+              <Input
+                id="date_to"
+                type="date"
+                value={filters.date_to}
+                onChange={(e) => setFilters({ ...filters, date_to: e.target.value })}
+              />
+            </div>
+
+            <div>
+              <Label htmlFor="source_type">Type</Label>
+              <Select
+                value={filters.source_type || 'all'}
+                onValueChange={(value) => setFilters({ ...filters, source_type: value === 'all' ? '' : value })}
+              >
+                <SelectTrigger id="source_type">
+                  <SelectValue placeholder="All Types" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Types</SelectItem>
+                  {SOURCE_TYPES.map((type) => (
+                    <SelectItem key={type.value} value={type.value}>
+                      {type.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor="payment_method">Payment Method</Label>
+              <Select
+                value={filters.payment_method || 'all'}
+                onValueChange={(value) => setFilters({ ...filters, payment_method: value === 'all' ? '' : value })}
+              >
+                <SelectTrigger id="payment_method">
+                  <SelectValue placeholder="All Methods" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Methods</SelectItem>
+                  {PAYMENT_METHODS.map((method) => (
+                    <SelectItem key={method.value} value={method.value}>
+                      {method.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor="payment_status">Payment Status</Label>
+              <Select
+                value={filters.payment_status || 'all'}
+                onValueChange={(value) => setFilters({ ...filters, payment_status: value === 'all' ? '' : value })}
+              >
+                <SelectTrigger id="payment_status">
+                  <SelectValue placeholder="All Payment Statuses" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Payment Statuses</SelectItem>
+                  {LEDGER_PAYMENT_STATUSES.map((status) => (
+                    <SelectItem key={status.value} value={status.value}>
+                      {status.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <Label htmlFor="agent_id">Agent</Label>
+              <Select
+                value={filters.agent_id || 'all'}
+                onValueChange={(value) => setFilters({ ...filters, agent_id: value === 'all' ? '' : value })}
+              >
+                <SelectTrigger id="agent_id">
+                  <SelectValue placeholder="All Agents" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Agents</SelectItem>
+                  {agents.map((agent) => (
+                    <SelectItem key={agent.id} value={agent.id.toString()}>
+                      {agent.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="flex gap-2 mt-4">
+            <Button onClick={applyFilters} disabled={loading}>
+              {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Apply Filters
+            </Button>
+            <Button variant="outline" onClick={clearFilters}>
+              Clear Filters
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Summary Cards */}
+      {summary && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Transactions</CardTitle>
+              <FileText className="h-4 w-4 text-muted-foreground" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold">{summary.total_count ?? totalCount}</div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Collected</CardTitle>
+              <IndianRupee className="h-4 w-4 text-muted-foreground" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-green-600">
+                {formatCurrency(summary.paid_amount || 0)}
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Outstanding</CardTitle>
+              <Wallet className="h-4 w-4 text-muted-foreground" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold text-yellow-600">
+                {formatCurrency(summary.pending_amount || 0)}
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">By Method</CardTitle>
+              <Receipt className="h-4 w-4 text-muted-foreground" />
+            </CardHeader>
+            <CardContent className="space-y-1">
+              {PAYMENT_METHODS.map((method) => (
+                <div key={method.value} className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">{method.label}</span>
+                  <span className="font-medium">
+                    {formatCurrency(summary.by_method?.[method.value] || 0)}
+                  </span>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+      )}
+
+      {/* Ledger */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Ledger ({totalCount})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="space-y-3">
+              {[1, 2, 3, 4, 5].map((i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : transactions.length === 0 ? (
+            <div className="text-center py-12">
+              <Receipt className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">No transactions found</h3>
+              <p className="text-gray-600">Try adjusting the filters or date range</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left p-2">Date</th>
+                    <th className="text-left p-2">Type</th>
+                    <th className="text-left p-2">Reference #</th>
+                    <th className="text-left p-2">Customer</th>
+                    <th className="text-left p-2">Agent</th>
+                    <th className="text-left p-2">Method</th>
+                    <th className="text-left p-2">Status</th>
+                    <th className="text-right p-2">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {transactions.map((txn) => (
+                    <tr
+                      key={`${txn.source_type}-${txn.id}`}
+                      className="border-b hover:bg-muted/50 cursor-pointer"
+                      onClick={() => openSource(txn)}
+                    >
+                      <td className="p-2">{formatTransactionDate(txn.transaction_date)}</td>
+                      <td className="p-2">
+                        <Badge2 variant={txn.source_type === 'subscription' ? 'info' : 'outline'}>
+                          {getStatusLabel(txn.source_type, SOURCE_TYPES)}
+                        </Badge2>
+                      </td>
+                      <td className="p-2 font-medium text-primary">{txn.reference_number}</td>
+                      <td className="p-2">
+                        <div className="font-medium">{txn.customer?.name}</div>
+                        <div className="text-xs text-muted-foreground">{txn.customer?.phone}</div>
+                      </td>
+                      <td className="p-2">{txn.agent?.name || '-'}</td>
+                      <td className="p-2">
+                        {txn.payment_method ? getStatusLabel(txn.payment_method, PAYMENT_METHODS) : '-'}
+                      </td>
+                      <td className="p-2">
+                        <Badge2 variant={getPaymentStatusVariant(txn.payment_status)}>
+                          {getStatusLabel(txn.payment_status, LEDGER_PAYMENT_STATUSES)}
+                        </Badge2>
+                      </td>
+                      <td className="text-right p-2 font-medium">{formatCurrency(txn.amount || 0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            Showing {Math.min((page - 1) * PER_PAGE + 1, totalCount)} to {Math.min(page * PER_PAGE, totalCount)} of {totalCount} transactions
+          </p>
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPage(Math.max(1, page - 1))}
+              disabled={page === 1 || loading}
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span className="text-sm text-muted-foreground">
+              Page {page} of {totalPages}
+            </span>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPage(Math.min(totalPages, page + 1))}
+              disabled={page === totalPages || loading}
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Transactions;
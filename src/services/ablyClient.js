@@ -88,152 +88,85 @@ class AblyClientService {
   }
 
   /**
-   * Subscribe to all orders channel
+   * Subscribe a listener to a channel
+   * A channel can have several listeners (e.g. a page and the notification
+   * center); it is detached from Ably when the last one unsubscribes
+   * @returns {Function|null} Removes this listener
    */
-  subscribeToOrders(callback) {
+  subscribeToChannel(channelName, callback) {
     if (!this.client) {
       return null;
     }
 
-    const channelName = 'orders';
-    
-    if (this.subscriptions.has(channelName)) {
-      return () => this.unsubscribe(channelName);
-    }
+    let subscription = this.subscriptions.get(channelName);
 
-    const channel = this.client.channels.get(channelName);
-    
-    // Subscribe to all order events
-    const eventHandler = (message) => {
-      callback(message.name, message.data);
-    };
+    if (!subscription) {
+      const channel = this.client.channels.get(channelName);
 
-    channel.subscribe(eventHandler);
-    
-    this.subscriptions.set(channelName, { channel, eventHandler });
+      // Handle channel state changes (detect permission errors)
+      channel.on('failed', (stateChange) => {
+      });
 
-    return () => this.unsubscribe(channelName);
-  }
+      const listeners = new Set();
+      const eventHandler = (message) => {
+        listeners.forEach((listener) => listener(message.name, message.data));
+      };
 
-  /**
-   * Subscribe to a specific order channel
-   */
-  subscribeToOrder(orderId, callback) {
-    if (!this.client) {
-      return null;
-    }
+      channel.subscribe(eventHandler);
 
-    const channelName = `orders:${orderId}`;
-    
-    if (this.subscriptions.has(channelName)) {
-      return () => this.unsubscribe(channelName);
+      subscription = { channel, eventHandler, listeners };
+      this.subscriptions.set(channelName, subscription);
     }
 
-    const channel = this.client.channels.get(channelName);
-    
-    const eventHandler = (message) => {
-      callback(message.name, message.data);
+    subscription.listeners.add(callback);
+
+    return () => {
+      const current = this.subscriptions.get(channelName);
+      if (!current) return;
+      current.listeners.delete(callback);
+      if (current.listeners.size === 0) {
+        this.unsubscribe(channelName);
+      }
     };
+  }
 
-    channel.subscribe(eventHandler);
-    
-    this.subscriptions.set(channelName, { channel, eventHandler });
+  /**
+   * Subscribe to all orders channel
+   */
+  subscribeToOrders(callback) {
+    return this.subscribeToChannel('orders', callback);
+  }
 
-    return () => this.unsubscribe(channelName);
+  /**
+   * Subscribe to a specific order channel
+   */
+  subscribeToOrder(orderId, callback) {
+    return this.subscribeToChannel(`orders:${orderId}`, callback);
   }
 
   /**
    * Subscribe to user channel (for user-specific notifications)
    */
   subscribeToAgent(agentId, callback) {
-    if (!this.client) {
-      return null;
-    }
-
-    const channelName = `user:${agentId}`;
-    
-    if (this.subscriptions.has(channelName)) {
-      return () => this.unsubscribe(channelName);
-    }
-
-    const channel = this.client.channels.get(channelName);
-    
-    const eventHandler = (message) => {
-      callback(message.name, message.data);
-    };
-
-    channel.subscribe(eventHandler);
-    
-    this.subscriptions.set(channelName, { channel, eventHandler });
-
-    return () => this.unsubscribe(channelName);
+    return this.subscribeToChannel(`user:${agentId}`, callback);
   }
 
   /**
    * Subscribe to all enquiries channel
    */
   subscribeToEnquiries(callback) {
-    if (!this.client) {
-      return null;
-    }
-
-    const channelName = 'enquiries';
-    
-    if (this.subscriptions.has(channelName)) {
-      return () => this.unsubscribe(channelName);
-    }
-
-    const channel = this.client.channels.get(channelName);
-    
-    // Handle channel state changes (detect permission errors)
-    channel.on('failed', (stateChange) => {
-    });
-    
-    // Subscribe to all enquiry events
-    const eventHandler = (message) => {
-      callback(message.name, message.data);
-    };
-
-    channel.subscribe(eventHandler);
-    
-    this.subscriptions.set(channelName, { channel, eventHandler });
-
-    return () => this.unsubscribe(channelName);
+    return this.subscribeToChannel('enquiries', callback);
   }
 
   /**
    * Subscribe to a specific enquiry channel
    */
   subscribeToEnquiry(enquiryId, callback) {
-    if (!this.client) {
-      return null;
-    }
-
-    const channelName = `enquiries:${enquiryId}`;
-    
-    if (this.subscriptions.has(channelName)) {
-      return () => this.unsubscribe(channelName);
-    }
-
-    const channel = this.client.channels.get(channelName);
-    
-    // Handle channel state changes (detect permission errors)
-    channel.on('failed', (stateChange) => {
-    });
-    
-    const eventHandler = (message) => {
-      callback(message.name, message.data);
-    };
-
-    channel.subscribe(eventHandler);
-    
-    this.subscriptions.set(channelName, { channel, eventHandler });
-
-    return () => this.unsubscribe(channelName);
+    return this.subscribeToChannel(`enquiries:${enquiryId}`, callback);
   }
 
   /**
-   * Unsubscribe from a channel
+   * Unsubscribe every listener from a channel
    */
   unsubscribe(channelName) {
     const subscription = this.subscriptions.get(channelName);
@@ -289,8 +222,15 @@ class AblyClientService {
 
   /**
    * Force reconnect with new token
+   * Re-authorizes a live connection in place so channel subscriptions
+   * survive; otherwise starts a fresh connection
    */
   async reconnect() {
+    const state = this.client?.connection.state;
+    if (this.client && state !== 'failed' && state !== 'closed') {
+      await this.client.auth.authorize();
+      return;
+    }
     await this.initialize(true);
   }
 
@@ -1,10 +1,13 @@
 import axios from 'axios';
 import useAuthStore from '../store/authStore';
+import ablyClient from './ablyClient';
+import indexedDBService from '../lib/indexedDB';
+import { encrypt } from '../lib/secureStorage';
 import { toast } from 'sonner';
 
 /**
  * API Client with Axios
- * Handles bearer token authentication
+ * Handles bearer token authentication with silent access-token refresh
  * Includes offline detection and error handling
  */
 
@@ -35,6 +38,64 @@ const processQueue = (error, token = null) => {
   failedQueue = [];
 };
 
+// Auth endpoints whose 401s mean bad credentials rather than an expired token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh'];
+
+/**
+ * Exchange the refresh token for a new access token
+ * Uses a bare axios call so the response interceptor cannot loop on a 401
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = async () => {
+  const { refreshToken, setTokens } = useAuthStore.getState();
+  const response = await axios.post(
+    `${API_BASE_URL}/auth/refresh`,
+    { refresh_token: refreshToken },
+    { headers: { 'Content-Type': 'application/json', Accept: 'application/json' } }
+  );
+
+  const accessToken = response.data.access_token;
+  if (!accessToken) {
+    throw new Error('No token received from server');
+  }
+  // The server may rotate the refresh token
+  setTokens(accessToken, response.data.refresh_token || refreshToken);
+  return accessToken;
+};
+
+/**
+ * Get a new access token outside a request, e.g. for the offline sync queue
+ * Shares an in-flight refresh with the response interceptor
+ * @returns {Promise<string>} New access token
+ */
+export const refreshSession = async () => {
+  if (isRefreshing) {
+    return new Promise((resolve, reject) => {
+      failedQueue.push({ resolve, reject });
+    });
+  }
+
+  isRefreshing = true;
+  try {
+    const token = await refreshAccessToken();
+    processQueue(null, token);
+    return token;
+  } catch (error) {
+    processQueue(error);
+    throw error;
+  } finally {
+    isRefreshing = false;
+  }
+};
+
+const expireSession = () => {
+  useAuthStore.getState().logout();
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+    toast.error('Session expired. Please login again.');
+  }
+};
+
 // Request interceptor - Add bearer token
 apiClient.interceptors.request.use(
   (config) => {
@@ -85,6 +146,10 @@ apiClient.interceptors.response.use(
       }
       
       // Show error after retries exhausted
+      // (writes that fall back to the offline sync queue are reported by the caller)
+      if (config?.offlineQueue) {
+        return Promise.reject(error);
+      }
       if (!navigator.onLine) {
         toast.error('You are offline. Please check your internet connection.');
       } else if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
@@ -97,13 +162,48 @@ apiClient.interceptors.response.use(
 
     // Handle 401 Unauthorized - Token expired or invalid
     if (error.response?.status === 401) {
-      // Logout user and redirect to login
-      useAuthStore.getState().logout();
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
-        toast.error('Session expired. Please login again.');
+      const canRefresh = config
+        && !config._retry
+        && !NO_REFRESH_URLS.some((url) => config.url?.endsWith(url))
+        && useAuthStore.getState().refreshToken;
+
+      if (!canRefresh) {
+        // Logout user and redirect to login
+        expireSession();
+        return Promise.reject(error);
+      }
+
+      config._retry = true;
+
+      // A refresh is already in flight - wait for it, then replay this request
+      if (isRefreshing) {
+        return new Promise((resolve, reject) => {
+          failedQueue.push({ resolve, reject });
+        }).then((token) => {
+          config.headers.Authorization = `Bearer ${token}`;
+          return apiClient(config);
+        });
+      }
+
+      isRefreshing = true;
+      try {
+        const token = await refreshAccessToken();
+        processQueue(null, token);
+
+        // Realtime auth is token based too
+        if (ablyClient.client) {
+          ablyClient.reconnect().catch(() => {});
+        }
+
+        config.headers.Authorization = `Bearer ${token}`;
+        return apiClient(config);
+      } catch (refreshError) {
+        processQueue(refreshError);
+        expireSession();
+        return Promise.reject(error);
+      } finally {
+        isRefreshing = false;
       }
-      return Promise.reject(error);
     }
 
     // Handle other errors
@@ -130,4 +230,39 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Give the service worker the current access token, encrypted with the
+ * device key, so notification actions (e.g. Accept) work without the app open
+ */
+const shareAuthWithServiceWorker = async (token, userId) => {
+  const { STORES } = indexedDBService;
+  try {
+    if (!token) {
+      await indexedDBService.del(STORES.USER_DATA, 'serviceWorkerAuth');
+      return;
+    }
+    await indexedDBService.put(STORES.USER_DATA, 'serviceWorkerAuth', {
+      token: await encrypt(token),
+      userId: userId != null ? String(userId) : null,
+      apiBaseUrl: API_BASE_URL,
+    });
+  } catch (error) {
+    console.error('Failed to share auth with service worker:', error);
+  }
+};
+
+let authShared = Promise.resolve();
+
+useAuthStore.subscribe((state, prevState) => {
+  if (state.accessToken !== prevState.accessToken) {
+    authShared = shareAuthWithServiceWorker(state.accessToken, state.user?.id);
+  }
+});
+
+/**
+ * Resolves once the service worker has the current access token
+ * @returns {Promise<void>}
+ */
+export const whenAuthShared = () => authShared;
+
 export default apiClient;
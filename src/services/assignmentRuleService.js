@@ -0,0 +1,97 @@
+import apiClient from './apiClient';
+
+/**
+ * Assignment Rule Service
+ * Handles automatic lead assignment rules for new enquiries (admin only)
+ * Rules are evaluated by the server, in order, when an enquiry is created without an assignee
+ */
+
+const assignmentRuleService = {
+  /**
+   * Get all assignment rules in evaluation order
+   * @returns {Promise} { assignment_rules }
+   */
+  getRules: async () => {
+    const response = await apiClient.get('/assignment_rules');
+    return response.data;
+  },
+
+  /**
+   * Create an assignment rule
+   * @param {Object} ruleData - Rule data
+   * @param {string} ruleData.name - Rule name
+   * @param {boolean} ruleData.active - Whether the rule is applied
+   * @param {string[]} ruleData.sources - Enquiry sources to match (empty matches any)
+   * @param {string[]} ruleData.areas - Areas to match (empty matches any)
+   * @param {string} ruleData.strategy - round_robin, weighted or least_loaded
+   * @param {number} ruleData.max_open_leads - Skip members with this many open leads (optional)
+   * @param {Array} ruleData.members - [{ user_id, weight }]
+   */
+  createRule: async (ruleData) => {
+    const response = await apiClient.post('/assignment_rules', { assignment_rule: ruleData });
+    return response.data;
+  },
+
+  /**
+   * Update an assignment rule
+   * @param {number} id - Rule ID
+   * @param {Object} ruleData - Updated rule data
+   */
+  updateRule: async (id, ruleData) => {
+    const response = await apiClient.put(`/assignment_rules/${id}`, { assignment_rule: ruleData });
+    return response.data;
+  },
+
+  /**
+   * Delete an assignment rule
+   * @param {number} id - Rule ID
+   */
+  deleteRule: async (id) => {
+    const response = await apiClient.delete(`/assignment_rules/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Save the evaluation order of rules
+   * @param {number[]} ids - Rule IDs in their new order
+   */
+  reorderRules: async (ids) => {
+    const response = await apiClient.post('/assignment_rules/reorder', { ids });
+    return response.data;
+  },
+
+  /**
+   * Who would get the next lead, without assigning anything
+   * @param {Object} params - Lead to test
+   * @param {string} params.source - Enquiry source
+   * @param {string} params.area - Area
+   * @returns {Promise} { assignee, rule, reason }
+   */
+  previewNextAssignment: async (params = {}) => {
+    const response = await apiClient.get('/assignment_rules/preview', { params });
+    return response.data;
+  },
+
+  /**
+   * Open-lead load per sales executive
+   * @returns {Promise} { users: [{ id, name, open_leads }] }
+   */
+  getWorkload: async () => {
+    const response = await apiClient.get('/assignment_rules/workload');
+    return response.data;
+  },
+
+  /**
+   * Get the audit trail of automatic assignments, newest first
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number
+   * @param {number} params.per_page - Items per page
+   * @returns {Promise} { audits, pagination }
+   */
+  getAuditLog: async (params = {}) => {
+    const response = await apiClient.get('/assignment_rules/audits', { params });
+    return response.data;
+  },
+};
+
+export default assignmentRuleService;
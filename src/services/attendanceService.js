@@ -0,0 +1,58 @@
+import apiClient from './apiClient';
+
+/**
+ * Attendance Service
+ * Agent check-in/check-out with GPS position, and the admin attendance register
+ * An agent counts as available today once checked in and until checked out
+ */
+
+const attendanceService = {
+  /**
+   * Get the signed-in agent's attendance for today
+   * @returns {Promise} { attendance } - null when not checked in yet
+   */
+  getToday: async () => {
+    const response = await apiClient.get('/attendances/today');
+    return response.data;
+  },
+
+  /**
+   * Check in at the current position
+   * @param {Object} position - GPS position
+   * @param {number} position.latitude - Latitude
+   * @param {number} position.longitude - Longitude
+   * @param {number} position.accuracy - Accuracy in meters
+   * @param {string} position.site - Matched site: home or office
+   * @param {number} position.distance_meters - Distance from the matched site
+   * @returns {Promise} { attendance }
+   */
+  checkIn: async (position) => {
+    const response = await apiClient.post('/attendances/check_in', { attendance: position });
+    return response.data;
+  },
+
+  /**
+   * Check out at the current position
+   * @param {Object} position - GPS position (latitude, longitude, accuracy)
+   * @returns {Promise} { attendance }
+   */
+  checkOut: async (position) => {
+    const response = await apiClient.post('/attendances/check_out', { attendance: position });
+    return response.data;
+  },
+
+  /**
+   * Get attendance records for the register (Admin only)
+   * @param {Object} params - Query parameters
+   * @param {string} params.month - Month in YYYY-MM format
+   * @param {number} params.user_id - Agent ID (optional)
+   * @returns {Promise} { attendances } - each with user, date, check_in_time, check_out_time,
+   *   check_in_site, check_in_distance_meters, is_late
+   */
+  getAttendances: async (params = {}) => {
+    const response = await apiClient.get('/attendances', { params });
+    return response.data;
+  },
+};
+
+export default attendanceService;
@@ -1,5 +1,6 @@
 import apiClient from './apiClient';
 import useAuthStore from '../store/authStore';
+import pushNotificationService from './pushNotifications';
 
 /**
  * Authentication Service
@@ -28,8 +29,9 @@ const authService = {
         throw new Error('No token received from server');
       }
 
-      // Store authentication data (no refresh token in this API)
-      useAuthStore.getState().setAuth(user, accessToken, null);
+      // Store authentication data; the refresh token keeps the session alive
+      // when the access token expires (see apiClient)
+      useAuthStore.getState().setAuth(user, accessToken, response.data.refresh_token || null);
 
       return response.data;
     } catch (error) {
@@ -42,6 +44,10 @@ const authService = {
    * @returns {Promise} API response
    */
   async logout() {
+    // Stop this device receiving the user's notifications (needs the token,
+    // so it runs before the session ends)
+    await pushNotificationService.unsubscribe().catch(() => {});
+
     try {
       const response = await apiClient.post('/auth/logout');
       
@@ -53,6 +53,38 @@ const customerService = {
     return response.data;
   },
 
+  /**
+   * Find existing records that share a phone number
+   * @param {string} phone - Normalized 10 digit phone number
+   * @param {Object} params - Records to leave out (exclude_customer_id, exclude_enquiry_id)
+   * @returns {Promise} { customers, enquiries, subscriptions } - open enquiries and active subscriptions only
+   */
+  checkDuplicates: async (phone, params = {}) => {
+    const response = await apiClient.get('/customers/duplicates', { params: { phone, ...params } });
+    return response.data;
+  },
+
+  /**
+   * Get customers grouped by shared phone number (admin only)
+   * @returns {Promise} { groups: [{ phone, customers }] }
+   */
+  getDuplicateGroups: async () => {
+    const response = await apiClient.get('/customers/duplicate_groups');
+    return response.data;
+  },
+
+  /**
+   * Merge duplicate customers into one (admin only)
+   * Orders, loyalty points, subscriptions and enquiries move to the kept customer
+   * @param {string} id - Customer ID to keep
+   * @param {string[]} duplicateIds - Customer IDs folded in and removed
+   * @returns {Promise} { customer, merged: { orders, subscriptions, enquiries, loyalty_points } }
+   */
+  mergeCustomers: async (id, duplicateIds) => {
+    const response = await apiClient.post(`/customers/${id}/merge`, { duplicate_ids: duplicateIds });
+    return response.data;
+  },
+
   /**
    * Parse Google Maps link to extract coordinates
    * @deprecated Use parseMapLink from utilities instead
@@ -1,22 +1,43 @@
 import apiClient from './apiClient';
+import indexedDBService from '../lib/indexedDB';
+import useAuthStore from '../store/authStore';
 
 /**
  * Dashboard Service
  * Handles API calls for dashboard statistics
  */
+
+// Stats differ per role, so they are cached per role
+const statsCacheKey = () => `stats:${useAuthStore.getState().user?.role || 'unknown'}`;
+
 const dashboardService = {
   /**
    * Get dashboard statistics
+   * Successful responses are cached for getCachedStats
    * @returns {Promise<Object>} Dashboard statistics with comparisons
    */
   async getStats() {
     try {
       const response = await apiClient.get('/dashboard/stats');
+      indexedDBService.cacheDashboardData(statsCacheKey(), response.data).catch(() => {});
       return response.data;
     } catch (error) {
       throw error;
     }
   },
+
+  /**
+   * Get the last dashboard statistics loaded on this device
+   * Shown straight away while getStats refreshes, and when offline
+   * @returns {Promise<{data: Object, timestamp: string}|null>}
+   */
+  async getCachedStats() {
+    try {
+      return await indexedDBService.getCachedDashboardEntry(statsCacheKey());
+    } catch (error) {
+      return null;
+    }
+  },
 };
 
 export default dashboardService;
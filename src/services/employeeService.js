@@ -111,6 +111,21 @@ const employeeService = {
       throw error;
     }
   },
+
+  /**
+   * Get payroll figures for a month (Admin only)
+   * Completed orders, order value and 5-star rated orders per employee
+   * @param {string} month - Month in YYYY-MM format
+   * @returns {Promise} { employees: [{ employee_id, completed_orders, order_value, five_star_orders, five_star_value }] }
+   */
+  async getPayrollStats(month) {
+    try {
+      const response = await apiClient.get('/employees/payroll_stats', { params: { month } });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
 };
 
 export default employeeService;
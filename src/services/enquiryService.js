@@ -159,7 +159,8 @@ const enquiryService = {
   /**
    * Add a follow-up for an enquiry
    * @param {string} enquiry_id - Enquiry ID
-   * @param {Object} followUpData - Follow-up data {follow_up_at, notes}
+   * @param {Object} followUpData - Follow-up data {follow_up_at, remind_at, notes}
+   *   remind_at is when the server pushes the reminder (see getReminderTime)
    */
   addFollowUp: async (enquiry_id, followUpData) => {
     const response = await apiClient.post(`/enquiries/${enquiry_id}/followups`, followUpData);
@@ -174,6 +175,31 @@ const enquiryService = {
     const response = await apiClient.put(`/enquiries/followups/${followup_id}/mark_done`);
     return response.data;
   },
+
+  /**
+   * Get follow-ups across enquiries (defaults to the current user's)
+   * @param {Object} params - Query parameters
+   * @param {string} params.status - Status filter (pending, done)
+   * @param {number} params.assigned_to_id - Assigned user ID filter
+   * @param {string} params.start_date - Start date filter (YYYY-MM-DD)
+   * @param {string} params.end_date - End date filter (YYYY-MM-DD)
+   * @returns {Promise} { follow_ups } each with its enquiry's contact details
+   */
+  getMyFollowUps: async (params = {}) => {
+    const response = await apiClient.get('/enquiries/followups', { params });
+    return response.data;
+  },
+
+  /**
+   * Move a follow-up to a new date/time
+   * @param {string} followup_id - Follow-up ID
+   * @param {string} follow_up_at - New date/time (ISO 8601)
+   * @param {string} remind_at - When the server pushes the reminder (ISO 8601)
+   */
+  rescheduleFollowUp: async (followup_id, follow_up_at, remind_at) => {
+    const response = await apiClient.put(`/enquiries/followups/${followup_id}/reschedule`, { follow_up_at, remind_at });
+    return response.data;
+  },
 };
 
 export default enquiryService;
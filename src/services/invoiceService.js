@@ -0,0 +1,72 @@
+import apiClient from './apiClient';
+
+/**
+ * Invoice Service
+ * Handles invoice generation, listing, re-issue and void
+ * Invoice numbers are assigned by the backend when an invoice is issued
+ */
+
+const invoiceService = {
+  /**
+   * Get all invoices with optional filters
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number
+   * @param {number} params.per_page - Items per page
+   * @param {string} params.search - Search term (invoice number, order number, customer name/phone)
+   * @param {string} params.status - Status filter (issued, void)
+   * @param {string} params.source_type - Source filter (order, subscription_payment)
+   * @param {number} params.source_id - Order or subscription ID
+   * @param {string} params.date_from - Start date filter (YYYY-MM-DD)
+   * @param {string} params.date_to - End date filter (YYYY-MM-DD)
+   * @returns {Promise} { invoices, pagination }
+   */
+  getInvoices: async (params = {}) => {
+    const response = await apiClient.get('/invoices', { params });
+    return response.data;
+  },
+
+  /**
+   * Get invoice by ID
+   * @param {number} id - Invoice ID
+   * @returns {Promise} { invoice }
+   */
+  getInvoiceById: async (id) => {
+    const response = await apiClient.get(`/invoices/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Issue a new invoice
+   * @param {Object} invoiceData - Invoice snapshot built by lib/invoices
+   * @returns {Promise} { invoice }
+   */
+  createInvoice: async (invoiceData) => {
+    const response = await apiClient.post('/invoices', { invoice: invoiceData });
+    return response.data;
+  },
+
+  /**
+   * Re-issue an invoice with a fresh snapshot of its source
+   * The original invoice is voided and a new number is assigned
+   * @param {number} id - Invoice ID being replaced
+   * @param {Object} invoiceData - Updated invoice snapshot
+   * @returns {Promise} { invoice } - The newly issued invoice
+   */
+  reissueInvoice: async (id, invoiceData) => {
+    const response = await apiClient.post(`/invoices/${id}/reissue`, { invoice: invoiceData });
+    return response.data;
+  },
+
+  /**
+   * Void an invoice
+   * @param {number} id - Invoice ID
+   * @param {string} reason - Void reason
+   * @returns {Promise} { invoice }
+   */
+  voidInvoice: async (id, reason) => {
+    const response = await apiClient.post(`/invoices/${id}/void`, { reason });
+    return response.data;
+  },
+};
+
+export default invoiceService;
@@ -0,0 +1,36 @@
+import apiClient from './apiClient';
+
+/**
+ * Message Service
+ * Logs messages sent to customers (e.g. WhatsApp) against the record they were sent from
+ * The server adds each one to the record's history: an enquiry comment or an order/subscription timeline entry
+ */
+
+const messageService = {
+  /**
+   * Log a sent message
+   * @param {Object} messageData - Message data
+   * @param {string} messageData.record_type - order, enquiry or subscription
+   * @param {string} messageData.record_id - Record ID
+   * @param {string} messageData.channel - Delivery channel (whatsapp)
+   * @param {string} messageData.template_id - Template used (optional)
+   * @param {string} messageData.body - Message text as sent
+   * @param {string} messageData.phone - Recipient phone
+   */
+  logMessage: async (messageData) => {
+    const response = await apiClient.post('/messages', { message: messageData });
+    return response.data;
+  },
+
+  /**
+   * Get messages sent for a record, newest first
+   * @param {Object} params - Query parameters (record_type, record_id)
+   * @returns {Promise} { messages }
+   */
+  getMessages: async (params = {}) => {
+    const response = await apiClient.get('/messages', { params });
+    return response.data;
+  },
+};
+
+export default messageService;
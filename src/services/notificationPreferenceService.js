@@ -0,0 +1,35 @@
+import apiClient from './apiClient';
+
+/**
+ * Notification Preference Service
+ * Handles the current user's notification preference API calls
+ */
+
+const notificationPreferenceService = {
+  /**
+   * Get the current user's notification preferences
+   * @returns {Promise} { notification_preferences } (null when never saved)
+   */
+  getPreferences: async () => {
+    const response = await apiClient.get('/notification_preferences');
+    return response.data;
+  },
+
+  /**
+   * Save the current user's notification preferences
+   * The server applies the push channel and quiet hours when sending web push,
+   * since the service worker must show every push it receives
+   * @param {Object} preferences - Preferences to save
+   * @param {Object} preferences.events - Per event: { toast, push, sound, scope }
+   * @param {Object} preferences.quiet_hours - { enabled, start, end } (HH:MM)
+   * @returns {Promise} { notification_preferences }
+   */
+  updatePreferences: async (preferences) => {
+    const response = await apiClient.put('/notification_preferences', {
+      notification_preferences: preferences,
+    });
+    return response.data;
+  },
+};
+
+export default notificationPreferenceService;
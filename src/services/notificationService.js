@@ -0,0 +1,42 @@
+import apiClient from './apiClient';
+
+/**
+ * Notification Service
+ * Handles notification center (inbox) API calls
+ */
+
+const notificationService = {
+  /**
+   * Get the current user's notifications, newest first
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number
+   * @param {number} params.per_page - Items per page
+   * @param {string} params.record_type - Filter: order, enquiry or subscription
+   * @param {boolean} params.unread - Only unread notifications
+   * @returns {Promise} { notifications, pagination, unread_count }
+   */
+  getNotifications: async (params = {}) => {
+    const response = await apiClient.get('/notifications', { params });
+    return response.data;
+  },
+
+  /**
+   * Mark a notification as read
+   * @param {number} id - Notification ID
+   */
+  markAsRead: async (id) => {
+    const response = await apiClient.patch(`/notifications/${id}/read`);
+    return response.data;
+  },
+
+  /**
+   * Mark all of the current user's notifications as read
+   * @param {string} before - Only those created up to this time (ISO 8601); all when omitted
+   */
+  markAllAsRead: async (before) => {
+    const response = await apiClient.post('/notifications/mark_all_read', before ? { before } : undefined);
+    return response.data;
+  },
+};
+
+export default notificationService;
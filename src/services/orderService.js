@@ -1,4 +1,7 @@
 import apiClient from './apiClient';
+import useSettingsStore from '../store/settingsStore';
+import useSyncStore from '../store/syncStore';
+import indexedDBService from '../lib/indexedDB';
 import { getVehicleType } from '../lib/vehicleData';
 
 /**
@@ -6,6 +9,68 @@ import { getVehicleType } from '../lib/vehicleData';
  * Handles all order-related API calls
  */
 
+// Axios config for writes that fall back to the offline queue
+// (skips apiClient's connection error toast - the caller reports the write as queued)
+const QUEUEABLE = { offlineQueue: true };
+
+// Writes that are not safe to apply twice carry an Idempotency-Key
+const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+/**
+ * Send a write now, or queue it for background sync when there is no connection
+ * POST and PATCH writes get an Idempotency-Key, sent on the first attempt and
+ * stored with the queue entry, so a replay the server already applied is not applied again
+ * @param {Object} request - Queue entry (see useSyncStore.enqueue), url relative to the API base
+ * @param {Function} send - Performs the request with the given axios config and resolves with the response data
+ * @returns {Promise} Response data, or { queued: true } when the write was queued
+ */
+const sendOrQueue = async (request, send) => {
+  const headers = NON_IDEMPOTENT_METHODS.includes(request.method)
+    ? { 'Idempotency-Key': crypto.randomUUID(), ...request.headers }
+    : request.headers;
+
+  if (navigator.onLine) {
+    try {
+      return await send({ ...QUEUEABLE, headers });
+    } catch (error) {
+      // Only requests that never reached the server are queued. Server errors and
+      // timeouts (the server may have applied the write) go back to the caller
+      if (error.response || error.code !== 'ERR_NETWORK') throw error;
+    }
+  }
+
+  await useSyncStore.getState().enqueue({
+    ...request,
+    headers,
+    url: `${apiClient.defaults.baseURL}${request.url}`,
+  });
+  return { queued: true };
+};
+
+/**
+ * Load a package/add-on lookup, caching it for offline use
+ * Offline (or when the request cannot reach the server) the last cached copy is returned
+ * @param {string} key - Cache key including the lookup's filters
+ * @param {Function} load - Performs the request and resolves with the response data
+ */
+const loadWithCache = async (key, load) => {
+  if (navigator.onLine) {
+    try {
+      const data = await load();
+      indexedDBService.cacheServices(key, data).catch(() => {});
+      return data;
+    } catch (error) {
+      if (error.response) throw error;
+    }
+  }
+
+  const cached = await indexedDBService.getCachedServices(key).catch(() => null);
+  if (!cached) {
+    throw new Error('Not available offline');
+  }
+  return cached.data;
+};
+
 const orderService = {
   /**
    * Get all orders with optional filters
@@ -17,7 +82,7 @@ const orderService = {
    * @param {string} params.payment_status - Payment status filter
    * @param {string} params.date_from - Start date filter
    * @param {string} params.date_to - End date filter
-   * @param {string} params.agent_id - Agent ID filter
+   * @param {string} params.assigned_to_id - Assigned agent ID filter
    * @param {string} params.customer_phone - Customer phone filter
    * @param {string} params.order_number - Order number search
    */
@@ -37,31 +102,58 @@ const orderService = {
 
   /**
    * Create a new order
+   * Queued for background sync when offline
    * @param {Object} orderData - Order data
+   * @returns {Promise} { order } or { queued: true }
    */
   createOrder: async (orderData) => {
-    const response = await apiClient.post('/orders', orderData);
-    return response.data;
+    return sendOrQueue(
+      { description: 'Create order', method: 'POST', url: '/orders', body: orderData },
+      async (config) => {
+        const response = await apiClient.post('/orders', orderData, config);
+        return response.data;
+      }
+    );
   },
 
   /**
    * Update an existing order
+   * Queued for background sync when offline
    * @param {string} id - Order ID
    * @param {Object} orderData - Updated order data
+   * @returns {Promise} { order } or { queued: true }
    */
   updateOrder: async (id, orderData) => {
-    const response = await apiClient.put(`/orders/${id}`, orderData);
-    return response.data;
+    return sendOrQueue(
+      { orderId: id, description: 'Update order', method: 'PUT', url: `/orders/${id}`, body: orderData },
+      async (config) => {
+        const response = await apiClient.put(`/orders/${id}`, orderData, config);
+        return response.data;
+      }
+    );
   },
 
   /**
    * Update order status
+   * Queued for background sync when offline
    * @param {string} id - Order ID
    * @param {string} status - New status (draft, booked, completed, cancelled)
+   * @returns {Promise} { order } or { queued: true }
    */
   updateOrderStatus: async (id, status) => {
-    const response = await apiClient.patch(`/orders/${id}/status`, { status });
-    return response.data;
+    return sendOrQueue(
+      {
+        orderId: id,
+        description: `Change status to ${status.replace('_', ' ')}`,
+        method: 'PATCH',
+        url: `/orders/${id}/status`,
+        body: { status },
+      },
+      async (config) => {
+        const response = await apiClient.patch(`/orders/${id}/status`, { status }, config);
+        return response.data;
+      }
+    );
   },
 
   /**
@@ -87,16 +179,21 @@ const orderService = {
     if (subscription_enabled !== null) {
       params.subscription_enabled = subscription_enabled;
     }
-    const response = await apiClient.get('/packages', { params });
-    return response.data;
+    return loadWithCache(`packages:${vehicleType || 'all'}:${subscription_enabled ?? 'any'}`, async () => {
+      const response = await apiClient.get('/packages', { params });
+      return response.data;
+    });
   },
 
   /**
    * Get all add-ons
+   * Served from the offline cache when there is no connection
    */
   getAddons: async () => {
-    const response = await apiClient.get('/addons');
-    return response.data;
+    return loadWithCache('addons', async () => {
+      const response = await apiClient.get('/addons');
+      return response.data;
+    });
   },
 
   /**
@@ -142,24 +239,38 @@ const orderService = {
 
   /**
    * Submit order feedback
+   * Queued for background sync when offline
    * @param {string} id - Order ID
    * @param {Object} feedbackData - Feedback data
    * @param {number} feedbackData.rating - Rating (1-5)
    * @param {string} feedbackData.comment - Feedback comment
+   * @returns {Promise} Response data or { queued: true }
    */
   submitOrderFeedback: async (id, feedbackData) => {
-    const response = await apiClient.post(`/orders/${id}/feedback`, feedbackData);
-    return response.data;
+    return sendOrQueue(
+      { orderId: id, description: 'Submit feedback', method: 'POST', url: `/orders/${id}/feedback`, body: feedbackData },
+      async (config) => {
+        const response = await apiClient.post(`/orders/${id}/feedback`, feedbackData, config);
+        return response.data;
+      }
+    );
   },
 
   /**
    * Update order note
+   * Queued for background sync when offline
    * @param {string} id - Order ID
    * @param {string} notes - Order notes
+   * @returns {Promise} { order } or { queued: true }
    */
   updateOrderNote: async (id, notes) => {
-    const response = await apiClient.put(`/orders/${id}`, { notes });
-    return response.data;
+    return sendOrQueue(
+      { orderId: id, description: 'Update note', method: 'PUT', url: `/orders/${id}`, body: { notes } },
+      async (config) => {
+        const response = await apiClient.put(`/orders/${id}`, { notes }, config);
+        return response.data;
+      }
+    );
   },
 
   /**
@@ -199,12 +310,15 @@ const orderService = {
    * @returns {boolean} Is valid
    */
   validateDiscount: (discount, discountType, subtotal) => {
+    // Limit is configured by admins on the Settings page
+    const maxPercentage = useSettingsStore.getState().settings.max_discount_percentage;
+
     if (discountType === 'percentage') {
-      return discount >= 0 && discount <= 50; // Max 50%
+      return discount >= 0 && discount <= maxPercentage;
     }
     
-    // For fixed discount, max 50% of subtotal
-    const maxDiscount = subtotal * 0.5;
+    // For fixed discount, same limit as a share of the subtotal
+    const maxDiscount = (subtotal * maxPercentage) / 100;
     return discount >= 0 && discount <= maxDiscount;
   },
 
@@ -218,7 +332,8 @@ const orderService = {
    * @param {File} images.customerSignature - Customer signature (single file)
    * @param {File} images.paymentProof - Payment proof (single file)
    * @param {File} images.googleReviewImage - Google review screenshot (single file)
-   * @returns {Promise} Response with updated order including image URLs
+   * @returns {Promise} Response with updated order including image URLs,
+   *   or { queued: true } when offline (files are kept in IndexedDB until synced)
    * 
    * @example
    * // Upload images with order data
@@ -270,10 +385,28 @@ const orderService = {
       formData.append('google_review_image', images.googleReviewImage);
     }
 
-    // Send as multipart/form-data
-    // Note: Content-Type header will be set automatically by axios/fetch with the correct boundary
-    const response = await apiClient.put(`/orders/${id}`, formData);
-    return response.data;
+    // Same fields as above, kept as a list so the service worker can rebuild the form
+    const files = [];
+    for (const [field, value] of formData.entries()) {
+      if (value instanceof Blob) files.push({ field, file: value });
+    }
+
+    return sendOrQueue(
+      {
+        orderId: id,
+        description: files.length > 0 ? `Upload ${files.length} image${files.length > 1 ? 's' : ''}` : 'Update order',
+        method: 'PUT',
+        url: `/orders/${id}`,
+        body: orderData && Object.keys(orderData).length > 0 ? orderData : null,
+        files,
+      },
+      async (config) => {
+        // Send as multipart/form-data
+        // Note: Content-Type header will be set automatically by axios/fetch with the correct boundary
+        const response = await apiClient.put(`/orders/${id}`, formData, config);
+        return response.data;
+      }
+    );
   },
 };
 
@@ -0,0 +1,137 @@
+import apiClient from './apiClient';
+
+/**
+ * Package Service
+ * Handles service catalogue (packages and add-ons) management API calls
+ * Read-only lookups used by the wizards live in orderService.getPackages/getAddons
+ */
+
+const packageService = {
+  /**
+   * Get all packages for the catalogue
+   * @param {Object} params - Query parameters
+   * @param {string} params.vehicle_type - Vehicle type filter (hatchback, sedan, suv, luxury)
+   * @param {boolean} params.subscription_enabled - Subscription enabled filter
+   * @param {boolean} params.include_archived - Include archived packages
+   */
+  getAllPackages: async (params = {}) => {
+    const response = await apiClient.get('/packages', { params });
+    return response.data;
+  },
+
+  /**
+   * Create a new package (Admin only)
+   * @param {Object} packageData - Package data
+   * @param {string} packageData.name - Package name (required)
+   * @param {string} packageData.description - Package description
+   * @param {string} packageData.vehicle_type - Vehicle type (required)
+   * @param {number} packageData.unit_price - Price for a single wash (required)
+   * @param {boolean} packageData.subscription_enabled - Available for subscriptions
+   * @param {number} packageData.subscription_price - Monthly subscription price
+   * @param {number} packageData.max_washes_per_month - Washes included in a subscription month
+   * @param {boolean} packageData.is_active - Is active
+   */
+  createPackage: async (packageData) => {
+    const response = await apiClient.post('/packages', { package: packageData });
+    return response.data;
+  },
+
+  /**
+   * Update an existing package (Admin only)
+   * @param {string} id - Package ID
+   * @param {Object} packageData - Package data (same as create, all optional)
+   */
+  updatePackage: async (id, packageData) => {
+    const response = await apiClient.put(`/packages/${id}`, { package: packageData });
+    return response.data;
+  },
+
+  /**
+   * Archive a package so it is no longer offered in the wizards
+   * @param {string} id - Package ID
+   */
+  archivePackage: async (id) => {
+    const response = await apiClient.post(`/packages/${id}/archive`);
+    return response.data;
+  },
+
+  /**
+   * Unarchive a package
+   * @param {string} id - Package ID
+   */
+  unarchivePackage: async (id) => {
+    const response = await apiClient.post(`/packages/${id}/unarchive`);
+    return response.data;
+  },
+
+  /**
+   * Save the display order of packages
+   * @param {number[]} ids - Package IDs in their new order
+   */
+  reorderPackages: async (ids) => {
+    const response = await apiClient.post('/packages/reorder', { ids });
+    return response.data;
+  },
+
+  /**
+   * Get all add-ons for the catalogue
+   * @param {Object} params - Query parameters
+   * @param {boolean} params.include_archived - Include archived add-ons
+   */
+  getAllAddons: async (params = {}) => {
+    const response = await apiClient.get('/addons', { params });
+    return response.data;
+  },
+
+  /**
+   * Create a new add-on (Admin only)
+   * @param {Object} addonData - Add-on data
+   * @param {string} addonData.name - Add-on name (required)
+   * @param {string} addonData.description - Add-on description
+   * @param {number} addonData.unit_price - Price (required)
+   * @param {boolean} addonData.is_active - Is active
+   */
+  createAddon: async (addonData) => {
+    const response = await apiClient.post('/addons', { addon: addonData });
+    return response.data;
+  },
+
+  /**
+   * Update an existing add-on (Admin only)
+   * @param {string} id - Add-on ID
+   * @param {Object} addonData - Add-on data (same as create, all optional)
+   */
+  updateAddon: async (id, addonData) => {
+    const response = await apiClient.put(`/addons/${id}`, { addon: addonData });
+    return response.data;
+  },
+
+  /**
+   * Archive an add-on
+   * @param {string} id - Add-on ID
+   */
+  archiveAddon: async (id) => {
+    const response = await apiClient.post(`/addons/${id}/archive`);
+    return response.data;
+  },
+
+  /**
+   * Unarchive an add-on
+   * @param {string} id - Add-on ID
+   */
+  unarchiveAddon: async (id) => {
+    const response = await apiClient.post(`/addons/${id}/unarchive`);
+    return response.data;
+  },
+
+  /**
+   * Save the display order of add-ons
+   * @param {number[]} ids - Add-on IDs in their new order
+   */
+  reorderAddons: async (ids) => {
+    const response = await apiClient.post('/addons/reorder', { ids });
+    return response.data;
+  },
+};
+
+export default packageService;
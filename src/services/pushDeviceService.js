@@ -0,0 +1,70 @@
+import apiClient from './apiClient';
+
+/**
+ * Push Device Service
+ * Handles Web Push subscription API calls
+ * Each browser/device the user enables notifications on is registered separately
+ */
+
+const pushDeviceService = {
+  /**
+   * Get the server's VAPID public key
+   * @returns {Promise} { public_key }
+   */
+  getVapidPublicKey: async () => {
+    const response = await apiClient.get('/push_subscriptions/vapid_public_key');
+    return response.data;
+  },
+
+  /**
+   * Get devices registered for push by the current user
+   * @returns {Promise} { push_subscriptions: [{ id, endpoint, device_name, created_at, last_used_at }] }
+   */
+  getDevices: async () => {
+    const response = await apiClient.get('/push_subscriptions');
+    return response.data;
+  },
+
+  /**
+   * Register this device's push subscription
+   * Registering an endpoint that already exists updates it
+   * @param {PushSubscription} subscription - Browser push subscription
+   * @param {string} deviceName - Label shown in the device list
+   * @returns {Promise} { push_subscription }
+   */
+  registerDevice: async (subscription, deviceName) => {
+    const { endpoint, keys } = subscription.toJSON();
+    const response = await apiClient.post('/push_subscriptions', {
+      push_subscription: {
+        endpoint,
+        p256dh: keys.p256dh,
+        auth: keys.auth,
+        device_name: deviceName,
+        user_agent: navigator.userAgent,
+      },
+    });
+    return response.data;
+  },
+
+  /**
+   * Revoke a registered device
+   * @param {number} id - Push subscription ID
+   */
+  revokeDevice: async (id) => {
+    const response = await apiClient.delete(`/push_subscriptions/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Remove the registration for a subscription endpoint (this device)
+   * @param {string} endpoint - Push subscription endpoint
+   */
+  unregisterEndpoint: async (endpoint) => {
+    const response = await apiClient.delete('/push_subscriptions/unregister', {
+      data: { endpoint },
+    });
+    return response.data;
+  },
+};
+
+export default pushDeviceService;
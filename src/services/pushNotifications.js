@@ -1,12 +1,50 @@
+import pushDeviceService from './pushDeviceService';
+
 /**
  * Push Notifications Service
  * Handles web push notification registration and management
+ * Subscriptions use the server's VAPID key and are registered per device
+ */
+
+// Whether the user turned push on for this device ('true' / 'false'; unset before this existed)
+const ENABLED_KEY = 'push-notifications-enabled';
+// User this device was last registered for
+const USER_KEY = 'push-notifications-user';
+
+/**
+ * Convert a base64url VAPID key to the Uint8Array pushManager expects
+ */
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+};
+
+/**
+ * Readable label for this device, e.g. "Chrome on Android"
  */
+const getDeviceName = () => {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /SamsungBrowser/.test(ua) ? 'Samsung Internet'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'Browser';
+  const os = /Android/.test(ua) ? 'Android'
+    : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'Unknown OS';
+  return `${browser} on ${os}`;
+};
 
 class PushNotificationService {
   constructor() {
     this.registration = null;
     this.permission = 'default';
+    this.subscription = null;
   }
 
   /**
@@ -66,11 +104,83 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Get the VAPID public key (build-time env, otherwise from the server)
+   */
+  async getVapidPublicKey() {
+    if (import.meta.env.VITE_VAPID_PUBLIC_KEY) {
+      return import.meta.env.VITE_VAPID_PUBLIC_KEY;
+    }
+    const { public_key } = await pushDeviceService.getVapidPublicKey();
+    return public_key;
+  }
+
+  /**
+   * Get this browser's current push subscription, if any
+   */
+  async getSubscription() {
+    if (!this.isSupported()) {
+      return null;
+    }
+    const registration = this.registration || await navigator.serviceWorker.ready;
+    this.subscription = await registration.pushManager.getSubscription();
+    return this.subscription;
+  }
+
+  /**
+   * Subscribe this browser to push and register it with the server
+   * Reuses an existing subscription; registering is idempotent per endpoint
+   * @returns {Promise<PushSubscription>}
+   */
+  async subscribe() {
+    const registration = this.registration || await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+
+    if (!subscription) {
+      const vapidKey = await this.getVapidPublicKey();
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(vapidKey),
+      });
+    }
+
+    await pushDeviceService.registerDevice(subscription, getDeviceName());
+    this.subscription = subscription;
+    return subscription;
+  }
+
+  /**
+   * Unsubscribe this browser and remove its registration from the server
+   */
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) {
+      return;
+    }
+
+    try {
+      await pushDeviceService.unregisterEndpoint(subscription.endpoint);
+    } finally {
+      // Stop deliveries to this browser even if the server call failed
+      await subscription.unsubscribe();
+      this.subscription = null;
+    }
+  }
+
   /**
    * Initialize push notifications
-   * Call this after user login
+   * Call once per session for the signed-in user, and with register when the
+   * browser rotates the subscription. The device is registered again for a
+   * different user than last time or when its subscription is gone from the
+   * browser; otherwise it is only checked against the server. If the server no
+   * longer lists it, it was revoked (e.g. from another device) and is turned
+   * off here too. Never subscribes a device the user turned off - granted
+   * permission alone is not consent to resubscribe
+   * @param {Object} options
+   * @param {string|number} options.userId - Signed-in user
+   * @param {boolean} options.register - Register the device with the server even if it is listed
    */
-  async initialize() {
+  async initialize({ userId = null, register = false } = {}) {
 
     // Check support
     if (!this.isSupported()) {
@@ -87,7 +197,39 @@ class PushNotificationService {
     const currentPermission = this.getPermission();
 
     if (currentPermission === 'granted') {
-      return true;
+      const enabled = localStorage.getItem(ENABLED_KEY);
+      if (enabled === 'false') {
+        return false;
+      }
+
+      try {
+        const subscription = await this.getSubscription();
+
+        // Without a stored choice, only refresh a subscription that already exists
+        if (!subscription && enabled !== 'true') {
+          return false;
+        }
+
+        const newUser = userId != null && localStorage.getItem(USER_KEY) !== String(userId);
+        if (!subscription || register || newUser) {
+          await this.subscribe();
+          if (userId != null) localStorage.setItem(USER_KEY, String(userId));
+          return true;
+        }
+
+        const { push_subscriptions: devices = [] } = await pushDeviceService.getDevices();
+        if (devices.some((device) => device.endpoint === subscription.endpoint)) {
+          return true;
+        }
+
+        // Revoked on the server - stop deliveries here instead of re-registering
+        localStorage.setItem(ENABLED_KEY, 'false');
+        await subscription.unsubscribe();
+        this.subscription = null;
+        return false;
+      } catch (error) {
+        return false;
+      }
     }
 
     if (currentPermission === 'denied') {
@@ -111,21 +253,47 @@ class PushNotificationService {
       return false;
     }
 
+    await this.subscribe();
+    localStorage.setItem(ENABLED_KEY, 'true');
     return true;
   }
 
   /**
-   * Disable push notifications
+   * Disable push notifications on this device
+   * Browser permission itself can only be revoked in browser settings
    */
   async disable() {
-    
-    // Note: We can't revoke browser permission programmatically
-    // User must do it manually in browser settings
-    // We can only stop showing the UI prompt
-    
+    localStorage.setItem(ENABLED_KEY, 'false');
+    await this.unsubscribe();
     return true;
   }
 
+  /**
+   * Ask the service worker to show snoozed/scheduled notifications that are due
+   * Browsers without notification triggers rely on this while the app is open
+   */
+  async checkScheduledNotifications() {
+    if (!('serviceWorker' in navigator)) {
+      return;
+    }
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: 'CHECK_SCHEDULED_NOTIFICATIONS' });
+  }
+
+  /**
+   * Replace this device's follow-up reminders
+   * Reminders are delivered by server push; browsers with notification triggers
+   * also schedule them here so they fire at their due time without a connection
+   * @param {Array} reminders - [{ id, enquiry_id, due_at, title, body, contact_phone }]
+   */
+  async scheduleFollowUpReminders(reminders) {
+    if (!('serviceWorker' in navigator) || this.getPermission() !== 'granted') {
+      return;
+    }
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: 'SCHEDULE_FOLLOW_UP_REMINDERS', reminders });
+  }
+
   /**
    * Show a test notification
    */
@@ -151,19 +319,35 @@ class PushNotificationService {
 
   /**
    * Get notification status for display
+   * Reflects the last known subscription; use refreshStatus to re-check it
    */
   getStatus() {
     const permission = this.getPermission();
     const supported = this.isSupported();
+    const subscribed = !!this.subscription;
 
     return {
       supported,
       permission,
-      enabled: permission === 'granted',
+      subscribed,
+      endpoint: this.subscription?.endpoint || null,
+      enabled: permission === 'granted' && subscribed,
       blocked: permission === 'denied',
-      canEnable: supported && permission === 'default',
+      canEnable: supported && permission !== 'denied' && !subscribed,
     };
   }
+
+  /**
+   * Re-check the browser subscription, then get status
+   */
+  async refreshStatus() {
+    try {
+      await this.getSubscription();
+    } catch (error) {
+      this.subscription = null;
+    }
+    return this.getStatus();
+  }
 }
 
 // Export singleton instance
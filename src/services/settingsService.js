@@ -0,0 +1,44 @@
+import apiClient from './apiClient';
+
+/**
+ * Settings Service
+ * Handles business configuration API calls
+ * (GST, discount limits, draft expiry, cancellation reasons, working hours, enquiry SLAs,
+ * WhatsApp templates)
+ */
+
+const settingsService = {
+  /**
+   * Get business settings
+   * @returns {Promise} { settings }
+   */
+  getSettings: async () => {
+    const response = await apiClient.get('/settings');
+    return response.data;
+  },
+
+  /**
+   * Update business settings (Admin only)
+   * @param {Object} settings - Settings to update
+   * @param {number} settings.gst_percentage - GST applied to orders and subscriptions
+   * @param {number} settings.max_discount_percentage - Maximum line discount
+   * @param {number} settings.draft_expiry_hours - Hours before a wizard draft expires
+   * @param {string[]} settings.cancellation_reasons - Reasons offered when cancelling an order
+   * @param {string} settings.working_hours_start - First bookable slot (HH:MM)
+   * @param {string} settings.working_hours_end - Last bookable slot (HH:MM)
+   * @param {number} settings.slot_interval_minutes - Minutes between bookable slots
+   * @param {string} settings.attendance_start_time - Agent shift start (HH:MM)
+   * @param {number} settings.late_grace_minutes - Minutes after shift start before a check-in is late
+   * @param {number} settings.check_in_radius_meters - Max distance from home/office to check in
+   * @param {Object} settings.enquiry_slas - Per enquiry source: { first_response_minutes, follow_up_days }
+   * @param {Array} settings.whatsapp_templates - [{ id, name, category, body }] with {{placeholder}} tokens
+   * @param {string} settings.review_link - Link sent in review requests
+   * @returns {Promise} { settings }
+   */
+  updateSettings: async (settings) => {
+    const response = await apiClient.put('/settings', { settings });
+    return response.data;
+  },
+};
+
+export default settingsService;
@@ -14,6 +14,7 @@ const subscriptionService = {
    * @param {number} params.per_page - Items per page
    * @param {string} params.search - Search term (customer name/phone)
    * @param {string} params.status - Subscription status filter (active/paused/cancelled/expired)
+   * @param {string} params.payment_status - Payment status filter (pending/partial/paid)
    * @param {string} params.customer_id - Customer ID filter
    */
   getAllSubscriptions: async (params = {}) => {
@@ -0,0 +1,72 @@
+import apiClient from './apiClient';
+
+/**
+ * Transaction Service
+ * Handles the payments ledger that combines order and subscription payments
+ */
+
+const EXPORT_PER_PAGE = 500;
+
+const transactionService = {
+  /**
+   * Get ledger entries with optional filters
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number
+   * @param {number} params.per_page - Items per page
+   * @param {string} params.search - Search term (order/subscription number, customer name/phone)
+   * @param {string} params.source_type - Source filter (order, subscription)
+   * @param {string} params.payment_method - Payment method filter (cash, card, upi, bank_transfer)
+   * @param {string} params.payment_status - Payment status filter (pending, partial, paid, failed, refunded)
+   * @param {string} params.agent_id - Agent ID filter
+   * @param {string} params.date_from - Start date filter (YYYY-MM-DD)
+   * @param {string} params.date_to - End date filter (YYYY-MM-DD)
+   * @returns {Promise} { transactions, summary, pagination }
+   */
+  getTransactions: async (params = {}) => {
+    const response = await apiClient.get('/transactions', { params });
+    return response.data;
+  },
+
+  /**
+   * Record a receipt as a ledger entry
+   * Each receipt keeps its own amount, method and date, so part payments made
+   * different ways all show in the ledger
+   * @param {Object} receiptData - Receipt data
+   * @param {string} receiptData.source_type - order or subscription
+   * @param {number} receiptData.source_id - Order or subscription ID
+   * @param {number} receiptData.amount - Amount received
+   * @param {string} receiptData.payment_method - cash, upi or bank_transfer
+   * @param {string} receiptData.transaction_date - When it was received (ISO)
+   * @returns {Promise} { transaction }
+   */
+  createTransaction: async (receiptData) => {
+    const response = await apiClient.post('/transactions', {
+      transaction: { ...receiptData, payment_status: 'paid' },
+    });
+    return response.data;
+  },
+
+  /**
+   * Get every ledger entry matching the filters (for export and cash in hand)
+   * Pages through the ledger so nothing past one page is left out
+   * @param {Object} params - Same filters as getTransactions
+   * @returns {Promise} { transactions, summary } with every matching entry
+   */
+  exportTransactions: async (params = {}) => {
+    const transactions = [];
+    let page = 1;
+    let data;
+    do {
+      const response = await apiClient.get('/transactions', {
+        params: { ...params, page, per_page: EXPORT_PER_PAGE },
+      });
+      data = response.data;
+      transactions.push(...(data.transactions || []));
+      page += 1;
+    } while (page <= ((data.pagination || data).total_pages || 1));
+
+    return { ...data, transactions };
+  },
+};
+
+export default transactionService;
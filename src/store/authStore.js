@@ -1,11 +1,13 @@
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
+import { persist, createJSONStorage } from 'zustand/middleware';
 import ablyClient from '../services/ablyClient';
+import indexedDBService from '../lib/indexedDB';
+import { encryptedStateStorage } from '../lib/secureStorage';
 
 /**
  * Authentication Store using Zustand
  * Manages user authentication state, tokens, and user data
- * Persists to localStorage for session management
+ * Persists to localStorage, encrypted, for session management
  */
 
 const useAuthStore = create(
@@ -17,6 +19,7 @@ const useAuthStore = create(
       refreshToken: null,
       isAuthenticated: false,
       isLoading: false,
+      hasHydrated: false, // Encrypted storage loads asynchronously
 
       // Actions
       setAuth: (user, accessToken, refreshToken) => {
@@ -32,6 +35,10 @@ const useAuthStore = create(
         set({ accessToken });
       },
 
+      setTokens: (accessToken, refreshToken) => {
+        set({ accessToken, refreshToken });
+      },
+
       setUser: (user) => {
         set({ user });
       },
@@ -52,6 +59,8 @@ const useAuthStore = create(
         });
         // Clear localStorage
         localStorage.removeItem('auth-storage');
+        // Cached data belongs to this user
+        indexedDBService.clearAllCache().catch(() => {});
       },
 
       // Utility functions
@@ -77,6 +86,12 @@ const useAuthStore = create(
     }),
     {
       name: 'auth-storage', // localStorage key
+      // Decrypting is async; plaintext sessions from older versions are
+      // encrypted on first load
+      storage: createJSONStorage(() => encryptedStateStorage),
+      onRehydrateStorage: () => () => {
+        useAuthStore.setState({ hasHydrated: true });
+      },
       partialize: (state) => ({
         user: state.user,
         accessToken: state.accessToken,
@@ -1,5 +1,31 @@
 import { create } from 'zustand';
 import enquiryService from '../services/enquiryService';
+import { ENQUIRY_STATUSES } from '../constants/enquiryConstants';
+
+// Cards loaded per board column
+const PIPELINE_PAGE_SIZE = 50;
+
+/**
+ * Move an enquiry into the board column for its status (top of the column)
+ * Columns not loaded yet are left alone
+ */
+const placeInPipeline = (pipeline, enquiry) => {
+  if (!enquiry || !pipeline[enquiry.status]) return pipeline;
+
+  const next = {};
+  Object.entries(pipeline).forEach(([status, column]) => {
+    const without = column.enquiries.filter(e => e.id !== enquiry.id);
+    next[status] = {
+      enquiries: without,
+      total: column.total - (column.enquiries.length - without.length),
+    };
+  });
+  next[enquiry.status] = {
+    enquiries: [enquiry, ...next[enquiry.status].enquiries],
+    total: next[enquiry.status].total + 1,
+  };
+  return next;
+};
 
 /**
  * Enquiry Store using Zustand
@@ -31,6 +57,10 @@ const useEnquiryStore = create((set, get) => ({
   totalCount: 0,
   totalPages: 1,
 
+  // Pipeline board: { [status]: { enquiries, total } }
+  pipeline: {},
+  pipelineLoading: false,
+
   // Actions
   
   /**
@@ -121,7 +151,11 @@ const useEnquiryStore = create((set, get) => ({
       const response = await enquiryService.getEnquiryById(id);
       const enquiry = response.enquiry;
       
-      set({ selectedEnquiry: enquiry, isLoading: false });
+      set(state => ({
+        selectedEnquiry: enquiry,
+        pipeline: placeInPipeline(state.pipeline, enquiry),
+        isLoading: false,
+      }));
       
       // Also update in the list if it exists
       const state = get();
@@ -177,6 +211,7 @@ const useEnquiryStore = create((set, get) => ({
           e.id === id ? updatedEnquiry : e
         ),
         selectedEnquiry: state.selectedEnquiry?.id === id ? updatedEnquiry : state.selectedEnquiry,
+        pipeline: placeInPipeline(state.pipeline, updatedEnquiry),
         isLoading: false,
       }));
       
@@ -202,6 +237,7 @@ const useEnquiryStore = create((set, get) => ({
           e.id === id ? updatedEnquiry : e
         ),
         selectedEnquiry: state.selectedEnquiry?.id === id ? updatedEnquiry : state.selectedEnquiry,
+        pipeline: placeInPipeline(state.pipeline, updatedEnquiry),
         isLoading: false,
       }));
       
@@ -227,6 +263,7 @@ const useEnquiryStore = create((set, get) => ({
           e.id === id ? updatedEnquiry : e
         ),
         selectedEnquiry: state.selectedEnquiry?.id === id ? updatedEnquiry : state.selectedEnquiry,
+        pipeline: placeInPipeline(state.pipeline, updatedEnquiry),
         isLoading: false,
       }));
       
@@ -269,6 +306,12 @@ const useEnquiryStore = create((set, get) => ({
         enquiries: state.enquiries.filter(e => e.id !== id),
         totalCount: state.totalCount - 1,
         selectedEnquiry: state.selectedEnquiry?.id === id ? null : state.selectedEnquiry,
+        pipeline: Object.fromEntries(Object.entries(state.pipeline).map(([status, column]) => [
+          status,
+          column.enquiries.some(e => e.id === id)
+            ? { enquiries: column.enquiries.filter(e => e.id !== id), total: column.total - 1 }
+            : column,
+        ])),
         isLoading: false,
       }));
     } catch (error) {
@@ -320,6 +363,52 @@ const useEnquiryStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Fetch the pipeline board: one page of enquiries per status
+   * Uses the current filters except status
+   */
+  fetchPipeline: async () => {
+    set({ pipelineLoading: true, error: null });
+    try {
+      // Each column sets its own status
+      const params = { per_page: PIPELINE_PAGE_SIZE, ...get().filters, status: '' };
+
+      // Remove empty filters
+      Object.keys(params).forEach(key => {
+        if (params[key] === '' || params[key] === null || params[key] === undefined) {
+          delete params[key];
+        }
+      });
+
+      const statuses = Object.values(ENQUIRY_STATUSES);
+      const responses = await Promise.all(
+        statuses.map(status => enquiryService.getAllEnquiries({ ...params, status }))
+      );
+
+      const pipeline = {};
+      statuses.forEach((status, index) => {
+        pipeline[status] = {
+          enquiries: responses[index].enquiries || [],
+          total: responses[index].total || 0,
+        };
+      });
+
+      set({ pipeline, pipelineLoading: false });
+      return pipeline;
+    } catch (error) {
+      set({ error: error.message, pipelineLoading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Show an enquiry in another board column before the server confirms
+   * (updateEnquiryStatus then places the saved copy)
+   */
+  moveInPipeline: (enquiry, status) => {
+    set(state => ({ pipeline: placeInPipeline(state.pipeline, { ...enquiry, status }) }));
+  },
+
   /**
    * Reset pagination to page 1
    */
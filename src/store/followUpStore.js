@@ -0,0 +1,123 @@
+import { create } from 'zustand';
+import { addDays, addMinutes, isBefore, isToday, startOfDay } from 'date-fns';
+import enquiryService from '../services/enquiryService';
+import pushNotificationService from '../services/pushNotifications';
+
+// Follow-ups set from a date-only picker are stored at midnight - remind at 9am instead
+const DEFAULT_REMINDER_HOUR = 9;
+
+/**
+ * When the reminder for a follow-up should fire
+ */
+export const getReminderTime = (followUp) => {
+  const dueAt = new Date(followUp.follow_up_at);
+  if (dueAt.getHours() === 0 && dueAt.getMinutes() === 0) {
+    dueAt.setHours(DEFAULT_REMINDER_HOUR);
+  }
+  return dueAt;
+};
+
+/**
+ * Split pending follow-ups into overdue / today / upcoming, each oldest first
+ */
+export const groupFollowUps = (followUps) => {
+  const today = startOfDay(new Date());
+  const sorted = [...followUps].sort((a, b) => getReminderTime(a) - getReminderTime(b));
+
+  return {
+    overdue: sorted.filter((f) => isBefore(getReminderTime(f), today)),
+    today: sorted.filter((f) => isToday(getReminderTime(f))),
+    upcoming: sorted.filter((f) => getReminderTime(f) >= addDays(today, 1)),
+  };
+};
+
+/**
+ * Hand future follow-ups to the service worker as device reminders
+ * The server pushes each reminder at its remind_at; these only add a copy that
+ * fires offline on browsers with notification triggers
+ */
+const scheduleReminders = (followUps) => {
+  const now = new Date();
+  const reminders = followUps
+    .filter((f) => getReminderTime(f) > now)
+    .map((f) => ({
+      id: f.id,
+      enquiry_id: f.enquiry_id,
+      due_at: getReminderTime(f).getTime(),
+      title: `Follow up: ${f.enquiry?.contact_name || f.enquiry?.contact_phone || 'Enquiry'}`,
+      body: f.notes || 'Follow-up due now',
+      contact_phone: f.enquiry?.contact_phone,
+    }));
+
+  pushNotificationService.scheduleFollowUpReminders(reminders).catch(() => {});
+};
+
+/**
+ * Follow-up Store using Zustand
+ * The current user's pending follow-ups and their device reminders
+ */
+
+const useFollowUpStore = create((set, get) => ({
+  // State
+  followUps: [], // Pending follow-ups
+  isLoading: false,
+  loaded: false,
+
+  // Actions
+
+  /**
+   * Fetch pending follow-ups and refresh the reminders
+   */
+  fetchFollowUps: async () => {
+    set({ isLoading: true });
+    try {
+      const response = await enquiryService.getMyFollowUps({ status: 'pending' });
+      const followUps = response.follow_ups || [];
+      set({ followUps, loaded: true });
+      scheduleReminders(followUps);
+    } catch (error) {
+      console.error('Failed to fetch follow-ups:', error);
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  /**
+   * Mark a follow-up as done
+   * @param {Object} followUp - Follow-up to complete
+   */
+  markDone: async (followUp) => {
+    await enquiryService.markFollowUpDone(followUp.id);
+    const followUps = get().followUps.filter((f) => f.id !== followUp.id);
+    set({ followUps });
+    scheduleReminders(followUps);
+  },
+
+  /**
+   * Move a follow-up to a new date/time
+   * @param {Object} followUp - Follow-up to move
+   * @param {Date} date - New date/time
+   */
+  reschedule: async (followUp, date) => {
+    const response = await enquiryService.rescheduleFollowUp(
+      followUp.id,
+      date.toISOString(),
+      getReminderTime({ follow_up_at: date.toISOString() }).toISOString()
+    );
+    const updated = { ...followUp, follow_up_at: date.toISOString(), ...response.follow_up };
+    const followUps = get().followUps.map((f) => (f.id === followUp.id ? updated : f));
+    set({ followUps });
+    scheduleReminders(followUps);
+  },
+
+  /**
+   * Push a follow-up back by some minutes from now
+   * @param {Object} followUp - Follow-up to snooze
+   * @param {number} minutes - Minutes from now
+   */
+  snooze: (followUp, minutes) => {
+    return get().reschedule(followUp, addMinutes(new Date(), minutes));
+  },
+}));
+
+export default useFollowUpStore;
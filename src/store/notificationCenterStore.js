@@ -0,0 +1,358 @@
+import { create } from 'zustand';
+import notificationService from '../services/notificationService';
+import ablyClient from '../services/ablyClient';
+import indexedDBService from '../lib/indexedDB';
+import { NOTIFICATION_EVENTS } from '../lib/notificationPreferences';
+import useAuthStore from './authStore';
+
+const PER_PAGE = 20;
+// Realtime events often come in bursts (e.g. assign + status change)
+const SYNC_DELAY = 1500;
+// Reads the server has not acknowledged yet: { all: boolean, ids: [] }
+const PENDING_READS_KEY = 'pendingNotificationReads';
+
+let syncTimer = null;
+let pendingEvents = [];
+let unsubscribers = [];
+
+/**
+ * Record type and ID an event refers to
+ */
+const getEventRecord = (eventName, eventData) => {
+  if (eventName.startsWith('enquiry.')) {
+    return { record_type: 'enquiry', record_id: eventData.enquiry_id ?? eventData.data?.id };
+  }
+  if (eventName.startsWith('subscription.')) {
+    return { record_type: 'subscription', record_id: eventData.subscription_id ?? eventData.data?.id };
+  }
+  return { record_type: 'order', record_id: eventData.order_id ?? eventData.data?.order_id };
+};
+
+/**
+ * Inbox item for an event seen while the server could not be reached
+ * Replaced by the server's copy on the next successful sync
+ */
+const toLocalNotification = (eventName, eventData, index) => {
+  const data = eventData.data || {};
+  const label = NOTIFICATION_EVENTS.find((e) => e.value === eventName)?.label
+    || eventName.replace(/[._]/g, ' ');
+  const subject = data.order_number ? `Order #${data.order_number}` : data.contact_name || '';
+
+  return {
+    id: `local-${Date.now()}-${index}`,
+    event: eventName,
+    title: label.charAt(0).toUpperCase() + label.slice(1),
+    body: [subject, data.new_status && `Status: ${data.new_status}`, data.cancel_reason]
+      .filter(Boolean)
+      .join(' · '),
+    ...getEventRecord(eventName, eventData),
+    read_at: null,
+    created_at: new Date().toISOString(),
+    local: true,
+  };
+};
+
+/**
+ * Remember a read the server could not be told about, to send on the next sync
+ * @param {Object} read - { id } for one notification or { all: true, before } for
+ *   everything created up to the time the user marked all as read
+ */
+const queueRead = async (read) => {
+  const { STORES } = indexedDBService;
+  try {
+    const pending = (await indexedDBService.get(STORES.USER_DATA, PENDING_READS_KEY)) || { all: false, ids: [] };
+    await indexedDBService.put(STORES.USER_DATA, PENDING_READS_KEY, read.all
+      ? { all: true, before: read.before, ids: pending.ids }
+      : { ...pending, ids: [...new Set([...pending.ids, read.id])] });
+  } catch (error) {
+    console.error('Failed to queue notification read:', error);
+  }
+};
+
+/**
+ * Send queued reads to the server
+ * Kept for the next sync when the server cannot be reached; a read the server
+ * rejects (e.g. a deleted notification) is dropped on its own
+ */
+const flushPendingReads = async () => {
+  const { STORES } = indexedDBService;
+  const pending = await indexedDBService.get(STORES.USER_DATA, PENDING_READS_KEY).catch(() => null);
+  if (!pending || (!pending.all && pending.ids.length === 0)) return;
+
+  if (pending.all) {
+    try {
+      // Only what existed when the user marked all as read - not what arrived since
+      await notificationService.markAllAsRead(pending.before);
+    } catch (error) {
+      if (!error.response || error.response.status >= 500) return;
+    }
+  }
+
+  const sent = [];
+  for (const id of pending.ids) {
+    try {
+      await notificationService.markAsRead(id);
+    } catch (error) {
+      if (!error.response || error.response.status >= 500) break;
+    }
+    sent.push(id);
+  }
+
+  // Reads queued while these were sent stay for the next sync
+  try {
+    const current = (await indexedDBService.get(STORES.USER_DATA, PENDING_READS_KEY)) || { all: false, ids: [] };
+    const all = current.all && current.before !== pending.before;
+    const ids = current.ids.filter((id) => !sent.includes(id));
+    if (all || ids.length > 0) {
+      await indexedDBService.put(STORES.USER_DATA, PENDING_READS_KEY, { all, before: all ? current.before : null, ids });
+    } else {
+      await indexedDBService.del(STORES.USER_DATA, PENDING_READS_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to update queued notification reads:', error);
+  }
+};
+
+const matchesFilter = (item, filter) => {
+  if (filter.type !== 'all' && item.record_type !== filter.type) return false;
+  if (filter.unreadOnly && item.read_at) return false;
+  return true;
+};
+
+/**
+ * Notification Center Store using Zustand
+ * Inbox of realtime notifications, kept in IndexedDB and synced with the server
+ */
+
+const useNotificationCenterStore = create((set, get) => ({
+  // State
+  userId: null,
+  notifications: [], // Current filtered page(s), newest first
+  unreadCount: 0,
+  filter: { type: 'all', unreadOnly: false },
+  page: 1,
+  hasMore: false,
+  isLoading: false,
+
+  // Actions
+
+  /**
+   * Show cached notifications, listen for realtime events and sync
+   * Call stop() to remove the realtime listeners
+   */
+  start: async () => {
+    const user = useAuthStore.getState().user;
+    if (!user) return;
+
+    if (get().userId !== user.id) {
+      set({ userId: user.id, notifications: [], unreadCount: 0, page: 1, hasMore: false });
+    }
+
+    await get().loadFromCache(1);
+
+    try {
+      await ablyClient.initialize();
+      const handler = (eventName, eventData) => get().handleRealtimeEvent(eventName, eventData);
+      get().stop();
+      unsubscribers = [
+        ablyClient.subscribeToOrders(handler),
+        ablyClient.subscribeToEnquiries(handler),
+        ablyClient.subscribeToAgent(user.id, handler),
+      ].filter(Boolean);
+    } catch (error) {
+      // Realtime unavailable - the inbox still syncs on open
+    }
+
+    get().fetchNotifications(1);
+  },
+
+  /**
+   * Remove realtime listeners
+   */
+  stop: () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    unsubscribers = [];
+    clearTimeout(syncTimer);
+  },
+
+  /**
+   * Show notifications from IndexedDB (offline, or before the server answers)
+   * @param {number} page - Number of pages to show
+   */
+  loadFromCache: async (page) => {
+    try {
+      const cached = await indexedDBService.getCachedNotifications();
+      const filtered = cached.filter((item) => matchesFilter(item, get().filter));
+      set({
+        notifications: filtered.slice(0, page * PER_PAGE),
+        unreadCount: cached.filter((item) => !item.read_at).length,
+        page,
+        hasMore: filtered.length > page * PER_PAGE,
+      });
+    } catch (error) {
+      console.error('Failed to read cached notifications:', error);
+    }
+  },
+
+  /**
+   * Fetch a page of notifications from the server
+   * Falls back to the cached inbox when the server cannot be reached
+   * @param {number} page - Page number
+   * @returns {Promise<boolean>} Whether the server answered
+   */
+  fetchNotifications: async (page = 1) => {
+    const { filter } = get();
+    set({ isLoading: true });
+
+    try {
+      // Reads made offline first, so the server's unread state is current
+      if (page === 1) await flushPendingReads();
+
+      const params = { page, per_page: PER_PAGE };
+      if (filter.type !== 'all') params.record_type = filter.type;
+      if (filter.unreadOnly) params.unread = true;
+
+      const response = await notificationService.getNotifications(params);
+      const fetched = response.notifications || [];
+
+      if (page === 1) {
+        // The server's history now covers events kept locally while offline
+        const cached = await indexedDBService.getCachedNotifications().catch(() => []);
+        const localIds = cached.filter((item) => item.local).map((item) => item.id);
+        if (localIds.length > 0) {
+          await indexedDBService.removeCachedNotifications(localIds).catch(() => {});
+        }
+      }
+      indexedDBService.cacheNotifications(fetched).catch(() => {});
+
+      const paginationData = response.pagination || response;
+      set((state) => ({
+        notifications: page === 1 ? fetched : [...state.notifications, ...fetched],
+        unreadCount: response.unread_count ?? state.unreadCount,
+        page,
+        hasMore: page < (paginationData.total_pages || 1),
+      }));
+      return true;
+    } catch (error) {
+      if (!error.response) {
+        await get().loadFromCache(page);
+      }
+      return false;
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  /**
+   * Load the next page
+   */
+  loadMore: () => {
+    const { isLoading, hasMore, page } = get();
+    if (isLoading || !hasMore) return;
+    get().fetchNotifications(page + 1);
+  },
+
+  /**
+   * Change the type/unread filter and reload
+   * @param {Object} changes - { type, unreadOnly }
+   */
+  setFilter: (changes) => {
+    set((state) => ({ filter: { ...state.filter, ...changes } }));
+    get().fetchNotifications(1);
+  },
+
+  /**
+   * Handle a realtime event: sync the inbox shortly after
+   */
+  handleRealtimeEvent: (eventName, eventData = {}) => {
+    const currentUserId = useAuthStore.getState().user?.id;
+
+    // Skip the user's own actions
+    if (eventData.data?.changed_by_id && eventData.data.changed_by_id === currentUserId) {
+      return;
+    }
+
+    pendingEvents.push({ eventName, eventData });
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => get().syncPendingEvents(), SYNC_DELAY);
+  },
+
+  /**
+   * Pull new notifications after realtime events
+   * Offline, the events are kept as local notifications instead
+   */
+  syncPendingEvents: async () => {
+    const events = pendingEvents;
+    pendingEvents = [];
+    if (events.length === 0) return;
+
+    if (navigator.onLine && await get().fetchNotifications(1)) {
+      return;
+    }
+
+    const local = events.map(({ eventName, eventData }, index) => toLocalNotification(eventName, eventData, index));
+    await indexedDBService.cacheNotifications(local).catch(() => {});
+    set((state) => ({
+      notifications: [...local.filter((item) => matchesFilter(item, state.filter)), ...state.notifications],
+      unreadCount: state.unreadCount + local.length,
+    }));
+  },
+
+  /**
+   * Mark a notification as read
+   * @param {Object} notification - Notification to mark
+   */
+  markAsRead: async (notification) => {
+    if (notification.read_at) return;
+
+    const updated = { ...notification, read_at: new Date().toISOString() };
+    set((state) => ({
+      notifications: state.filter.unreadOnly
+        ? state.notifications.filter((n) => n.id !== notification.id)
+        : state.notifications.map((n) => (n.id === notification.id ? updated : n)),
+      unreadCount: Math.max(0, state.unreadCount - 1),
+    }));
+    indexedDBService.cacheNotifications([updated]).catch(() => {});
+
+    if (!notification.local) {
+      try {
+        await notificationService.markAsRead(notification.id);
+      } catch (error) {
+        // Stays read on this device; sent again on the next sync
+        await queueRead({ id: notification.id });
+      }
+    }
+  },
+
+  /**
+   * Mark every notification as read
+   */
+  markAllAsRead: async () => {
+    const readAt = new Date().toISOString();
+    set((state) => ({
+      notifications: state.filter.unreadOnly
+        ? []
+        : state.notifications.map((n) => (n.read_at ? n : { ...n, read_at: readAt })),
+      unreadCount: 0,
+      hasMore: state.filter.unreadOnly ? false : state.hasMore,
+    }));
+
+    try {
+      const cached = await indexedDBService.getCachedNotifications();
+      await indexedDBService.cacheNotifications(
+        cached.filter((n) => !n.read_at).map((n) => ({ ...n, read_at: readAt }))
+      );
+    } catch (error) {
+      console.error('Failed to update cached notifications:', error);
+    }
+
+    try {
+      await notificationService.markAllAsRead(readAt);
+    } catch (error) {
+      // Stays read on this device; sent again on the next sync
+      await queueRead({ all: true, before: readAt });
+    }
+  },
+}));
+
+export default useNotificationCenterStore;
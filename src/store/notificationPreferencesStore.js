@@ -0,0 +1,127 @@
+import { create } from 'zustand';
+import notificationPreferenceService from '../services/notificationPreferenceService';
+import indexedDBService from '../lib/indexedDB';
+import useAuthStore from './authStore';
+import {
+  getDefaultPreferences,
+  mergeWithDefaults,
+  getEventScope,
+  allowsNotification,
+} from '../lib/notificationPreferences';
+
+// IndexedDB key the service worker reads for push filtering (see public/sw.js)
+const DEVICE_PREFERENCES_KEY = 'notificationPreferences';
+
+let audioContext = null;
+
+/**
+ * Short two-tone chime (no audio asset needed)
+ */
+const playChime = () => {
+  try {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+    [880, 1320].forEach((frequency, i) => {
+      const start = audioContext.currentTime + i * 0.15;
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.3);
+    });
+  } catch (error) {
+    // Audio unavailable (e.g. autoplay blocked) - stay silent
+  }
+};
+
+/**
+ * Save preferences where the service worker can read them
+ */
+const saveForServiceWorker = (preferences) => {
+  const user = useAuthStore.getState().user;
+  // The worker also uses the role to pick deep links (agents open /jobs)
+  return indexedDBService.put(indexedDBService.STORES.USER_DATA, DEVICE_PREFERENCES_KEY, {
+    user: { id: user?.id, office_id: user?.office_id, role: user?.role },
+    preferences,
+  }).catch(() => {});
+};
+
+/**
+ * Notification Preferences Store using Zustand
+ * Per-event channel/scope preferences and quiet hours for the current user
+ */
+
+const useNotificationPreferencesStore = create((set, get) => ({
+  // State
+  preferences: getDefaultPreferences(null),
+  isLoading: false,
+  loaded: false,
+
+  // Actions
+
+  /**
+   * Load preferences from the server, falling back to this device's copy
+   */
+  fetchPreferences: async () => {
+    const role = useAuthStore.getState().user?.role;
+    set({ isLoading: true });
+
+    try {
+      const response = await notificationPreferenceService.getPreferences();
+      const preferences = mergeWithDefaults(response.notification_preferences, role);
+      set({ preferences, loaded: true });
+      saveForServiceWorker(preferences);
+    } catch (error) {
+      const cached = await indexedDBService
+        .get(indexedDBService.STORES.USER_DATA, DEVICE_PREFERENCES_KEY)
+        .catch(() => null);
+      const preferences = mergeWithDefaults(cached?.preferences, role);
+      set({ preferences, loaded: true });
+      saveForServiceWorker(preferences);
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  /**
+   * Save preferences
+   * @param {Object} preferences - Full preferences ({ events, quiet_hours })
+   */
+  updatePreferences: async (preferences) => {
+    const response = await notificationPreferenceService.updatePreferences(preferences);
+    const role = useAuthStore.getState().user?.role;
+    const saved = mergeWithDefaults(response.notification_preferences || preferences, role);
+    set({ preferences: saved });
+    await saveForServiceWorker(saved);
+    return saved;
+  },
+
+  /**
+   * Reset to the defaults for the user's role (not saved until updatePreferences)
+   */
+  getRoleDefaults: () => {
+    return getDefaultPreferences(useAuthStore.getState().user?.role);
+  },
+
+  /**
+   * Deliver an in-app notification if the preferences allow it
+   * @param {string} eventName - e.g. 'order.assigned'
+   * @param {Object} context - { assignedToId, createdById, officeId } of the record
+   * @param {Function} showToast - Shows the toast
+   */
+  notify: (eventName, context, showToast) => {
+    const { preferences } = get();
+    const scope = getEventScope(context, useAuthStore.getState().user);
+
+    if (allowsNotification(preferences, eventName, 'toast', scope)) {
+      showToast();
+    }
+    if (allowsNotification(preferences, eventName, 'sound', scope)) {
+      playChime();
+    }
+  },
+}));
+
+export default useNotificationPreferencesStore;
@@ -0,0 +1,58 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import officeService from '../services/officeService';
+
+/**
+ * Office Store using Zustand
+ * Cached list of active offices and the branch picked in list page office filters.
+ * The branch is shared by Orders, Enquiries, Customers and Reports and persisted,
+ * so a branch manager picks it once.
+ */
+
+const useOfficeStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      offices: [], // Active offices
+      hasLoaded: false,
+      selectedOfficeId: 'all', // Office filter: 'all' or an office ID
+
+      // Actions
+
+      /**
+       * Load active offices (cached after the first call)
+       * @param {boolean} force - Reload even if already loaded
+       */
+      fetchOffices: async (force = false) => {
+        if (get().hasLoaded && !force) return;
+        try {
+          const response = await officeService.getAllOffices(true);
+          const offices = response.offices || [];
+          const { selectedOfficeId } = get();
+          set({
+            offices,
+            hasLoaded: true,
+            // Drop a persisted branch that no longer exists or was deactivated
+            selectedOfficeId: offices.some((o) => String(o.id) === selectedOfficeId) ? selectedOfficeId : 'all',
+          });
+        } catch (error) {
+          console.error('Failed to load offices:', error);
+        }
+      },
+
+      /**
+       * Set the office filter
+       * @param {string} officeId - 'all' or an office ID
+       */
+      setSelectedOfficeId: (officeId) => set({ selectedOfficeId: officeId }),
+    }),
+    {
+      name: 'office-storage',
+      partialize: (state) => ({
+        selectedOfficeId: state.selectedOfficeId,
+      }),
+    }
+  )
+);
+
+export default useOfficeStore;
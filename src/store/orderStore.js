@@ -4,6 +4,31 @@ import { format } from 'date-fns';
 import ablyClient from '../services/ablyClient';
 import { toast } from 'sonner';
 import useAuthStore from './authStore';
+import indexedDBService from '../lib/indexedDB';
+import useNotificationPreferencesStore from './notificationPreferencesStore';
+
+/**
+ * Split today's orders into upcoming (by booking time) and completed
+ */
+const splitTodayOrders = (orders) => ({
+  upcomingOrders: orders
+    .filter(order => order.status === 'confirmed' || order.status === 'in_progress')
+    .sort((a, b) => {
+      const timeA = new Date(a.booking_time_from).getTime();
+      const timeB = new Date(b.booking_time_from).getTime();
+      return timeA - timeB;
+    }),
+  completedOrders: orders.filter(order => order.status === 'completed'),
+});
+
+/**
+ * How an order relates to users, for notification scopes
+ */
+const orderNotificationContext = (order) => ({
+  assignedToId: order.assigned_to?.id,
+  createdById: order.created_by?.id ?? order.created_by_id,
+  officeId: order.office_id ?? order.assigned_to?.office_id,
+});
 
 /**
  * Order Store using Zustand
@@ -17,6 +42,7 @@ const useOrderStore = create((set, get) => ({
   orders: [], // All orders in memory
   upcomingOrders: [], // Today's confirmed/in_progress orders
   completedOrders: [], // Today's completed orders
+  todayOrdersUpdatedAt: null, // When today's orders were last loaded from the server
   agents: [], // All agents (cached)
   isLoading: false,
   error: null,
@@ -84,11 +110,29 @@ const useOrderStore = create((set, get) => ({
   /**
    * Fetch today's orders for Dashboard
    * Splits into upcoming and completed
+   * Stale-while-revalidate: cached orders show first, then the server copy replaces them
    */
   fetchTodayOrders: async () => {
     set({ isLoading: true, error: null });
+    const today = format(new Date(), 'yyyy-MM-dd');
+
+    // Serve the cached copy while the request is in flight (or offline)
+    if (!get().todayOrdersUpdatedAt) {
+      try {
+        const cached = await indexedDBService.getCachedBookings();
+        const cachedToday = cached.filter(order => order.booking_date === today);
+        if (cachedToday.length > 0) {
+          set({
+            ...splitTodayOrders(cachedToday),
+            todayOrdersUpdatedAt: await indexedDBService.getCacheTimestamp(indexedDBService.STORES.BOOKINGS),
+          });
+        }
+      } catch (error) {
+        // Cache unavailable (private mode) - fall through to the network
+      }
+    }
+
     try {
-      const today = format(new Date(), 'yyyy-MM-dd');
       const response = await orderService.getAllOrders({
         booking_date: today,
         per_page: 100,
@@ -96,24 +140,13 @@ const useOrderStore = create((set, get) => ({
 
       const allTodayOrders = response.orders || [];
 
-      // Split into upcoming and completed
-      const upcoming = allTodayOrders
-        .filter(order => order.status === 'confirmed' || order.status === 'in_progress')
-        .sort((a, b) => {
-          const timeA = new Date(a.booking_time_from).getTime();
-          const timeB = new Date(b.booking_time_from).getTime();
-          return timeA - timeB;
-        });
-
-      const completed = allTodayOrders.filter(
-        order => order.status === 'completed'
-      );
-
       set({
-        upcomingOrders: upcoming,
-        completedOrders: completed,
+        ...splitTodayOrders(allTodayOrders),
+        todayOrdersUpdatedAt: new Date().toISOString(),
         isLoading: false,
       });
+
+      indexedDBService.cacheBookings(allTodayOrders).catch(() => {});
     } catch (error) {
       set({ error: error.message, isLoading: false });
     }
@@ -380,13 +413,18 @@ const useOrderStore = create((set, get) => ({
       return;
     }
 
+    // Toasts and sounds follow the user's notification preferences
+    const { notify } = useNotificationPreferencesStore.getState();
+
     switch (eventName) {
       case 'order.created':
         // Fetch the new order and add to store
         try {
           const order = await orderService.getOrder(order_id);
           get().addOrder(order);
-          toast.success(`New order created: ${data.order_number || order_id}`);
+          notify(eventName, orderNotificationContext(order), () => {
+            toast.success(`New order created: ${data.order_number || order_id}`);
+          });
         } catch (error) {
         }
         break;
@@ -403,13 +441,17 @@ const useOrderStore = create((set, get) => ({
           get().updateOrder(order);
           
           // Show toast notification for status changes
-          if (eventName === 'order.status_changed') {
-            toast.info(`Order ${order.order_number} status: ${data.new_status}`);
-          } else if (eventName === 'order.assigned' || eventName === 'order.reassigned') {
-            toast.info(`Order ${order.order_number} ${eventName === 'order.assigned' ? 'assigned' : 'reassigned'}`);
-          } else if (eventName === 'order.assignee_response_updated') {
-            toast.info(`Order ${order.order_number} response: ${data.assignee_response}`);
-          }
+          notify(eventName, orderNotificationContext(order), () => {
+            if (eventName === 'order.status_changed') {
+              toast.info(`Order ${order.order_number} status: ${data.new_status}`);
+            } else if (eventName === 'order.assigned' || eventName === 'order.reassigned') {
+              toast.info(`Order ${order.order_number} ${eventName === 'order.assigned' ? 'assigned' : 'reassigned'}`);
+            } else if (eventName === 'order.assignee_response_updated') {
+              toast.info(`Order ${order.order_number} response: ${data.assignee_response}`);
+            } else if (eventName === 'order.feedback_added') {
+              toast.info(`Order ${order.order_number} received feedback`);
+            }
+          });
         } catch (error) {
         }
         break;
@@ -419,7 +461,9 @@ const useOrderStore = create((set, get) => ({
         try {
           const order = await orderService.getOrder(order_id);
           get().updateOrder(order);
-          toast.warning(`Order ${order.order_number} cancelled: ${data.cancel_reason || ''}`);
+          notify(eventName, orderNotificationContext(order), () => {
+            toast.warning(`Order ${order.order_number} cancelled: ${data.cancel_reason || ''}`);
+          });
         } catch (error) {
         }
         break;
@@ -0,0 +1,88 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import settingsService from '../services/settingsService';
+import { DEFAULT_SETTINGS } from '../lib/constants';
+
+/**
+ * Settings Store using Zustand
+ * Business configuration loaded from the settings API
+ * Persists the last known values so wizards work offline and on first paint
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Fill keys missing from saved or fetched settings with their defaults
+ * Nested objects are merged key by key so new defaults reach existing installs
+ * @param {Object} settings - Saved or fetched settings
+ * @param {Object} defaults - Defaults for this level
+ * @returns {Object}
+ */
+const withDefaults = (settings, defaults = DEFAULT_SETTINGS) => {
+  const merged = { ...defaults };
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key])
+      ? withDefaults(value, defaults[key])
+      : value;
+  });
+  return merged;
+};
+
+const useSettingsStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      settings: DEFAULT_SETTINGS,
+      isLoading: false,
+      lastFetched: null,
+
+      // Actions
+
+      /**
+       * Load settings from the API
+       * Keeps the cached values if the request fails
+       */
+      fetchSettings: async () => {
+        set({ isLoading: true });
+        try {
+          const data = await settingsService.getSettings();
+          set({
+            settings: withDefaults(data.settings),
+            lastFetched: Date.now(),
+          });
+        } catch (error) {
+          console.error('Failed to load settings:', error);
+        } finally {
+          set({ isLoading: false });
+        }
+      },
+
+      /**
+       * Save settings (Admin only)
+       * @param {Object} updates - Settings to change
+       */
+      updateSettings: async (updates) => {
+        const data = await settingsService.updateSettings(updates);
+        const settings = withDefaults({ ...get().settings, ...data.settings });
+        set({ settings, lastFetched: Date.now() });
+        return settings;
+      },
+    }),
+    {
+      name: 'settings-storage',
+      partialize: (state) => ({
+        settings: state.settings,
+        lastFetched: state.lastFetched,
+      }),
+      // Settings saved by an older version lack keys added since
+      merge: (persisted, current) => ({
+        ...current,
+        ...persisted,
+        settings: withDefaults(persisted?.settings),
+      }),
+    }
+  )
+);
+
+export default useSettingsStore;
@@ -0,0 +1,211 @@
+import { create } from 'zustand';
+import { toast } from 'sonner';
+import indexedDBService from '../lib/indexedDB';
+import { encrypt, encryptBytes } from '../lib/secureStorage';
+import useAuthStore from './authStore';
+import { refreshSession, whenAuthShared } from '../services/apiClient';
+
+// Background Sync tag - must match SYNC_QUEUE_TAG in public/sw.js
+export const SYNC_QUEUE_TAG = 'spado-sync-queue';
+
+/**
+ * Sync Store using Zustand
+ * Offline write queue for orders: writes made without a connection are kept
+ * in IndexedDB and replayed in order by the service worker once back online.
+ * Entries hold no credentials: the worker uses the current session token
+ * the app shares with it (see shareAuthWithServiceWorker in apiClient.js).
+ * Bodies and files are encrypted with the device key; only the summary shown
+ * in the queue list is stored in the clear.
+ * Entries are tagged with the user who made them and survive sign-out, so a
+ * session that expires offline loses nothing; only that user's entries are
+ * listed or replayed
+ */
+
+const getUserId = () => {
+  const id = useAuthStore.getState().user?.id;
+  return id != null ? String(id) : null;
+};
+
+// Entries queued before they were tagged belong to whoever is signed in
+const isOwnEntry = (entry, userId) => !entry.userId || entry.userId === userId;
+
+const useSyncStore = create((set, get) => ({
+  // State
+  entries: [], // Queued writes, oldest first ({ status: 'pending' | 'conflict' })
+  initialized: false,
+
+  // Actions
+
+  /**
+   * Reload the queue from IndexedDB
+   */
+  refresh: async () => {
+    try {
+      const userId = getUserId();
+      const entries = await indexedDBService.getSyncEntries();
+      set({ entries: userId ? entries.filter((e) => isOwnEntry(e, userId)) : [] });
+    } catch (error) {
+      console.error('Failed to read sync queue:', error);
+    }
+  },
+
+  /**
+   * Queue a write for later
+   * @param {Object} request - Write to replay
+   * @param {string} request.orderId - Order the write belongs to
+   * @param {string} request.description - Human readable summary for the queue list
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Absolute API URL
+   * @param {Object} request.body - JSON body (sent as the 'data' field when files are present)
+   * @param {Object} request.headers - Extra headers to replay with (e.g. Idempotency-Key)
+   * @param {Array<{field: string, file: File}>} request.files - Files for multipart uploads
+   */
+  enqueue: async (request) => {
+    const { body, files = [], ...rest } = request;
+    await indexedDBService.addSyncEntry({
+      ...rest,
+      userId: getUserId(),
+      orderId: request.orderId ? String(request.orderId) : null,
+      body: body ? await encrypt(JSON.stringify(body)) : null,
+      files: await Promise.all(files.map(async ({ field, file }) => ({
+        field,
+        name: file.name,
+        type: file.type,
+        data: await encryptBytes(await file.arrayBuffer()),
+      }))),
+      status: 'pending',
+      error: null,
+      createdAt: new Date().toISOString(),
+    });
+    await get().refresh();
+    get().requestSync();
+  },
+
+  /**
+   * Ask the service worker to replay the queue
+   * Uses Background Sync where supported, otherwise replays right away when online
+   */
+  requestSync: async () => {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+
+      if ('sync' in registration) {
+        // Fires right away when online, otherwise once the connection returns
+        await registration.sync.register(SYNC_QUEUE_TAG);
+        return;
+      }
+      if (!navigator.onLine) return;
+
+      const token = useAuthStore.getState().accessToken;
+      registration.active?.postMessage({
+        type: 'REPLAY_SYNC_QUEUE',
+        authorization: token ? `Bearer ${token}` : null,
+        userId: getUserId(),
+      });
+    } catch (error) {
+      console.error('Failed to request sync:', error);
+    }
+  },
+
+  /**
+   * Drop a queued write (used to discard a conflict)
+   * @param {number} id - Queue entry id
+   */
+  discard: async (id) => {
+    await indexedDBService.removeSyncEntry(id);
+    await get().refresh();
+    // Writes queued behind a conflict are held until it is resolved
+    get().requestSync();
+  },
+
+  /**
+   * Send a conflicting write again as-is
+   * @param {number} id - Queue entry id
+   */
+  retry: async (id) => {
+    const entry = get().entries.find((e) => e.id === id);
+    if (!entry) return;
+
+    await indexedDBService.updateSyncEntry({ ...entry, status: 'pending', error: null });
+    await get().refresh();
+    get().requestSync();
+  },
+
+  /**
+   * Get queued writes for an order
+   * @param {string|number} orderId - Order ID
+   */
+  getOrderEntries: (orderId) => {
+    return get().entries.filter((e) => e.orderId === String(orderId));
+  },
+
+  /**
+   * Listen for replay results from the service worker and replay on reconnect
+   * Safe to call more than once
+   */
+  init: () => {
+    if (get().initialized) return;
+    set({ initialized: true });
+
+    get().refresh();
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type !== 'SYNC_QUEUE_UPDATED') return;
+
+        const { synced = 0, conflicts = 0, authExpired = false } = event.data;
+        get().refresh();
+
+        // The worker's token had expired - refresh it; the new token triggers another replay
+        if (authExpired) {
+          refreshSession().catch((error) => console.error('Failed to refresh session for sync:', error));
+        }
+
+        if (synced > 0) {
+          toast.success(`${synced} offline change${synced > 1 ? 's' : ''} synced`);
+        }
+        if (conflicts > 0) {
+          toast.error(`${conflicts} offline change${conflicts > 1 ? 's' : ''} could not be applied`, {
+            description: 'Open the sync queue to review conflicts',
+          });
+        }
+      });
+    }
+
+    useAuthStore.subscribe((state, prevState) => {
+      if (state.accessToken === prevState.accessToken) return;
+
+      if (!state.accessToken) {
+        // Signed out - queued writes stay on the device for this user's next sign-in
+        set({ entries: [] });
+        return;
+      }
+
+      // Signed in (or the token was refreshed) - this user may have writes left from before
+      get().refresh().then(() => {
+        if (!get().entries.some((e) => e.status === 'pending')) return;
+        // The worker reads the token the app shares with it, so wait for that first
+        whenAuthShared().then(() => get().requestSync());
+      });
+    });
+
+    window.addEventListener('online', () => {
+      if (get().entries.length > 0) {
+        get().requestSync();
+      }
+    });
+
+    // Pick up anything left over from a previous session
+    if (navigator.onLine) {
+      get().refresh().then(() => {
+        if (get().entries.some((e) => e.status === 'pending')) {
+          get().requestSync();
+        }
+      });
+    }
+  },
+}));
+
+export default useSyncStore;